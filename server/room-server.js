@@ -0,0 +1,287 @@
+/**
+ * Group voting room: one screen hosts the tournament, friends vote on each match from their phones.
+ *
+ *   npm run room                 # ws://0.0.0.0:8787 (ROOM_PORT / ROOM_HOST to change)
+ *
+ * The server keeps its own copy of the host's tournament. For the match at `deriveCursor` it opens
+ * a vote with a countdown, and when voting closes it applies the result with `applyPick`, so the
+ * ballots land on the history entry as `{ vote }` (same shape as pass-and-play). Participants only
+ * need the room code, not a Spotify account. Protocol: see server/README.md.
+ */
+import { pathToFileURL } from "node:url";
+import { WebSocketServer } from "ws";
+import { applyPick, deriveCursor, deserializeTournament, getMatchAt, progressLabel, sortBySeed } from "../src/engine/index.js";
+
+const PORT = Number(process.env.ROOM_PORT) || 8787;
+const HOST = process.env.ROOM_HOST || "0.0.0.0";
+
+const DEFAULT_SECONDS = 30;
+const MIN_SECONDS = 5;
+const MAX_SECONDS = 300;
+const MAX_NAME = 24;
+
+// No 0/O or 1/I, so codes survive being read out loud
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+const rooms = new Map();
+
+function makeCode() {
+  for (;;) {
+    const code = Array.from(crypto.getRandomValues(new Uint8Array(4)), (n) => CODE_ALPHABET[n % CODE_ALPHABET.length]).join("");
+    if (!rooms.has(code)) return code;
+  }
+}
+
+function clampSeconds(value) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.min(MAX_SECONDS, Math.max(MIN_SECONDS, n)) : DEFAULT_SECONDS;
+}
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+}
+
+function broadcast(room, message) {
+  send(room.host, message);
+  for (const socket of room.players.keys()) send(socket, message);
+}
+
+// What a phone needs to see: no uris, popularity or sources. An artist entrant's byline is its genres.
+function publicEntrant(e) {
+  if (!e) return null;
+  const byline = e.kind === "artist" ? e.genres || "Artist" : e.artists || "";
+  return { id: e.id, name: e.name, artists: byline, image: e.albumImage || e.image || null };
+}
+
+function currentPair(room) {
+  const c = room.tournament.cursor;
+  if (!c || c.special === "bye") return null;
+  const m = getMatchAt(room.tournament, { round: c.round, match: c.match, stage: c.special, group: c.group, fixture: c.fixture });
+  return m?.a && m?.b ? m : null;
+}
+
+function matchMessage(room) {
+  const t = room.tournament;
+  if (t.champion) return { type: "champion", champion: publicEntrant(t.champion) };
+
+  const pair = currentPair(room);
+  if (!pair) return { type: "waiting", label: progressLabel(t) };
+
+  return {
+    type: "match",
+    key: room.matchKey,
+    label: progressLabel(t),
+    a: publicEntrant(pair.a),
+    b: publicEntrant(pair.b),
+    remainingMs: room.closesAt ? Math.max(0, room.closesAt - Date.now()) : null,
+    votes: room.votes.size,
+    voters: room.players.size,
+  };
+}
+
+function progressMessage(room) {
+  return { type: "progress", key: room.matchKey, votes: room.votes.size, voters: room.players.size, players: playerNames(room) };
+}
+
+function playerNames(room) {
+  return [...room.players.values()].map((p) => p.name);
+}
+
+function clearTimer(room) {
+  clearTimeout(room.timer);
+  room.timer = null;
+  room.closesAt = null;
+}
+
+// The countdown only runs while someone can vote; with nobody in the room the match just waits
+function startCountdown(room) {
+  clearTimer(room);
+  if (!room.players.size || !currentPair(room)) return;
+  room.closesAt = Date.now() + room.seconds * 1000;
+  room.timer = setTimeout(() => closeVoting(room), room.seconds * 1000);
+}
+
+function openMatch(room) {
+  const c = deriveCursor(room.tournament);
+  room.tournament = { ...room.tournament, cursor: c };
+  room.matchKey = c ? [c.round, c.match, c.special, c.group, c.fixture].filter((v) => v != null).join("-") : null;
+  room.votes = new Map();
+  startCountdown(room);
+  broadcast(room, matchMessage(room));
+}
+
+/**
+ * Majority of the ballots; a tie goes to the higher seed. With no ballots at all the match is
+ * reopened rather than decided for the room.
+ */
+function closeVoting(room) {
+  clearTimer(room);
+  const pair = currentPair(room);
+  if (!pair) return;
+
+  if (!room.votes.size) {
+    startCountdown(room);
+    broadcast(room, matchMessage(room));
+    return;
+  }
+
+  const ballots = [...room.votes.entries()].map(([playerId, side]) => ({
+    voter: room.names.get(playerId),
+    trackId: pair[side].id,
+    weight: 1,
+  }));
+  const tally = { a: 0, b: 0 };
+  for (const side of room.votes.values()) tally[side] += 1;
+
+  let side = tally.a > tally.b ? "a" : "b";
+  let tieBreak = null;
+  if (tally.a === tally.b) {
+    side = sortBySeed([pair.a, pair.b], room.tournament.rules)[0].id === pair.a.id ? "a" : "b";
+    tieBreak = "seed";
+  }
+
+  const next = applyPick(room.tournament, side, { vote: { rule: "majority", ballots, tally, tieBreak, room: room.code } });
+  room.tournament = next;
+
+  broadcast(room, { type: "result", key: room.matchKey, winner: publicEntrant(pair[side]), tally, tieBreak });
+  send(room.host, { type: "state", tournament: next });
+  openMatch(room);
+}
+
+function endRoom(room, reason) {
+  clearTimer(room);
+  rooms.delete(room.code);
+  for (const socket of room.players.keys()) {
+    send(socket, { type: "ended", reason });
+    socket.close();
+  }
+}
+
+function uniqueName(room, wanted) {
+  const base = String(wanted || "").trim().slice(0, MAX_NAME) || "Guest";
+  const taken = new Set(playerNames(room));
+  if (!taken.has(base)) return base;
+  for (let i = 2; ; i++) if (!taken.has(`${base} ${i}`)) return `${base} ${i}`;
+}
+
+const handlers = {
+  host(socket, msg) {
+    if (socket.room) throw new Error("This connection is already in a room.");
+    const code = makeCode();
+    const room = {
+      code,
+      host: socket,
+      tournament: deserializeTournament(msg.tournament),
+      seconds: clampSeconds(msg.seconds),
+      players: new Map(),
+      names: new Map(),
+      votes: new Map(),
+      matchKey: null,
+      closesAt: null,
+      timer: null,
+    };
+    rooms.set(code, room);
+    socket.room = room;
+    send(socket, { type: "hosted", code, seconds: room.seconds });
+    openMatch(room);
+  },
+
+  join(socket, msg) {
+    if (socket.room) throw new Error("This connection is already in a room.");
+    const room = rooms.get(String(msg.code || "").trim().toUpperCase());
+    if (!room) throw new Error("No room with that code. Check it with the host.");
+
+    const player = { id: crypto.randomUUID(), name: uniqueName(room, msg.name) };
+    room.players.set(socket, player);
+    room.names.set(player.id, player.name);
+    socket.room = room;
+
+    send(socket, { type: "joined", code: room.code, playerId: player.id, name: player.name });
+    // The first player to arrive starts the clock for everyone
+    if (!room.closesAt && currentPair(room)) {
+      startCountdown(room);
+      broadcast(room, matchMessage(room));
+    } else {
+      send(socket, matchMessage(room));
+    }
+    broadcast(room, progressMessage(room));
+  },
+
+  vote(socket, msg) {
+    const room = socket.room;
+    const player = room?.players.get(socket);
+    if (!player) throw new Error("Join a room first.");
+    if (msg.key !== room.matchKey || !currentPair(room)) throw new Error("Voting on that match has closed.");
+    if (msg.side !== "a" && msg.side !== "b") throw new Error("Vote for a or b.");
+
+    // Changing your vote is fine until the countdown ends
+    room.votes.set(player.id, msg.side);
+    broadcast(room, progressMessage(room));
+    if (room.votes.size >= room.players.size) closeVoting(room);
+  },
+
+  // Host changed the tournament on its own screen (undo, changed pick, bye choice, new rules)
+  sync(socket, msg) {
+    const room = socket.room;
+    if (room?.host !== socket) throw new Error("Only the host can update the tournament.");
+    room.tournament = deserializeTournament(msg.tournament);
+    if (msg.seconds != null) room.seconds = clampSeconds(msg.seconds);
+    openMatch(room);
+  },
+
+  close(socket) {
+    const room = socket.room;
+    if (room?.host !== socket) throw new Error("Only the host can close voting.");
+    closeVoting(room);
+  },
+};
+
+/** One incoming message from a connection (host or player); errors go back to that connection only. */
+export function handleMessage(socket, raw) {
+  let msg;
+  try {
+    msg = JSON.parse(raw);
+  } catch {
+    send(socket, { type: "error", message: "Messages must be JSON." });
+    return;
+  }
+  const handler = Object.hasOwn(handlers, msg?.type) ? handlers[msg.type] : null;
+  if (!handler) {
+    send(socket, { type: "error", message: `Unknown message type: ${msg?.type}` });
+    return;
+  }
+  try {
+    handler(socket, msg);
+  } catch (e) {
+    send(socket, { type: "error", message: e?.message || String(e) });
+  }
+}
+
+export function handleClose(socket) {
+  const room = socket.room;
+  if (!room || !rooms.has(room.code)) return;
+  if (room.host === socket) {
+    endRoom(room, "The host closed the room.");
+    return;
+  }
+  const player = room.players.get(socket);
+  room.players.delete(socket);
+  if (player) room.votes.delete(player.id);
+  if (!room.players.size) clearTimer(room);
+  broadcast(room, progressMessage(room));
+  if (room.players.size && room.votes.size >= room.players.size) closeVoting(room);
+}
+
+export function startRoomServer({ port = PORT, host = HOST } = {}) {
+  const server = new WebSocketServer({ port, host, maxPayload: 8 * 1024 * 1024 });
+  server.on("connection", (socket) => {
+    socket.on("message", (data) => handleMessage(socket, String(data)));
+    socket.on("close", () => handleClose(socket));
+  });
+  return server;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const server = startRoomServer();
+  server.on("listening", () => console.log(`Spotify Duel room server on ws://${HOST}:${PORT}`));
+}
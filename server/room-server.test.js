@@ -0,0 +1,166 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { buildTournament, undoPick } from "../src/engine/index.js";
+import { handleClose, handleMessage } from "./room-server.js";
+
+// t1 the top seed; the first match is t1 vs t4
+function tracks(n) {
+  return Array.from({ length: n }, (_, i) => ({
+    id: `t${i + 1}`,
+    name: `Song ${i + 1}`,
+    artists: `Artist ${i + 1}`,
+    popularity: 100 - i,
+    uri: `spotify:track:t${i + 1}`,
+  }));
+}
+
+// Stands in for a ws connection: records what the server sends it
+function connection() {
+  return {
+    OPEN: 1,
+    readyState: 1,
+    sent: [],
+    send(data) {
+      this.sent.push(JSON.parse(data));
+    },
+    close() {
+      this.readyState = 3;
+    },
+  };
+}
+
+const say = (socket, message) => handleMessage(socket, JSON.stringify(message));
+const last = (socket, type) => socket.sent.filter((m) => m.type === type).at(-1);
+
+let host;
+
+function hostRoom(seconds = 10) {
+  host = connection();
+  say(host, { type: "host", tournament: buildTournament(tracks(4), {}), seconds });
+  return last(host, "hosted").code;
+}
+
+function join(code, name) {
+  const phone = connection();
+  say(phone, { type: "join", code, name });
+  return phone;
+}
+
+beforeEach(() => vi.useFakeTimers());
+
+afterEach(() => {
+  if (host) handleClose(host);
+  host = null;
+  vi.useRealTimers();
+});
+
+describe("room server", () => {
+  it("drives one room through one decided match", () => {
+    // host: a room opens on the first match, with no clock until someone joins
+    const code = hostRoom(10);
+    expect(code).toMatch(/^[A-HJ-NP-Z2-9]{4}$/);
+    expect(last(host, "hosted").seconds).toBe(10);
+    const opened = last(host, "match");
+    expect(opened).toMatchObject({ label: expect.any(String), remainingMs: null, votes: 0, voters: 0 });
+    expect(opened.a).toEqual({ id: "t1", name: "Song 1", artists: "Artist 1", image: null });
+    expect(opened.b.id).toBe("t4");
+
+    // join: the first player starts the countdown; a repeated name gets a number
+    const ana = join(code, "Ana");
+    const joined = last(ana, "joined");
+    expect(joined).toMatchObject({ code, name: "Ana" });
+    expect(joined.playerId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(last(ana, "match")).toMatchObject({ key: opened.key, remainingMs: 10000 });
+    const ana2 = join(code.toLowerCase(), "Ana");
+    expect(last(ana2, "joined").name).toBe("Ana 2");
+    expect(last(host, "progress")).toMatchObject({ voters: 2, players: ["Ana", "Ana 2"] });
+
+    // vote: counted, and changeable until voting closes
+    say(ana, { type: "vote", key: opened.key, side: "a" });
+    say(ana, { type: "vote", key: opened.key, side: "b" });
+    expect(last(host, "progress")).toMatchObject({ votes: 1, voters: 2 });
+    say(ana, { type: "vote", key: "stale", side: "a" });
+    expect(last(ana, "error").message).toBe("Voting on that match has closed.");
+
+    // countdown: when it runs out the majority wins and the pick is applied
+    vi.advanceTimersByTime(10000);
+    expect(last(ana2, "result")).toMatchObject({ key: opened.key, winner: { id: "t4" }, tally: { a: 0, b: 1 }, tieBreak: null });
+    const state = last(host, "state").tournament;
+    expect(state.history).toHaveLength(1);
+    expect(state.history[0]).toMatchObject({
+      winnerId: "t4",
+      vote: { rule: "majority", ballots: [{ voter: "Ana", trackId: "t4", weight: 1 }], tally: { a: 0, b: 1 }, room: code },
+    });
+    const next = last(ana, "match");
+    expect(next.key).not.toBe(opened.key);
+    expect([next.a.id, next.b.id]).toEqual(["t2", "t3"]);
+
+    // sync: the host undoes on its own screen and the room reopens the first match
+    say(ana, { type: "sync", tournament: undoPick(state) });
+    expect(last(ana, "error").message).toBe("Only the host can update the tournament.");
+    say(host, { type: "sync", tournament: undoPick(state), seconds: 20 });
+    expect(last(ana, "match")).toMatchObject({ key: opened.key, remainingMs: 20000, votes: 0 });
+
+    // close: the host ends voting early and the one ballot decides it
+    say(ana2, { type: "vote", key: opened.key, side: "a" });
+    say(ana, { type: "close" });
+    expect(last(ana, "error").message).toBe("Only the host can close voting.");
+    say(host, { type: "close" });
+    expect(last(host, "result")).toMatchObject({ winner: { id: "t1" }, tally: { a: 1, b: 0 } });
+    expect(last(host, "state").tournament.history[0].vote.ballots).toEqual([{ voter: "Ana 2", trackId: "t1", weight: 1 }]);
+  });
+
+  it("closes as soon as everyone has voted, and a tie goes to the higher seed", () => {
+    const code = hostRoom();
+    const ana = join(code, "Ana");
+    const ben = join(code, "Ben");
+    const key = last(ana, "match").key;
+
+    say(ana, { type: "vote", key, side: "b" });
+    expect(last(host, "result")).toBeUndefined();
+    say(ben, { type: "vote", key, side: "a" });
+    expect(last(host, "result")).toMatchObject({ winner: { id: "t1" }, tally: { a: 1, b: 1 }, tieBreak: "seed" });
+  });
+
+  it("reopens a match nobody voted on", () => {
+    const code = hostRoom(10);
+    const ana = join(code, "Ana");
+    const key = last(ana, "match").key;
+
+    vi.advanceTimersByTime(10000);
+    expect(last(host, "result")).toBeUndefined();
+    expect(last(ana, "match")).toMatchObject({ key, remainingMs: 10000 });
+  });
+
+  it("shows an artist entrant's genres as its byline", () => {
+    host = connection();
+    const artists = [
+      { id: "a1", kind: "artist", name: "Band", artists: "Band", genres: "indie rock", popularity: 90 },
+      { id: "a2", kind: "artist", name: "Other", artists: "Other", popularity: 80 },
+    ];
+    say(host, { type: "host", tournament: buildTournament(artists, {}) });
+    const { a, b } = last(host, "match");
+    expect([a.artists, b.artists]).toEqual(["indie rock", "Artist"]);
+  });
+
+  it("rejects unknown codes, messages and non-JSON", () => {
+    hostRoom();
+    const phone = join("0000", "Ana");
+    expect(last(phone, "error").message).toBe("No room with that code. Check it with the host.");
+    say(phone, { type: "vote", key: "x", side: "a" });
+    expect(last(phone, "error").message).toBe("Join a room first.");
+    say(phone, { type: "toString" });
+    expect(last(phone, "error").message).toBe("Unknown message type: toString");
+    handleMessage(phone, "{");
+    expect(last(phone, "error").message).toBe("Messages must be JSON.");
+  });
+
+  it("ends the room for everyone when the host leaves", () => {
+    const code = hostRoom();
+    const ana = join(code, "Ana");
+    handleClose(host);
+    host = null;
+    expect(last(ana, "ended").reason).toBe("The host closed the room.");
+    expect(ana.readyState).toBe(3);
+    expect(last(join(code, "Ben"), "error")).toBeDefined();
+  });
+});
@@ -1,5 +1,5 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import { motion, AnimatePresence } from "framer-motion";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { motion, AnimatePresence, animate, useMotionValue, useTransform } from "framer-motion";
 import {
   Music2,
   Trophy,
@@ -13,26 +13,105 @@ import {
   Volume2,
   Shield,
   Lock,
+  Undo2,
+  Redo2,
+  ChevronUp,
+  ChevronDown,
+  Maximize2,
+  ZoomIn,
+  ZoomOut,
+  Scan,
+  X,
 } from "lucide-react";
+import {
+  buildTournament,
+  createTournamentEngine,
+  finalStandings,
+  followPickPath,
+  getTotalDone,
+  groupStandings,
+  cursorKey,
+  hashString,
+  makeId,
+  pickResults,
+  progressLabel,
+  roundLabel,
+  sortByPopularityDesc,
+  sortBySeed,
+  GROUP_POINTS_WIN,
+  BYE_RULES,
+  SEEDING_STRATEGIES,
+  THREE_LEFT_RULES,
+  TOURNAMENT_FORMATS,
+} from "./engine/index.js";
+import {
+  allTimeRankings,
+  computeRatings,
+  ELO_START,
+  emptyRatingStore,
+  loadRatingStore,
+  saveRatingStore,
+  syncTournamentResults,
+} from "./ratings.js";
+import { FIELD_DRAWS, FIELD_SIZES, newFieldSeed, sampleField } from "./field.js";
+import { creditedArtists, DEFAULT_TRACK_FILTERS, formatMs, normalizeText, reviewTracks } from "./review.js";
+import { exportFileName, matchesCsv, parseSessionFile, sessionToJson, standingsCsv } from "./files.js";
+import { roundRows } from "./rounds.js";
+import {
+  advancingEntrant,
+  clampTreeScale,
+  bracketTreeLayout,
+  TREE_GAP_X,
+  TREE_NODE_H,
+  TREE_NODE_W,
+  treeFitView,
+  zoomTreeView,
+} from "./bracketTree.js";
+import { buildShareImage, IMAGE_FORMATS, IMAGE_KINDS } from "./shareImage.js";
+import { mergeSources, parseSpotifySources, sourceLabel } from "./sources.js";
+import {
+  checkSlots,
+  clearSlotProblem,
+  deleteSlot,
+  duplicateSlot,
+  loadSlot,
+  loadSlotIndex,
+  markSlotProblem,
+  renameSlot,
+  safeJsonParse,
+  saveToSlot,
+  storageErrorMessage,
+} from "./storage.js";
+import { base64UrlEncode, buildShareLink, parseShareLink, PENDING_LINK_KEY, takeShareLinkFromUrl } from "./share.js";
+import { RANKINGS_PLAYLIST_NAME, saveRankedPlaylist, spotifyApi } from "./spotify.js";
+import {
+  activeVoters,
+  DEFAULT_VOTING,
+  EMPTY_BALLOT_BOX,
+  resolveVotes,
+  TIE_BREAKS,
+  VOTE_RULES,
+  voterAgreement,
+  voterWeight,
+  voteScore,
+  voteSlotKey,
+} from "./votes.js";
+import { BAD_SERVER_MESSAGE, ROOM_OFF, ROOM_SECONDS, roomJoinLink, roomServerUrl, sendRoom } from "./room.js";
+import { Button, Card, Countdown, GradientTitle, Input, Meter, Pill, Select, Shell, Toggle } from "./ui.jsx";
 
 /**
  * Spotify Duel — Dynamic Knockout Tournament (Non power-of-two)
  *
  * ✅ NOT power-of-two bracket
- * ✅ Each round: pair strongest vs weakest; if odd -> MOST popular gets a BYE
- * ✅ Special rule for 3 remaining:
- *    - Most popular auto-advances to Final
- *    - User picks winner of other two -> meets top track in Final
+ * ✅ Each round: pair strongest vs weakest; if odd -> one track gets a BYE (top seed by default)
+ * ✅ Special rule for 3 remaining (default):
+ *    - The bye track auto-advances to Final
+ *    - User picks winner of other two -> meets it in Final
  *
  * ✅ In-app playback using Spotify Web Playback SDK (Premium required)
  * ✅ Tinder-style picking: tap card (cards are selection-only)
  * ✅ Playback controls are OUTSIDE cards (play never selects)
  * ✅ Bracket rounds expand/collapse
- *
- * ✅ NEW:
- * - Save button: persist playlistInput + playlistMeta + tracks + tournament to localStorage
- * - Reset button: clears localStorage + resets app to initial state
- * - Auto-restore on load if saved session exists
  */
 
 // ✅ Put your Spotify Client ID here
@@ -45,6 +124,10 @@ const REDIRECT_URI = typeof window !== "undefined" ? window.location.origin : ""
 const SCOPES = [
   "playlist-read-private",
   "playlist-read-collaborative",
+  "user-library-read",
+  "user-top-read",
+  "playlist-modify-private",
+  "playlist-modify-public",
   "streaming",
   "user-read-email",
   "user-read-private",
@@ -52,325 +135,257 @@ const SCOPES = [
   "user-modify-playback-state",
 ];
 
+const AUTOSAVE_MS = 800; // after the last pick
+
 // ------------------------
-// Local Save / Restore
+// Share link (codec in ./share.js)
 // ------------------------
-const APP_SAVE_KEY = "spotify_duel_save_v1";
-
-function safeJsonParse(s) {
-  try {
-    return JSON.parse(s);
-  } catch {
-    return null;
+/**
+ * Fetch the link's tracks and rebuild the same bracket (same seed order, same rules), then replay
+ * the picks. Returns a session shaped like a local save.
+ */
+async function openSharedBracket(shared, token) {
+  const name = shared.name || "Shared bracket";
+  const source = { type: "shared", name };
+  const tracks = await fetchTracksByIds(shared.trackIds, token, source);
+
+  const byId = new Map(tracks.map((t) => [t.id, t]));
+  const missing = shared.trackIds.filter((id) => !byId.has(id)).length;
+  if (missing) {
+    throw new Error(
+      `${plural(missing, "track")} from this link ${missing === 1 ? "isn’t" : "aren’t"} on Spotify any more, so the bracket can’t be rebuilt.`
+    );
   }
-}
 
-function saveToLocalStorage(payload) {
-  localStorage.setItem(
-    APP_SAVE_KEY,
-    JSON.stringify({
-      ...payload,
-      savedAt: Date.now(),
-      version: 1,
-    })
-  );
-}
+  const type = entrantType(shared.rules).id;
+  let entrants = shared.trackIds.map((id) => byId.get(id));
+  if (type !== "track") entrants = await withCatalogPopularity(entrants.flatMap((t) => groupEntrants([t], type)), type, token);
 
-function loadFromLocalStorage() {
-  const raw = localStorage.getItem(APP_SAVE_KEY);
-  if (!raw) return null;
-  return safeJsonParse(raw);
-}
+  const order = entrants.map((e) => e.id);
+  const tournament = followPickPath(buildTournament(entrants, { ...shared.rules, order }), {
+    sides: shared.sides,
+    byes: shared.byes.map((i) => order[i]),
+  });
 
-function clearLocalStorageSave() {
-  localStorage.removeItem(APP_SAVE_KEY);
+  return {
+    playlistInput: "",
+    playlistMeta: {
+      name,
+      images: tracks[0]?.albumImage ? [{ url: tracks[0].albumImage }] : [],
+      owner: null,
+      sources: [{ type: "shared", name, count: tracks.length }],
+    },
+    tracks,
+    field: { entrants: type },
+    tournament,
+  };
 }
 
 // ------------------------
-// Helpers
+// Entrant types (albums / artists built from the loaded tracks)
 // ------------------------
-const clamp = (n, a, b) => Math.max(a, Math.min(b, Math.min(b, n)));
-
-function parseSpotifyPlaylistId(input) {
-  if (!input) return null;
-  const trimmed = input.trim();
-  const uriMatch = trimmed.match(/^spotify:playlist:([a-zA-Z0-9]+)$/);
-  if (uriMatch) return uriMatch[1];
-  const urlMatch = trimmed.match(/spotify\.com\/playlist\/([a-zA-Z0-9]+)/);
-  if (urlMatch) return urlMatch[1];
-  const idMatch = trimmed.match(/^([a-zA-Z0-9]+)$/);
-  return idMatch ? idMatch[1] : null;
-}
-
-function base64UrlEncode(arrayBuffer) {
-  const bytes = new Uint8Array(arrayBuffer);
-  let str = "";
-  for (let i = 0; i < bytes.length; i++) str += String.fromCharCode(bytes[i]);
-  return btoa(str).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/g, "");
-}
-
-async function sha256(plain) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(plain);
-  return crypto.subtle.digest("SHA-256", data);
-}
-
-function randomString(length = 64) {
-  const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~";
-  let out = "";
-  const rnd = crypto.getRandomValues(new Uint8Array(length));
-  for (let i = 0; i < length; i++) out += chars[rnd[i] % chars.length];
-  return out;
-}
-
-function formatMs(ms) {
-  if (!ms && ms !== 0) return "—";
-  const total = Math.floor(ms / 1000);
-  const m = Math.floor(total / 60);
-  const s = total % 60;
-  return `${m}:${String(s).padStart(2, "0")}`;
-}
-
-function getImage(images, size = "md") {
-  if (!images?.length) return null;
-  if (size === "sm") return images[images.length - 1]?.url || images[0].url;
-  if (size === "lg") return images[0]?.url || images[images.length - 1].url;
-  return images[Math.floor(images.length / 2)]?.url || images[0].url;
-}
+const ENTRANT_TYPES = [
+  { id: "track", label: "Tracks", noun: "track", title: "Song" },
+  { id: "album", label: "Albums", noun: "album", title: "Album" },
+  { id: "artist", label: "Artists", noun: "artist", title: "Artist" },
+];
 
-function deepClone(x) {
-  return JSON.parse(JSON.stringify(x));
+function entrantType(rules) {
+  return ENTRANT_TYPES.find((t) => t.id === rules?.entrantType) || ENTRANT_TYPES[0];
 }
 
-function sortByPopularityDesc(list) {
-  return [...list].sort((a, b) => (b?.popularity ?? 0) - (a?.popularity ?? 0));
+function plural(n, noun) {
+  return `${n} ${noun}${n === 1 ? "" : "s"}`;
 }
 
 /**
- * Build a round from entrants, applying:
- * - if 3 entrants: special rule (top -> final)
- * - else if odd: top gets bye
- * - pairing strongest vs weakest among remaining
+ * Group tracks into album or artist entrants. Each one carries its most popular track as
+ * `representative` (and its `uri`, so playback works unchanged). Popularity starts as the best
+ * track's and is replaced by the catalog value in withCatalogPopularity().
  */
-function makeRound(entrants) {
-  const alive = (entrants || []).filter(Boolean);
-
-  if (alive.length <= 1) {
-    return { type: "done", entrants: alive, bye: null, matches: [], winners: [] };
+function groupEntrants(tracks, type) {
+  if (type !== "album" && type !== "artist") return tracks;
+
+  const groups = new Map();
+  for (const t of tracks) {
+    const key =
+      type === "album"
+        ? t.albumId || `name-${normalizeText(t.albumName || t.name)}`
+        : t.artistIds?.[0] || `name-${normalizeText(creditedArtists(t)[0])}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(t);
   }
 
-  // Special: 3 remaining
-  if (alive.length === 3) {
-    const sorted = sortByPopularityDesc(alive);
+  return [...groups.entries()].map(([key, list]) => {
+    const rep = sortByPopularityDesc(list)[0];
     return {
-      type: "three",
-      entrants: sorted,
-      top: sorted[0],
-      match: { a: sorted[1], b: sorted[2], winner: null },
-      final: null,
-      winners: [],
+      id: `${type}:${key}`,
+      kind: type,
+      catalogId: key.startsWith("name-") ? null : key,
+      name: type === "album" ? rep.albumName || rep.name : creditedArtists(rep)[0] || rep.artists,
+      // An artist entrant's "artist" is itself, so artist-balanced seeding tells them apart
+      artists: type === "album" ? rep.albumArtists || rep.artists : creditedArtists(rep)[0] || rep.artists,
+      albumImage: rep.albumImage,
+      popularity: rep.popularity ?? 0,
+      release_year: Math.max(0, ...list.map((t) => t.release_year || 0)) || null,
+      duration_ms: list.reduce((sum, t) => sum + (t.duration_ms || 0), 0),
+      added_at: list.map((t) => t.added_at || "").sort().pop() || null,
+      explicit: list.some((t) => t.explicit),
+      uri: rep.uri,
+      representative: { id: rep.id, name: rep.name, artists: rep.artists, uri: rep.uri },
+      trackCount: list.length,
+      sources: [...new Map(list.flatMap((t) => t.sources || []).map((src) => [src.name, src])).values()],
     };
-  }
-
-  const sorted = sortByPopularityDesc(alive);
-
-  let bye = null;
-  let pool = sorted;
-
-  if (sorted.length % 2 === 1) {
-    bye = sorted[0];
-    pool = sorted.slice(1);
-  }
-
-  const matches = [];
-  for (let i = 0; i < pool.length / 2; i++) {
-    matches.push({
-      a: pool[i],
-      b: pool[pool.length - 1 - i],
-      winner: null,
-      id: `m-${pool[i]?.id}-${pool[pool.length - 1 - i]?.id}-${i}`,
-    });
-  }
-
-  return { type: "normal", entrants: sorted, bye, matches, winners: [] };
+  });
 }
 
-function deriveCursor(tournament) {
-  if (!tournament) return null;
-  const r = tournament.rounds[tournament.roundIndex];
-  if (!r) return null;
-
-  if (r.type === "three") {
-    if (!r.match?.winner) return { round: tournament.roundIndex, special: "three" };
-    if (r.final && !r.final.winner) return { round: tournament.roundIndex, special: "final" };
-    return null;
-  }
+// Album / artist popularity, artwork (and artist genres) from the catalog; keeps the track-based values on failure
+async function withCatalogPopularity(entrants, type, token) {
+  const ids = entrants.map((e) => e.catalogId).filter(Boolean);
+  if (!ids.length || (type !== "album" && type !== "artist")) return entrants;
 
-  if (r.type === "normal") {
-    const idx = r.matches.findIndex((m) => !m.winner && m.a && m.b);
-    if (idx !== -1) return { round: tournament.roundIndex, match: idx };
-    return null;
+  const batch = type === "album" ? 20 : 50;
+  const found = new Map();
+  try {
+    for (let i = 0; i < ids.length; i += batch) {
+      const data = await spotifyFetch(`/${type}s?ids=${ids.slice(i, i + batch).join(",")}`, token);
+      for (const x of data[`${type}s`] || []) if (x?.id) found.set(x.id, x);
+    }
+  } catch {
+    return entrants;
   }
 
-  return null;
+  return entrants.map((e) => {
+    const x = found.get(e.catalogId);
+    if (!x) return e;
+    return {
+      ...e,
+      popularity: x.popularity ?? e.popularity,
+      albumImage: getImage(x.images, "lg") || e.albumImage,
+      ...(type === "artist" ? { genres: (x.genres || []).slice(0, 2).join(", ") || null } : {}),
+    };
+  });
 }
 
-function buildTournament(tracks) {
-  const first = makeRound(tracks || []);
-  const t = {
-    roundIndex: 0,
-    rounds: [first],
-    cursor: null,
-    champion: null,
-    history: [],
-  };
-  t.cursor = deriveCursor(t);
-  return fastForwardIfNeeded(t);
+// The line under an entrant's name: its artists, or for an artist entrant its genres
+function entrantByline(e) {
+  if (e?.kind !== "artist") return e?.artists;
+  return e.genres || "Artist";
 }
 
-function fastForwardIfNeeded(tournament) {
-  const t = deepClone(tournament);
-
-  while (!t.champion) {
-    t.cursor = deriveCursor(t);
-    const round = t.rounds[t.roundIndex];
-    if (!round) break;
-
-    if (t.cursor) break;
-
-    if (round.type === "normal") {
-      const allDone = round.matches.every((m) => !!m.winner);
-      if (!allDone) break;
-
-      const winners = round.matches.map((m) => m.winner).filter(Boolean);
-      if (round.bye) winners.push(round.bye);
-
-      if (winners.length === 1) {
-        t.champion = winners[0];
-        break;
-      }
-
-      const next = makeRound(winners);
-      t.roundIndex += 1;
-      t.rounds.push(next);
-      continue;
-    }
-
-    if (round.type === "three") {
-      break;
-    }
-
-    if (round.type === "done") {
-      if (round.entrants?.length === 1) t.champion = round.entrants[0];
-      break;
-    }
-
-    break;
-  }
-
-  t.cursor = deriveCursor(t);
-  return t;
+// SDK reports the playing track id; album / artist entrants play their representative track
+function playbackId(entrant) {
+  return entrant?.representative?.id || entrant?.id;
 }
 
-function applyPick(tournament, pickedSide /* 'a'|'b' */) {
-  const t = deepClone(tournament);
-  const cur = t.cursor;
-  if (!cur) return t;
-
-  const round = t.rounds[t.roundIndex];
-  if (!round) return t;
-
-  if (cur.special === "three") {
-    const m = round.match;
-    const winner = pickedSide === "a" ? m.a : m.b;
-    if (!winner) return t;
-
-    m.winner = winner;
-    t.history.push({ round: t.roundIndex, stage: "three", winnerId: winner.id });
-
-    round.final = { a: round.top, b: winner, winner: null };
-    t.cursor = deriveCursor(t);
-    return t;
-  }
-
-  if (cur.special === "final") {
-    const m = round.final;
-    const winner = pickedSide === "a" ? m.a : m.b;
-    if (!winner) return t;
-
-    m.winner = winner;
-    t.history.push({ round: t.roundIndex, stage: "final", winnerId: winner.id });
-
-    t.champion = winner;
-    t.cursor = null;
-    return t;
-  }
-
-  const m = round.matches[cur.match];
-  const winner = pickedSide === "a" ? m.a : m.b;
-  if (!winner) return t;
+// ------------------------
+// Listening duel (alternating snippets of the two cards)
+// ------------------------
+const LISTEN_KEY = "spotify_duel_listening_v1";
+const DEFAULT_LISTEN = { seconds: 15, offset: 30, loop: true };
+const LISTEN_OFF = { status: "off", side: null, endsAt: null, remainingMs: null };
+const LISTEN_SNIPPETS = [5, 10, 15, 20, 30].map((n) => ({ id: String(n), label: `${n} s each` }));
+const LISTEN_OFFSETS = [0, 15, 30, 45, 60, 90].map((n) => ({ id: String(n), label: n ? `Start at ${n} s` : "Start at the top" }));
+
+function loadListenPrefs() {
+  const saved = safeJsonParse(localStorage.getItem(LISTEN_KEY) || "");
+  return { ...DEFAULT_LISTEN, ...(saved && typeof saved === "object" ? saved : {}) };
+}
 
-  m.winner = winner;
-  t.history.push({ round: t.roundIndex, match: cur.match, winnerId: winner.id });
+function saveListenPrefs(prefs) {
+  try {
+    localStorage.setItem(LISTEN_KEY, JSON.stringify(prefs));
+  } catch {}
+}
 
-  const allDone = round.matches.every((x) => x.winner);
-  if (!allDone) {
-    t.cursor = deriveCursor(t);
-    return t;
-  }
+/** Where a snippet starts: the offset, pulled back on a track too short to fill the snippet from there. */
+function listenStartMs(entrant, prefs) {
+  const offset = prefs.offset * 1000;
+  // Album / artist entrants play their representative track, whose length isn't stored
+  if (entrant.representative || !entrant.duration_ms) return offset;
+  return Math.max(0, Math.min(offset, entrant.duration_ms - prefs.seconds * 1000));
+}
 
-  const winners = round.matches.map((x) => x.winner).filter(Boolean);
-  if (round.bye) winners.push(round.bye);
+// ------------------------
+// Blind mode (hide what gives a card away until the pick)
+// ------------------------
+const BLIND_KEY = "spotify_duel_blind_v1";
+const BLIND_FIELDS = [
+  { id: "art", label: "Artwork" },
+  { id: "title", label: "Title" },
+  { id: "artist", label: "Artist" },
+  { id: "popularity", label: "Popularity" },
+];
+// How long a blind pick stays on screen, revealed, before the next match
+const BLIND_REVEAL_MS = 1400;
 
-  if (winners.length === 1) {
-    t.champion = winners[0];
-    t.cursor = null;
-    return t;
-  }
+function loadBlindFields() {
+  const saved = safeJsonParse(localStorage.getItem(BLIND_KEY) || "");
+  return Array.isArray(saved) ? BLIND_FIELDS.map((f) => f.id).filter((id) => saved.includes(id)) : [];
+}
 
-  const next = makeRound(winners);
-  t.roundIndex += 1;
-  t.rounds.push(next);
-  t.cursor = deriveCursor(t);
-  return fastForwardIfNeeded(t);
+function saveBlindFields(fields) {
+  try {
+    localStorage.setItem(BLIND_KEY, JSON.stringify(fields));
+  } catch {}
 }
 
-function getTotalDone(tournament) {
-  if (!tournament) return { total: 0, done: 0 };
+/**
+ * With popularity hidden, "more popular on top" would still give it away, so a hash of the pair's
+ * ids flips a coin instead. The same pair always lands the same way round.
+ */
+function blindSwap(a, b) {
+  return ((hashString(`${a.id}|${b.id}`) >>> 16) & 1) === 1;
+}
 
-  let total = 0;
-  let done = 0;
-
-  for (const r of tournament.rounds) {
-    if (!r) continue;
-    if (r.type === "normal") {
-      total += r.matches.length;
-      done += r.matches.filter((m) => !!m.winner).length;
-    } else if (r.type === "three") {
-      total += 2;
-      done += r.match?.winner ? 1 : 0;
-      done += r.final?.winner ? 1 : 0;
-    }
-  }
+// ------------------------
+// Helpers
+// ------------------------
+const GROUP_SIZES = [3, 4, 5, 6].map((n) => ({ id: String(n), label: `${n} per group` }));
+const GROUP_ADVANCE = [
+  { id: "1", label: "Winner only" },
+  { id: "2", label: "Top two" },
+];
 
-  return { total, done };
+// Who the active bye rule picks, in card copy ("… goes straight to the Final")
+function byeHolder(rules, byPopularity) {
+  if (rules?.byeRule === "bottom") return byPopularity ? "The least popular track" : "The bottom seed";
+  if (rules?.byeRule === "random") return "A randomly drawn track";
+  if (rules?.byeRule === "choice") return "The track you chose";
+  return byPopularity ? "The most popular track" : "The top seed";
 }
 
-function progressLabel(tournament) {
-  if (!tournament) return "";
-  if (tournament.champion) return "Finished";
-
-  const cur = tournament.cursor;
-  const roundNum = tournament.roundIndex + 1;
-  const r = tournament.rounds[tournament.roundIndex];
-  if (!r) return `Round ${roundNum}`;
+// Hand a file to the browser as a download (the fallback when it can't be shared)
+function downloadFile(file) {
+  const url = URL.createObjectURL(file);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = file.name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-  if (!cur) return `Round ${roundNum}`;
+async function sha256(plain) {
+  const encoder = new TextEncoder();
+  const data = encoder.encode(plain);
+  return crypto.subtle.digest("SHA-256", data);
+}
 
-  if (cur.special === "three") return `Round ${roundNum} • Qualifier (pick 1 of 2)`;
-  if (cur.special === "final") return `Final • Choose your champion`;
+function randomString(length = 64) {
+  const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~";
+  let out = "";
+  const rnd = crypto.getRandomValues(new Uint8Array(length));
+  for (let i = 0; i < length; i++) out += chars[rnd[i] % chars.length];
+  return out;
+}
 
-  return `Round ${roundNum} • Match ${cur.match + 1}/${r.matches.length}`;
+function getImage(images, size = "md") {
+  if (!images?.length) return null;
+  if (size === "sm") return images[images.length - 1]?.url || images[0].url;
+  if (size === "lg") return images[0]?.url || images[images.length - 1].url;
+  return images[Math.floor(images.length / 2)]?.url || images[0].url;
 }
 
 // ------------------------
@@ -397,35 +412,12 @@ function storeToken({ access_token, expires_in, refresh_token }) {
   if (refresh_token) localStorage.setItem(LS_KEYS.refresh, refresh_token);
 }
 
-async function spotifyFetch(path, token, init) {
-  const res = await fetch(`https://api.spotify.com/v1${path}`, {
-    ...init,
-    headers: {
-      ...(init?.headers || {}),
-      Authorization: `Bearer ${token}`,
-    },
-  });
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`Spotify API error ${res.status}: ${text || res.statusText}`);
-  }
-  return res.json();
+function spotifyFetch(path, token, init) {
+  return spotifyApi(token).json(path, init);
 }
 
-async function spotifyNoContent(path, token, init) {
-  const res = await fetch(`https://api.spotify.com/v1${path}`, {
-    ...init,
-    headers: {
-      ...(init?.headers || {}),
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-    },
-  });
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`Spotify API error ${res.status}: ${text || res.statusText}`);
-  }
-  return true;
+function spotifyNoContent(path, token, init) {
+  return spotifyApi(token).noContent(path, init);
 }
 
 async function refreshAccessTokenIfPossible() {
@@ -491,50 +483,205 @@ async function exchangeCodeForToken(code) {
   return data.access_token;
 }
 
+// A self-imposed cap on how many playlist items we load (the API itself pages further); anything past it is reported, not loaded
+const PLAYLIST_ITEM_LIMIT = 2000;
+
+const TOP_TRACK_RANGES = [
+  { id: "", label: "Off" },
+  { id: "short_term", label: "Last 4 weeks" },
+  { id: "medium_term", label: "Last 6 months" },
+  { id: "long_term", label: "All time" },
+];
+
+// Spotify track object -> our entrant shape (null for local / unplayable items)
+function toTrack(tr, source, addedAt = null) {
+  if (!tr || tr.is_local || !tr.id) return null;
+  return {
+    id: tr.id,
+    uri: tr.uri || `spotify:track:${tr.id}`,
+    name: tr.name,
+    artists: (tr.artists || []).map((a) => a.name).join(", "),
+    artistIds: (tr.artists || []).map((a) => a.id).filter(Boolean),
+    albumId: tr.album?.id || null,
+    albumName: tr.album?.name || null,
+    albumArtists: (tr.album?.artists || []).map((a) => a.name).join(", ") || null,
+    albumImage: getImage(tr.album?.images, "lg"),
+    release_year: Number(tr.album?.release_date?.slice(0, 4)) || null,
+    duration_ms: tr.duration_ms,
+    explicit: Boolean(tr.explicit),
+    isrc: tr.external_ids?.isrc || null,
+    popularity: tr.popularity ?? 0,
+    external_url: tr.external_urls?.spotify,
+    added_at: addedAt,
+    sources: [{ type: source.type, name: source.name }],
+  };
+}
+
+// /me endpoints fail with 403 when the token predates the scope
+async function withScopeHint(promise, what) {
+  try {
+    return await promise;
+  } catch (e) {
+    if (String(e?.message).includes("error 403")) {
+      throw new Error(`Spotify didn’t grant access to ${what}. Reset the app and sign in again.`);
+    }
+    throw e;
+  }
+}
+
 async function fetchPlaylistTracks(playlistId, token) {
   const playlist = await spotifyFetch(`/playlists/${playlistId}?fields=name,images,owner(display_name),tracks.total`, token);
+  const source = { type: "playlist", id: playlistId, name: playlist.name, images: playlist.images, owner: playlist.owner };
 
-  const items = [];
+  const tracks = [];
   let offset = 0;
+  let fetched = 0;
   const limit = 100;
 
-  while (true) {
+  while (offset < PLAYLIST_ITEM_LIMIT) {
     const page = await spotifyFetch(
-      `/playlists/${playlistId}/tracks?fields=items(track(id,uri,name,artists(name),album(images),duration_ms,external_urls,popularity,is_local),is_local),next,offset,limit&limit=${limit}&offset=${offset}`,
+      `/playlists/${playlistId}/tracks?fields=items(added_at,track(id,uri,name,artists(id,name),album(id,name,artists(name),images,release_date),duration_ms,explicit,external_ids,external_urls,popularity,is_local),is_local),next,offset,limit&limit=${limit}&offset=${offset}`,
       token
     );
 
+    fetched += page.items?.length || 0;
     for (const it of page.items || []) {
-      const tr = it?.track;
-      if (!tr || tr.is_local || it?.is_local) continue;
-      if (!tr.id) continue;
-
-      items.push({
-        id: tr.id,
-        uri: tr.uri || `spotify:track:${tr.id}`,
-        name: tr.name,
-        artists: (tr.artists || []).map((a) => a.name).join(", "),
-        albumImage: getImage(tr.album?.images, "lg"),
-        duration_ms: tr.duration_ms,
-        popularity: tr.popularity ?? 0,
-        external_url: tr.external_urls?.spotify,
-      });
+      if (it?.is_local) continue;
+      const t = toTrack(it?.track, source, it?.added_at || null);
+      if (t) tracks.push(t);
     }
 
     if (!page.next) break;
     offset += limit;
-    if (offset > 2000) break;
   }
 
-  const seen = new Set();
-  const dedup = [];
-  for (const t of items) {
-    if (seen.has(t.id)) continue;
-    seen.add(t.id);
-    dedup.push(t);
+  const total = playlist?.tracks?.total ?? fetched;
+  return { source, tracks, truncated: total > fetched ? { total, loaded: fetched } : null };
+}
+
+// Full track objects (album/artist listings leave out popularity and artwork)
+async function fetchTracksByIds(ids, token, source) {
+  const tracks = [];
+  for (let i = 0; i < ids.length; i += 50) {
+    const data = await spotifyFetch(`/tracks?ids=${ids.slice(i, i + 50).join(",")}`, token);
+    for (const tr of data.tracks || []) {
+      const t = toTrack(tr, source);
+      if (t) tracks.push(t);
+    }
+  }
+  return tracks;
+}
+
+async function fetchAlbumTracks(albumId, token) {
+  const album = await spotifyFetch(`/albums/${albumId}`, token);
+  const source = {
+    type: "album",
+    id: albumId,
+    name: album.name,
+    images: album.images,
+    owner: { display_name: (album.artists || []).map((a) => a.name).join(", ") },
+  };
+
+  const ids = (album.tracks?.items || []).map((t) => t.id);
+  let next = album.tracks?.next;
+  while (next) {
+    const page = await spotifyFetch(`/albums/${albumId}/tracks?limit=50&offset=${ids.length}`, token);
+    ids.push(...(page.items || []).map((t) => t.id));
+    next = page.next;
+  }
+
+  return { source, tracks: await fetchTracksByIds(ids.filter(Boolean), token, source), truncated: null };
+}
+
+async function fetchArtistTopTracks(artistId, token) {
+  const artist = await spotifyFetch(`/artists/${artistId}`, token);
+  const source = {
+    type: "artist",
+    id: artistId,
+    name: `${artist.name} — top tracks`,
+    images: artist.images,
+    owner: { display_name: artist.name },
+  };
+  const data = await spotifyFetch(`/artists/${artistId}/top-tracks?market=from_token`, token);
+  return { source, tracks: (data.tracks || []).map((tr) => toTrack(tr, source)).filter(Boolean), truncated: null };
+}
+
+async function fetchSingleTracks(ids, token) {
+  const source = { type: "track", id: ids.join(","), name: "Picked tracks", images: [], owner: { display_name: "You" } };
+  const tracks = await fetchTracksByIds(ids, token, source);
+  return { source: { ...source, images: tracks[0] ? [{ url: tracks[0].albumImage }] : [] }, tracks, truncated: null };
+}
+
+async function fetchLikedTracks(token) {
+  const source = { type: "liked", id: "liked", name: "Liked Songs", images: [], owner: { display_name: "You" } };
+  const tracks = [];
+  let offset = 0;
+  let total = 0;
+  const limit = 50;
+
+  while (offset < PLAYLIST_ITEM_LIMIT) {
+    const page = await withScopeHint(spotifyFetch(`/me/tracks?limit=${limit}&offset=${offset}`, token), "your Liked Songs");
+    total = page.total ?? total;
+    for (const it of page.items || []) {
+      const t = toTrack(it?.track, source, it?.added_at || null);
+      if (t) tracks.push(t);
+    }
+    if (!page.next) break;
+    offset += limit;
+  }
+
+  const loaded = Math.min(total, PLAYLIST_ITEM_LIMIT);
+  return { source, tracks, truncated: total > loaded ? { total, loaded } : null };
+}
+
+async function fetchTopTracks(range, token) {
+  const label = TOP_TRACK_RANGES.find((r) => r.id === range)?.label || range;
+  const source = { type: "top", id: range, name: `My top tracks (${label.toLowerCase()})`, images: [], owner: { display_name: "You" } };
+  const data = await withScopeHint(spotifyFetch(`/me/top/tracks?time_range=${range}&limit=50`, token), "your top tracks");
+  return { source, tracks: (data.items || []).map((tr) => toTrack(tr, source)).filter(Boolean), truncated: null };
+}
+
+// Load every source, then merge them into one field (see mergeSources)
+async function fetchSources({ links, liked, topRange }, token) {
+  const results = [];
+  for (const { type, id } of links.filter((l) => l.type !== "track")) {
+    if (type === "playlist") results.push(await fetchPlaylistTracks(id, token));
+    else if (type === "album") results.push(await fetchAlbumTracks(id, token));
+    else if (type === "artist") results.push(await fetchArtistTopTracks(id, token));
   }
+  const trackIds = links.filter((l) => l.type === "track").map((l) => l.id);
+  if (trackIds.length) results.push(await fetchSingleTracks(trackIds, token));
+  if (liked) results.push(await fetchLikedTracks(token));
+  if (topRange) results.push(await fetchTopTracks(topRange, token));
 
-  return { playlist, tracks: dedup };
+  return mergeSources(results);
+}
+
+// ------------------------
+// Save results to Spotify (ranked playlist)
+// ------------------------
+const PLAYLIST_DESCRIPTION_MAX = 300;
+
+// Final order as track uris; album and artist entrants contribute their representative track
+function rankedUris(standings) {
+  const seen = new Set();
+  return standings.map((row) => row.track.uri).filter((uri) => uri && !seen.has(uri) && seen.add(uri));
+}
+
+function rankedPlaylistDetails({ tournament, standings, playlistMeta, kind }) {
+  const date = new Date().toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" });
+  const format = TOURNAMENT_FORMATS.find((f) => f.id === tournament.rules?.format)?.label || "Knockout";
+  const from = playlistMeta?.name ? ` from “${playlistMeta.name}”` : "";
+  const description = [
+    `Ranked with Spotify Duel on ${date}`,
+    `${format}, ${plural(standings.length, kind.noun)}${from}`,
+    `Champion: ${tournament.champion?.name}`,
+  ].join(" • ");
+
+  return {
+    name: `${playlistMeta?.name || "Spotify Duel"} — ranked`,
+    description: description.slice(0, PLAYLIST_DESCRIPTION_MAX),
+  };
 }
 
 // ------------------------
@@ -583,108 +730,35 @@ function loadSpotifySDK() {
 // ------------------------
 // UI Components
 // ------------------------
-function Shell({ children }) {
-  return (
-    <div dir="ltr" className="min-h-dvh text-zinc-100 bg-gradient-to-b from-zinc-950 via-black to-black">
-      <div className="pointer-events-none fixed inset-0 overflow-hidden">
-        <div className="absolute -top-32 -left-32 h-[420px] w-[420px] rounded-full bg-white/10 blur-3xl" />
-        <div className="absolute top-10 -right-40 h-[520px] w-[520px] rounded-full bg-white/8 blur-3xl" />
-        <div className="absolute bottom-[-220px] left-1/2 h-[520px] w-[520px] -translate-x-1/2 rounded-full bg-white/5 blur-3xl" />
-        <div className="absolute inset-0 bg-[linear-gradient(to_bottom,rgba(255,255,255,0.06),transparent_30%,transparent_70%,rgba(0,0,0,0.9))]" />
-      </div>
-
-      <div className="relative mx-auto max-w-md px-4 pt-6 pb-28 [padding-bottom:calc(env(safe-area-inset-bottom)+7rem)]">
-        {children}
-      </div>
-    </div>
-  );
-}
-
-function Card({ children, className = "" }) {
-  return (
-    <div className={`rounded-3xl bg-white/5 ring-1 ring-white/10 shadow-[0_10px_30px_rgba(0,0,0,0.35)] ${className}`}>
-      {children}
-    </div>
-  );
-}
-
-function Button({ children, onClick, disabled, variant = "primary", className = "", type = "button" }) {
-  const base =
-    "inline-flex items-center justify-center gap-2 rounded-2xl px-4 py-3 text-sm font-semibold transition active:scale-[0.99] disabled:opacity-50 disabled:cursor-not-allowed";
-  const styles =
-    variant === "primary"
-      ? "bg-white text-black hover:bg-white/90"
-      : variant === "ghost"
-      ? "bg-white/5 text-white hover:bg-white/10 ring-1 ring-white/10"
-      : variant === "danger"
-      ? "bg-rose-500 text-white hover:bg-rose-500/90"
-      : "bg-white/10 text-white";
-  return (
-    <button type={type} onClick={onClick} disabled={disabled} className={`${base} ${styles} ${className}`}>
-      {children}
-    </button>
-  );
-}
-
-function Pill({ icon: Icon, children }) {
-  return (
-    <div className="inline-flex items-center gap-2 rounded-full bg-white/5 ring-1 ring-white/10 px-3 py-1.5 text-xs text-zinc-200">
-      {Icon ? <Icon className="h-4 w-4" /> : null}
-      <span className="truncate">{children}</span>
-    </div>
-  );
-}
-
-function GradientTitle({ title, subtitle }) {
-  return (
-    <div className="mb-5">
-      <div className="inline-flex items-center gap-2 rounded-full bg-white/5 ring-1 ring-white/10 px-3 py-1.5 text-xs text-zinc-200">
-        <Sparkles className="h-4 w-4" />
-        <span>Knockout Tournament</span>
-      </div>
-
-      <h1 className="mt-3 text-[26px] leading-[1.15] font-black tracking-tight">
-        <span className="bg-gradient-to-l from-white via-white to-zinc-400 bg-clip-text text-transparent">{title}</span>
-      </h1>
-
-      {subtitle ? <p className="mt-2 text-sm text-zinc-300/95 leading-relaxed">{subtitle}</p> : null}
-    </div>
-  );
-}
-
-function Input({ value, onChange, placeholder }) {
-  return (
-    <div className="relative">
-      <div className="pointer-events-none absolute inset-y-0 left-3 flex items-center text-zinc-400">
-        <LinkIcon className="h-4 w-4" />
-      </div>
-      <input
-        value={value}
-        onChange={(e) => onChange(e.target.value)}
-        placeholder={placeholder}
-        className="w-full rounded-2xl bg-white/5 ring-1 ring-white/10 px-10 py-3 text-sm text-white placeholder:text-zinc-500 focus:outline-none focus:ring-2 focus:ring-white/30"
-      />
-    </div>
-  );
-}
+// Swipes: past the distance (or a quick flick past the minimum) the card flies off; short of it, it springs back
+const SWIPE_DISTANCE = 120;
+const SWIPE_FLICK_SPEED = 600;
+const SWIPE_FLICK_MIN = 40;
+
+// Blind mode's reveal: a field hidden this match fades in from a blur once the pick is made
+const BLIND_REVEAL = {
+  initial: { opacity: 0, scale: 1.04, filter: "blur(10px)" },
+  animate: { opacity: 1, scale: 1, filter: "blur(0px)" },
+  transition: { duration: 0.5, ease: "easeOut" },
+};
 
-function Meter({ value, label }) {
-  const pct = Math.max(0, Math.min(100, value ?? 0));
-  return (
-    <div className="w-full">
-      <div className="flex items-center justify-between text-[11px] text-zinc-300">
-        <span>{label}</span>
-        <span className="tabular-nums">{pct}</span>
-      </div>
-      <div className="mt-1 h-2 w-full rounded-full bg-white/10">
-        <div className="h-2 rounded-full bg-white/70" style={{ width: `${pct}%` }} />
-      </div>
-    </div>
-  );
-}
+/**
+ * Selection-only TrackCard (no playback buttons inside). Tap or swipe right to pick this card,
+ * swipe left to pick the other one. `blind` lists the fields blind mode hides this match,
+ * `hidden` the ones still hidden (empty after the pick, which plays the reveal).
+ */
+function TrackCard({ track, badge, cornerTag, source, selected, disabled, blind = [], hidden = [], onSelect, onReject, onFocusCard }) {
+  const x = useMotionValue(0);
+  const rotate = useTransform(x, [-240, 240], [-10, 10]);
+  const pickOpacity = useTransform(x, [24, 110], [0, 1]);
+  const passOpacity = useTransform(x, [-110, -24], [1, 0]);
+  const draggedRef = useRef(false);
+
+  // A card reused for the next match starts back in the middle
+  useEffect(() => {
+    x.set(0);
+  }, [track?.id, x]);
 
-// Selection-only TrackCard (no playback buttons inside)
-function TrackCard({ track, badge, cornerTag, selected, disabled, onSelect }) {
   if (!track) {
     return (
       <div className="rounded-[26px] bg-white/5 ring-1 ring-white/10 p-4">
@@ -694,39 +768,85 @@ function TrackCard({ track, badge, cornerTag, selected, disabled, onSelect }) {
     );
   }
 
+  const hide = (field) => hidden.includes(field);
+  const reveal = (field) => (blind.includes(field) ? BLIND_REVEAL : {});
+
   const handleSelect = () => {
-    if (disabled) return;
+    if (disabled || draggedRef.current) return;
     onSelect?.();
   };
 
+  function handleDragEnd(_, info) {
+    const dir = Math.sign(info.offset.x);
+    const far = Math.abs(info.offset.x) > SWIPE_DISTANCE;
+    const flick = Math.abs(info.velocity.x) > SWIPE_FLICK_SPEED && Math.abs(info.offset.x) > SWIPE_FLICK_MIN && Math.sign(info.velocity.x) === dir;
+    if (disabled || !dir || !(far || flick)) return; // dragSnapToOrigin springs it back
+
+    animate(x, dir * (window.innerWidth + 240), { duration: 0.28, ease: "easeIn" });
+    if (dir > 0) onSelect?.();
+    else onReject?.();
+  }
+
   return (
-    <div
+    <motion.div
       role="button"
       tabIndex={disabled ? -1 : 0}
       aria-disabled={disabled ? "true" : "false"}
+      drag={disabled ? false : "x"}
+      dragSnapToOrigin
+      dragElastic={0.65}
+      dragConstraints={{ left: 0, right: 0 }}
+      style={{ x, rotate }}
+      onPointerDown={() => {
+        draggedRef.current = false;
+      }}
+      onDragStart={() => {
+        draggedRef.current = true;
+      }}
+      onDragEnd={handleDragEnd}
       onClick={handleSelect}
+      onFocus={onFocusCard}
+      onMouseEnter={onFocusCard}
       onKeyDown={(e) => {
         if (disabled) return;
-        if (e.key === "Enter" || e.key === " ") {
+        // Space is the play / pause shortcut, so only Enter picks from here
+        if (e.key === "Enter") {
           e.preventDefault();
           handleSelect();
         }
       }}
       className={[
-        "w-full text-left rounded-[26px] overflow-hidden select-none",
+        "relative w-full text-left rounded-[26px] overflow-hidden select-none",
         "bg-white/[0.055] ring-1 ring-white/10",
-        "transition active:scale-[0.995]",
-        disabled ? "opacity-70 cursor-not-allowed" : "cursor-pointer",
+        "transition-shadow active:scale-[0.995]",
+        disabled ? "opacity-70 cursor-not-allowed" : "cursor-grab active:cursor-grabbing",
         selected ? "ring-2 ring-emerald-400/70" : "",
         "focus:outline-none focus:ring-2 focus:ring-white/30",
       ].join(" ")}
     >
-      <div className="relative">
-        {track.albumImage ? (
-          <img src={track.albumImage} alt="cover" className="h-48 w-full object-cover" />
-        ) : (
-          <div className="h-48 w-full bg-white/5" />
-        )}
+      <motion.div
+        style={{ opacity: pickOpacity }}
+        className="pointer-events-none absolute left-4 top-14 z-10 -rotate-12 rounded-xl px-3 py-1 text-lg font-black tracking-wider text-emerald-300 ring-2 ring-emerald-300"
+      >
+        PICK
+      </motion.div>
+      <motion.div
+        style={{ opacity: passOpacity }}
+        className="pointer-events-none absolute right-4 top-14 z-10 rotate-12 rounded-xl px-3 py-1 text-lg font-black tracking-wider text-rose-300 ring-2 ring-rose-300"
+      >
+        PASS
+      </motion.div>
+
+      <div className="relative overflow-hidden">
+        {hide("art") ? (
+          <div className="flex h-48 w-full items-center justify-center bg-[linear-gradient(135deg,rgba(255,255,255,0.09),rgba(255,255,255,0.02))]">
+            <span className="text-6xl font-black text-white/15">?</span>
+          </div>
+        ) : track.albumImage ? (
+          <motion.img src={track.albumImage} alt="cover" className="h-48 w-full object-cover" {...reveal("art")} />
+        ) : (
+          <div className="h-48 w-full bg-white/5" />
+        )}
 
         <div className="absolute inset-0 bg-gradient-to-t from-black/80 via-black/25 to-black/10" />
         <div className="absolute inset-0 [background:radial-gradient(900px_circle_at_20%_10%,rgba(255,255,255,0.10),transparent_45%)]" />
@@ -745,11 +865,28 @@ function TrackCard({ track, badge, cornerTag, selected, disabled, onSelect }) {
         </div>
 
         <div className="absolute bottom-4 left-4 right-4">
-          <div className="text-[17px] font-black leading-tight line-clamp-2">{track.name}</div>
-          <div className="mt-1 text-xs text-zinc-200/90 line-clamp-1">{track.artists}</div>
+          {hide("title") ? (
+            <div className="text-[17px] font-black leading-tight text-zinc-400">Hidden title</div>
+          ) : (
+            <motion.div className="text-[17px] font-black leading-tight line-clamp-2" {...reveal("title")}>
+              {track.name}
+            </motion.div>
+          )}
+          {hide("artist") ? (
+            <div className="mt-1 text-xs text-zinc-400">Hidden artist</div>
+          ) : (
+            <motion.div className="mt-1 text-xs text-zinc-200/90 line-clamp-1" {...reveal("artist")}>
+              {entrantByline(track)}
+            </motion.div>
+          )}
           <div className="mt-3 flex flex-wrap gap-2">
-            <Pill icon={Volume2}>Popularity: {track.popularity ?? 0}/100</Pill>
+            {hide("popularity") ? null : <Pill icon={Volume2}>Popularity: {track.popularity ?? 0}/100</Pill>}
             <Pill>⏱ {formatMs(track.duration_ms)}</Pill>
+            {/* An album or artist card's representative track would give the title away */}
+            {track.representative && !hide("title") ? <Pill icon={Play}>{track.representative.name}</Pill> : null}
+            {track.trackCount ? <Pill>{plural(track.trackCount, "track")}</Pill> : null}
+            {/* Sources name artists ("… — top tracks") and playlists, so they wait with the title and artist */}
+            {source && !hide("title") && !hide("artist") ? <Pill>From: {source}</Pill> : null}
           </div>
         </div>
 
@@ -768,9 +905,15 @@ function TrackCard({ track, badge, cornerTag, selected, disabled, onSelect }) {
       </div>
 
       <div className="p-4">
-        <Meter value={track.popularity ?? 0} label="Popularity (stream proxy)" />
+        {hide("popularity") ? (
+          <div className="text-[11px] text-zinc-400">Popularity hidden until you pick</div>
+        ) : (
+          <motion.div {...reveal("popularity")}>
+            <Meter value={track.popularity ?? 0} label="Popularity (stream proxy)" />
+          </motion.div>
+        )}
       </div>
-    </div>
+    </motion.div>
   );
 }
 
@@ -813,9 +956,210 @@ function TrackControls({ track, canPlay, isPlaying, onTogglePlay }) {
   );
 }
 
-function BracketMini({ tournament }) {
+// Keyboard picks: the top card is 1 / ↑ / ←, the bottom card 2 / ↓ / →
+const SHORTCUT_PICKS = {
+  1: "top",
+  ArrowUp: "top",
+  ArrowLeft: "top",
+  2: "bottom",
+  ArrowDown: "bottom",
+  ArrowRight: "bottom",
+};
+
+const KEY_LABELS = { ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→" };
+
+// The cheat sheet's keys for a card, straight from SHORTCUT_PICKS so the two can't drift apart
+function pickKeyLabels(side) {
+  return Object.keys(SHORTCUT_PICKS)
+    .filter((key) => SHORTCUT_PICKS[key] === side)
+    .map((key) => KEY_LABELS[key] || key);
+}
+
+// The on-screen cheat sheet; touch screens have no keyboard, so it only shows from md up
+function KeyboardShortcuts({ canPlay }) {
+  const keys = [
+    { keys: pickKeyLabels("top"), does: "Pick the top card" },
+    { keys: pickKeyLabels("bottom"), does: "Pick the bottom card" },
+    { keys: ["Space"], does: canPlay ? "Play / pause the card you’re on" : "Play / pause (needs the in-app player)" },
+    { keys: ["U"], does: "Undo the last pick" },
+  ];
+  return (
+    <div className="mt-3 hidden grid-cols-2 gap-x-4 gap-y-1.5 md:grid">
+      {keys.map((k) => (
+        <div key={k.does} className="flex items-center gap-2 text-[11px] text-zinc-400">
+          <span className="flex shrink-0 gap-1">
+            {k.keys.map((key) => (
+              <kbd key={key} className="rounded-md bg-white/10 px-1.5 py-0.5 font-sans text-[10px] font-semibold text-zinc-200 ring-1 ring-white/15">
+                {key}
+              </kbd>
+            ))}
+          </span>
+          <span className="truncate">{k.does}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Blind mode switches, one per field; changing them mid-match applies at once
+function BlindModeOptions({ fields, onChange }) {
+  // Kept in BLIND_FIELDS order, so history entries list them the same way every time
+  function toggle(id) {
+    const next = fields.includes(id) ? fields.filter((f) => f !== id) : [...fields, id];
+    onChange(BLIND_FIELDS.map((f) => f.id).filter((f) => next.includes(f)));
+  }
+
+  return (
+    <div className="mt-3 border-t border-white/10 pt-3">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-xs font-semibold text-white">Blind mode</div>
+        <div className="text-[11px] text-zinc-500">{fields.length ? "Revealed after each pick" : "Off"}</div>
+      </div>
+      <div className="mt-2 flex flex-wrap gap-1.5">
+        {BLIND_FIELDS.map((f) => {
+          const on = fields.includes(f.id);
+          return (
+            <button
+              key={f.id}
+              type="button"
+              aria-pressed={on}
+              onClick={() => toggle(f.id)}
+              className={`rounded-full px-3 py-1.5 text-[11px] font-semibold ring-1 transition ${
+                on ? "bg-white text-black ring-white" : "bg-white/5 text-zinc-300 ring-white/10 hover:bg-white/10"
+              }`}
+            >
+              {on ? "Hide" : "Show"} {f.label.toLowerCase()}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// Listening duel controls: settings while it's off, then whose snippet is on and how long it has left
+function ListeningDuel({ listen, prefs, top, bottom, canPlay, hideName, onPrefsChange, onStart, onPause, onResume, onSkip, onStop }) {
+  const [now, setNow] = useState(() => Date.now());
+  const running = listen.status === "playing";
+
+  useEffect(() => {
+    if (!running) return;
+    const id = window.setInterval(() => setNow(Date.now()), 250);
+    return () => window.clearInterval(id);
+  }, [running]);
+
+  if (listen.status === "off") {
+    return (
+      <Card className="p-4">
+        <div className="text-sm font-bold">Listening duel</div>
+        <div className="mt-1 text-xs text-zinc-400 leading-relaxed">
+          {canPlay
+            ? "Hear both cards back to back: a snippet of the top one, then the bottom one, until you pick."
+            : "Hear both cards back to back. This needs the in-app player (Spotify Premium)."}
+        </div>
+
+        <div className="mt-3 grid grid-cols-2 gap-2">
+          <div>
+            <div className="mb-1 text-[11px] text-zinc-400">Snippet</div>
+            <Select value={String(prefs.seconds)} onChange={(v) => onPrefsChange({ ...prefs, seconds: Number(v) })} options={LISTEN_SNIPPETS} />
+          </div>
+          <div>
+            <div className="mb-1 text-[11px] text-zinc-400">Skip the intro</div>
+            <Select value={String(prefs.offset)} onChange={(v) => onPrefsChange({ ...prefs, offset: Number(v) })} options={LISTEN_OFFSETS} />
+          </div>
+          <Toggle
+            checked={prefs.loop}
+            onChange={(loop) => onPrefsChange({ ...prefs, loop })}
+            label="Loop"
+            hint="Keep alternating until you pick, instead of stopping after one of each"
+          />
+          <Button className="col-span-2" onClick={onStart} disabled={!canPlay}>
+            <Volume2 className="h-4 w-4" />
+            Start listening
+          </Button>
+        </div>
+      </Card>
+    );
+  }
+
+  const track = listen.side ? (listen.side === "top" ? top : bottom) : null;
+  const total = prefs.seconds * 1000;
+  // `now` lags a tick behind a freshly started snippet, hence the clamp to its length
+  const left = running ? Math.min(total, Math.max(0, listen.endsAt - now)) : listen.remainingMs ?? total;
+  const status = {
+    playing: `Playing the ${listen.side} card`,
+    paused: `Paused on the ${listen.side} card`,
+    waiting: "Starts again with the next match",
+    done: "Heard both. Pick one, or play them again.",
+  }[listen.status];
+
+  return (
+    <Card className="p-4">
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <div className="text-sm font-bold">Listening duel</div>
+          <div className="mt-1 truncate text-xs text-zinc-400">
+            {status}
+            {track && !hideName && (running || listen.status === "paused") ? (
+              <>
+                : <span className="text-zinc-200">{track.name}</span>
+              </>
+            ) : null}
+          </div>
+        </div>
+        {running || listen.status === "paused" ? (
+          <div className="shrink-0 text-lg font-extrabold tabular-nums">{Math.ceil(left / 1000)}s</div>
+        ) : null}
+      </div>
+
+      {running || listen.status === "paused" ? (
+        <div className="mt-3 h-1.5 w-full rounded-full bg-white/10">
+          <div className="h-1.5 rounded-full bg-emerald-400" style={{ width: `${Math.min(100, (left / total) * 100)}%` }} />
+        </div>
+      ) : null}
+
+      <div className="mt-3 flex flex-wrap gap-2">
+        {running ? (
+          <Button variant="ghost" onClick={onPause}>
+            <Pause className="h-4 w-4" />
+            Pause
+          </Button>
+        ) : listen.status === "paused" ? (
+          <Button variant="ghost" onClick={onResume}>
+            <Play className="h-4 w-4" />
+            Resume
+          </Button>
+        ) : listen.status === "done" ? (
+          <Button variant="ghost" onClick={onStart} disabled={!canPlay}>
+            <RefreshCw className="h-4 w-4" />
+            Play again
+          </Button>
+        ) : null}
+        {running || listen.status === "paused" ? (
+          <Button variant="ghost" onClick={onSkip}>
+            <ChevronRight className="h-4 w-4" />
+            Next snippet
+          </Button>
+        ) : null}
+        <Button variant="ghost" onClick={onStop}>
+          Stop
+        </Button>
+      </div>
+    </Card>
+  );
+}
+
+/**
+ * The rounds, folded per round, with a full-size view (BracketTree). `blind` is set while blind mode
+ * hides the match that's up: the rounds and the full view would name it, so they wait for the pick.
+ */
+function BracketMini({ tournament, onChangePick, showSources = false, blind = false }) {
   const rounds = tournament?.rounds || [];
   const [openRounds, setOpenRounds] = useState(() => new Set());
+  const [editingId, setEditingId] = useState(null);
+  const [treeOpen, setTreeOpen] = useState(false);
+  const votes = new Map((tournament?.history || []).filter((h) => h.vote).map((h) => [voteSlotKey(h), h.vote]));
+  const blindPicks = new Set((tournament?.history || []).filter((h) => h.blind).map(voteSlotKey));
 
   function toggleRound(idx) {
     setOpenRounds((prev) => {
@@ -826,171 +1170,2065 @@ function BracketMini({ tournament }) {
     });
   }
 
-  return (
-    <Card className="p-4">
-      <div className="flex items-center justify-between">
-        <div className="text-sm font-bold">Bracket</div>
-        <div className="text-xs text-zinc-400">{tournament ? `Round ${tournament.roundIndex + 1}` : ""}</div>
-      </div>
-
-      <div className="mt-3 grid grid-cols-2 gap-3">
-        {rounds.map((r, ri) => {
-          const isOpen = openRounds.has(ri);
-          const rows = [];
+  function renderRound(r, ri) {
+    const isOpen = openRounds.has(ri);
+    const rows = roundRows(tournament, ri);
+    const shown = isOpen ? rows : rows.slice(0, 3);
 
-          if (r?.type === "normal") {
-            if (r.bye) rows.push({ id: `r${ri}-bye`, a: r.bye, b: null, winner: r.bye });
-            for (const m of r.matches) rows.push({ ...m, id: m.id || `r${ri}-${m.a?.id}-${m.b?.id}` });
-          } else if (r?.type === "three") {
-            rows.push({ id: `r${ri}-top`, a: r.top, b: null, winner: r.top });
-            rows.push({ id: `r${ri}-q`, a: r.match?.a, b: r.match?.b, winner: r.match?.winner });
-            if (r.final) rows.push({ id: `r${ri}-final`, a: r.final.a, b: r.final.b, winner: r.final.winner });
-          } else if (r?.type === "done") {
-            if (r.entrants?.[0]) rows.push({ id: `r${ri}-done`, a: r.entrants[0], b: null, winner: r.entrants[0] });
-          }
+    return (
+      <div key={ri} className="rounded-2xl bg-white/5 ring-1 ring-white/10 p-3">
+        <div className="flex items-center justify-between gap-2">
+          <div className="text-[11px] text-zinc-300">
+            {roundLabel(tournament, ri)}
+            {r?.finalThree ? <span className="text-zinc-500"> • round robin</span> : null}
+          </div>
 
-          const shown = isOpen ? rows : rows.slice(0, 3);
+          {rows.length > 3 ? (
+            <button
+              type="button"
+              onClick={() => toggleRound(ri)}
+              className="text-[10px] text-zinc-400 hover:text-zinc-200 underline underline-offset-2"
+            >
+              {isOpen ? "Show less" : `+ ${rows.length - 3} more`}
+            </button>
+          ) : null}
+        </div>
 
-          return (
-            <div key={ri} className="rounded-2xl bg-white/5 ring-1 ring-white/10 p-3">
-              <div className="flex items-center justify-between gap-2">
-                <div className="text-[11px] text-zinc-300">Round {ri + 1}</div>
+        <div className="mt-2 space-y-2">
+          {shown.map((m) => {
+            const editable = Boolean(onChangePick && m.slot && m.winner && m.a && m.b);
+            const isEditing = editable && editingId === m.id;
+            const vote = m.slot && m.winner ? votes.get(voteSlotKey(m.slot)) : null;
 
-                {rows.length > 3 ? (
-                  <button
-                    type="button"
-                    onClick={() => toggleRound(ri)}
-                    className="text-[10px] text-zinc-400 hover:text-zinc-200 underline underline-offset-2"
-                  >
-                    {isOpen ? "Show less" : `+ ${rows.length - 3} more`}
-                  </button>
+            return (
+              <div
+                key={m.id}
+                className={`text-[11px] ${editable ? "cursor-pointer rounded-lg hover:bg-white/5" : ""}`}
+                onClick={editable ? () => setEditingId(isEditing ? null : m.id) : undefined}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span className="truncate text-zinc-300">{m.a?.name || "—"}</span>
+                  <span className="text-zinc-500">{m.b ? "vs" : m.tag || "BYE"}</span>
+                  <span className="truncate text-zinc-300">{m.b?.name || "—"}</span>
+                </div>
+                {showSources && m.a ? (
+                  <div className="mt-0.5 truncate text-[10px] text-zinc-500">
+                    {[m.a, m.b].filter(Boolean).map(sourceLabel).join(" vs ")}
+                  </div>
+                ) : null}
+                {m.note ? <div className="mt-0.5 text-[10px] text-zinc-500">{m.note}</div> : null}
+                {m.winner && m.b ? (
+                  <div className="mt-0.5 text-[10px] text-zinc-500">
+                    Winner: {m.winner.name}
+                    {vote ? ` • votes ${voteScore(vote, m.winner.id)}` : ""}
+                    {blindPicks.has(voteSlotKey(m.slot)) ? " • picked blind" : ""}
+                  </div>
                 ) : null}
-              </div>
 
-              <div className="mt-2 space-y-2">
-                {shown.map((m) => (
-                  <div key={m.id} className="text-[11px]">
-                    <div className="flex items-center justify-between gap-2">
-                      <span className="truncate text-zinc-300">{m.a?.name || "—"}</span>
-                      <span className="text-zinc-500">{m.b ? "vs" : "BYE"}</span>
-                      <span className="truncate text-zinc-300">{m.b?.name || "—"}</span>
-                    </div>
-                    {m.winner ? <div className="mt-0.5 text-[10px] text-zinc-500">Winner: {m.winner.name}</div> : null}
+                {isEditing ? (
+                  <div className="mt-1.5 grid grid-cols-2 gap-1.5">
+                    {[m.a, m.b].map((tr) => (
+                      <button
+                        key={tr.id}
+                        type="button"
+                        disabled={tr.id === m.winner.id}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setEditingId(null);
+                          onChangePick(m.slot, tr.id);
+                        }}
+                        className="truncate rounded-lg bg-white/10 px-2 py-1 text-[10px] text-white hover:bg-white/15 disabled:opacity-40"
+                      >
+                        {tr.id === m.winner.id ? "✓ " : ""}
+                        {tr.name}
+                      </button>
+                    ))}
                   </div>
-                ))}
+                ) : null}
               </div>
-            </div>
-          );
-        })}
+            );
+          })}
+        </div>
       </div>
-    </Card>
-  );
-}
+    );
+  }
+
+  const indices = rounds.map((_, ri) => ri);
+  const sections =
+    tournament?.rules?.format === "double"
+      ? [
+          { key: "winners", title: "Winners bracket", indices: indices.filter((ri) => rounds[ri]?.bracket === "winners") },
+          { key: "losers", title: "Losers bracket", indices: indices.filter((ri) => rounds[ri]?.bracket === "losers") },
+          { key: "grand", title: "Grand final", indices: indices.filter((ri) => rounds[ri]?.bracket === "grand") },
+        ].filter((sec) => sec.indices.length)
+      : [{ key: "all", title: null, indices }];
 
-function FooterHint() {
   return (
-    <div className="mt-6 text-center text-xs text-zinc-500">
-      <div className="inline-flex items-center gap-2">
-        <Shield className="h-4 w-4" />
-        <span>Client-side PKCE • No client secret stored</span>
+    <Card className="p-4">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm font-bold">Bracket</div>
+        <div className="flex items-center gap-3">
+          <div className="text-xs text-zinc-400">{tournament ? roundLabel(tournament, tournament.roundIndex) : ""}</div>
+          {tournament && !blind ? (
+            <button
+              type="button"
+              onClick={() => setTreeOpen(true)}
+              className="inline-flex items-center gap-1 text-[11px] text-zinc-400 hover:text-zinc-200 underline underline-offset-2"
+            >
+              <Maximize2 className="h-3 w-3" />
+              Full view
+            </button>
+          ) : null}
+        </div>
       </div>
-    </div>
+      {blind ? (
+        <div className="mt-1 text-[11px] text-zinc-500">Blind mode keeps the bracket and standings out of sight until you pick.</div>
+      ) : (
+        <>
+          {onChangePick ? <div className="mt-1 text-[11px] text-zinc-500">Tap a decided match to change its winner.</div> : null}
+
+          {sections.map((sec) => (
+            <div key={sec.key} className="mt-3">
+              {sec.title ? <div className="mb-2 text-[11px] font-semibold text-zinc-400">{sec.title}</div> : null}
+              <div className="grid grid-cols-2 gap-3">{sec.indices.map((ri) => renderRound(rounds[ri], ri))}</div>
+            </div>
+          ))}
+        </>
+      )}
+
+      {treeOpen && tournament && !blind ? <BracketTree tournament={tournament} onChangePick={onChangePick} onClose={() => setTreeOpen(false)} /> : null}
+    </Card>
   );
 }
 
-// ------------------------
-// App
-// ------------------------
-export default function App() {
-  const [auth, setAuth] = useState({ status: "idle", token: null, error: null });
-  const [playlistInput, setPlaylistInput] = useState("");
-  const [loadState, setLoadState] = useState({ status: "idle", error: null });
-  const [playlistMeta, setPlaylistMeta] = useState(null);
-  const [tracks, setTracks] = useState([]);
-  const [tournament, setTournament] = useState(null);
+/**
+ * The whole bracket, full screen: drag to pan, pinch / Ctrl + scroll / the buttons to zoom, tap a
+ * match for its details. The champion's path (or any entrant's, from the details) is highlighted.
+ */
+function BracketTree({ tournament, onChangePick, onClose }) {
+  const layout = useMemo(() => bracketTreeLayout(tournament), [tournament]);
+  const viewportRef = useRef(null);
+  const pointersRef = useRef(new Map());
+  const gestureRef = useRef(null);
+  const draggedRef = useRef(false);
+  const openedRef = useRef(false);
+  const [view, setView] = useState(null); // { x, y, scale }
+  const [selectedId, setSelectedId] = useState(null);
+  const [focusId, setFocusId] = useState(() => tournament.champion?.id || null);
+
+  const votes = new Map(tournament.history.filter((h) => h.vote).map((h) => [voteSlotKey(h), h.vote]));
+  const blindPicks = new Map(tournament.history.filter((h) => h.blind).map((h) => [voteSlotKey(h), h.blind]));
+  const c = tournament.cursor;
+  const currentKey = c && c.special !== "bye" ? voteSlotKey({ ...c, stage: c.special }) : null;
+  const selected = layout.nodes.find((n) => n.id === selectedId) || null;
+
+  function fitView() {
+    const el = viewportRef.current;
+    return el ? treeFitView(layout, el.getBoundingClientRect()) : null;
+  }
 
-  // Save UI state
-  const [saveState, setSaveState] = useState({ status: "idle", error: null, lastSavedAt: null });
+  // Open on the whole bracket if it's readable that small, otherwise on the match that's up.
+  // It needs the viewport's size, so it's set as the viewport attaches (before the first paint);
+  // only then, so later picks keep the user's pan and zoom.
+  const attachViewport = useCallback(
+    (el) => {
+      viewportRef.current = el;
+      if (!el || openedRef.current) return;
+      openedRef.current = true;
+      const rect = el.getBoundingClientRect();
+      const fit = treeFitView(layout, rect);
+      const current = layout.nodes.find((n) => n.row.slot && voteSlotKey(n.row.slot) === currentKey);
+      setView(
+        fit.scale >= 0.6 || !current
+          ? fit
+          : { scale: 1, x: rect.width / 2 - current.x - TREE_NODE_W / 2, y: rect.height / 2 - current.y - TREE_NODE_H / 2 }
+      );
+    },
+    [layout, currentKey]
+  );
 
-  // Tinder-style selection states
-  const [selectedSide, setSelectedSide] = useState(null);
-  const [isAdvancing, setIsAdvancing] = useState(false);
+  function zoomCentre(factor) {
+    setView((v) => zoomTreeView(v, factor, viewportRef.current));
+  }
 
-  // Web Playback SDK
-  const playerRef = useRef(null);
-  const [playerReady, setPlayerReady] = useState(false);
-  const [deviceId, setDeviceId] = useState(null);
-  const [playbackError, setPlaybackError] = useState(null);
-  const [premiumWarning, setPremiumWarning] = useState(null);
-  const [nowPlayingId, setNowPlayingId] = useState(null);
-  const [isPaused, setIsPaused] = useState(true);
+  // Trackpad pinches arrive as Ctrl + wheel; a plain wheel or two-finger scroll pans
+  useEffect(() => {
+    const el = viewportRef.current;
+    function onWheel(e) {
+      e.preventDefault();
+      if (e.ctrlKey || e.metaKey) {
+        const rect = el.getBoundingClientRect();
+        setView((v) => zoomTreeView(v, Math.exp(-e.deltaY * 0.004), el, e.clientX - rect.left, e.clientY - rect.top));
+      } else {
+        setView((v) => (v ? { ...v, x: v.x - e.deltaX, y: v.y - e.deltaY } : v));
+      }
+    }
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => el.removeEventListener("wheel", onWheel);
+  }, []);
 
-  // Auto-restore saved session
+  // The key listener is bound once; what it needs that changes between renders is read through here
+  const keyStateRef = useRef({ selectedId, onClose, layout });
   useEffect(() => {
-    const saved = loadFromLocalStorage();
-    if (!saved) return;
-    if (!saved.tournament || !saved.tracks || !saved.playlistMeta) return;
-
-    setPlaylistInput(saved.playlistInput || "");
-    setPlaylistMeta(saved.playlistMeta || null);
-    setTracks(saved.tracks || []);
-    setTournament(saved.tournament || null);
-    setLoadState({ status: "ready", error: null });
+    keyStateRef.current = { selectedId, onClose, layout };
+  }, [selectedId, onClose, layout]);
 
-    setSaveState((s) => ({
-      ...s,
-      status: "restored",
-      lastSavedAt: saved.savedAt || null,
-      error: null,
-    }));
+  useEffect(() => {
+    function onKey(e) {
+      const { selectedId: open, onClose: close, layout: current } = keyStateRef.current;
+      const el = viewportRef.current;
+      if (e.key === "Escape") {
+        if (open) setSelectedId(null);
+        else close();
+      } else if (e.key === "+" || e.key === "=") setView((v) => zoomTreeView(v, 1.25, el));
+      else if (e.key === "-") setView((v) => zoomTreeView(v, 0.8, el));
+      else if (e.key === "0" && el) setView(treeFitView(current, el.getBoundingClientRect()));
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
   }, []);
 
-  // OAuth redirect handler
   useEffect(() => {
-    const params = new URLSearchParams(window.location.search);
-    const code = params.get("code");
-    const error = params.get("error");
+    const overflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+    return () => {
+      document.body.style.overflow = overflow;
+    };
+  }, []);
 
-    async function init() {
-      try {
-        if (SPOTIFY_CLIENT_ID === "YOUR_SPOTIFY_CLIENT_ID") {
-          setAuth({ status: "needs_client_id", token: null, error: null });
-          return;
-        }
+  // Every change in the number of fingers restarts the gesture from the current view
+  function startGesture() {
+    gestureRef.current = { view, points: [...pointersRef.current.values()] };
+  }
 
-        if (error) {
-          setAuth({ status: "error", token: null, error });
-          return;
-        }
+  function onPointerDown(e) {
+    if (!pointersRef.current.size) draggedRef.current = false;
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    startGesture();
+  }
 
-        if (code) {
-          setAuth({ status: "authing", token: null, error: null });
-          const token = await exchangeCodeForToken(code);
-          window.history.replaceState({}, document.title, window.location.pathname);
-          setAuth({ status: "authed", token, error: null });
-          return;
-        }
+  function onPointerMove(e) {
+    if (!pointersRef.current.has(e.pointerId) || !gestureRef.current?.view) return;
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const { view: start, points } = gestureRef.current;
+    const now = [...pointersRef.current.values()];
+
+    if (now.length === 1) {
+      const dx = now[0].x - points[0].x;
+      const dy = now[0].y - points[0].y;
+      if (!draggedRef.current && Math.hypot(dx, dy) < 6) return;
+      if (!draggedRef.current) viewportRef.current.setPointerCapture(e.pointerId);
+      draggedRef.current = true;
+      setView({ ...start, x: start.x + dx, y: start.y + dy });
+      return;
+    }
 
-        const stored = getStoredAccessToken();
-        if (stored) {
-          setAuth({ status: "authed", token: stored, error: null });
-          return;
-        }
+    draggedRef.current = true;
+    const rect = viewportRef.current.getBoundingClientRect();
+    const mid = (p) => ({ x: (p[0].x + p[1].x) / 2 - rect.left, y: (p[0].y + p[1].y) / 2 - rect.top });
+    const dist = (p) => Math.hypot(p[0].x - p[1].x, p[0].y - p[1].y) || 1;
+    const scale = clampTreeScale(start.scale * (dist(now) / dist(points)));
+    const from = mid(points);
+    const to = mid(now);
+    const k = scale / start.scale;
+    setView({ scale, x: to.x - (from.x - start.x) * k, y: to.y - (from.y - start.y) * k });
+  }
 
-        const refreshed = await refreshAccessTokenIfPossible();
-        if (refreshed) {
-          setAuth({ status: "authed", token: refreshed, error: null });
-          return;
-        }
+  function onPointerUp(e) {
+    pointersRef.current.delete(e.pointerId);
+    startGesture();
+  }
 
-        setAuth({ status: "unauthorized", token: null, error: null });
+  function openNode(node) {
+    if (draggedRef.current) return; // the end of a pan, not a tap
+    setSelectedId(node.id === selectedId ? null : node.id);
+  }
+
+  const iconButton = "rounded-xl bg-white/5 p-2 text-zinc-200 ring-1 ring-white/10 hover:bg-white/10";
+
+  return (
+    <div className="fixed inset-0 z-50 flex flex-col bg-zinc-950/95 backdrop-blur" role="dialog" aria-modal="true" aria-label="Bracket">
+      <div className="flex items-center justify-between gap-3 border-b border-white/10 px-4 py-3">
+        <div className="min-w-0">
+          <div className="text-sm font-bold">Bracket</div>
+          <div className="truncate text-[11px] text-zinc-500">
+            {tournament.champion ? `Champion: ${tournament.champion.name}` : roundLabel(tournament, tournament.roundIndex)} • drag to
+            move, pinch or Ctrl + scroll to zoom, tap a match for details
+          </div>
+        </div>
+        <div className="flex shrink-0 items-center gap-1.5">
+          <button type="button" className={iconButton} onClick={() => zoomCentre(0.8)} aria-label="Zoom out" title="Zoom out">
+            <ZoomOut className="h-4 w-4" />
+          </button>
+          <button type="button" className={iconButton} onClick={() => zoomCentre(1.25)} aria-label="Zoom in" title="Zoom in">
+            <ZoomIn className="h-4 w-4" />
+          </button>
+          <button type="button" className={iconButton} onClick={() => setView(fitView())} aria-label="Fit the bracket" title="Fit">
+            <Scan className="h-4 w-4" />
+          </button>
+          <button type="button" className={iconButton} onClick={onClose} aria-label="Close" title="Close">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      <div
+        ref={attachViewport}
+        className="relative flex-1 cursor-grab touch-none select-none overflow-hidden active:cursor-grabbing"
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+      >
+        <div
+          className="absolute left-0 top-0 origin-top-left"
+          style={{
+            width: layout.width,
+            height: layout.height,
+            transform: view ? `translate(${view.x}px, ${view.y}px) scale(${view.scale})` : undefined,
+            visibility: view ? "visible" : "hidden",
+          }}
+        >
+          <svg className="absolute inset-0 overflow-visible" width={layout.width} height={layout.height} aria-hidden="true">
+            {layout.links.map((l) => {
+              const onPath = focusId && l.entrantId === focusId;
+              const mx = l.x1 + TREE_GAP_X / 2;
+              return (
+                <path
+                  key={l.key}
+                  d={`M ${l.x1} ${l.y1} H ${mx} V ${l.y2} H ${l.x2}`}
+                  fill="none"
+                  stroke={onPath ? "#6ee7b7" : "#ffffff"}
+                  strokeOpacity={onPath ? 1 : l.dashed ? 0.12 : 0.22}
+                  strokeWidth={onPath ? 2.5 : 1.5}
+                  strokeDasharray={l.dashed ? "4 4" : undefined}
+                />
+              );
+            })}
+          </svg>
+
+          {layout.titles.map((t) => (
+            <div key={t.key} className="absolute left-0 text-[11px] font-semibold text-zinc-400" style={{ top: t.y }}>
+              {t.title}
+            </div>
+          ))}
+          {layout.headers.map((h) => (
+            <div
+              key={h.key}
+              className="absolute truncate text-[11px] text-zinc-500"
+              style={{ left: h.x, top: h.y + 6, width: TREE_NODE_W }}
+            >
+              {h.label}
+            </div>
+          ))}
+
+          {layout.nodes.map((node) => {
+            const m = node.row;
+            const current = m.slot && voteSlotKey(m.slot) === currentKey;
+            const onPath = focusId && (m.a?.id === focusId || m.b?.id === focusId);
+            const vote = m.slot && m.winner ? votes.get(voteSlotKey(m.slot)) : null;
+            const ring = m.champion
+              ? "ring-2 ring-emerald-300/80"
+              : node.id === selectedId
+              ? "ring-2 ring-white/70"
+              : current
+              ? "ring-2 ring-white/40"
+              : onPath
+              ? "ring-1 ring-emerald-300/60"
+              : "ring-1 ring-white/10";
+
+            return (
+              <button
+                key={node.id}
+                type="button"
+                onClick={() => openNode(node)}
+                className={`absolute rounded-xl px-2 py-1 text-left ${m.pending && !m.a ? "bg-white/[0.03]" : "bg-zinc-900"} ${ring}`}
+                style={{ left: node.x, top: node.y, width: TREE_NODE_W, height: TREE_NODE_H }}
+              >
+                {[m.a, m.b].map((e, i) => {
+                  const won = e && advancingEntrant(m)?.id === e.id && m.b;
+                  const lost = e && m.winner && !won;
+                  return (
+                    <div key={i} className="flex h-7 items-center gap-2">
+                      {e?.albumImage ? (
+                        <img src={e.albumImage} alt="" className="h-5 w-5 shrink-0 rounded object-cover" draggable={false} />
+                      ) : (
+                        <div className="h-5 w-5 shrink-0 rounded bg-white/10" />
+                      )}
+                      <span
+                        className={`min-w-0 flex-1 truncate text-[11px] ${
+                          won || m.champion ? "font-bold text-white" : lost ? "text-zinc-500" : e ? "text-zinc-300" : "text-zinc-600"
+                        }`}
+                      >
+                        {e?.name || (i === 0 ? (m.pending ? "TBD" : "—") : m.pending ? "TBD" : m.tag || "BYE")}
+                      </span>
+                      {won && vote ? <span className="text-[10px] font-semibold text-zinc-400">{voteScore(vote, e.id)}</span> : null}
+                      {i === 1 && current ? <span className="text-[10px] font-semibold text-white">NOW</span> : null}
+                    </div>
+                  );
+                })}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {selected ? (
+        <BracketMatchDetails
+          node={selected}
+          tournament={tournament}
+          vote={selected.row.slot && selected.row.winner ? votes.get(voteSlotKey(selected.row.slot)) : null}
+          blind={selected.row.slot && selected.row.winner ? blindPicks.get(voteSlotKey(selected.row.slot)) : null}
+          current={selected.row.slot && voteSlotKey(selected.row.slot) === currentKey}
+          focusId={focusId}
+          onFocus={setFocusId}
+          onChangePick={onChangePick}
+          onClose={() => setSelectedId(null)}
+        />
+      ) : null}
+    </div>
+  );
+}
+
+function BracketMatchDetails({ node, tournament, vote, blind, current, focusId, onFocus, onChangePick, onClose }) {
+  const m = node.row;
+  const entrants = [m.a, m.b].filter(Boolean);
+  const editable = Boolean(onChangePick && m.slot && m.winner && m.a && m.b);
+  const kind = entrantType(tournament.rules);
+  const byName = new Map(entrants.map((e) => [e.id, e.name]));
+
+  let status = "Not played yet.";
+  if (m.champion) status = "Won the tournament.";
+  else if (m.note) status = m.note;
+  else if (m.winner && m.b) {
+    const blindNote = blind ? ` • picked blind (${blind.map((f) => BLIND_FIELDS.find((b) => b.id === f)?.label.toLowerCase()).join(", ")} hidden)` : "";
+    status = `${m.winner.name} won${vote ? ` • votes ${voteScore(vote, m.winner.id)}` : ""}${blindNote}.`;
+  }
+  else if (current) status = "Up now.";
+
+  return (
+    <div className="border-t border-white/10 bg-zinc-950 px-4 pb-5 pt-3">
+      <div className="mx-auto max-w-xl">
+        <div className="flex items-center justify-between gap-3">
+          <div className="min-w-0">
+            <div className="truncate text-sm font-bold">{node.label}</div>
+            <div className="text-[11px] text-zinc-400">{status}</div>
+          </div>
+          <button
+            type="button"
+            className="rounded-xl bg-white/5 p-2 text-zinc-200 ring-1 ring-white/10 hover:bg-white/10"
+            onClick={onClose}
+            aria-label="Close match details"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        {entrants.length ? (
+          <div className={`mt-3 grid gap-2 ${entrants.length > 1 ? "grid-cols-2" : "grid-cols-1"}`}>
+            {entrants.map((e) => {
+              const won = m.winner?.id === e.id;
+              return (
+                <div key={e.id} className={`rounded-2xl p-2.5 ring-1 ${won ? "bg-white/10 ring-emerald-300/50" : "bg-white/5 ring-white/10"}`}>
+                  <div className="flex items-center gap-2.5">
+                    {e.albumImage ? (
+                      <img src={e.albumImage} alt="" className="h-12 w-12 shrink-0 rounded-xl object-cover" />
+                    ) : (
+                      <div className="flex h-12 w-12 shrink-0 items-center justify-center rounded-xl bg-white/10">
+                        <Music2 className="h-5 w-5 text-zinc-400" />
+                      </div>
+                    )}
+                    <div className="min-w-0">
+                      <div className={`truncate text-xs ${won ? "font-bold text-white" : "text-zinc-200"}`}>
+                        {won && m.b ? "✓ " : ""}
+                        {e.name}
+                      </div>
+                      {kind.id !== "artist" && e.artists ? <div className="truncate text-[11px] text-zinc-400">{e.artists}</div> : null}
+                    </div>
+                  </div>
+                  <div className="mt-2 flex flex-wrap gap-x-3 gap-y-1">
+                    <button
+                      type="button"
+                      className="text-[11px] text-zinc-400 underline underline-offset-2 hover:text-zinc-200"
+                      onClick={() => onFocus(focusId === e.id ? null : e.id)}
+                    >
+                      {focusId === e.id ? "Hide path" : "Show path"}
+                    </button>
+                    {editable && !won ? (
+                      <button
+                        type="button"
+                        className="text-[11px] text-zinc-400 underline underline-offset-2 hover:text-zinc-200"
+                        onClick={() => onChangePick(m.slot, e.id)}
+                      >
+                        Make the winner
+                      </button>
+                    ) : null}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        ) : null}
+
+        {vote ? (
+          <div className="mt-2 space-y-1">
+            {vote.ballots.map((b) => (
+              <div key={b.voter} className="flex justify-between gap-3 text-[11px] text-zinc-400">
+                <span className="truncate">
+                  {b.voter}
+                  {(b.weight ?? 1) !== 1 ? <span className="text-zinc-500"> ×{b.weight}</span> : null}
+                </span>
+                <span className="truncate text-zinc-300">{byName.get(b.trackId) || "—"}</span>
+              </div>
+            ))}
+            {vote.tieBreak ? (
+              <div className="text-[10px] text-zinc-500">
+                Tied: {TIE_BREAKS.find((t) => t.id === vote.tieBreak)?.label.toLowerCase() || vote.tieBreak}.
+              </div>
+            ) : null}
+          </div>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+function GroupStandings({ tournament }) {
+  const stage = tournament?.rounds.findLast((r) => r?.type === "groups");
+  if (!stage) return null;
+
+  const active = tournament.rounds[tournament.roundIndex] === stage ? tournament.cursor?.group : null;
+
+  return (
+    <Card className="p-4">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-bold">{stage.finalThree ? "Final three" : "Group standings"}</div>
+        <div className="text-xs text-zinc-400">{stage.finalThree ? "Most wins takes the title" : `Top ${stage.advance} advance`}</div>
+      </div>
+      <div className="mt-1 text-[11px] text-zinc-500">
+        {GROUP_POINTS_WIN} pts per win • ties: head-to-head, then seed
+      </div>
+
+      <div className="mt-3 grid grid-cols-1 gap-3">
+        {stage.groups.map((g, gi) => {
+          const table = groupStandings(g, tournament.rules);
+          return (
+            <div
+              key={g.name}
+              className={`rounded-2xl bg-white/5 p-3 ring-1 ${active === gi ? "ring-white/30" : "ring-white/10"}`}
+            >
+              <div className="text-[11px] font-semibold text-zinc-300">{stage.finalThree ? "Round robin" : `Group ${g.name}`}</div>
+              <table className="mt-2 w-full text-[11px] tabular-nums">
+                <thead>
+                  <tr className="text-zinc-500">
+                    <th className="w-5 text-left font-normal">#</th>
+                    <th className="text-left font-normal">Track</th>
+                    <th className="w-6 text-right font-normal">P</th>
+                    <th className="w-6 text-right font-normal">W</th>
+                    <th className="w-6 text-right font-normal">L</th>
+                    <th className="w-8 text-right font-normal">Pts</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {table.map((row, i) => (
+                    <tr key={row.track.id} className={i < stage.advance ? "text-white" : "text-zinc-400"}>
+                      <td className="py-0.5">{i + 1}</td>
+                      <td className="max-w-0 truncate py-0.5 pr-2">
+                        {row.track.name}
+                        {i < stage.advance ? <span className="ml-1 text-emerald-300">•</span> : null}
+                      </td>
+                      <td className="py-0.5 text-right">{row.played}</td>
+                      <td className="py-0.5 text-right">{row.won}</td>
+                      <td className="py-0.5 text-right">{row.lost}</td>
+                      <td className="py-0.5 text-right font-semibold">{row.points}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          );
+        })}
+      </div>
+    </Card>
+  );
+}
+
+function FinalStandings({ standings }) {
+  const [showAll, setShowAll] = useState(false);
+  if (!standings?.length) return null;
+
+  const shown = showAll ? standings : standings.slice(0, 8);
+
+  return (
+    <div className="px-4 pb-4">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-bold">Final standings</div>
+        {standings.length > 8 ? (
+          <button
+            type="button"
+            onClick={() => setShowAll((v) => !v)}
+            className="text-[11px] text-zinc-400 hover:text-zinc-200 underline underline-offset-2"
+          >
+            {showAll ? "Show less" : `Show all ${standings.length}`}
+          </button>
+        ) : null}
+      </div>
+
+      <div className="mt-3 space-y-1.5">
+        {shown.map((row) => (
+          <div key={row.track.id} className="flex items-center gap-3 rounded-xl bg-white/5 ring-1 ring-white/10 px-3 py-2">
+            <span className="w-6 shrink-0 text-xs font-black tabular-nums text-zinc-300">{row.place}</span>
+            <div className="min-w-0 flex-1">
+              <div className="truncate text-xs font-semibold">{row.track.name}</div>
+              <div className="truncate text-[10px] text-zinc-500">{entrantByline(row.track)}</div>
+            </div>
+            <div className="shrink-0 text-right">
+              <div className="text-[10px] text-zinc-300">{row.tier}</div>
+              <div className="text-[10px] tabular-nums text-zinc-500">
+                {row.wins}W–{row.losses}L
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function AllTimeRankings({ store, onReset }) {
+  const [showAll, setShowAll] = useState(false);
+  const rows = useMemo(() => allTimeRankings(store), [store]);
+  const played = Object.keys(store?.tournaments || {}).length;
+
+  if (!rows.length) {
+    return (
+      <Card className="p-4">
+        <div className="text-sm font-bold">My all-time rankings</div>
+        <div className="mt-1 text-xs text-zinc-400">Play a tournament — every pick you make feeds a personal Elo rating.</div>
+      </Card>
+    );
+  }
+
+  const shown = showAll ? rows : rows.slice(0, 10);
+
+  return (
+    <Card className="p-4">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-sm font-bold">My all-time rankings</div>
+          <div className="mt-1 text-xs text-zinc-400">
+            Elo from {played} tournament{played === 1 ? "" : "s"} • {rows.length} rated
+          </div>
+        </div>
+        <button type="button" onClick={onReset} className="shrink-0 text-[11px] text-zinc-400 hover:text-zinc-200 underline underline-offset-2">
+          Reset
+        </button>
+      </div>
+
+      <div className="mt-3 space-y-1.5">
+        {shown.map((row, i) => (
+          <div key={row.track.id} className="flex items-center gap-3 rounded-xl bg-white/5 ring-1 ring-white/10 px-3 py-2">
+            <span className="w-6 shrink-0 text-xs font-black tabular-nums text-zinc-300">{i + 1}</span>
+            {row.track.albumImage ? (
+              <img src={row.track.albumImage} alt="" className="h-8 w-8 shrink-0 rounded-lg object-cover" />
+            ) : (
+              <div className="h-8 w-8 shrink-0 rounded-lg bg-white/5" />
+            )}
+            <div className="min-w-0 flex-1">
+              <div className="truncate text-xs font-semibold">{row.track.name}</div>
+              <div className="truncate text-[10px] text-zinc-500">
+                {row.track.kind && row.track.kind !== "track" ? `${entrantType({ entrantType: row.track.kind }).title} • ` : ""}
+                {entrantByline(row.track)}
+              </div>
+            </div>
+            <div className="shrink-0 text-right">
+              <div className="text-xs font-bold tabular-nums">{row.rating}</div>
+              <div className="text-[10px] tabular-nums text-zinc-500">
+                {row.wins}W–{row.losses}L
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {rows.length > 10 ? (
+        <button
+          type="button"
+          onClick={() => setShowAll((v) => !v)}
+          className="mt-3 text-[11px] text-zinc-400 hover:text-zinc-200 underline underline-offset-2"
+        >
+          {showAll ? "Show less" : `Show all ${rows.length}`}
+        </button>
+      ) : null}
+    </Card>
+  );
+}
+
+// "I choose" bye rule: the round waits until one entrant is picked to sit it out
+function ByeChoice({ round, onChoose }) {
+  const toFinal = round?.type === "three";
+
+  return (
+    <Card className="p-4">
+      <div className="text-sm font-bold">{toFinal ? "Who waits in the Final?" : "Who gets the bye?"}</div>
+      <div className="mt-1 text-xs text-zinc-400 leading-relaxed">
+        {toFinal
+          ? "3 tracks are left. The one you choose goes straight to the Final; the other two play for the last spot."
+          : "This round has an odd number of tracks. The one you choose skips it; the rest are paired by seed."}
+      </div>
+
+      <div className="mt-3 max-h-80 overflow-y-auto space-y-1.5 pr-1">
+        {(round?.entrants || []).map((t, i) => (
+          <button
+            key={t.id}
+            type="button"
+            onClick={() => onChoose(t.id)}
+            className="flex w-full items-center gap-2 rounded-xl bg-white/5 ring-1 ring-white/10 px-3 py-2 text-left text-[11px] hover:bg-white/10"
+          >
+            <span className="w-6 shrink-0 tabular-nums text-zinc-500">#{i + 1}</span>
+            <span className="min-w-0 flex-1">
+              <span className="block truncate text-zinc-200">{t.name}</span>
+              <span className="block truncate text-zinc-500">{entrantByline(t)}</span>
+            </span>
+            <ChevronRight className="h-4 w-4 shrink-0 text-zinc-500" />
+          </button>
+        ))}
+      </div>
+    </Card>
+  );
+}
+
+function InvalidatedNotice({ tournament, onDismiss }) {
+  const list = tournament?.invalidated || [];
+  if (!list.length) return null;
+
+  const byId = new Map((tournament.rounds[0]?.entrants || []).map((t) => [t.id, t]));
+  const nameOf = (id) => byId.get(id)?.name || "—";
+
+  return (
+    <Card className="p-4">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-sm font-bold">Later results cleared</div>
+          <div className="mt-1 text-xs text-zinc-400 leading-relaxed">
+            Your change re-paired the following rounds. These matchups no longer happen, so their picks were dropped.
+          </div>
+        </div>
+        <button type="button" onClick={onDismiss} className="shrink-0 text-[11px] text-zinc-400 hover:text-zinc-200 underline underline-offset-2">
+          Dismiss
+        </button>
+      </div>
+
+      <div className="mt-3 space-y-2">
+        {list.map((h, i) => (
+          <div key={`${h.aId}-${h.bId}-${i}`} className="rounded-2xl bg-amber-500/10 ring-1 ring-amber-500/20 p-3 text-[11px]">
+            <div className="flex items-center justify-between gap-2 text-amber-100">
+              <span className="truncate line-through">{nameOf(h.aId)}</span>
+              <span className="text-amber-300/70">vs</span>
+              <span className="truncate line-through">{nameOf(h.bId)}</span>
+            </div>
+            <div className="mt-0.5 text-[10px] text-amber-200/70">
+              Round {h.round + 1} • you had picked {nameOf(h.winnerId)}
+            </div>
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+}
+
+function formatSavedAt(ms) {
+  if (!ms) return "";
+  const d = new Date(ms);
+  const today = new Date().toDateString() === d.toDateString();
+  return today
+    ? `today ${d.toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" })}`
+    : d.toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" });
+}
+
+function SavedTournaments({ slots, activeId, choosing, error, onResume, onRename, onDuplicate, onDelete, onDownload }) {
+  const [editing, setEditing] = useState(null); // { id, name }
+  const linkClass = "text-[11px] text-zinc-400 hover:text-zinc-200 underline underline-offset-2";
+
+  const needAttention = slots.filter((s) => s.problem).length;
+
+  function finishRename(slot) {
+    onRename(slot.id, editing.name.trim() || slot.playlistName || slot.name);
+    setEditing(null);
+  }
+
+  return (
+    <Card className="p-4">
+      <div className="text-sm font-bold">Saved tournaments</div>
+      <div className="mt-1 text-xs text-zinc-400">
+        {choosing
+          ? "Pick one up where you left off, or load new sources below to start another."
+          : `${plural(slots.length, "save")} on this device. The tournament on screen saves itself after every pick.`}
+        {needAttention ? ` ${needAttention === 1 ? "One save needs" : `${needAttention} saves need`} attention.` : ""}
+      </div>
+
+      <div className="mt-3 max-h-96 overflow-y-auto space-y-2 pr-1">
+        {slots.map((slot) => {
+          const active = slot.id === activeId;
+          const noun = entrantType({ entrantType: slot.entrantType }).noun;
+          const pct = slot.total ? Math.round((slot.done / slot.total) * 100) : 0;
+          return (
+            <div key={slot.id} className={`rounded-2xl p-3 ring-1 ${active ? "bg-white/10 ring-white/25" : "bg-white/5 ring-white/10"}`}>
+              <div className="flex items-center gap-3">
+                {slot.champion?.image || slot.cover ? (
+                  <img src={slot.champion?.image || slot.cover} alt="" className="h-12 w-12 shrink-0 rounded-xl object-cover" />
+                ) : (
+                  <div className="flex h-12 w-12 shrink-0 items-center justify-center rounded-xl bg-white/10">
+                    <Music2 className="h-5 w-5 text-zinc-400" />
+                  </div>
+                )}
+                <div className="min-w-0 flex-1">
+                  {editing?.id === slot.id ? (
+                    <form
+                      onSubmit={(e) => {
+                        e.preventDefault();
+                        finishRename(slot);
+                      }}
+                    >
+                      <input
+                        autoFocus
+                        value={editing.name}
+                        onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                        onBlur={() => finishRename(slot)}
+                        maxLength={80}
+                        className="w-full rounded-lg bg-white/10 ring-1 ring-white/20 px-2 py-1 text-sm text-white focus:outline-none"
+                      />
+                    </form>
+                  ) : (
+                    <div className="truncate text-sm font-semibold">{slot.name}</div>
+                  )}
+                  {slot.problem ? (
+                    <div className="mt-0.5 truncate text-[11px] text-amber-200">
+                      {slot.problem === "newer" ? "Made by a newer version" : "Can’t be opened"}
+                    </div>
+                  ) : (
+                    <>
+                      <div className="mt-0.5 truncate text-[11px] text-zinc-300">
+                        {slot.champion ? `Champion: ${slot.champion.name}` : `${slot.done}/${slot.total} matches`} •{" "}
+                        {plural(slot.entrants, noun)}
+                      </div>
+                      <div className="truncate text-[11px] text-zinc-500">
+                        {active ? "On screen • " : ""}Saved {formatSavedAt(slot.savedAt)}
+                      </div>
+                    </>
+                  )}
+                </div>
+                {!active && !slot.problem ? (
+                  <button
+                    type="button"
+                    onClick={() => onResume(slot.id)}
+                    className="shrink-0 rounded-xl bg-white px-3 py-1.5 text-[11px] font-semibold text-black hover:bg-white/90"
+                  >
+                    Resume
+                  </button>
+                ) : null}
+              </div>
+
+              {slot.problem ? (
+                <div className="mt-2 rounded-xl bg-amber-500/10 ring-1 ring-amber-500/20 p-2.5 text-[11px] text-amber-100">
+                  {slot.problemMessage}
+                  <div className="mt-2 flex gap-3">
+                    {slot.problem !== "missing" ? (
+                      <button type="button" className={linkClass} onClick={() => onDownload(slot)}>
+                        Download a copy
+                      </button>
+                    ) : null}
+                    {slot.problem !== "missing" ? (
+                      <button type="button" className={linkClass} onClick={() => onResume(slot.id)}>
+                        Try again
+                      </button>
+                    ) : null}
+                    <button type="button" className={linkClass} onClick={() => onDelete(slot)}>
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <>
+                  {!slot.champion ? (
+                    <div className="mt-2 h-1 w-full rounded-full bg-white/10">
+                      <div className="h-1 rounded-full bg-white/60" style={{ width: `${pct}%` }} />
+                    </div>
+                  ) : null}
+
+                  <div className="mt-2 flex gap-3">
+                    <button type="button" className={linkClass} onClick={() => setEditing({ id: slot.id, name: slot.name })}>
+                      Rename
+                    </button>
+                    <button type="button" className={linkClass} onClick={() => onDuplicate(slot.id)}>
+                      Duplicate
+                    </button>
+                    <button type="button" className={linkClass} onClick={() => onDelete(slot)}>
+                      Delete
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {error ? <div className="mt-3 rounded-2xl bg-rose-500/10 ring-1 ring-rose-500/25 p-3 text-xs text-rose-200">{error}</div> : null}
+    </Card>
+  );
+}
+
+function SessionFiles({ tournament, state, onExportJson, onExportCsv, onImport }) {
+  const inputRef = useRef(null);
+
+  return (
+    <Card className="p-4">
+      <div className="text-sm font-bold">Files</div>
+      <div className="mt-1 text-xs text-zinc-400">
+        Move a tournament to another device as JSON, or take the results to a spreadsheet as CSV.
+      </div>
+
+      {tournament ? (
+        <div className="mt-3 grid grid-cols-2 gap-2">
+          <Button variant="ghost" className="col-span-2" onClick={onExportJson}>
+            <ExternalLink className="h-4 w-4" />
+            Export tournament (JSON)
+          </Button>
+          <Button variant="ghost" onClick={() => onExportCsv("matches")}>
+            Matches CSV
+          </Button>
+          <Button variant="ghost" onClick={() => onExportCsv("standings")} disabled={!tournament.champion}>
+            Standings CSV
+          </Button>
+        </div>
+      ) : null}
+
+      <div className="mt-2">
+        <input
+          ref={inputRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={(e) => {
+            onImport(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
+        <Button variant="ghost" className="w-full" onClick={() => inputRef.current?.click()}>
+          Import tournament…
+        </Button>
+      </div>
+
+      {state.message ? (
+        <div
+          className={`mt-3 rounded-2xl p-3 text-xs ring-1 ${
+            state.status === "error" ? "bg-rose-500/10 ring-rose-500/25 text-rose-200" : "bg-emerald-500/10 ring-emerald-500/25 text-emerald-200"
+          }`}
+        >
+          {state.message}
+        </div>
+      ) : null}
+    </Card>
+  );
+}
+
+function VotingSetup({ voting, onChange }) {
+  const weighted = voting.rule === "weighted";
+  const names = voting.voters.map((v) => v.name.trim());
+  const ready = activeVoters(voting).length > 0;
+
+  function setVoter(i, patch) {
+    onChange({ ...voting, voters: voting.voters.map((v, vi) => (vi === i ? { ...v, ...patch } : v)) });
+  }
+
+  return (
+    <Card className="p-4">
+      <div className="text-sm font-bold">Pass-and-play</div>
+      <div className="mt-1 text-xs text-zinc-400">
+        Several people share one phone. Everyone votes on every match, and the votes stay hidden until the last one is in.
+      </div>
+
+      <div className="mt-3 grid grid-cols-2 gap-2">
+        <Toggle
+          checked={voting.enabled}
+          onChange={(v) => onChange({ ...voting, enabled: v })}
+          label="Vote as a group"
+          hint="Each match collects one vote per voter"
+        />
+      </div>
+
+      {voting.enabled ? (
+        <>
+          <div className="mt-3 space-y-1.5">
+            {voting.voters.map((v, i) => (
+              <div key={i} className="flex items-center gap-2">
+                <div className="min-w-0 flex-1">
+                  <Input value={v.name} onChange={(name) => setVoter(i, { name })} placeholder={`Voter ${i + 1}`} />
+                </div>
+                {weighted ? (
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={v.weight}
+                    onChange={(e) => setVoter(i, { weight: e.target.value })}
+                    aria-label={`Weight for ${v.name || `voter ${i + 1}`}`}
+                    className="w-16 rounded-2xl bg-white/5 ring-1 ring-white/10 px-3 py-3 text-sm text-white tabular-nums focus:outline-none focus:ring-2 focus:ring-white/30"
+                  />
+                ) : null}
+                <Button
+                  variant="ghost"
+                  className="shrink-0"
+                  disabled={voting.voters.length <= 2}
+                  onClick={() => onChange({ ...voting, voters: voting.voters.filter((_, vi) => vi !== i) })}
+                >
+                  Remove
+                </Button>
+              </div>
+            ))}
+          </div>
+
+          <div className="mt-2">
+            <Button
+              variant="ghost"
+              className="w-full"
+              onClick={() =>
+                onChange({ ...voting, voters: [...voting.voters, { name: `Player ${voting.voters.length + 1}`, weight: 1 }] })
+              }
+            >
+              Add voter
+            </Button>
+          </div>
+
+          <div className="mt-3 grid grid-cols-2 gap-2">
+            <div>
+              <div className="mb-1 text-[11px] text-zinc-400">Counting</div>
+              <Select value={voting.rule} onChange={(rule) => onChange({ ...voting, rule })} options={VOTE_RULES} />
+            </div>
+            <div>
+              <div className="mb-1 text-[11px] text-zinc-400">On a tie</div>
+              <Select value={voting.tieBreak} onChange={(tieBreak) => onChange({ ...voting, tieBreak })} options={TIE_BREAKS} />
+            </div>
+          </div>
+
+          {!ready ? (
+            <div className="mt-3 text-[11px] text-amber-200">
+              {names.filter(Boolean).length < 2
+                ? "Name at least two voters."
+                : "Voter names must be different."}{" "}
+              Until then, picks are made by one person.
+            </div>
+          ) : null}
+        </>
+      ) : null}
+    </Card>
+  );
+}
+
+function VoteHandoff({ voter, done, total, onReady }) {
+  return (
+    <Card className="p-4">
+      <div className="text-sm font-bold">Pass the phone to {voter}</div>
+      <div className="mt-1 text-xs text-zinc-400">
+        {done ? `Vote locked in (${done}/${total}).` : "Nobody has voted yet."} Votes stay hidden until everyone has voted.
+      </div>
+      <div className="mt-3">
+        <Button className="w-full" onClick={onReady}>
+          I’m {voter}, show the match
+          <ChevronRight className="h-4 w-4" />
+        </Button>
+      </div>
+    </Card>
+  );
+}
+
+function VoteReveal({ ballots, result, pair, voting, onContinue, onRevote }) {
+  const weighted = voting.rule === "weighted";
+  const nameOf = (side) => pair[side]?.name || "—";
+  const tieNote = {
+    seed: "Tie: the higher seed goes through.",
+    chair: `Tie: ${ballots[0]?.voter} had the deciding vote.`,
+    coin: "Tie: decided by a coin flip.",
+  };
+
+  return (
+    <Card className="p-4">
+      <div className="text-sm font-bold">The votes are in</div>
+
+      <div className="mt-3 space-y-1.5">
+        {ballots.map((b) => (
+          <div key={b.voter} className="flex items-center justify-between gap-3 rounded-xl bg-white/5 ring-1 ring-white/10 px-3 py-2 text-[11px]">
+            <span className="shrink-0 text-zinc-300">
+              {b.voter}
+              {weighted ? <span className="text-zinc-500"> ×{voterWeight(voting, b.voter)}</span> : null}
+            </span>
+            <span className="min-w-0 truncate text-zinc-200">{nameOf(b.side)}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-3 grid grid-cols-2 gap-2 text-center">
+        {["a", "b"].map((side) => (
+          <div
+            key={side}
+            className={`rounded-2xl p-3 ring-1 ${
+              result?.side === side ? "bg-emerald-500/10 ring-emerald-500/30" : "bg-white/5 ring-white/10"
+            }`}
+          >
+            <div className="text-lg font-extrabold tabular-nums">
+              {ballots.filter((b) => b.side === side).reduce((sum, b) => sum + voterWeight(voting, b.voter), 0)}
+            </div>
+            <div className="mt-0.5 text-[11px] text-zinc-400 truncate">{nameOf(side)}</div>
+          </div>
+        ))}
+      </div>
+
+      {result ? (
+        <>
+          <div className="mt-3 text-xs text-zinc-300">
+            <span className="font-semibold text-white">{nameOf(result.side)}</span> goes through.
+            {result.tieBreak ? <span className="text-zinc-400"> {tieNote[result.tieBreak]}</span> : null}
+          </div>
+          <div className="mt-3">
+            <Button className="w-full" onClick={onContinue}>
+              Continue
+              <ChevronRight className="h-4 w-4" />
+            </Button>
+          </div>
+        </>
+      ) : (
+        <>
+          <div className="mt-3 text-xs text-zinc-300">It’s a tie. Everyone votes again.</div>
+          <div className="mt-3">
+            <Button className="w-full" onClick={onRevote}>
+              <RefreshCw className="h-4 w-4" />
+              Vote again
+            </Button>
+          </div>
+        </>
+      )}
+    </Card>
+  );
+}
+
+function VoterAgreement({ tournament }) {
+  const { matches, voters, pairs } = useMemo(() => voterAgreement(tournament?.history), [tournament?.history]);
+  if (!matches) return null;
+
+  const pct = (n, d) => (d ? `${Math.round((100 * n) / d)}%` : "—");
+
+  return (
+    <Card className="p-4">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-bold">Who agreed with whom</div>
+        <div className="text-xs text-zinc-400">
+          {matches} voted {matches === 1 ? "match" : "matches"}
+        </div>
+      </div>
+
+      <div className="mt-3 space-y-1.5">
+        {voters.map((v) => (
+          <div key={v.name} className="flex items-center justify-between gap-3 text-[11px]">
+            <span className="truncate text-zinc-200">{v.name}</span>
+            <span className="shrink-0 tabular-nums text-zinc-400">
+              backed the winner {v.agreed}/{v.total} • {pct(v.agreed, v.total)}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {pairs.length ? (
+        <div className="mt-3 space-y-1.5 border-t border-white/10 pt-3">
+          {pairs.map((p) => (
+            <div key={`${p.a}|${p.b}`} className="flex items-center justify-between gap-3 text-[11px]">
+              <span className="truncate text-zinc-200">
+                {p.a} & {p.b}
+              </span>
+              <span className="shrink-0 tabular-nums text-zinc-400">
+                same pick {p.same}/{p.total} • {pct(p.same, p.total)}
+              </span>
+            </div>
+          ))}
+        </div>
+      ) : null}
+    </Card>
+  );
+}
+
+function ShareLink({ tournament, name }) {
+  const [withPicks, setWithPicks] = useState(true);
+  const [result, setResult] = useState({ status: "idle", url: null, error: null, forKey: null });
+
+  const picks = tournament.history.length;
+  const forKey = `${tournament.id}|${tournament.history.length}|${cursorKey(tournament)}|${withPicks}`;
+  const current = result.forKey === forKey ? result : { status: "idle" };
+
+  async function handleCopy() {
+    setResult({ status: "working", url: null, error: null, forKey });
+    try {
+      const url = await buildShareLink({ tournament, name, withPicks });
+      let copied = false;
+      try {
+        await navigator.clipboard.writeText(url);
+        copied = true;
+      } catch {
+        // No clipboard permission: the link is shown below to copy by hand
+      }
+      setResult({ status: copied ? "copied" : "ready", url, error: null, forKey });
+    } catch (e) {
+      setResult({ status: "error", url: null, error: e?.message || String(e), forKey });
+    }
+  }
+
+  return (
+    <Card className="p-4">
+      <div className="text-sm font-bold">Share a link</div>
+      <div className="mt-1 text-xs text-zinc-400">
+        Opens this bracket for a friend: same tracks, same seeding. They sign in with their own Spotify.
+      </div>
+
+      <div className="mt-3 grid grid-cols-2 gap-2">
+        <Toggle
+          checked={withPicks}
+          onChange={setWithPicks}
+          label="Include our picks"
+          hint={picks ? `${plural(picks, "pick")} so far. Votes stay on this device.` : "Nothing picked yet."}
+        />
+        <Button className="col-span-2" onClick={handleCopy} disabled={current.status === "working"}>
+          {current.status === "working" ? <RefreshCw className="h-4 w-4 animate-spin" /> : <LinkIcon className="h-4 w-4" />}
+          {current.status === "copied" ? "Copied" : "Copy link"}
+        </Button>
+      </div>
+
+      {current.url ? (
+        <input
+          readOnly
+          value={current.url}
+          onFocus={(e) => e.target.select()}
+          className="mt-3 w-full rounded-2xl bg-black/25 ring-1 ring-white/10 px-3 py-2 text-[11px] text-zinc-300 focus:outline-none"
+        />
+      ) : null}
+      {current.status === "error" ? (
+        <div className="mt-3 rounded-2xl bg-rose-500/10 ring-1 ring-rose-500/25 p-3 text-xs text-rose-200">{current.error}</div>
+      ) : null}
+    </Card>
+  );
+}
+
+function ImageExport({ tournament, standings, kind, title, text }) {
+  const [image, setImage] = useState("poster");
+  const [format, setFormat] = useState("png");
+  const [result, setResult] = useState({ status: "idle", file: null, url: null, error: null, forKey: null });
+
+  const options = tournament.champion ? IMAGE_KINDS : IMAGE_KINDS.filter((x) => x.id === "bracket");
+  const chosen = tournament.champion ? image : "bracket";
+  // A preview made before the last pick (or with other settings) no longer matches
+  const forKey = `${tournament.id}|${tournament.history.length}|${cursorKey(tournament)}|${chosen}|${format}`;
+  const current = result.forKey === forKey ? result : { status: "idle" };
+  const canShareFiles = current.file && navigator.canShare?.({ files: [current.file] });
+
+  useEffect(() => {
+    const url = result.url;
+    return () => {
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [result.url]);
+
+  async function handleCreate() {
+    setResult({ status: "working", file: null, url: null, error: null, forKey });
+    try {
+      const file = await buildShareImage({ tournament, standings, kind, title, image: chosen, format });
+      setResult({ status: "ready", file, url: URL.createObjectURL(file), error: null, forKey });
+    } catch (e) {
+      setResult({ status: "error", file: null, url: null, error: e?.message || String(e), forKey });
+    }
+  }
+
+  async function handleShare() {
+    try {
+      await navigator.share({ files: [current.file], title: `My ${kind.title} bracket`, text });
+    } catch (e) {
+      if (e?.name !== "AbortError") downloadFile(current.file);
+    }
+  }
+
+  return (
+    <Card className="p-4">
+      <div className="text-sm font-bold">Share as an image</div>
+      <div className="mt-1 text-xs text-zinc-400">Made on this device. Nothing is uploaded.</div>
+
+      <div className="mt-3 grid grid-cols-2 gap-2">
+        <div>
+          <div className="mb-1 text-[11px] text-zinc-400">Image</div>
+          <Select value={chosen} onChange={setImage} options={options} />
+        </div>
+        <div>
+          <div className="mb-1 text-[11px] text-zinc-400">Format</div>
+          <Select value={format} onChange={setFormat} options={IMAGE_FORMATS} />
+        </div>
+      </div>
+
+      {current.status === "ready" ? (
+        <>
+          <img
+            src={current.url}
+            alt={IMAGE_KINDS.find((x) => x.id === chosen)?.label}
+            className="mt-3 max-h-96 w-full rounded-2xl object-contain ring-1 ring-white/10 bg-black"
+          />
+          <div className="mt-3 flex gap-2">
+            {canShareFiles ? (
+              <Button className="w-full" onClick={handleShare}>
+                <Sparkles className="h-4 w-4" />
+                Share
+              </Button>
+            ) : null}
+            <Button
+              variant={canShareFiles ? "ghost" : "primary"}
+              className={canShareFiles ? "shrink-0" : "w-full"}
+              onClick={() => downloadFile(current.file)}
+            >
+              Download
+            </Button>
+          </div>
+        </>
+      ) : (
+        <div className="mt-3">
+          <Button className="w-full" onClick={handleCreate} disabled={current.status === "working"}>
+            {current.status === "working" ? <RefreshCw className="h-4 w-4 animate-spin" /> : <Sparkles className="h-4 w-4" />}
+            Create image
+          </Button>
+        </div>
+      )}
+
+      {current.status === "error" ? (
+        <div className="mt-3 rounded-2xl bg-rose-500/10 ring-1 ring-rose-500/25 p-3 text-xs text-rose-200">{current.error}</div>
+      ) : null}
+    </Card>
+  );
+}
+
+const PLAYLIST_SAVE_MODES = [
+  { id: "new", label: "New playlist" },
+  { id: "update", label: `Update “${RANKINGS_PLAYLIST_NAME}”` },
+];
+
+function SaveToSpotify({ tournament, standings, defaults, canSave, onSave }) {
+  const [open, setOpen] = useState(false);
+  const [mode, setMode] = useState("new");
+  const [name, setName] = useState(defaults.name);
+  const [isPublic, setIsPublic] = useState(false);
+  const [result, setResult] = useState({ status: "idle", playlist: null, error: null, forKey: null });
+
+  // Undoing the final pick (or changing one) makes an earlier result stale
+  const forKey = `${tournament.id}|${tournament.history.length}`;
+  const current = result.forKey === forKey ? result : { status: "idle" };
+  const uris = rankedUris(standings);
+  const preview = standings.slice(0, 3);
+
+  async function handleConfirm() {
+    setResult({ status: "saving", playlist: null, error: null, forKey });
+    try {
+      const playlist = await onSave({ mode, name: name.trim() || defaults.name, description: defaults.description, uris, isPublic });
+      setResult({ status: "saved", playlist, error: null, forKey });
+      setOpen(false);
+    } catch (e) {
+      setResult({ status: "error", playlist: null, error: e?.message || String(e), forKey });
+    }
+  }
+
+  return (
+    <Card className="p-4">
+      <div className="text-sm font-bold">Save to Spotify</div>
+      <div className="mt-1 text-xs text-zinc-400">
+        {canSave
+          ? "A playlist of the final standings, champion first."
+          : "Sign in with Spotify to save the standings as a playlist."}
+      </div>
+
+      {open ? (
+        <div className="mt-3 space-y-2">
+          <Select value={mode} onChange={setMode} options={PLAYLIST_SAVE_MODES} />
+          {mode === "new" ? (
+            <Input value={name} onChange={setName} placeholder={defaults.name} />
+          ) : (
+            <div className="text-[11px] text-zinc-400">
+              Replaces the tracks in your “{RANKINGS_PLAYLIST_NAME}” playlist, or creates it the first time.
+            </div>
+          )}
+          <div className="grid grid-cols-2">
+            <Toggle
+              checked={isPublic}
+              onChange={setIsPublic}
+              label="Public"
+              hint={mode === "update" ? "Only used if the playlist has to be created." : "Show it on your profile."}
+            />
+          </div>
+
+          <div className="rounded-2xl bg-black/25 ring-1 ring-white/10 p-3 text-xs text-zinc-300">
+            {preview.map((row) => (
+              <div key={row.track.id} className="truncate">
+                {row.place}. {row.track.name}
+                {row.track.representative ? ` — ${row.track.representative.name}` : ""}
+              </div>
+            ))}
+            {uris.length > preview.length ? <div className="text-zinc-500">…and {uris.length - preview.length} more</div> : null}
+            <div className="mt-2 text-[11px] text-zinc-500">{defaults.description}</div>
+          </div>
+
+          <div className="flex gap-2">
+            <Button className="w-full" onClick={handleConfirm} disabled={current.status === "saving" || !uris.length}>
+              {current.status === "saving" ? <RefreshCw className="h-4 w-4 animate-spin" /> : <Music2 className="h-4 w-4" />}
+              Save {plural(uris.length, "track")}
+            </Button>
+            <Button variant="ghost" className="shrink-0" onClick={() => setOpen(false)} disabled={current.status === "saving"}>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <div className="mt-3">
+          <Button variant="ghost" className="w-full" onClick={() => setOpen(true)} disabled={!canSave}>
+            <Music2 className="h-4 w-4" />
+            Save as a playlist…
+          </Button>
+        </div>
+      )}
+
+      {current.status === "saved" ? (
+        <div className="mt-3 rounded-2xl bg-emerald-500/10 ring-1 ring-emerald-500/25 p-3 text-xs text-emerald-200">
+          {current.playlist.created ? "Created" : "Updated"} “{current.playlist.name}”.{" "}
+          <a href={current.playlist.url} target="_blank" rel="noreferrer" className="inline-flex items-center gap-1 underline">
+            Open in Spotify <ExternalLink className="h-3 w-3" />
+          </a>
+        </div>
+      ) : null}
+      {current.status === "error" ? (
+        <div className="mt-3 rounded-2xl bg-rose-500/10 ring-1 ring-rose-500/25 p-3 text-xs text-rose-200">{current.error}</div>
+      ) : null}
+    </Card>
+  );
+}
+
+function RoomHostPanel({ room, seconds, onSecondsChange, onOpen, onCloseVoting, onStop }) {
+  const [copied, setCopied] = useState(false);
+  const link = room.code ? roomJoinLink(room.code, room.serverUrl) : "";
+
+  async function copyLink() {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+      window.setTimeout(() => setCopied(false), 1500);
+    } catch {}
+  }
+
+  if (room.status !== "open") {
+    return (
+      <Card className="p-4">
+        <div className="text-sm font-bold">Group voting room</div>
+        <div className="mt-1 text-xs text-zinc-400 leading-relaxed">
+          Friends vote on each match from their phones, no Spotify account needed. Start the room server on this computer
+          with <span className="font-mono text-zinc-300">npm run room</span>.
+        </div>
+
+        <div className="mt-3 grid grid-cols-2 gap-2">
+          <div>
+            <div className="mb-1 text-[11px] text-zinc-400">Voting time</div>
+            <Select value={seconds} onChange={onSecondsChange} options={ROOM_SECONDS} />
+          </div>
+          <div className="flex items-end">
+            <Button className="w-full" onClick={onOpen} disabled={room.status === "connecting"}>
+              {room.status === "connecting" ? <RefreshCw className="h-4 w-4 animate-spin" /> : <LinkIcon className="h-4 w-4" />}
+              Open room
+            </Button>
+          </div>
+        </div>
+
+        {room.error ? (
+          <div className="mt-3 rounded-2xl bg-rose-500/10 ring-1 ring-rose-500/25 p-3 text-xs text-rose-200">{room.error}</div>
+        ) : null}
+      </Card>
+    );
+  }
+
+  return (
+    <Card className="p-4">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-sm font-bold">Group voting room</div>
+          <div className="mt-1 text-xs text-zinc-400">Open the link on a phone, or go to this page with ?room= and type the code.</div>
+        </div>
+        <div className="shrink-0 rounded-2xl bg-white/10 ring-1 ring-white/15 px-3 py-2 font-mono text-xl font-black tracking-widest">
+          {room.code}
+        </div>
+      </div>
+
+      <div className="mt-3 flex items-center gap-2">
+        <div className="min-w-0 flex-1 truncate rounded-xl bg-white/5 ring-1 ring-white/10 px-3 py-2 text-[11px] text-zinc-300">{link}</div>
+        <Button variant="ghost" className="shrink-0" onClick={copyLink}>
+          {copied ? "Copied" : "Copy"}
+        </Button>
+      </div>
+
+      <div className="mt-3 grid grid-cols-2 gap-2 text-center">
+        <div className="rounded-2xl bg-white/5 ring-1 ring-white/10 p-3">
+          <div className="text-lg font-extrabold tabular-nums">
+            {room.votes}/{room.voters}
+          </div>
+          <div className="mt-0.5 text-[11px] text-zinc-400">votes in</div>
+        </div>
+        <div className="rounded-2xl bg-white/5 ring-1 ring-white/10 p-3">
+          <div className="text-lg font-extrabold">
+            <Countdown closesAt={room.closesAt} />
+          </div>
+          <div className="mt-0.5 text-[11px] text-zinc-400">until voting closes</div>
+        </div>
+      </div>
+
+      {room.players.length ? (
+        <div className="mt-3 text-[11px] text-zinc-400">In the room: {room.players.join(", ")}</div>
+      ) : null}
+      {room.lastResult ? (
+        <div className="mt-1 text-[11px] text-zinc-400">
+          Last vote: <span className="text-zinc-200">{room.lastResult.winner?.name}</span> won{" "}
+          {Math.max(room.lastResult.tally.a, room.lastResult.tally.b)}–{Math.min(room.lastResult.tally.a, room.lastResult.tally.b)}
+          {room.lastResult.tieBreak ? " on seed" : ""}
+        </div>
+      ) : null}
+      {room.error ? <div className="mt-1 text-[11px] text-rose-200">{room.error}</div> : null}
+
+      <div className="mt-3 flex gap-2">
+        <Button className="w-full" onClick={onCloseVoting} disabled={!room.closesAt}>
+          Close voting now
+        </Button>
+        <Button variant="ghost" className="shrink-0" onClick={onStop}>
+          Stop room
+        </Button>
+      </div>
+    </Card>
+  );
+}
+
+function TruncationWarning({ truncations, className = "" }) {
+  return (
+    <div className={`rounded-2xl bg-amber-500/10 ring-1 ring-amber-500/20 p-3 text-xs text-amber-100 ${className}`}>
+      <div className="font-semibold">{truncations.length === 1 ? "Source truncated" : "Sources truncated"}</div>
+      {truncations.map((t) => (
+        <div key={t.name} className="mt-1 opacity-90">
+          “{t.name}” has {t.total.toLocaleString()} items, but only the first {t.loaded.toLocaleString()} could be loaded.
+          Later tracks are not in the draw.
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Between loading a playlist and building the bracket: filters + merged versions, with reasons
+function TrackReview({ tracks, filters, review, onChange, pool, field, fieldOptions, onFieldChange, truncations, onStart }) {
+  const [showAll, setShowAll] = useState(false);
+  const noun = entrantType({ entrantType: fieldOptions.entrants }).noun;
+  const set = (patch) => onChange({ ...filters, ...patch });
+  const fieldClass =
+    "w-full rounded-2xl bg-white/5 ring-1 ring-white/10 px-3 py-3 text-sm text-white placeholder:text-zinc-500 focus:outline-none focus:ring-2 focus:ring-white/30";
+
+  const removed = showAll ? review.removed : review.removed.slice(0, 8);
+
+  return (
+    <Card className="p-4">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-bold">Review tracks</div>
+        <div className="text-xs text-zinc-400 tabular-nums">
+          {review.kept.length}/{tracks.length} in the running
+        </div>
+      </div>
+      <div className="mt-1 text-xs text-zinc-400">Trim the field before the bracket is drawn.</div>
+
+      {truncations?.length ? <TruncationWarning truncations={truncations} className="mt-3" /> : null}
+
+      <div className="mt-3 grid grid-cols-2 gap-2">
+        <div className="col-span-2">
+          <div className="mb-1 text-[11px] text-zinc-400">Exclude artists (comma-separated)</div>
+          <input
+            value={filters.excludeArtists}
+            onChange={(e) => set({ excludeArtists: e.target.value })}
+            placeholder="e.g. Artist One, Artist Two"
+            className={fieldClass}
+          />
+        </div>
+        <div>
+          <div className="mb-1 text-[11px] text-zinc-400">Min length (m:ss)</div>
+          <input
+            value={filters.minDuration}
+            onChange={(e) => set({ minDuration: e.target.value })}
+            placeholder="any"
+            className={fieldClass}
+          />
+        </div>
+        <div>
+          <div className="mb-1 text-[11px] text-zinc-400">Max length (m:ss)</div>
+          <input
+            value={filters.maxDuration}
+            onChange={(e) => set({ maxDuration: e.target.value })}
+            placeholder="any"
+            className={fieldClass}
+          />
+        </div>
+        <div className="col-span-2">
+          <div className="mb-1 flex items-center justify-between text-[11px] text-zinc-400">
+            <span>Minimum popularity</span>
+            <span className="tabular-nums">{filters.minPopularity}</span>
+          </div>
+          <input
+            type="range"
+            min={0}
+            max={100}
+            value={filters.minPopularity}
+            onChange={(e) => set({ minPopularity: Number(e.target.value) })}
+            className="w-full accent-white"
+          />
+        </div>
+        <Toggle
+          checked={filters.skipExplicit}
+          onChange={(v) => set({ skipExplicit: v })}
+          label="Skip explicit"
+          hint="Leave out tracks marked explicit"
+        />
+        <Toggle
+          checked={filters.mergeVersions}
+          onChange={(v) => set({ mergeVersions: v })}
+          label="Merge versions"
+          hint="Same ISRC, or same title + artist (remasters, live, single/album)"
+        />
+      </div>
+
+      <div className="mt-4 text-[11px] font-semibold text-zinc-300">Field</div>
+      <div className="mt-2 grid grid-cols-2 gap-2">
+        <div className="col-span-2">
+          <div className="mb-1 text-[11px] text-zinc-400">Entrants</div>
+          <Select
+            value={fieldOptions.entrants}
+            onChange={(v) => onFieldChange({ ...fieldOptions, entrants: v })}
+            options={ENTRANT_TYPES}
+          />
+        </div>
+        <div>
+          <div className="mb-1 text-[11px] text-zinc-400">Size</div>
+          <Select
+            value={fieldOptions.size}
+            onChange={(v) => onFieldChange({ ...fieldOptions, size: v })}
+            options={FIELD_SIZES}
+          />
+        </div>
+        <div>
+          <div className="mb-1 text-[11px] text-zinc-400">Drawn by</div>
+          <Select
+            value={fieldOptions.method}
+            onChange={(v) => onFieldChange({ ...fieldOptions, method: v })}
+            options={FIELD_DRAWS}
+          />
+        </div>
+        {fieldOptions.method === "random" || fieldOptions.method === "stratified" ? (
+          <div className="col-span-2">
+            <div className="mb-1 text-[11px] text-zinc-400">Sample seed</div>
+            <div className="flex gap-2">
+              <input
+                value={fieldOptions.seed}
+                onChange={(e) => onFieldChange({ ...fieldOptions, seed: e.target.value.replace(/[^0-9]/g, "") })}
+                inputMode="numeric"
+                className={fieldClass}
+              />
+              <Button variant="ghost" onClick={() => onFieldChange({ ...fieldOptions, seed: newFieldSeed() })} className="shrink-0">
+                <RefreshCw className="h-4 w-4" />
+                Redraw
+              </Button>
+            </div>
+          </div>
+        ) : null}
+      </div>
+      <div className="mt-2 text-[11px] text-zinc-500">
+        {field.length < pool.length
+          ? `Drawing ${field.length} of ${plural(pool.length, noun)} (${FIELD_DRAWS.find((d) => d.id === fieldOptions.method)?.label.toLowerCase()}).`
+          : `All ${plural(pool.length, noun)} play.`}
+      </div>
+
+      {review.removed.length ? (
+        <div className="mt-4">
+          <div className="flex items-center justify-between">
+            <div className="text-[11px] font-semibold text-zinc-300">Removed ({review.removed.length})</div>
+            {review.removed.length > 8 ? (
+              <button
+                type="button"
+                onClick={() => setShowAll((v) => !v)}
+                className="text-[10px] text-zinc-400 hover:text-zinc-200 underline underline-offset-2"
+              >
+                {showAll ? "Show less" : `+ ${review.removed.length - 8} more`}
+              </button>
+            ) : null}
+          </div>
+          <div className="mt-2 space-y-1.5">
+            {removed.map(({ track, reason }) => (
+              <div key={track.id} className="rounded-xl bg-white/5 ring-1 ring-white/10 px-3 py-2 text-[11px]">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="min-w-0 truncate text-zinc-300">{track.name}</span>
+                  <span className="shrink-0 text-zinc-500">{entrantByline(track)}</span>
+                </div>
+                <div className="mt-0.5 text-[10px] text-amber-200/80">{reason}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <div className="mt-4 text-[11px] text-zinc-500">Nothing removed.</div>
+      )}
+
+      <div className="mt-4">
+        <Button onClick={onStart} disabled={field.length < 2} className="w-full">
+          <Trophy className="h-4 w-4" />
+          {field.length < 2 ? `Need at least 2 ${noun}s` : `Start tournament (${plural(field.length, noun)})`}
+        </Button>
+      </div>
+    </Card>
+  );
+}
+
+function ManualSeedList({ tournament, tracks, onMove }) {
+  const byId = new Map((tracks || []).map((t) => [t.id, t]));
+  const order = tournament?.rules?.order || [];
+
+  return (
+    <Card className="p-4">
+      <div className="text-sm font-bold">Manual seeding</div>
+      <div className="mt-1 text-xs text-zinc-400">
+        {tournament?.rules?.byeRule === "bottom"
+          ? "The last seed gets the bye on odd rounds."
+          : tournament?.rules?.byeRule === "random"
+          ? "Byes are drawn at random on odd rounds."
+          : tournament?.rules?.byeRule === "choice"
+          ? "You choose the bye on odd rounds."
+          : "Seed #1 gets the bye on odd rounds."}{" "}
+        Reorder before your first pick.
+      </div>
+
+      <div className="mt-3 max-h-72 overflow-y-auto space-y-1.5 pr-1">
+        {order.map((id, i) => (
+          <div key={id} className="flex items-center gap-2 rounded-xl bg-white/5 ring-1 ring-white/10 px-3 py-2 text-[11px]">
+            <span className="w-6 shrink-0 tabular-nums text-zinc-500">#{i + 1}</span>
+            <span className="min-w-0 flex-1 truncate text-zinc-200">{byId.get(id)?.name || id}</span>
+            <button
+              type="button"
+              disabled={i === 0}
+              onClick={() => onMove(id, -1)}
+              className="rounded-lg p-1 text-zinc-300 hover:bg-white/10 disabled:opacity-30"
+              aria-label="Move up"
+            >
+              <ChevronUp className="h-4 w-4" />
+            </button>
+            <button
+              type="button"
+              disabled={i === order.length - 1}
+              onClick={() => onMove(id, 1)}
+              className="rounded-lg p-1 text-zinc-300 hover:bg-white/10 disabled:opacity-30"
+              aria-label="Move down"
+            >
+              <ChevronDown className="h-4 w-4" />
+            </button>
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+}
+
+function FooterHint() {
+  return (
+    <div className="mt-6 text-center text-xs text-zinc-500">
+      <div className="inline-flex items-center gap-2">
+        <Shield className="h-4 w-4" />
+        <span>Client-side PKCE • No client secret stored</span>
+      </div>
+    </div>
+  );
+}
+
+// ------------------------
+// App
+// ------------------------
+export default function App() {
+  const [auth, setAuth] = useState({ status: "idle", token: null, error: null });
+  const [playlistInput, setPlaylistInput] = useState("");
+  const [loadState, setLoadState] = useState({ status: "idle", error: null });
+  const [playlistMeta, setPlaylistMeta] = useState(null);
+  const [tracks, setTracks] = useState([]);
+  const [extraSources, setExtraSources] = useState({ liked: false, topRange: "" });
+  const [trackFilters, setTrackFilters] = useState(DEFAULT_TRACK_FILTERS);
+  const [fieldOptions, setFieldOptions] = useState(() => ({
+    entrants: "track",
+    size: "all",
+    method: "top",
+    seed: newFieldSeed(),
+  }));
+  // Headless engine owns the tournament; React mirrors it through the "change" event
+  const [engine] = useState(() => createTournamentEngine());
+  const [tournament, setTournament] = useState(null);
+  const [ruleOptions, setRuleOptions] = useState({
+    seeding: "popularity",
+    seed: "",
+    format: "single",
+    bracketReset: true,
+    groupSize: 4,
+    advance: 2,
+    thirdPlace: false,
+    byeRule: "top",
+    threeLeft: "auto",
+  });
+  const [voting, setVoting] = useState(DEFAULT_VOTING);
+
+  // All-time ratings (persisted separately from the session save)
+  const [ratingStore, setRatingStore] = useState(() => loadRatingStore());
+  const [showRankings, setShowRankings] = useState(false);
+
+  // Save UI state
+  const [saveState, setSaveState] = useState({ status: "idle", error: null, lastSavedAt: null });
+  const [slots, setSlots] = useState([]);
+  const [activeSlotId, setActiveSlotState] = useState(null); // Save writes here; null makes a new slot
+  const [libraryError, setLibraryError] = useState(null);
+  const activeSlotRef = useRef(null); // the same id, readable before the next render
+  const saveQueueRef = useRef(Promise.resolve()); // saves are written one at a time, in order
+  const savedTournamentRef = useRef(null); // the tournament last written or loaded; autosave skips it
+  const autosaveRef = useRef(null);
+  const [fileState, setFileState] = useState({ status: "idle", message: null });
+  const [sharedLink, setSharedLink] = useState({ status: "idle", message: null });
+
+  // Tinder-style selection states
+  const [selectedSide, setSelectedSide] = useState(null);
+  const [isAdvancing, setIsAdvancing] = useState(false);
+  const [focusedCard, setFocusedCard] = useState("top"); // what Space plays: the card last hovered or tabbed to
+  const shortcutsRef = useRef(null);
+
+  // Pass-and-play ballots for the match at the cursor; `ready` once the current voter has the phone
+  const [ballotBox, setBallotBox] = useState(EMPTY_BALLOT_BOX);
+
+  // Group voting room: the room server decides matches, this screen mirrors it
+  const [room, setRoom] = useState(ROOM_OFF);
+  const [roomSeconds, setRoomSeconds] = useState("30");
+  const roomSocketRef = useRef(null);
+
+  // Web Playback SDK
+  const playerRef = useRef(null);
+  const [playerReady, setPlayerReady] = useState(false);
+  const [deviceId, setDeviceId] = useState(null);
+  const [playbackError, setPlaybackError] = useState(null);
+  const [premiumWarning, setPremiumWarning] = useState(null);
+  const [nowPlayingId, setNowPlayingId] = useState(null);
+  const [isPaused, setIsPaused] = useState(true);
+
+  // Listening duel: the top card's snippet, then the bottom one's, looping until a pick
+  const [listenPrefs, setListenPrefs] = useState(() => loadListenPrefs());
+  const [listen, setListen] = useState(LISTEN_OFF); // status: off | playing | paused | waiting (for the next match) | done
+  const listenTimerRef = useRef(null);
+  const listenRef = useRef(null); // this render's turn handlers, for the timer and the match effect
+
+  // Blind mode: the card fields hidden until the pick (empty = off)
+  const [blindFields, setBlindFields] = useState(() => loadBlindFields());
+
+  // UI mirrors engine state (registered before auto-restore so the restored tournament shows up)
+  useEffect(() => {
+    setTournament(engine.getState());
+    return engine.subscribe(setTournament);
+  }, [engine]);
+
+  // Stats: keep the rating store in step with every pick (and every undo / changed pick)
+  const playlistNameRef = useRef(null);
+  playlistNameRef.current = playlistMeta?.name || null;
+
+  useEffect(() => {
+    function sync({ tournament: t }) {
+      if (!t?.id) return;
+      const store = loadRatingStore();
+      const next = syncTournamentResults(store, t, pickResults(t), playlistNameRef.current);
+      if (next === store) return;
+      saveRatingStore(next);
+      setRatingStore(next);
+    }
+    const offs = ["matchDecided", "pickUndone", "pickChanged", "restored"].map((e) => engine.on(e, sync));
+    return () => offs.forEach((off) => off());
+  }, [engine]);
+
+  // Autosave: shortly after every pick, and straight away when the page is hidden or closed
+  autosaveRef.current = () => {
+    if (tournament && tracks?.length && tournament !== savedTournamentRef.current) saveSession("autosaved");
+  };
+
+  useEffect(() => {
+    if (!tournament || tournament === savedTournamentRef.current) return;
+    const timer = setTimeout(() => autosaveRef.current(), AUTOSAVE_MS);
+    return () => clearTimeout(timer);
+  }, [tournament]);
+
+  useEffect(() => {
+    function flush() {
+      autosaveRef.current();
+    }
+    function onVisibility() {
+      if (document.visibilityState === "hidden") flush();
+    }
+    window.addEventListener("pagehide", flush);
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => {
+      window.removeEventListener("pagehide", flush);
+      document.removeEventListener("visibilitychange", onVisibility);
+    };
+  }, []);
+
+  // Room: anything decided on this screen goes to the server. Results from the server come back
+  // through restore(), which fires none of these, so nothing echoes.
+  useEffect(() => {
+    if (room.status !== "open") return;
+    function sync({ tournament: t }) {
+      sendRoom(roomSocketRef.current, { type: "sync", tournament: t });
+    }
+    const offs = ["matchDecided", "byeChosen", "pickUndone", "pickChanged"].map((e) => engine.on(e, sync));
+    return () => offs.forEach((off) => off());
+  }, [engine, room.status]);
+
+  useEffect(() => () => roomSocketRef.current?.close(), []);
+
+  // Load a saved or imported session; throws (before touching any state) if its tournament is bad
+  const applySession = useCallback(
+    (saved) => {
+      engine.restore(saved.tournament);
+      setPlaylistInput(saved.playlistInput || "");
+      if (saved.extraSources) setExtraSources(saved.extraSources);
+      setPlaylistMeta(saved.playlistMeta || null);
+      setTracks(saved.tracks || []);
+      setTrackFilters({ ...DEFAULT_TRACK_FILTERS, ...saved.filters });
+      if (saved.field) setFieldOptions((s) => ({ ...s, ...saved.field }));
+      if (saved.voting) setVoting({ ...DEFAULT_VOTING, ...saved.voting });
+      setLoadState({ status: "ready", error: null });
+    },
+    [engine]
+  );
+
+  const setActiveSlotId = useCallback((id) => {
+    activeSlotRef.current = id;
+    setActiveSlotState(id);
+  }, []);
+
+  // Saved tournaments: nothing loads by itself, the library asks which one to resume (and flags unreadable saves)
+  useEffect(() => {
+    let cancelled = false;
+    async function check() {
+      try {
+        const { slots: checked, error } = await checkSlots();
+        if (cancelled) return;
+        setSlots(checked);
+        setLibraryError(error);
+      } catch (e) {
+        if (cancelled) return;
+        setLibraryError(`The saved tournaments couldn’t be checked: ${storageErrorMessage(e)}`);
+        setSlots(await loadSlotIndex().catch(() => []));
+      }
+    }
+    check();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // A #duel=… share link: rebuild the friend's bracket once there's a token
+  const openSharedLink = useCallback(
+    async (token) => {
+      const encoded = localStorage.getItem(PENDING_LINK_KEY);
+      if (!encoded) return;
+      localStorage.removeItem(PENDING_LINK_KEY);
+      setSharedLink({ status: "opening", message: "Opening the shared bracket…" });
+      try {
+        const session = await openSharedBracket(await parseShareLink(encoded), token);
+        applySession(session);
+        setActiveSlotId(null);
+        setSaveState({ status: "idle", error: null, lastSavedAt: null });
+
+        const t = session.tournament;
+        const picks = t.history.length;
+        const name = session.playlistMeta.name;
+        setSharedLink({
+          status: "opened",
+          message: t.champion
+            ? `Opened “${name}” with their champion. Tap a match in the bracket to try your own path.`
+            : picks
+            ? `Opened “${name}” with ${plural(picks, "pick")} already made. Undo them to play it yourself.`
+            : `Opened “${name}”, seeded the same way. Your turn.`,
+        });
+      } catch (e) {
+        setSharedLink({ status: "error", message: e?.message || String(e) });
+      }
+    },
+    [applySession, setActiveSlotId]
+  );
+
+  // OAuth redirect handler
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get("code");
+    const error = params.get("error");
+    takeShareLinkFromUrl();
+
+    async function init() {
+      try {
+        if (SPOTIFY_CLIENT_ID === "YOUR_SPOTIFY_CLIENT_ID") {
+          setAuth({ status: "needs_client_id", token: null, error: null });
+          return;
+        }
+
+        if (error) {
+          setAuth({ status: "error", token: null, error });
+          return;
+        }
+
+        if (code) {
+          setAuth({ status: "authing", token: null, error: null });
+          const token = await exchangeCodeForToken(code);
+          window.history.replaceState({}, document.title, window.location.pathname);
+          setAuth({ status: "authed", token, error: null });
+          await openSharedLink(token);
+          return;
+        }
+
+        const stored = getStoredAccessToken();
+        if (stored) {
+          setAuth({ status: "authed", token: stored, error: null });
+          await openSharedLink(stored);
+          return;
+        }
+
+        const refreshed = await refreshAccessTokenIfPossible();
+        if (refreshed) {
+          setAuth({ status: "authed", token: refreshed, error: null });
+          await openSharedLink(refreshed);
+          return;
+        }
+
+        setAuth({ status: "unauthorized", token: null, error: null });
+        if (localStorage.getItem(PENDING_LINK_KEY)) {
+          setSharedLink({ status: "waiting", message: "Sign in to open the bracket you were sent. The link waits here until you’re back." });
+        }
       } catch (e) {
         setAuth({ status: "error", token: null, error: e?.message || String(e) });
       }
     }
 
     init();
-  }, []);
+  }, [openSharedLink]);
+
+  // A share link pasted into a tab that's already open only changes the hash
+  useEffect(() => {
+    if (!auth.token) return;
+    function onHashChange() {
+      if (takeShareLinkFromUrl()) openSharedLink(auth.token);
+    }
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, [auth.token, openSharedLink]);
 
   // Initialize Web Playback SDK when authed
   useEffect(() => {
@@ -1066,53 +3304,96 @@ export default function App() {
   }, [auth?.token]);
 
   // Clear selection on cursor change
+  const matchKey = cursorKey(tournament);
   useEffect(() => {
     setSelectedSide(null);
     setIsAdvancing(false);
-  }, [tournament?.roundIndex, tournament?.cursor?.match, tournament?.cursor?.special]);
+    setFocusedCard("top");
+    setBallotBox(EMPTY_BALLOT_BOX);
+  }, [matchKey]);
 
   const canLoadPlaylist = auth.status === "authed" && !!auth.token;
+  // An open room replaces pass-and-play: phones vote instead of handing this one around
+  const voters = room.status === "open" ? [] : activeVoters(voting);
+  const votesIn = voters.length > 0 && ballotBox.ballots.length === voters.length;
   const canPlayInsideApp = Boolean(auth.token && playerReady && deviceId);
 
-  async function handleLoadPlaylist() {
-    const playlistId = parseSpotifyPlaylistId(playlistInput);
-    if (!playlistId) {
-      setLoadState({ status: "error", error: "That playlist link/ID doesn’t look valid." });
-      return;
+  function tournamentRules(list) {
+    const seed = Number.parseInt(ruleOptions.seed, 10);
+
+    // Rating seeding needs the rating store, so its order is fixed here (popularity breaks ties)
+    let order;
+    if (ruleOptions.seeding === "rating") {
+      const ratings = computeRatings(ratingStore);
+      const rating = (t) => ratings.get(t.id)?.rating ?? ELO_START;
+      order = sortByPopularityDesc(list || [])
+        .sort((a, b) => rating(b) - rating(a))
+        .map((t) => t.id);
     }
 
-    try {
-      setLoadState({ status: "loading", error: null });
-      const token = auth.token;
-      if (!token) throw new Error("Not authenticated");
+    return {
+      seeding: ruleOptions.seeding,
+      order,
+      seed: Number.isFinite(seed) ? seed : undefined,
+      format: ruleOptions.format,
+      bracketReset: ruleOptions.format === "double" ? ruleOptions.bracketReset : undefined,
+      thirdPlace: ruleOptions.format !== "double" ? ruleOptions.thirdPlace : undefined,
+      groupSize: ruleOptions.format === "groups" ? ruleOptions.groupSize : undefined,
+      advance: ruleOptions.format === "groups" ? ruleOptions.advance : undefined,
+      entrantType: fieldOptions.entrants,
+      byeRule: ruleOptions.byeRule,
+      threeLeft: ruleOptions.format !== "double" ? ruleOptions.threeLeft : undefined,
+    };
+  }
+
+  // Manual seeding: reorder before the first pick, rebuilding round 1 each time
+  function handleMoveSeed(id, delta) {
+    if (!tournament || tournament.history.length) return;
+    const order = [...tournament.rules.order];
+    const from = order.indexOf(id);
+    const to = from + delta;
+    if (from === -1 || to < 0 || to >= order.length) return;
+    [order[from], order[to]] = [order[to], order[from]];
+    engine.create(tournament.rounds[0].entrants, { ...tournament.rules, order: undefined, manualOrder: order });
+  }
+
+  async function handleLoadSources() {
+    const { links, invalid } = parseSpotifySources(playlistInput);
+    if (invalid.length) {
+      setLoadState({
+        status: "error",
+        error: `“${invalid[0]}” isn’t a Spotify playlist, album, artist or track link.`,
+      });
+      return;
+    }
+    if (!links.length && !extraSources.liked && !extraSources.topRange) {
+      setLoadState({ status: "error", error: "Paste at least one Spotify link, or add Liked Songs / top tracks." });
+      return;
+    }
 
-      const data = await fetchPlaylistTracks(playlistId, token);
-      if (!data.tracks.length) throw new Error("No playable tracks found (empty or restricted playlist).");
+    const load = async (token) => {
+      const data = await fetchSources({ links, ...extraSources }, token);
+      if (!data.tracks.length) throw new Error("No playable tracks found (empty or restricted sources).");
 
-      setPlaylistMeta(data.playlist);
+      setPlaylistMeta(data.meta);
       setTracks(data.tracks);
+      engine.reset();
+      setActiveSlotId(null);
 
-      const t = buildTournament(data.tracks);
-      setTournament(t);
+      setLoadState({ status: "review", error: null });
+    };
 
-      setLoadState({ status: "ready", error: null });
+    try {
+      setLoadState({ status: "loading", error: null });
+      const token = auth.token;
+      if (!token) throw new Error("Not authenticated");
+      await load(token);
     } catch (e) {
       try {
         const newTok = await refreshAccessTokenIfPossible();
         if (newTok) {
           setAuth((s) => ({ ...s, token: newTok, status: "authed" }));
-
-          const playlistId2 = parseSpotifyPlaylistId(playlistInput);
-          const data2 = await fetchPlaylistTracks(playlistId2, newTok);
-          if (!data2.tracks.length) throw new Error("No playable tracks found (empty or restricted playlist).");
-
-          setPlaylistMeta(data2.playlist);
-          setTracks(data2.tracks);
-
-          const t2 = buildTournament(data2.tracks);
-          setTournament(t2);
-
-          setLoadState({ status: "ready", error: null });
+          await load(newTok);
           return;
         }
       } catch {}
@@ -1121,6 +3402,29 @@ export default function App() {
     }
   }
 
+  // Review step: what survives the filters + version merge
+  const review = useMemo(() => reviewTracks(tracks, trackFilters), [tracks, trackFilters]);
+  const entrantPool = useMemo(() => groupEntrants(review.kept, fieldOptions.entrants), [review.kept, fieldOptions.entrants]);
+  const field = useMemo(() => sampleField(entrantPool, fieldOptions), [entrantPool, fieldOptions]);
+  const fieldSize = tournament ? tournament.rounds[0].entrants.length : field.length;
+  // With more than one source, cards + bracket rows say where each entrant came from
+  const multiSource = (playlistMeta?.sources?.length || 0) > 1;
+
+  async function handleStartTournament() {
+    if (field.length < 2) return;
+
+    // Album / artist seeding uses catalog popularity, so the field is drawn again once it's known
+    let list = field;
+    if (fieldOptions.entrants !== "track") {
+      setLoadState({ status: "loading", error: null });
+      list = sampleField(await withCatalogPopularity(entrantPool, fieldOptions.entrants, auth.token), fieldOptions);
+    }
+
+    engine.create(list, tournamentRules(list));
+    setActiveSlotId(null);
+    setLoadState({ status: "ready", error: null });
+  }
+
   // Determine current stage
   const currentStage = useMemo(() => {
     if (!tournament || tournament.champion) return null;
@@ -1128,8 +3432,13 @@ export default function App() {
     const cur = tournament.cursor;
     if (!r || !cur) return null;
 
+    if (cur.special === "bye") return { kind: "bye", a: null, b: null, top: null, round: r };
     if (cur.special === "three") return { kind: "three", a: r.match?.a, b: r.match?.b, top: r.top, round: r };
     if (cur.special === "final") return { kind: "final", a: r.final?.a, b: r.final?.b, top: null, round: r };
+    if (cur.group != null) {
+      const f = r.groups[cur.group]?.fixtures[cur.fixture];
+      return { kind: "group", a: f?.a, b: f?.b, top: null, round: r, group: r.groups[cur.group] };
+    }
     if (typeof cur.match === "number") {
       const m = r.matches[cur.match];
       return { kind: "normal", a: m?.a, b: m?.b, top: r.bye || null, round: r };
@@ -1139,30 +3448,175 @@ export default function App() {
 
   const roundProgress = useMemo(() => getTotalDone(tournament), [tournament]);
 
+  // Older saves were finished before standings existed; compute them on the fly
+  const standings = useMemo(
+    () => (tournament?.champion ? tournament.standings || finalStandings(tournament) : []),
+    [tournament]
+  );
+
   function resetAll() {
+    handleStopRoom();
     setPlaylistMeta(null);
     setTracks([]);
-    setTournament(null);
+    setTrackFilters(DEFAULT_TRACK_FILTERS);
+    engine.reset();
+    setActiveSlotId(null);
     setLoadState({ status: "idle", error: null });
     setSelectedSide(null);
     setIsAdvancing(false);
+    stopListening();
   }
 
-  function handleSave() {
+  function sessionPayload() {
+    return {
+      playlistInput,
+      extraSources,
+      playlistMeta,
+      tracks,
+      filters: trackFilters,
+      field: fieldOptions,
+      voting,
+      tournament,
+    };
+  }
+
+  function handleExportJson() {
+    if (!tournament || !tracks?.length) return;
+    const name = exportFileName(playlistMeta?.name, "json");
+    downloadFile(new File([sessionToJson(sessionPayload())], name, { type: "application/json" }));
+  }
+
+  function handleExportCsv(which) {
+    if (!tournament) return;
+    const csv = which === "standings" ? standingsCsv(standings) : matchesCsv(tournament);
+    const name = exportFileName(`${playlistMeta?.name || "tournament"} ${which}`, "csv");
+    downloadFile(new File([csv], name, { type: "text/csv" }));
+  }
+
+  function handleSaveRankedPlaylist(options) {
+    return withScopeHint(saveRankedPlaylist(options, spotifyApi(auth.token)), "your playlists");
+  }
+
+  async function handleImportFile(file) {
+    if (!file) return;
+    if (tournament && !window.confirm("Importing replaces the tournament on screen. Continue?")) return;
     try {
-      if (!tournament || !tracks?.length) {
-        setSaveState({ status: "error", error: "Nothing to save yet.", lastSavedAt: null });
-        return;
-      }
-      saveToLocalStorage({ playlistInput, playlistMeta, tracks, tournament, loadState: { status: "ready", error: null } });
-      setSaveState({ status: "saved", error: null, lastSavedAt: Date.now() });
+      const session = parseSessionFile(await file.text());
+      handleStopRoom();
+      applySession(session);
+      setActiveSlotId(null);
+      setSaveState({ status: "idle", error: null, lastSavedAt: null });
+      setFileState({
+        status: "imported",
+        message: session.tournament.champion
+          ? `Imported “${session.playlistMeta.name}”. It’s finished, so the results are below.`
+          : `Imported “${session.playlistMeta.name}”. Pick up where it left off; it’s saved on this device as you go.`,
+      });
     } catch (e) {
-      setSaveState({ status: "error", error: e?.message || String(e), lastSavedAt: null });
+      setFileState({ status: "error", message: e?.message || String(e) });
+    }
+  }
+
+  // Write the tournament on screen to its slot (a new slot the first time). The slot id is taken
+  // up front, so a second save queued behind this one lands in the same slot.
+  function saveSession(status) {
+    const id = activeSlotRef.current || makeId();
+    const session = sessionPayload();
+    const saved = tournament;
+    setActiveSlotId(id);
+    savedTournamentRef.current = saved;
+
+    const write = saveQueueRef.current.then(async () => {
+      try {
+        const slot = await saveToSlot(id, session);
+        setSlots(await loadSlotIndex());
+        setSaveState({ status, error: null, lastSavedAt: slot.savedAt });
+      } catch (e) {
+        if (savedTournamentRef.current === saved) savedTournamentRef.current = null;
+        setSaveState({ status: "error", error: storageErrorMessage(e), lastSavedAt: null });
+      }
+    });
+    saveQueueRef.current = write;
+    return write;
+  }
+
+  function handleSave() {
+    if (!tournament || !tracks?.length) {
+      setSaveState({ status: "error", error: "Nothing to save yet.", lastSavedAt: null });
+      return;
+    }
+    saveSession("saved");
+  }
+
+  async function handleResumeSlot(id) {
+    autosaveRef.current?.();
+    await saveQueueRef.current;
+    const read = await loadSlot(id);
+    if (read.ok) {
+      try {
+        handleStopRoom();
+        applySession(read.session);
+      } catch (e) {
+        read.ok = false;
+        read.problem = "damaged";
+        read.message = `This save is damaged: ${e?.message || e}`;
+      }
     }
+    if (!read.ok) {
+      await markSlotProblem(id, read);
+      setSlots(await loadSlotIndex());
+      return;
+    }
+    savedTournamentRef.current = engine.getState();
+    setActiveSlotId(id);
+    setLibraryError(null);
+    setSaveState({ status: "restored", error: null, lastSavedAt: read.savedAt });
+    if (await clearSlotProblem(id).catch(() => false)) setSlots(await loadSlotIndex());
+  }
+
+  async function handleDownloadSlot(slot) {
+    const { raw } = await loadSlot(slot.id);
+    if (raw == null) return;
+    downloadFile(new File([raw], exportFileName(`${slot.name} save`, "json"), { type: "application/json" }));
+  }
+
+  // Library edits wait for any save in flight, so they never race it
+  function editLibrary(edit) {
+    const run = saveQueueRef.current.then(async () => {
+      try {
+        await edit();
+        setLibraryError(null);
+      } catch (e) {
+        setLibraryError(storageErrorMessage(e));
+      }
+      setSlots(await loadSlotIndex().catch(() => []));
+    });
+    saveQueueRef.current = run;
+    return run;
+  }
+
+  function handleRenameSlot(id, name) {
+    return editLibrary(() => renameSlot(id, name));
+  }
+
+  function handleDuplicateSlot(id) {
+    return editLibrary(() => duplicateSlot(id));
+  }
+
+  function handleDeleteSlot(slot) {
+    if (!window.confirm(`Delete “${slot.name}”? This can’t be undone.`)) return;
+    if (slot.id === activeSlotId) setActiveSlotId(null);
+    return editLibrary(() => deleteSlot(slot.id));
+  }
+
+  function handleResetRatings() {
+    if (!window.confirm("Forget every rating from all past tournaments?")) return;
+    const empty = emptyRatingStore();
+    saveRatingStore(empty);
+    setRatingStore(empty);
   }
 
   function handleResetStorage() {
-    clearLocalStorageSave();
     setSaveState({ status: "idle", error: null, lastSavedAt: null });
     resetAll();
   }
@@ -1173,21 +3627,131 @@ export default function App() {
 
     setIsAdvancing(true);
     setSelectedSide(side);
+    // The duel stops on a pick and starts over when the next match is up
+    if (listen.status === "playing" || listen.status === "paused") {
+      window.clearTimeout(listenTimerRef.current);
+      if (listen.status === "playing") pausePlayback();
+      setListen({ ...LISTEN_OFF, status: "waiting" });
+    }
+
+    // A blind pick reveals both cards and holds them long enough to see what they were. Ballots
+    // stay hidden from the next voter; the vote reveal shows the pair instead.
+    const blind = blindFields.length ? { blind: blindFields } : null;
+    window.setTimeout(
+      () => {
+        if (voters.length) castVote(side);
+        else engine.pick(side, blind);
+        setSelectedSide(null);
+        setIsAdvancing(false);
+      },
+      blind && !voters.length ? BLIND_REVEAL_MS : 260
+    );
+  }
+
+  // Pass-and-play: file the current voter's ballot and hide the cards; the last ballot settles the match
+  function castVote(side) {
+    const ballots = [...ballotBox.ballots, { voter: voters[ballotBox.ballots.length], side, trackId: currentStage[side].id }];
+    const done = ballots.length === voters.length;
+    setBallotBox({
+      ballots,
+      ready: false,
+      result: done ? resolveVotes(ballots, voting, currentStage, tournament.rules) : null,
+      key: matchKey,
+    });
+  }
+
+  function handleVoteContinue() {
+    const { ballots, result, key } = ballotBox;
+    // The outgoing card stays mounted while it animates out; don't let it vote on the next match
+    if (!result || key !== cursorKey(engine.getState())) return;
+    engine.pick(result.side, {
+      vote: {
+        rule: voting.rule,
+        ballots: ballots.map((b) => ({ voter: b.voter, trackId: b.trackId, weight: voterWeight(voting, b.voter) })),
+        tally: result.tally,
+        tieBreak: result.tieBreak,
+      },
+      ...(blindFields.length ? { blind: blindFields } : {}),
+    });
+  }
+
+  function handleRoomMessage(msg) {
+    if (msg.type === "hosted") setRoom((r) => ({ ...r, status: "open", code: msg.code, error: null }));
+    else if (msg.type === "match") {
+      const closesAt = msg.remainingMs != null ? Date.now() + msg.remainingMs : null;
+      setRoom((r) => ({ ...r, votes: msg.votes, voters: msg.voters, closesAt }));
+    } else if (msg.type === "progress") setRoom((r) => ({ ...r, votes: msg.votes, voters: msg.voters, players: msg.players }));
+    else if (msg.type === "result") setRoom((r) => ({ ...r, lastResult: msg, error: null }));
+    else if (msg.type === "waiting" || msg.type === "champion") setRoom((r) => ({ ...r, votes: 0, closesAt: null }));
+    else if (msg.type === "state") engine.restore(msg.tournament);
+    else if (msg.type === "error") setRoom((r) => ({ ...r, error: msg.message }));
+  }
+
+  function handleOpenRoom() {
+    if (!tournament) return;
+    roomSocketRef.current?.close();
+    const serverUrl = roomServerUrl();
+    if (!serverUrl) {
+      setRoom({ ...ROOM_OFF, error: BAD_SERVER_MESSAGE });
+      return;
+    }
+    const socket = new WebSocket(serverUrl);
+    roomSocketRef.current = socket;
+    setRoom({ ...ROOM_OFF, status: "connecting", serverUrl });
+
+    socket.onopen = () => sendRoom(socket, { type: "host", tournament: engine.getState(), seconds: Number(roomSeconds) });
+    socket.onmessage = (e) => handleRoomMessage(JSON.parse(e.data));
+    socket.onerror = () =>
+      setRoom({ ...ROOM_OFF, error: `Couldn’t reach the room server at ${serverUrl}. Is npm run room running?` });
+    socket.onclose = () => {
+      if (roomSocketRef.current !== socket) return;
+      roomSocketRef.current = null;
+      setRoom((r) => (r.status === "open" ? { ...ROOM_OFF, error: "The connection to the room server was lost." } : r));
+    };
+  }
+
+  function handleStopRoom() {
+    const socket = roomSocketRef.current;
+    roomSocketRef.current = null;
+    socket?.close();
+    setRoom(ROOM_OFF);
+  }
+
+  function handleVotingChange(next) {
+    setVoting(next);
+    setBallotBox(EMPTY_BALLOT_BOX);
+  }
+
+  function handleUndo() {
+    if (isAdvancing) return;
+    engine.undo();
+  }
+
+  function handleRedo() {
+    if (isAdvancing) return;
+    engine.redo();
+  }
 
-    window.setTimeout(() => {
-      setTournament((t) => (t ? applyPick(t, side) : t));
-      setSelectedSide(null);
-      setIsAdvancing(false);
-    }, 260);
+  function handleChangePick(slot, winnerId) {
+    if (isAdvancing || !tournament) return;
+    const next = engine.previewChange(slot, winnerId);
+    if (next === tournament) return;
+    if (next.invalidated?.length) {
+      const ok = window.confirm(
+        `Changing this result re-pairs later rounds and clears ${next.invalidated.length} later pick(s). Continue?`
+      );
+      if (!ok) return;
+    }
+    engine.changePick(slot, winnerId);
   }
 
-  async function playTrack(track) {
+  async function playTrack(track, positionMs = 0) {
     if (!auth.token || !deviceId || !track?.uri) return;
     setPlaybackError(null);
     try {
       await spotifyNoContent(`/me/player/play?device_id=${encodeURIComponent(deviceId)}`, auth.token, {
         method: "PUT",
-        body: JSON.stringify({ uris: [track.uri] }),
+        body: JSON.stringify({ uris: [track.uri], ...(positionMs ? { position_ms: Math.round(positionMs) } : {}) }),
       });
     } catch (e) {
       setPlaybackError(e?.message || String(e));
@@ -1206,7 +3770,7 @@ export default function App() {
 
   async function togglePlay(track) {
     if (!track) return;
-    if (nowPlayingId === track.id) {
+    if (nowPlayingId === playbackId(track)) {
       if (isPaused) {
         try {
           await spotifyNoContent(`/me/player/play?device_id=${encodeURIComponent(deviceId)}`, auth.token, { method: "PUT" });
@@ -1221,37 +3785,179 @@ export default function App() {
     await playTrack(track);
   }
 
-  function normalizePair(a, b) {
+  // Play `side`'s snippet, `elapsedMs` in (when resuming), and queue the turn after it
+  function playListenTurn(side, elapsedMs = 0) {
+    const track = displayed?.[side];
+    if (!track) return;
+    window.clearTimeout(listenTimerRef.current);
+    const remaining = listenPrefs.seconds * 1000 - elapsedMs;
+    const position = listenStartMs(track, listenPrefs) + elapsedMs;
+    const player = playerRef.current;
+
+    if (elapsedMs && player && nowPlayingId === playbackId(track)) {
+      // The SDK still has this track loaded, so seek to the snippet's spot and carry on
+      player
+        .seek(position)
+        .then(() => player.resume())
+        .catch((e) => setPlaybackError(e?.message || String(e)));
+    } else {
+      playTrack(track, position);
+    }
+    setListen({ status: "playing", side, endsAt: Date.now() + remaining, remainingMs: null });
+    listenTimerRef.current = window.setTimeout(() => listenRef.current?.next(side), remaining);
+  }
+
+  function pauseListening() {
+    if (listen.status !== "playing") return;
+    window.clearTimeout(listenTimerRef.current);
+    pausePlayback();
+    setListen({ ...listen, status: "paused", endsAt: null, remainingMs: Math.max(0, listen.endsAt - Date.now()) });
+  }
+
+  function resumeListening() {
+    if (listen.status !== "paused") return;
+    playListenTurn(listen.side, listenPrefs.seconds * 1000 - listen.remainingMs);
+  }
+
+  function stopListening() {
+    window.clearTimeout(listenTimerRef.current);
+    if (listen.status === "playing") pausePlayback();
+    setListen(LISTEN_OFF);
+  }
+
+  function handleBlindFields(next) {
+    setBlindFields(next);
+    saveBlindFields(next);
+  }
+
+  function handleListenPrefs(next) {
+    setListenPrefs(next);
+    saveListenPrefs(next);
+  }
+
+  // Play / pause pressed by hand: the duel holds its place instead of talking over it
+  function handleManualPlay(track) {
+    if (listen.status === "playing") {
+      window.clearTimeout(listenTimerRef.current);
+      setListen({ ...listen, status: "paused", endsAt: null, remainingMs: Math.max(0, listen.endsAt - Date.now()) });
+    }
+    togglePlay(track);
+  }
+
+  function normalizePair(a, b, rules) {
     if (!a || !b) return { top: a, bottom: b, swapped: false };
-    const ap = a.popularity ?? 0;
-    const bp = b.popularity ?? 0;
-    if (ap >= bp) return { top: a, bottom: b, swapped: false };
+    const [first] = sortBySeed([a, b], rules);
+    if (first === a) return { top: a, bottom: b, swapped: false };
     return { top: b, bottom: a, swapped: true };
   }
 
+  const blindOrder = blindFields.includes("popularity");
   const displayed = useMemo(() => {
     if (!currentStage?.a || !currentStage?.b) return null;
-    const { top, bottom, swapped } = normalizePair(currentStage.a, currentStage.b);
+    const { top, bottom, swapped } = blindOrder
+      ? blindSwap(currentStage.a, currentStage.b)
+        ? { top: currentStage.b, bottom: currentStage.a, swapped: true }
+        : { top: currentStage.a, bottom: currentStage.b, swapped: false }
+      : normalizePair(currentStage.a, currentStage.b, tournament?.rules);
     return {
       top,
       bottom,
       topPickSide: swapped ? "b" : "a",
       bottomPickSide: swapped ? "a" : "b",
     };
-  }, [currentStage]);
+  }, [currentStage, tournament?.rules, blindOrder]);
+
+  const byPopularity = !tournament?.rules || tournament.rules.seeding === "popularity";
+  // Blind fields come back into view once a pick is made (a pass-and-play ballot stays hidden)
+  const blindHidden = selectedSide && !voters.length ? [] : blindFields;
+
+  // Until then the bracket views stay hidden too, since they name the pair that's up
+  const bracketBlind = Boolean(blindHidden.length && displayed && !tournament?.champion);
+
+  // The pick cards are on screen (not the champion, a bye choice or a pass-and-play handoff)
+  const cardsShown = Boolean(displayed && !tournament?.champion && !votesIn && !(voters.length && !ballotBox.ready));
+
+  listenRef.current = {
+    next(side) {
+      if (side === "top") playListenTurn("bottom");
+      else if (listenPrefs.loop) playListenTurn("top");
+      else {
+        pausePlayback();
+        setListen({ ...LISTEN_OFF, status: "done" });
+      }
+    },
+    // A new match (or the cards coming back after a vote handoff) restarts a running duel from the top card
+    onMatch() {
+      if (listen.status === "off") return;
+      if (!tournament || tournament.champion) {
+        stopListening();
+      } else if (listen.status === "paused") {
+        setListen({ status: "paused", side: "top", endsAt: null, remainingMs: listenPrefs.seconds * 1000 });
+      } else if (cardsShown) {
+        playListenTurn("top");
+      } else {
+        window.clearTimeout(listenTimerRef.current);
+        if (listen.status === "playing") pausePlayback();
+        setListen({ ...LISTEN_OFF, status: "waiting" });
+      }
+    },
+  };
+
+  useEffect(() => {
+    listenRef.current?.onMatch();
+  }, [matchKey, cardsShown]);
+
+  useEffect(() => () => window.clearTimeout(listenTimerRef.current), []);
+
+  // Keyboard shortcuts while the cards are up; the latest render's handler, behind one stable listener
+  shortcutsRef.current = (e) => {
+    if (!cardsShown || e.ctrlKey || e.metaKey || e.altKey) return;
+    const target = e.target;
+    if (target?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName)) return;
+    if (document.querySelector("[aria-modal='true']")) return; // the full bracket view has its own keys
+
+    const pick = SHORTCUT_PICKS[e.key];
+    if (pick) {
+      e.preventDefault();
+      pickWithFeedback(pick === "top" ? displayed.topPickSide : displayed.bottomPickSide);
+    } else if (e.key === " ") {
+      if (target?.closest?.("button, a")) return; // Space still presses a focused button
+      e.preventDefault();
+      if (listen.status === "playing") pauseListening();
+      else if (listen.status === "paused") resumeListening();
+      else if (canPlayInsideApp) togglePlay(displayed[focusedCard]);
+    } else if (e.key === "u" || e.key === "U") {
+      e.preventDefault();
+      handleUndo();
+    }
+  };
+
+  useEffect(() => {
+    const onKey = (e) => shortcutsRef.current?.(e);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  // Entrant type of the running tournament (or the one about to be drawn)
+  const kind = entrantType(tournament ? tournament.rules : { entrantType: fieldOptions.entrants });
 
   const shareText = useMemo(() => {
     if (!tournament?.champion) return "";
     const c = tournament.champion;
     const plName = playlistMeta?.name ? ` from “${playlistMeta.name}”` : "";
-    return `My champion${plName}: ${c.name} — ${c.artists}`;
-  }, [tournament?.champion, playlistMeta?.name]);
+    // Artist entrants have no "by" line worth sharing; albums + tracks keep it
+    const entry = (e) => (kind.id === "artist" ? e.name : `${e.name} — ${e.artists}`);
+    const lines = standings.slice(1, 5).map((row) => `${row.place}. ${entry(row.track)}`);
+    const what = kind.id === "track" ? "champion" : `champion ${kind.noun}`;
+    const extra = c.representative ? [`Best track: ${c.representative.name}`] : [];
+    return [`My ${what}${plName}: ${entry(c)}`, ...extra, ...lines].join("\n");
+  }, [tournament?.champion, playlistMeta?.name, standings, kind]);
 
   async function shareChampion() {
     if (!tournament?.champion) return;
     try {
       if (navigator.share) {
-        await navigator.share({ title: "My Favorite Song Champion", text: shareText, url: window.location.href });
+        await navigator.share({ title: `My Favorite ${kind.title} Champion`, text: shareText, url: window.location.href });
       } else {
         await navigator.clipboard.writeText(shareText);
         alert("Copied ✅");
@@ -1263,7 +3969,7 @@ export default function App() {
     <Shell>
       <GradientTitle
         title="Spotify Duel"
-        subtitle="Tap a card to advance it. If a round is odd, the most popular track gets a BYE. Special handling when 3 tracks remain."
+        subtitle="Tap a card to advance it. Odd rounds give one track a BYE, and you decide how the last 3 tracks play out."
       />
 
       {/* Auth */}
@@ -1320,22 +4026,161 @@ export default function App() {
             <Pill icon={Sparkles}>{canPlayInsideApp ? "In-app playback enabled" : "Playback pending"}</Pill>
           </div>
         ) : null}
+
+        {sharedLink.message ? (
+          <div
+            className={`mt-3 rounded-2xl p-3 text-xs ring-1 ${
+              sharedLink.status === "error"
+                ? "bg-rose-500/10 ring-rose-500/25 text-rose-200"
+                : sharedLink.status === "opened"
+                ? "bg-emerald-500/10 ring-emerald-500/25 text-emerald-200"
+                : "bg-amber-500/10 ring-amber-500/20 text-amber-100"
+            }`}
+          >
+            {sharedLink.message}
+          </div>
+        ) : null}
       </Card>
 
+      {slots.length || libraryError ? (
+        <div className="mt-4">
+          <SavedTournaments
+            slots={slots}
+            activeId={activeSlotId}
+            choosing={!tournament}
+            error={libraryError}
+            onResume={handleResumeSlot}
+            onRename={handleRenameSlot}
+            onDuplicate={handleDuplicateSlot}
+            onDelete={handleDeleteSlot}
+            onDownload={handleDownloadSlot}
+          />
+        </div>
+      ) : null}
+
       {/* Playlist */}
       <div className="mt-4" />
       <Card className="p-4">
-        <div className="text-sm font-bold">Playlist</div>
-        <div className="mt-1 text-xs text-zinc-400">Paste a Spotify playlist link (public, or private if you have access).</div>
+        <div className="text-sm font-bold">Sources</div>
+        <div className="mt-1 text-xs text-zinc-400">
+          Paste Spotify playlist, album, artist or track links, one per line. Everything is merged into one field.
+        </div>
 
         <div className="mt-3">
-          <Input value={playlistInput} onChange={setPlaylistInput} placeholder="https://open.spotify.com/playlist/..." />
+          <Input
+            value={playlistInput}
+            onChange={setPlaylistInput}
+            placeholder={"https://open.spotify.com/playlist/...\nhttps://open.spotify.com/album/..."}
+            multiline
+          />
+        </div>
+
+        <div className="mt-3 grid grid-cols-2 gap-2">
+          <Toggle
+            checked={extraSources.liked}
+            onChange={(v) => setExtraSources((s) => ({ ...s, liked: v }))}
+            label="My Liked Songs"
+            hint={`Up to ${PLAYLIST_ITEM_LIMIT.toLocaleString()} of your saved tracks`}
+          />
+          <div className="col-span-2">
+            <div className="mb-1 text-[11px] text-zinc-400">My top tracks</div>
+            <Select
+              value={extraSources.topRange}
+              onChange={(v) => setExtraSources((s) => ({ ...s, topRange: v }))}
+              options={TOP_TRACK_RANGES}
+            />
+          </div>
+        </div>
+
+        <div className="mt-3 grid grid-cols-2 gap-2">
+          <div>
+            <div className="mb-1 text-[11px] text-zinc-400">Seeding</div>
+            <Select
+              value={ruleOptions.seeding}
+              onChange={(v) => setRuleOptions((s) => ({ ...s, seeding: v }))}
+              options={SEEDING_STRATEGIES}
+            />
+          </div>
+          <div>
+            <div className="mb-1 text-[11px] text-zinc-400">Format</div>
+            <Select
+              value={ruleOptions.format}
+              onChange={(v) => setRuleOptions((s) => ({ ...s, format: v }))}
+              options={TOURNAMENT_FORMATS}
+            />
+          </div>
+          <div>
+            <div className="mb-1 text-[11px] text-zinc-400">Bye on odd rounds</div>
+            <Select
+              value={ruleOptions.byeRule}
+              onChange={(v) => setRuleOptions((s) => ({ ...s, byeRule: v }))}
+              options={BYE_RULES}
+            />
+          </div>
+          {ruleOptions.format !== "double" ? (
+            <div>
+              <div className="mb-1 text-[11px] text-zinc-400">When 3 are left</div>
+              <Select
+                value={ruleOptions.threeLeft}
+                onChange={(v) => setRuleOptions((s) => ({ ...s, threeLeft: v }))}
+                options={THREE_LEFT_RULES}
+              />
+            </div>
+          ) : null}
+          {ruleOptions.seeding === "random" || ruleOptions.byeRule === "random" ? (
+            <div>
+              <div className="mb-1 text-[11px] text-zinc-400">Random seed (optional)</div>
+              <input
+                value={ruleOptions.seed}
+                onChange={(e) => setRuleOptions((s) => ({ ...s, seed: e.target.value.replace(/[^0-9]/g, "") }))}
+                placeholder="random"
+                inputMode="numeric"
+                className="w-full rounded-2xl bg-white/5 ring-1 ring-white/10 px-3 py-3 text-sm text-white placeholder:text-zinc-500 focus:outline-none focus:ring-2 focus:ring-white/30"
+              />
+            </div>
+          ) : null}
+          {ruleOptions.format === "groups" ? (
+            <>
+              <div>
+                <div className="mb-1 text-[11px] text-zinc-400">Group size</div>
+                <Select
+                  value={String(ruleOptions.groupSize)}
+                  onChange={(v) => setRuleOptions((s) => ({ ...s, groupSize: Number(v) }))}
+                  options={GROUP_SIZES}
+                />
+              </div>
+              <div>
+                <div className="mb-1 text-[11px] text-zinc-400">Advance per group</div>
+                <Select
+                  value={String(ruleOptions.advance)}
+                  onChange={(v) => setRuleOptions((s) => ({ ...s, advance: Number(v) }))}
+                  options={GROUP_ADVANCE}
+                />
+              </div>
+            </>
+          ) : null}
+          {ruleOptions.format !== "double" ? (
+            <Toggle
+              checked={ruleOptions.thirdPlace}
+              onChange={(v) => setRuleOptions((s) => ({ ...s, thirdPlace: v }))}
+              label="Third-place playoff"
+              hint="Semi-final losers play for 3rd before the final"
+            />
+          ) : null}
+          {ruleOptions.format === "double" ? (
+            <Toggle
+              checked={ruleOptions.bracketReset}
+              onChange={(v) => setRuleOptions((s) => ({ ...s, bracketReset: v }))}
+              label="Bracket reset"
+              hint="Replay the grand final if the losers-bracket champion wins it"
+            />
+          ) : null}
         </div>
 
         <div className="mt-3 flex gap-2">
-          <Button onClick={handleLoadPlaylist} disabled={!canLoadPlaylist || loadState.status === "loading"} className="w-full">
+          <Button onClick={handleLoadSources} disabled={!canLoadPlaylist || loadState.status === "loading"} className="w-full">
             {loadState.status === "loading" ? <RefreshCw className="h-4 w-4 animate-spin" /> : <Music2 className="h-4 w-4" />}
-            Start tournament
+            Load tracks
           </Button>
         </div>
 
@@ -1344,6 +4189,33 @@ export default function App() {
         ) : null}
       </Card>
 
+      <div className="mt-3">
+        <VotingSetup voting={voting} onChange={handleVotingChange} />
+      </div>
+
+      <div className="mt-3">
+        <SessionFiles
+          tournament={tournament}
+          state={fileState}
+          onExportJson={handleExportJson}
+          onExportCsv={handleExportCsv}
+          onImport={handleImportFile}
+        />
+      </div>
+
+      <div className="mt-3">
+        <Button variant="ghost" className="w-full" onClick={() => setShowRankings((v) => !v)}>
+          <Trophy className="h-4 w-4" />
+          {showRankings ? "Hide all-time rankings" : "My all-time rankings"}
+        </Button>
+      </div>
+
+      {showRankings ? (
+        <div className="mt-3">
+          <AllTimeRankings store={ratingStore} onReset={handleResetRatings} />
+        </div>
+      ) : null}
+
       {/* Playlist meta */}
       {playlistMeta ? (
         <div className="mt-4">
@@ -1361,10 +4233,26 @@ export default function App() {
 
               <div className="min-w-0">
                 <div className="text-sm font-extrabold truncate">{playlistMeta.name}</div>
-                <div className="mt-0.5 text-xs text-zinc-400 truncate">by {playlistMeta.owner?.display_name || "—"}</div>
+                <div className="mt-0.5 text-xs text-zinc-400 truncate">
+                  {multiSource
+                    ? playlistMeta.sources.map((src) => `${src.name} (${src.count})`).join(" • ")
+                    : `by ${playlistMeta.owner?.display_name || "—"}`}
+                </div>
                 <div className="mt-1 flex flex-wrap gap-2">
-                  <Pill>Tracks: {tracks.length}</Pill>
+                  <Pill>
+                    {kind.label}: {fieldSize}
+                  </Pill>
+                  {kind.id === "track" && tracks.length > fieldSize ? <Pill>Left out: {tracks.length - fieldSize}</Pill> : null}
+                  {playlistMeta.truncations?.length ? <Pill>Truncated</Pill> : null}
                   {tournament ? <Pill>Rounds built: {tournament.rounds.length}</Pill> : null}
+                  {tournament?.rules?.format === "double" ? <Pill>Double elimination</Pill> : null}
+                  {tournament?.rules?.format === "groups" ? <Pill>Groups + knockout</Pill> : null}
+                  {tournament?.rules ? (
+                    <Pill>
+                      Seeding: {SEEDING_STRATEGIES.find((x) => x.id === tournament.rules.seeding)?.label}
+                      {tournament.rules.seeding === "random" ? ` #${tournament.rules.seed}` : ""}
+                    </Pill>
+                  ) : null}
                 </div>
               </div>
             </div>
@@ -1372,6 +4260,24 @@ export default function App() {
         </div>
       ) : null}
 
+      {/* Review before the bracket is drawn */}
+      {loadState.status === "review" && !tournament ? (
+        <div className="mt-4">
+          <TrackReview
+            tracks={tracks}
+            filters={trackFilters}
+            review={review}
+            onChange={setTrackFilters}
+            pool={entrantPool}
+            field={field}
+            fieldOptions={fieldOptions}
+            onFieldChange={setFieldOptions}
+            truncations={playlistMeta?.truncations}
+            onStart={handleStartTournament}
+          />
+        </div>
+      ) : null}
+
       {/* Tournament */}
       {tournament ? (
         <div className="mt-4 space-y-4">
@@ -1395,6 +4301,17 @@ export default function App() {
               <Pill icon={Trophy}>{tournament.champion ? "Champion ready" : "Picking…"}</Pill>
             </div>
 
+            <div className="mt-3 grid grid-cols-2 gap-2">
+              <Button variant="ghost" onClick={handleUndo} disabled={isAdvancing || !tournament.history?.length}>
+                <Undo2 className="h-4 w-4" />
+                Undo
+              </Button>
+              <Button variant="ghost" onClick={handleRedo} disabled={isAdvancing || !tournament.redo?.length}>
+                <Redo2 className="h-4 w-4" />
+                Redo
+              </Button>
+            </div>
+
             {/* NEW: Save / Reset */}
             <div className="mt-3 grid grid-cols-2 gap-2">
               <Button onClick={handleSave} disabled={!tournament}>
@@ -1407,6 +4324,8 @@ export default function App() {
 
             {saveState.status === "saved" ? (
               <div className="mt-2 text-[11px] text-zinc-500">Saved ✓</div>
+            ) : saveState.status === "autosaved" ? (
+              <div className="mt-2 text-[11px] text-zinc-500">Autosaved {formatSavedAt(saveState.lastSavedAt)}</div>
             ) : saveState.status === "restored" ? (
               <div className="mt-2 text-[11px] text-zinc-500">Restored ✓</div>
             ) : null}
@@ -1435,19 +4354,26 @@ export default function App() {
                     <div className="absolute inset-0 bg-gradient-to-t from-black/75 via-black/25 to-black/10" />
                     <div className="absolute left-4 top-4 inline-flex items-center gap-2 rounded-full bg-black/45 ring-1 ring-white/15 px-4 py-2 text-xs">
                       <Trophy className="h-4 w-4" />
-                      <span className="font-semibold">Champion</span>
+                      <span className="font-semibold">{kind.id === "track" ? "Champion" : `Champion ${kind.noun}`}</span>
                     </div>
                     <div className="absolute bottom-4 left-4 right-4">
                       <div className="text-xl font-extrabold leading-tight">{tournament.champion.name}</div>
-                      <div className="mt-1 text-sm text-zinc-200/90">{tournament.champion.artists}</div>
+                      <div className="mt-1 text-sm text-zinc-200/90">{entrantByline(tournament.champion)}</div>
                       <div className="mt-3 flex flex-wrap gap-2">
                         <Pill>Popularity: {tournament.champion.popularity}</Pill>
                         <Pill>⏱ {formatMs(tournament.champion.duration_ms)}</Pill>
+                        {tournament.champion.representative ? (
+                          <Pill icon={Play}>{tournament.champion.representative.name}</Pill>
+                        ) : null}
                       </div>
                     </div>
                   </div>
 
-                  <div className="p-4 flex gap-2">
+                  <div className="pt-4">
+                    <FinalStandings standings={standings} />
+                  </div>
+
+                  <div className="p-4 pt-0 flex gap-2">
                     <Button onClick={shareChampion} className="w-full">
                       <Sparkles className="h-4 w-4" />
                       Share result
@@ -1459,106 +4385,222 @@ export default function App() {
                 </Card>
               </motion.div>
             </AnimatePresence>
+          ) : currentStage?.kind === "bye" ? (
+            <ByeChoice round={currentStage.round} onChoose={(id) => engine.chooseBye(id)} />
           ) : currentStage && displayed ? (
-            <AnimatePresence mode="wait">
-              <motion.div
-                key={`${tournament.roundIndex}-${tournament.cursor?.match ?? tournament.cursor?.special ?? "x"}`}
-                initial={{ opacity: 0, y: 16 }}
-                animate={{ opacity: 1, y: 0 }}
-                exit={{ opacity: 0, y: -16 }}
-                transition={{ duration: 0.25 }}
-                className="space-y-3"
-              >
-                {/* Special info for 3 remaining */}
-                {currentStage.kind === "three" ? (
-                  <Card className="p-4">
-                    <div className="flex items-start justify-between gap-3">
-                      <div>
-                        <div className="text-sm font-bold">3-left rule</div>
-                        <div className="mt-1 text-xs text-zinc-400 leading-relaxed">
-                          The most popular track goes straight to the Final. Pick the other finalist below.
+            <div className="space-y-3">
+              {/* Outside the per-match animation: the duel carries on from one match to the next */}
+              <ListeningDuel
+                listen={listen}
+                prefs={listenPrefs}
+                top={displayed.top}
+                bottom={displayed.bottom}
+                canPlay={canPlayInsideApp}
+                hideName={blindHidden.includes("title")}
+                onPrefsChange={handleListenPrefs}
+                onStart={() => playListenTurn("top")}
+                onPause={pauseListening}
+                onResume={resumeListening}
+                onSkip={() => playListenTurn(listen.side === "top" ? "bottom" : "top")}
+                onStop={stopListening}
+              />
+              <AnimatePresence mode="wait">
+                <motion.div
+                  key={matchKey}
+                  initial={{ opacity: 0, y: 16 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, y: -16 }}
+                  transition={{ duration: 0.25 }}
+                  className="space-y-3"
+                >
+                  {/* Special info for 3 remaining */}
+                  {currentStage.kind === "three" ? (
+                    <Card className="p-4">
+                      <div className="flex items-start justify-between gap-3">
+                        <div>
+                          <div className="text-sm font-bold">3-left rule</div>
+                          <div className="mt-1 text-xs text-zinc-400 leading-relaxed">
+                            {byeHolder(tournament.rules, byPopularity)} goes straight to the Final. Pick the other finalist
+                            below.
+                          </div>
+                        </div>
+                        <div className="shrink-0 inline-flex items-center gap-2 rounded-full bg-white/5 ring-1 ring-white/10 px-3 py-1.5 text-xs text-zinc-200">
+                          <Trophy className="h-4 w-4" />
+                          <span>Auto finalist</span>
                         </div>
                       </div>
-                      <div className="shrink-0 inline-flex items-center gap-2 rounded-full bg-white/5 ring-1 ring-white/10 px-3 py-1.5 text-xs text-zinc-200">
-                        <Trophy className="h-4 w-4" />
-                        <span>Auto finalist</span>
+
+                      <div className="mt-3 rounded-2xl bg-white/5 ring-1 ring-white/10 p-3">
+                        <div className="text-[11px] text-zinc-400">Auto finalist</div>
+                        <div className="mt-1 text-sm font-extrabold truncate">{currentStage.top?.name}</div>
+                        <div className="mt-0.5 text-xs text-zinc-400 truncate">{entrantByline(currentStage.top)}</div>
                       </div>
-                    </div>
+                    </Card>
+                  ) : null}
 
-                    <div className="mt-3 rounded-2xl bg-white/5 ring-1 ring-white/10 p-3">
-                      <div className="text-[11px] text-zinc-400">Auto finalist</div>
-                      <div className="mt-1 text-sm font-extrabold truncate">{currentStage.top?.name}</div>
-                      <div className="mt-0.5 text-xs text-zinc-400 truncate">{currentStage.top?.artists}</div>
-                    </div>
-                  </Card>
-                ) : null}
+                  {currentStage.round?.finalThree ? (
+                    <Card className="p-4">
+                      <div className="flex items-start justify-between gap-3">
+                        <div>
+                          <div className="text-sm font-bold">3-left rule</div>
+                          <div className="mt-1 text-xs text-zinc-400 leading-relaxed">
+                            Everyone plays everyone once. Most wins takes the title; a three-way tie goes to head-to-head, then
+                            seed.
+                          </div>
+                        </div>
+                        <div className="shrink-0 inline-flex items-center gap-2 rounded-full bg-white/5 ring-1 ring-white/10 px-3 py-1.5 text-xs text-zinc-200">
+                          <Trophy className="h-4 w-4" />
+                          <span>Round robin</span>
+                        </div>
+                      </div>
+                    </Card>
+                  ) : null}
 
-                {/* Cards + playback controls outside */}
-                <div className="space-y-4">
-                  <div className="space-y-2">
-                    <TrackCard
-                      track={displayed.top}
-                      badge="Most popular"
-                      cornerTag="TOP"
-                      selected={selectedSide === displayed.topPickSide}
-                      disabled={isAdvancing || !currentStage.a || !currentStage.b}
-                      onSelect={() => pickWithFeedback(displayed.topPickSide)}
+                  {votesIn ? (
+                    <VoteReveal
+                      ballots={ballotBox.ballots}
+                      result={ballotBox.result}
+                      pair={currentStage}
+                      voting={voting}
+                      onContinue={handleVoteContinue}
+                      onRevote={() => setBallotBox(EMPTY_BALLOT_BOX)}
                     />
-                    <TrackControls
-                      track={displayed.top}
-                      canPlay={canPlayInsideApp}
-                      isPlaying={nowPlayingId === displayed.top?.id && !isPaused}
-                      onTogglePlay={() => togglePlay(displayed.top)}
+                  ) : voters.length && !ballotBox.ready ? (
+                    <VoteHandoff
+                      voter={voters[ballotBox.ballots.length]}
+                      done={ballotBox.ballots.length}
+                      total={voters.length}
+                      onReady={() => setBallotBox((box) => ({ ...box, ready: true }))}
                     />
-                  </div>
+                  ) : (
+                    <>
+                      {/* Cards + playback controls outside */}
+                      <div className="space-y-4">
+                        <div className="space-y-2">
+                          <TrackCard
+                            track={displayed.top}
+                            badge={blindOrder ? "Blind" : byPopularity ? "Most popular" : "Higher seed"}
+                            cornerTag="TOP"
+                            source={multiSource ? sourceLabel(displayed.top) : null}
+                            selected={selectedSide === displayed.topPickSide}
+                            disabled={isAdvancing || !currentStage.a || !currentStage.b}
+                            blind={blindFields}
+                            hidden={blindHidden}
+                            onSelect={() => pickWithFeedback(displayed.topPickSide)}
+                            onReject={() => pickWithFeedback(displayed.bottomPickSide)}
+                            onFocusCard={() => setFocusedCard("top")}
+                          />
+                          <TrackControls
+                            track={displayed.top}
+                            canPlay={canPlayInsideApp}
+                            isPlaying={nowPlayingId === playbackId(displayed.top) && !isPaused}
+                            onTogglePlay={() => handleManualPlay(displayed.top)}
+                          />
+                        </div>
 
-                  <div className="space-y-2">
-                    <TrackCard
-                      track={displayed.bottom}
-                      badge="Least popular"
-                      cornerTag="BOTTOM"
-                      selected={selectedSide === displayed.bottomPickSide}
-                      disabled={isAdvancing || !currentStage.a || !currentStage.b}
-                      onSelect={() => pickWithFeedback(displayed.bottomPickSide)}
-                    />
-                    <TrackControls
-                      track={displayed.bottom}
-                      canPlay={canPlayInsideApp}
-                      isPlaying={nowPlayingId === displayed.bottom?.id && !isPaused}
-                      onTogglePlay={() => togglePlay(displayed.bottom)}
-                    />
-                  </div>
-                </div>
+                        <div className="space-y-2">
+                          <TrackCard
+                            track={displayed.bottom}
+                            badge={blindOrder ? "Blind" : byPopularity ? "Least popular" : "Lower seed"}
+                            cornerTag="BOTTOM"
+                            source={multiSource ? sourceLabel(displayed.bottom) : null}
+                            selected={selectedSide === displayed.bottomPickSide}
+                            disabled={isAdvancing || !currentStage.a || !currentStage.b}
+                            blind={blindFields}
+                            hidden={blindHidden}
+                            onSelect={() => pickWithFeedback(displayed.bottomPickSide)}
+                            onReject={() => pickWithFeedback(displayed.topPickSide)}
+                            onFocusCard={() => setFocusedCard("bottom")}
+                          />
+                          <TrackControls
+                            track={displayed.bottom}
+                            canPlay={canPlayInsideApp}
+                            isPlaying={nowPlayingId === playbackId(displayed.bottom) && !isPaused}
+                            onTogglePlay={() => handleManualPlay(displayed.bottom)}
+                          />
+                        </div>
+                      </div>
 
-                <Card className="p-4">
-                  <div className="text-sm font-bold">Tap a card to choose</div>
-                  <div className="mt-1 text-xs text-zinc-400">Your pick advances immediately.</div>
+                      <Card className="p-4">
+                        <div className="text-sm font-bold">
+                          {voters.length
+                            ? `${voters[ballotBox.ballots.length]}’s vote (${ballotBox.ballots.length + 1}/${voters.length})`
+                            : "Tap or swipe a card to choose"}
+                        </div>
+                        <div className="mt-1 text-xs text-zinc-400">
+                          {voters.length
+                            ? "Tap a card, or swipe right to pick it and left to pick the other. Nobody sees your vote until everyone has voted."
+                            : "Swipe right to pick a card, left to pick the other. Your pick advances immediately."}
+                        </div>
 
-                  {!canPlayInsideApp ? (
-                    <div className="mt-3 text-[11px] text-zinc-500 leading-relaxed flex items-start gap-2">
-                      <Lock className="h-4 w-4 mt-0.5" />
-                      <span>
-                        In-app playback needs Spotify Premium and a ready player. If playback doesn’t start, open Spotify,
-                        play any song once, then return and try again.
-                      </span>
-                    </div>
-                  ) : null}
-                </Card>
-              </motion.div>
-            </AnimatePresence>
+                        <KeyboardShortcuts canPlay={canPlayInsideApp} />
+                        <BlindModeOptions fields={blindFields} onChange={handleBlindFields} />
+
+                        {!canPlayInsideApp ? (
+                          <div className="mt-3 text-[11px] text-zinc-500 leading-relaxed flex items-start gap-2">
+                            <Lock className="h-4 w-4 mt-0.5" />
+                            <span>
+                              In-app playback needs Spotify Premium and a ready player. If playback doesn’t start, open Spotify,
+                              play any song once, then return and try again.
+                            </span>
+                          </div>
+                        ) : null}
+                      </Card>
+                    </>
+                  )}
+                </motion.div>
+              </AnimatePresence>
+            </div>
           ) : (
             <Card className="p-4">
               <div className="text-sm font-bold">Preparing…</div>
               <div className="mt-1 text-xs text-zinc-400">No playable match found right now. The tournament may be auto-advancing.</div>
               <div className="mt-3">
-                <Button variant="ghost" className="w-full" onClick={() => setTournament((t) => (t ? fastForwardIfNeeded(t) : t))}>
+                <Button variant="ghost" className="w-full" onClick={() => engine.advance()}>
                   Continue
                 </Button>
               </div>
             </Card>
           )}
 
-          <BracketMini tournament={tournament} />
+          {tournament.rules?.seeding === "manual" && !tournament.history.length ? (
+            <ManualSeedList tournament={tournament} tracks={tournament.rounds[0].entrants} onMove={handleMoveSeed} />
+          ) : null}
+
+          <InvalidatedNotice
+            tournament={tournament}
+            onDismiss={() => engine.dismissInvalidated()}
+          />
+
+          <RoomHostPanel
+            room={room}
+            seconds={roomSeconds}
+            onSecondsChange={setRoomSeconds}
+            onOpen={handleOpenRoom}
+            onCloseVoting={() => sendRoom(roomSocketRef.current, { type: "close" })}
+            onStop={handleStopRoom}
+          />
+
+          <VoterAgreement tournament={tournament} />
+
+          <ShareLink tournament={tournament} name={playlistMeta?.name} />
+
+          <ImageExport tournament={tournament} standings={standings} kind={kind} title={playlistMeta?.name} text={shareText} />
+
+          {tournament.champion ? (
+            <SaveToSpotify
+              key={tournament.id}
+              tournament={tournament}
+              standings={standings}
+              defaults={rankedPlaylistDetails({ tournament, standings, playlistMeta, kind })}
+              canSave={canLoadPlaylist}
+              onSave={handleSaveRankedPlaylist}
+            />
+          ) : null}
+
+          {bracketBlind ? null : <GroupStandings tournament={tournament} />}
+
+          <BracketMini tournament={tournament} onChangePick={handleChangePick} showSources={multiSource} blind={bracketBlind} />
         </div>
       ) : null}
 
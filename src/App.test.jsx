@@ -0,0 +1,99 @@
+// @vitest-environment jsdom
+import React, { act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import App from "./App.jsx";
+import { createTournamentEngine, getMatchAt } from "./engine/index.js";
+
+const NAMES = ["Amber Road", "Blue Harbor", "Cold Fire", "Dune Sea", "Echo Park", "Faded Gold", "Glass Tide", "High Noon"];
+
+const tracks = NAMES.map((name, i) => ({
+  id: `t${i}`,
+  name,
+  artists: `Band ${name.split(" ")[0]}`,
+  popularity: 90 - i,
+  uri: `spotify:track:t${i}`,
+  albumImage: `https://img.example/${i}`,
+  sources: [{ type: "artist", name: `Band ${name.split(" ")[0]} — top tracks` }],
+}));
+
+// Two sources, so the cards say where each track came from
+const sources = [
+  { type: "artist", name: "Band Amber — top tracks", count: 4 },
+  { type: "artist", name: "Band Echo — top tracks", count: 4 },
+];
+
+const wait = (ms) => act(() => new Promise((resolve) => setTimeout(resolve, ms)));
+const text = () => document.body.textContent;
+const button = (label) => [...document.querySelectorAll("button")].find((b) => b.textContent.trim() === label);
+
+let root;
+
+beforeEach(() => {
+  localStorage.clear();
+  globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+  globalThis.fetch = async () => ({ ok: false, status: 401, text: async () => "", json: async () => ({}) });
+  document.body.innerHTML = '<div id="root"></div>';
+});
+
+afterEach(async () => {
+  await act(async () => root?.unmount());
+});
+
+// A save two picks in, with blind mode hiding `fields`, resumed from the startup prompt
+async function resumeBlind(fields = ["title", "artist"]) {
+  const engine = createTournamentEngine();
+  engine.create(tracks, { seeding: "popularity", format: "single" });
+  engine.pick("a");
+  engine.pick("b");
+  const tournament = engine.getState();
+  localStorage.setItem(
+    "spotify_duel_save_v1",
+    JSON.stringify({
+      playlistInput: "",
+      playlistMeta: { name: "Road Trip", images: [], sources },
+      tracks,
+      tournament,
+      savedAt: Date.now(),
+      version: 1,
+    })
+  );
+  localStorage.setItem("spotify_duel_blind_v1", JSON.stringify(fields));
+
+  root = createRoot(document.getElementById("root"));
+  await act(async () => root.render(<App />));
+  await wait(100);
+  await act(async () => button("Resume").click());
+  await wait(100);
+
+  const c = tournament.cursor;
+  const { a, b } = getMatchAt(tournament, { round: c.round, match: c.match });
+  return [a, b];
+}
+
+describe("blind mode", () => {
+  it("names neither track of the match that's up anywhere on screen until the pick", async () => {
+    const pair = await resumeBlind();
+    expect(text()).toContain("Blind mode keeps the bracket");
+    for (const t of pair) {
+      expect(text()).not.toContain(t.name);
+      expect(text()).not.toContain(t.artists);
+    }
+
+    await act(async () => document.querySelector("[role=button]").click());
+    await wait(100);
+    for (const t of pair) expect(text()).toContain(t.name);
+  });
+
+  it("keeps where a card came from out of sight while its artist is hidden", async () => {
+    const pair = await resumeBlind(["artist"]);
+    for (const t of pair) {
+      expect(text()).toContain(t.name);
+      expect(text()).not.toContain(t.sources[0].name);
+    }
+
+    await act(async () => document.querySelector("[role=button]").click());
+    await wait(100);
+    for (const t of pair) expect(text()).toContain(`From: ${t.sources[0].name}`);
+  });
+});
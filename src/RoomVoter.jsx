@@ -0,0 +1,157 @@
+import React, { useEffect, useRef, useState } from "react";
+import { ChevronRight, RefreshCw, Trophy } from "lucide-react";
+import { BAD_SERVER_MESSAGE, ROOM_NAME_KEY, roomServerUrl, sendRoom } from "./room.js";
+import { Button, Card, Countdown, GradientTitle, Input, Pill, Shell } from "./ui.jsx";
+
+/** Phone view for a join link (?room=CODE): name, then vote on whatever match the host's room has open. */
+export default function RoomVoter({ code: linkCode = "" }) {
+  const [code, setCode] = useState(linkCode);
+  const [name, setName] = useState(() => localStorage.getItem(ROOM_NAME_KEY) || "");
+  const [conn, setConn] = useState({ status: "idle", error: null, name: null, code: null });
+  const [match, setMatch] = useState(null);
+  const [waiting, setWaiting] = useState(null);
+  const [myVote, setMyVote] = useState(null);
+  const [lastResult, setLastResult] = useState(null);
+  const [champion, setChampion] = useState(null);
+  const socketRef = useRef(null);
+
+  useEffect(() => () => socketRef.current?.close(), []);
+
+  function handleMessage(msg) {
+    if (msg.type === "joined") setConn({ status: "joined", error: null, name: msg.name, code: msg.code });
+    else if (msg.type === "match") {
+      setMatch({ ...msg, closesAt: msg.remainingMs != null ? Date.now() + msg.remainingMs : null });
+      setWaiting(null);
+      setChampion(null);
+    } else if (msg.type === "progress") {
+      setMatch((m) => (m && m.key === msg.key ? { ...m, votes: msg.votes, voters: msg.voters } : m));
+    } else if (msg.type === "result") setLastResult(msg);
+    else if (msg.type === "waiting") {
+      setMatch(null);
+      setWaiting(msg.label);
+    } else if (msg.type === "champion") {
+      setMatch(null);
+      setChampion(msg.champion);
+    } else if (msg.type === "ended") setConn((c) => ({ ...c, status: "ended", error: msg.reason }));
+    else if (msg.type === "error") {
+      setConn((c) => (c.status === "joined" ? { ...c, error: msg.message } : { ...c, status: "error", error: msg.message }));
+    }
+  }
+
+  function handleJoin() {
+    socketRef.current?.close();
+    localStorage.setItem(ROOM_NAME_KEY, name.trim());
+    const serverUrl = roomServerUrl();
+    if (!serverUrl) {
+      setConn({ status: "error", error: BAD_SERVER_MESSAGE, name: null, code: null });
+      return;
+    }
+    const socket = new WebSocket(serverUrl);
+    socketRef.current = socket;
+    setConn({ status: "connecting", error: null, name: null, code: null });
+
+    socket.onopen = () => sendRoom(socket, { type: "join", code, name });
+    socket.onmessage = (e) => handleMessage(JSON.parse(e.data));
+    socket.onerror = () => setConn((c) => ({ ...c, status: "error", error: `Couldn’t reach the room server at ${serverUrl}.` }));
+    socket.onclose = () => {
+      if (socketRef.current !== socket) return;
+      setConn((c) => (c.status === "joined" ? { ...c, status: "ended", error: "Lost the connection to the room." } : c));
+    };
+  }
+
+  function vote(side) {
+    if (!match) return;
+    sendRoom(socketRef.current, { type: "vote", key: match.key, side });
+    setMyVote({ key: match.key, side });
+  }
+
+  const voted = match && myVote?.key === match.key ? myVote.side : null;
+
+  return (
+    <Shell>
+      <GradientTitle title="Spotify Duel" subtitle="Vote on each match from your phone. The room follows the host’s screen." />
+
+      {conn.status !== "joined" ? (
+        <Card className="p-4">
+          <div className="text-sm font-bold">{conn.status === "ended" ? "The room has closed" : "Join a room"}</div>
+          <div className="mt-3 space-y-2">
+            <Input value={code} onChange={(v) => setCode(v.toUpperCase())} placeholder="Room code" />
+            <Input value={name} onChange={setName} placeholder="Your name" />
+            <Button className="w-full" onClick={handleJoin} disabled={!code.trim() || conn.status === "connecting"}>
+              {conn.status === "connecting" ? <RefreshCw className="h-4 w-4 animate-spin" /> : <ChevronRight className="h-4 w-4" />}
+              Join
+            </Button>
+          </div>
+          {conn.error ? (
+            <div className="mt-3 rounded-2xl bg-rose-500/10 ring-1 ring-rose-500/25 p-3 text-xs text-rose-200">{conn.error}</div>
+          ) : null}
+        </Card>
+      ) : (
+        <div className="space-y-3">
+          <div className="flex items-center justify-between gap-2">
+            <Pill>
+              Room {conn.code} • {conn.name}
+            </Pill>
+            {match ? (
+              <Pill>
+                <Countdown closesAt={match.closesAt} />
+              </Pill>
+            ) : null}
+          </div>
+
+          {lastResult?.winner ? (
+            <div className="text-[11px] text-zinc-400">
+              Last match: <span className="text-zinc-200">{lastResult.winner.name}</span> went through
+            </div>
+          ) : null}
+
+          {champion ? (
+            <Card className="p-4 text-center">
+              <Trophy className="mx-auto h-8 w-8" />
+              <div className="mt-2 text-xs text-zinc-400">Champion</div>
+              <div className="mt-1 text-lg font-extrabold">{champion.name}</div>
+              <div className="text-xs text-zinc-400">{champion.artists}</div>
+            </Card>
+          ) : match ? (
+            <>
+              <div className="text-sm font-bold">{match.label}</div>
+              {["a", "b"].map((side) => {
+                const e = match[side];
+                return (
+                  <button
+                    key={side}
+                    type="button"
+                    onClick={() => vote(side)}
+                    className={`flex w-full items-center gap-3 rounded-3xl p-3 text-left ring-1 transition ${
+                      voted === side ? "bg-emerald-500/15 ring-emerald-400/40" : "bg-white/5 ring-white/10 hover:bg-white/10"
+                    }`}
+                  >
+                    {e.image ? (
+                      <img src={e.image} alt="" className="h-16 w-16 shrink-0 rounded-2xl object-cover" />
+                    ) : (
+                      <div className="h-16 w-16 shrink-0 rounded-2xl bg-white/5" />
+                    )}
+                    <span className="min-w-0">
+                      <span className="block truncate text-sm font-extrabold">{e.name}</span>
+                      <span className="block truncate text-xs text-zinc-400">{e.artists}</span>
+                    </span>
+                  </button>
+                );
+              })}
+              <div className="text-[11px] text-zinc-400">
+                {voted ? "Vote in. You can change it until time runs out." : "Tap to vote."} {match.votes}/{match.voters} voted.
+              </div>
+            </>
+          ) : (
+            <Card className="p-4">
+              <div className="text-sm font-bold">Waiting for the host</div>
+              <div className="mt-1 text-xs text-zinc-400">{waiting || "The next match will show up here."}</div>
+            </Card>
+          )}
+
+          {conn.error ? <div className="text-[11px] text-rose-200">{conn.error}</div> : null}
+        </div>
+      )}
+    </Shell>
+  );
+}
@@ -0,0 +1,208 @@
+/**
+ * Bracket tree layout (the full-size view): rounds as columns, a node per match, and connectors
+ * that follow each entrant from the match it won to the next one it plays.
+ */
+import { roundLabel } from "./engine/index.js";
+import { roundRows } from "./rounds.js";
+
+export const TREE_NODE_W = 208;
+export const TREE_NODE_H = 64;
+const TREE_LINE_Y = [18, 46]; // middle of the a / b line inside a node
+export const TREE_GAP_X = 56;
+const TREE_GAP_Y = 14;
+const TREE_HEADER_H = 30;
+const TREE_TITLE_H = 26;
+const TREE_SECTION_GAP = 44;
+
+// Who a row sends on: its winner, or the lone entrant of a bye / auto-finalist row
+export function advancingEntrant(row) {
+  if (row.pending) return null;
+  return row.winner || (row.a && !row.b ? row.a : null);
+}
+
+function treeColumns(tournament, indices) {
+  const columns = [];
+  for (const ri of indices) {
+    const r = tournament.rounds[ri];
+    const rows = roundRows(tournament, ri);
+    const label = roundLabel(tournament, ri);
+    if (r?.type === "three" && !r.byePending) {
+      // The auto finalist waits beside the semi, then both meet in a column of their own
+      const finalId = `r${ri}-final`;
+      columns.push({ key: `r${ri}`, label, rows: rows.filter((m) => m.id !== finalId) });
+      columns.push({
+        key: finalId,
+        label: "Final",
+        rows: [rows.find((m) => m.id === finalId) || { id: finalId, a: r.top, b: null, pending: true }],
+      });
+    } else {
+      columns.push({ key: `r${ri}`, label: r?.finalThree ? `${label} • round robin` : label, rows, groups: r?.type === "groups" });
+    }
+  }
+  return columns;
+}
+
+// Rounds the engine hasn't built yet, as empty slots, so a knockout reads through to the final from the start
+function futureColumns(tournament) {
+  const r = tournament.rounds[tournament.rounds.length - 1];
+  if (tournament.champion || tournament.rules?.format === "double") return [];
+
+  let n;
+  if (r?.bracket === "third") n = 2;
+  else if (r?.type === "normal") n = Math.ceil(r.entrants.length / 2);
+  else if (r?.type === "groups" && !r.finalThree) n = r.groups.length * r.advance;
+  else return [];
+
+  let k = tournament.rounds.filter((x) => x?.bracket !== "third").length;
+  const slots = (key, count) => Array.from({ length: count }, (_, i) => ({ id: `${key}-${i}`, a: null, b: null, pending: true }));
+  const columns = [];
+  while (n >= 2) {
+    k += 1;
+    const key = `future${k}`;
+    if (n === 3 && tournament.rules?.threeLeft === "roundrobin") {
+      columns.push({ key, label: `Round ${k} • round robin`, rows: slots(key, 3), groups: true });
+    } else if (n === 3) {
+      columns.push({ key, label: `Round ${k}`, rows: slots(key, 2) }, { key: `${key}-final`, label: "Final", rows: slots(`${key}-final`, 1) });
+    } else {
+      columns.push({ key, label: `Round ${k}`, rows: slots(key, Math.ceil(n / 2)) });
+    }
+    if (n === 3) break;
+    n = Math.ceil(n / 2);
+  }
+  return columns;
+}
+
+/**
+ * Positions for the tree view: { width, height, headers, titles, nodes, links }. Each node is
+ * centred on the matches that fed it; empty future slots take the two nodes before them.
+ * Group stages are columns of fixtures with no connectors in or out.
+ */
+export function bracketTreeLayout(tournament) {
+  const rounds = tournament.rounds;
+  const indices = rounds.map((_, ri) => ri);
+  const sections =
+    tournament.rules?.format === "double"
+      ? [
+          { key: "winners", title: "Winners bracket", indices: indices.filter((ri) => rounds[ri]?.bracket === "winners") },
+          { key: "losers", title: "Losers bracket", indices: indices.filter((ri) => rounds[ri]?.bracket === "losers") },
+          { key: "grand", title: "Grand final", indices: indices.filter((ri) => rounds[ri]?.bracket === "grand") },
+        ]
+      : [
+          { key: "main", title: null, indices: indices.filter((ri) => rounds[ri]?.bracket !== "third"), future: true },
+          { key: "third", title: null, indices: indices.filter((ri) => rounds[ri]?.bracket === "third") },
+        ];
+  const shown = sections.filter((sec) => sec.indices.length);
+  const crowned = shown.find((sec) => sec.key === "grand" || sec.key === "main") || shown[0];
+
+  const headers = [];
+  const titles = [];
+  const nodes = [];
+  const links = [];
+  let top = 0;
+  let width = 0;
+
+  for (const sec of shown) {
+    const columns = treeColumns(tournament, sec.indices);
+    if (sec.future) columns.push(...futureColumns(tournament));
+    if (sec === crowned && tournament.champion) {
+      const c = tournament.champion;
+      columns.push({ key: "champion", label: "Champion", rows: [{ id: "champion", a: c, b: null, winner: c, tag: "CHAMPION", champion: true }] });
+    }
+
+    if (sec.title) {
+      titles.push({ key: sec.key, title: sec.title, y: top });
+      top += TREE_TITLE_H;
+    }
+    const y0 = top + TREE_HEADER_H;
+    let bottom = y0;
+    const placed = [];
+
+    columns.forEach((col, c) => {
+      const x = c * (TREE_NODE_W + TREE_GAP_X);
+      headers.push({ key: `${sec.key}-${col.key}`, label: col.label, x, y: top });
+
+      const entries = col.rows.map((row, order) => {
+        const sources = [];
+        if (c > 0 && !col.groups && !columns[c - 1].groups) {
+          if (row.pending && !row.a && !row.b) {
+            for (const node of [placed[c - 1][2 * order], placed[c - 1][2 * order + 1]]) {
+              if (node) sources.push({ node, line: null, dashed: true });
+            }
+          } else {
+            [row.a, row.b].forEach((e, line) => {
+              if (!e) return;
+              for (let k = c - 1; k >= 0 && !columns[k].groups; k--) {
+                const node = placed[k].find((n) => advancingEntrant(n.row)?.id === e.id);
+                if (node) {
+                  sources.push({ node, line, entrantId: e.id });
+                  break;
+                }
+              }
+            });
+          }
+        }
+        const centers = sources.map((s) => s.node.y + TREE_NODE_H / 2);
+        const want = centers.length ? centers.reduce((sum, y) => sum + y, 0) / centers.length - TREE_NODE_H / 2 : null;
+        return { row, order, sources, want };
+      });
+
+      // Follow the feeding matches so connectors cross as little as the pairings allow
+      entries.sort((p, q) => (p.want ?? Infinity) - (q.want ?? Infinity) || p.order - q.order);
+
+      let next = y0;
+      placed[c] = entries.map(({ row, sources, want }) => {
+        const y = Math.max(want ?? next, next);
+        next = y + TREE_NODE_H + TREE_GAP_Y;
+        // Match ids can repeat across rounds (a losers-bracket rematch), so nodes carry their column too
+        const node = { id: `${col.key}/${row.id}`, row, x, y, label: col.label };
+        nodes.push(node);
+        for (const s of sources) {
+          const from = s.node;
+          const fromLine = s.entrantId ? (from.row.a?.id === s.entrantId ? 0 : 1) : null;
+          links.push({
+            key: `${from.id}>${node.id}>${s.line}`,
+            x1: from.x + TREE_NODE_W,
+            y1: from.y + (fromLine == null ? TREE_NODE_H / 2 : TREE_LINE_Y[fromLine]),
+            x2: x,
+            y2: y + (s.line == null ? TREE_NODE_H / 2 : TREE_LINE_Y[s.line]),
+            entrantId: s.entrantId || null,
+            dashed: Boolean(s.dashed),
+          });
+        }
+        return node;
+      });
+
+      bottom = Math.max(bottom, next - TREE_GAP_Y);
+      width = Math.max(width, x + TREE_NODE_W);
+    });
+
+    top = bottom + TREE_SECTION_GAP;
+  }
+
+  return { width, height: Math.max(0, top - TREE_SECTION_GAP), headers, titles, nodes, links };
+}
+
+// ------------------------
+// Pan and zoom: a view is { scale, x, y }, the layout's offset inside the viewport
+// ------------------------
+const TREE_MIN_SCALE = 0.2;
+const TREE_MAX_SCALE = 2.5;
+
+export const clampTreeScale = (s) => Math.min(TREE_MAX_SCALE, Math.max(TREE_MIN_SCALE, s));
+
+// The view that shows the whole layout, centred, in a viewport of this size (never above 1×)
+export function treeFitView(layout, { width, height }) {
+  const scale = clampTreeScale(Math.min(1, (width - 32) / layout.width, (height - 32) / layout.height));
+  return { scale, x: Math.max(16, (width - layout.width * scale) / 2), y: Math.max(16, (height - layout.height * scale) / 2) };
+}
+
+// View `v` zoomed by `factor` about the viewport point (px, py); about the viewport's centre without one
+export function zoomTreeView(v, factor, el, px, py) {
+  if (!v || !el) return v;
+  const rect = el.getBoundingClientRect();
+  const x0 = px ?? rect.width / 2;
+  const y0 = py ?? rect.height / 2;
+  const scale = clampTreeScale(v.scale * factor);
+  const k = scale / v.scale;
+  return { scale, x: x0 - (x0 - v.x) * k, y: y0 - (y0 - v.y) * k };
+}
@@ -0,0 +1,107 @@
+import { describe, expect, it } from "vitest";
+import { applyPick, buildTournament } from "./engine/index.js";
+import { advancingEntrant, bracketTreeLayout, clampTreeScale, treeFitView, zoomTreeView } from "./bracketTree.js";
+
+// n tracks, t1 the most popular
+function tracks(n) {
+  return Array.from({ length: n }, (_, i) => ({ id: `t${i + 1}`, name: `Song ${i + 1}`, artists: `Artist ${i + 1}`, popularity: 100 - i }));
+}
+
+// The top seed wins everything
+function chalk(n) {
+  let t = buildTournament(tracks(n), {});
+  while (!t.champion) t = applyPick(t, "a");
+  return t;
+}
+
+const labels = (layout) => layout.headers.map((h) => h.label);
+const column = (layout, x) => layout.nodes.filter((n) => n.x === x).map((n) => n.id);
+
+describe("advancingEntrant", () => {
+  it("is a match's winner, or the lone entrant of a one-sided row", () => {
+    const a = { id: "t1" };
+    const b = { id: "t2" };
+    expect(advancingEntrant({ a, b, winner: b })).toBe(b);
+    expect(advancingEntrant({ a, b })).toBeNull();
+    expect(advancingEntrant({ a, b: null })).toBe(a);
+    expect(advancingEntrant({ a, b: null, pending: true })).toBeNull();
+  });
+});
+
+describe("bracketTreeLayout", () => {
+  it("reads a fresh knockout through to the final, with empty slots fed by dashed lines", () => {
+    const layout = bracketTreeLayout(buildTournament(tracks(8), {}));
+    expect(labels(layout)).toEqual(["Round 1", "Round 2", "Round 3"]);
+    expect(column(layout, 0)).toHaveLength(4);
+    expect(column(layout, 264)).toEqual(["future2/future2-0", "future2/future2-1"]);
+    expect(column(layout, 528)).toEqual(["future3/future3-0"]);
+    expect(layout.links).toHaveLength(6);
+    expect(layout.links.every((l) => l.dashed && l.entrantId === null)).toBe(true);
+    expect({ width: layout.width, height: layout.height }).toEqual({ width: 3 * 208 + 2 * 56, height: 30 + 4 * 64 + 3 * 14 });
+  });
+
+  it("centres each node on the matches that fed it", () => {
+    const layout = bracketTreeLayout(buildTournament(tracks(8), {}));
+    const [first, second] = layout.nodes;
+    const next = layout.nodes.find((n) => n.id === "future2/future2-0");
+    expect(next.y).toBe((first.y + second.y) / 2);
+  });
+
+  it("follows each entrant from the match it won, and crowns the champion", () => {
+    const layout = bracketTreeLayout(chalk(4));
+    expect(labels(layout)).toEqual(["Round 1", "Round 2", "Champion"]);
+    expect(layout.nodes.at(-1)).toMatchObject({ id: "champion/champion", row: { tag: "CHAMPION", champion: true } });
+    expect(layout.links.map((l) => [l.key, l.entrantId])).toEqual([
+      ["r0/m-t1-t4-0>r1/m-t1-t2-0>0", "t1"],
+      ["r0/m-t2-t3-1>r1/m-t1-t2-0>1", "t2"],
+      ["r1/m-t1-t2-0>champion/champion>0", "t1"],
+    ]);
+    // A line leaves from the winner's line of its match and lands on its line in the next
+    const [fromA, fromB] = layout.links;
+    expect(fromA.y2).toBe(layout.nodes.find((n) => n.id === "r1/m-t1-t2-0").y + 18);
+    expect(fromB.y2).toBe(layout.nodes.find((n) => n.id === "r1/m-t1-t2-0").y + 46);
+  });
+
+  it("gives a bye a node and splits the last three into a semi and a final", () => {
+    const layout = bracketTreeLayout(buildTournament(tracks(5), {}));
+    expect(labels(layout)).toEqual(["Round 1", "Round 2", "Final"]);
+    expect(column(layout, 0)[0]).toBe("r0/r0-bye");
+  });
+
+  it("lays out a double-elimination bracket in titled sections", () => {
+    const layout = bracketTreeLayout(buildTournament(tracks(4), { format: "double" }));
+    expect(layout.titles).toEqual([{ key: "winners", title: "Winners bracket", y: 0 }]);
+    expect(layout.headers[0]).toMatchObject({ label: "Winners R1", y: 26 });
+    expect(layout.nodes).toHaveLength(2);
+  });
+
+  it("draws a group stage as a column of fixtures with nothing leading out of it", () => {
+    const t = buildTournament(tracks(6), { format: "groups", groupSize: "3" });
+    const layout = bracketTreeLayout(t);
+    expect(labels(layout)[0]).toBe("Group stage");
+    expect(column(layout, 0)).toHaveLength(t.rounds[0].schedule.length);
+    expect(layout.links.some((l) => l.key.startsWith("r0/"))).toBe(false);
+  });
+});
+
+describe("tree view", () => {
+  const viewport = (width, height) => ({ getBoundingClientRect: () => ({ width, height }) });
+
+  it("clamps the zoom", () => {
+    expect(clampTreeScale(0.01)).toBe(0.2);
+    expect(clampTreeScale(1)).toBe(1);
+    expect(clampTreeScale(9)).toBe(2.5);
+  });
+
+  it("fits the whole layout, centred, never above full size", () => {
+    expect(treeFitView({ width: 200, height: 100 }, { width: 1000, height: 500 })).toEqual({ scale: 1, x: 400, y: 200 });
+    expect(treeFitView({ width: 1936, height: 100 }, { width: 1000, height: 500 })).toEqual({ scale: 0.5, x: 16, y: 225 });
+  });
+
+  it("zooms about a point, keeping it still", () => {
+    const v = zoomTreeView({ scale: 1, x: 0, y: 0 }, 2, viewport(400, 200), 100, 50);
+    expect(v).toEqual({ scale: 2, x: -100, y: -50 });
+    expect(zoomTreeView({ scale: 1, x: 0, y: 0 }, 2, viewport(400, 200))).toEqual({ scale: 2, x: -200, y: -100 });
+    expect(zoomTreeView(null, 2, viewport(400, 200))).toBeNull();
+  });
+});
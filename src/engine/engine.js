@@ -0,0 +1,190 @@
+/**
+ * Headless tournament engine with an event API.
+ *
+ *   const engine = createTournamentEngine();
+ *   engine.on("matchDecided", ({ match, entry }) => …);
+ *   engine.create(tracks, { seeding: "popularity", format: "single" });
+ *   engine.pick("a");                 // 'a' | 'b' for the match at the cursor
+ *   engine.pick("b", { vote });       // optional details kept on the history entry
+ *   engine.chooseBye(trackId);        // when the cursor is { special: "bye" } (byeRule "choice")
+ *   engine.undo();
+ *   engine.redo();
+ *   engine.changePick({ round: 0, match: 2 }, winnerId);
+ *   const json = engine.serialize();
+ *   engine.restore(json);
+ *
+ * Events (payloads always include `tournament`, the new state):
+ *   change          — any state change (also via subscribe())
+ *   created         — create() built a new tournament
+ *   restored        — restore() loaded one
+ *   matchStarted    — a new match is up: { cursor, match, label }
+ *   matchDecided    — a pick was made: { entry, match }
+ *   byeChosen       — the user seated a bye: { entry, track }
+ *   roundCompleted  — every match of a round is decided: { round, label }
+ *   championCrowned — { champion, standings }
+ *   pickUndone      — { entry }
+ *   pickChanged     — { slot, winnerId, invalidated }
+ */
+import {
+  applyPick,
+  buildTournament,
+  changePick,
+  chooseBye,
+  cursorKey,
+  fastForwardIfNeeded,
+  getMatchAt,
+  makeId,
+  progressLabel,
+  redoPick,
+  roundLabel,
+  undoPick,
+} from "./tournament.js";
+
+export const SERIAL_FORMAT = "spotify-duel/tournament";
+export const SERIAL_VERSION = 1;
+
+export const ENGINE_EVENTS = [
+  "change",
+  "created",
+  "restored",
+  "matchStarted",
+  "matchDecided",
+  "byeChosen",
+  "roundCompleted",
+  "championCrowned",
+  "pickUndone",
+  "pickChanged",
+];
+
+/**
+ * Parse + validate a serialized tournament (string or object). Accepts the envelope written
+ * by serialize() and, for older saves, a bare tournament object. Throws with a readable message.
+ */
+export function deserializeTournament(data) {
+  let parsed = data;
+  if (typeof data === "string") {
+    try {
+      parsed = JSON.parse(data);
+    } catch {
+      throw new Error("Tournament data is not valid JSON.");
+    }
+  }
+  if (!parsed || typeof parsed !== "object") throw new Error("Tournament data is empty.");
+
+  let t = parsed;
+  if (parsed.format === SERIAL_FORMAT) {
+    if (typeof parsed.version !== "number") throw new Error("Tournament data has no version.");
+    if (parsed.version > SERIAL_VERSION) {
+      throw new Error(`Tournament data is version ${parsed.version}; this app understands up to ${SERIAL_VERSION}.`);
+    }
+    t = parsed.tournament;
+  }
+
+  if (!t || !Array.isArray(t.rounds) || !t.rounds.length) throw new Error("Tournament data has no rounds.");
+  if (typeof t.roundIndex !== "number" || !t.rounds[t.roundIndex]) throw new Error("Tournament data has a bad round index.");
+
+  // Saves from before tournaments had ids (or undo/redo) get them here
+  return {
+    history: [],
+    redo: [],
+    invalidated: [],
+    ...t,
+    id: t.id || makeId(),
+    startedAt: t.startedAt || Date.now(),
+  };
+}
+
+function currentMatch(t) {
+  const c = t?.cursor;
+  if (!c) return null;
+  return getMatchAt(t, { round: c.round, match: c.match, stage: c.special, group: c.group, fixture: c.fixture });
+}
+
+export function createTournamentEngine(initial = null) {
+  let state = initial;
+  const listeners = new Map(ENGINE_EVENTS.map((e) => [e, new Set()]));
+
+  function emit(event, payload) {
+    for (const fn of [...(listeners.get(event) || [])]) fn({ ...payload, tournament: state });
+  }
+
+  function on(event, fn) {
+    if (!listeners.has(event)) throw new Error(`Unknown engine event: ${event}`);
+    listeners.get(event).add(fn);
+    return () => listeners.get(event).delete(fn);
+  }
+
+  // Work out which lifecycle events a transition implies, so subscribers never diff state themselves.
+  function commit(next, cause, extra = {}) {
+    const prev = state;
+    if (next === prev) return state;
+    state = next;
+
+    if (cause === "created" || cause === "restored") emit(cause, {});
+    if (cause === "undo") emit("pickUndone", extra);
+    if (cause === "change") emit("pickChanged", extra);
+
+    if (next && (cause === "pick" || cause === "redo")) {
+      for (const entry of next.history.slice(prev?.history.length || 0)) {
+        if (entry.stage === "bye") {
+          const round = next.rounds[entry.round];
+          emit("byeChosen", { entry, track: round.bye || round.top });
+        } else {
+          emit("matchDecided", { entry, match: getMatchAt(next, entry) });
+        }
+      }
+      const lastDone = next.champion ? next.roundIndex : next.roundIndex - 1;
+      for (let ri = prev?.roundIndex ?? 0; ri <= lastDone; ri++) {
+        emit("roundCompleted", { round: ri, label: roundLabel(next, ri) });
+      }
+    }
+
+    if (next?.champion && !prev?.champion) {
+      emit("championCrowned", { champion: next.champion, standings: next.standings || [] });
+    }
+
+    // A pending bye choice isn't a match, so it doesn't count as one starting
+    const startsMatch = next?.cursor && next.cursor.special !== "bye";
+    if (startsMatch && (!prev?.cursor || cursorKey(prev) !== cursorKey(next))) {
+      emit("matchStarted", { cursor: next.cursor, match: currentMatch(next), label: progressLabel(next) });
+    }
+
+    emit("change", {});
+    return state;
+  }
+
+  return {
+    on,
+    off: (event, fn) => listeners.get(event)?.delete(fn),
+    /** Listen to every state change; the listener receives the new tournament. */
+    subscribe: (fn) => on("change", ({ tournament }) => fn(tournament)),
+    getState: () => state,
+
+    create: (tracks, rules) => commit(buildTournament(tracks, rules), "created"),
+    reset: () => commit(null, "reset"),
+
+    /** Pick side 'a' or 'b' of the match at the cursor; `extra` (e.g. { vote }) lands on the history entry. */
+    pick: (side, extra) => (state ? commit(applyPick(state, side, extra), "pick") : state),
+    /** Seat the bye when the round waits on the user (cursor { special: "bye" }). */
+    chooseBye: (trackId) => (state ? commit(chooseBye(state, trackId), "pick") : state),
+    undo: () => {
+      const entry = state?.history?.[state.history.length - 1];
+      return entry ? commit(undoPick(state), "undo", { entry }) : state;
+    },
+    redo: () => (state?.redo?.length ? commit(redoPick(state), "redo") : state),
+
+    /** What changePick() would do, without committing it (for confirmation prompts). */
+    previewChange: (slot, winnerId) => (state ? changePick(state, slot, winnerId) : state),
+    changePick: (slot, winnerId) => {
+      if (!state) return state;
+      const next = changePick(state, slot, winnerId);
+      return commit(next, "change", { slot, winnerId, invalidated: next.invalidated || [] });
+    },
+    dismissInvalidated: () => (state?.invalidated?.length ? commit({ ...state, invalidated: [] }, "dismiss") : state),
+    /** Re-run auto-advance (byes, finished rounds) if the cursor got stuck. */
+    advance: () => (state ? commit(fastForwardIfNeeded(state), "advance") : state),
+
+    serialize: () => JSON.stringify({ format: SERIAL_FORMAT, version: SERIAL_VERSION, tournament: state }),
+    restore: (data) => commit(deserializeTournament(data), "restored"),
+  };
+}
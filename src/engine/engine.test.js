@@ -0,0 +1,172 @@
+import { describe, expect, it } from "vitest";
+import { createTournamentEngine, deserializeTournament, ENGINE_EVENTS, SERIAL_FORMAT, SERIAL_VERSION } from "./index.js";
+
+function tracks(n) {
+  return Array.from({ length: n }, (_, i) => ({
+    id: `t${i + 1}`,
+    name: `Song ${i + 1}`,
+    artists: `Artist ${i + 1}`,
+    popularity: 100 - i,
+  }));
+}
+
+// An engine that records every event but "change" as [name, payload]; take() empties the log and returns the names
+function recorded() {
+  const engine = createTournamentEngine();
+  const events = [];
+  for (const name of ENGINE_EVENTS.filter((e) => e !== "change")) {
+    engine.on(name, (payload) => events.push([name, payload]));
+  }
+  const take = () => events.splice(0).map(([name]) => name);
+  return { engine, events, take };
+}
+
+describe("createTournamentEngine events", () => {
+  it("announces a new tournament and its first match", () => {
+    const { engine, events, take } = recorded();
+    engine.create(tracks(4));
+    expect(take()).toEqual(["created", "matchStarted"]);
+    expect(engine.getState().cursor).toEqual({ round: 0, match: 0 });
+    expect(events).toEqual([]);
+  });
+
+  it("sends matchDecided for each pick and roundCompleted once a round is done", () => {
+    const { engine, events, take } = recorded();
+    engine.create(tracks(4));
+    take();
+
+    engine.pick("a");
+    const decided = events[0][1];
+    expect(decided.entry).toMatchObject({ round: 0, match: 0, winnerId: "t1" });
+    expect(decided.match.winner.id).toBe("t1");
+    expect(decided.tournament).toBe(engine.getState());
+    expect(take()).toEqual(["matchDecided", "matchStarted"]);
+
+    engine.pick("a");
+    const completed = events.find(([name]) => name === "roundCompleted")[1];
+    expect(completed).toMatchObject({ round: 0, label: "Round 1" });
+    expect(take()).toEqual(["matchDecided", "roundCompleted", "matchStarted"]);
+  });
+
+  it("crowns the champion with the final standings", () => {
+    const { engine, take } = recorded();
+    engine.create(tracks(2));
+    take();
+    engine.pick("b");
+    expect(take()).toEqual(["matchDecided", "roundCompleted", "championCrowned"]);
+    expect(engine.getState().champion.id).toBe("t2");
+    expect(engine.getState().standings.map((r) => r.track.id)).toEqual(["t2", "t1"]);
+  });
+
+  it("passes the champion and standings in championCrowned", () => {
+    const engine = createTournamentEngine();
+    let payload = null;
+    engine.on("championCrowned", (p) => (payload = p));
+    engine.create(tracks(2));
+    engine.pick("a");
+    expect(payload.champion.id).toBe("t1");
+    expect(payload.standings.map((r) => r.place)).toEqual([1, 2]);
+  });
+
+  it("sends pickUndone with the removed entry, and matchDecided again on redo", () => {
+    const { engine, events, take } = recorded();
+    engine.create(tracks(4));
+    engine.pick("b");
+    take();
+
+    engine.undo();
+    expect(events[0][1].entry).toMatchObject({ round: 0, match: 0, winnerId: "t4" });
+    expect(take()).toEqual(["pickUndone", "matchStarted"]);
+
+    engine.redo();
+    expect(events[0][1].entry.winnerId).toBe("t4");
+    expect(take()).toEqual(["matchDecided", "matchStarted"]);
+  });
+
+  it("sends pickChanged with the slot, new winner and invalidated picks", () => {
+    const { engine, events, take } = recorded();
+    engine.create(tracks(4));
+    engine.pick("a"); // t1 beats t4
+    engine.pick("a"); // t2 beats t3
+    engine.pick("a"); // t1 wins the final
+    take();
+
+    engine.changePick({ round: 0, match: 0 }, "t4");
+    const changed = events.find(([name]) => name === "pickChanged")[1];
+    expect(changed.slot).toEqual({ round: 0, match: 0 });
+    expect(changed.winnerId).toBe("t4");
+    expect(changed.invalidated).toEqual([expect.objectContaining({ winnerId: "t1" })]);
+    expect(engine.getState().champion).toBeNull();
+    expect(take()).toEqual(["pickChanged", "matchStarted"]);
+  });
+
+  it("stays quiet when nothing changes", () => {
+    const { engine, take } = recorded();
+    engine.create(tracks(4));
+    take();
+    engine.undo();
+    engine.redo();
+    engine.changePick({ round: 0, match: 0 }, "t9");
+    expect(take()).toEqual([]);
+  });
+
+  it("lets a listener unsubscribe and rejects unknown events", () => {
+    const engine = createTournamentEngine();
+    let calls = 0;
+    const off = engine.subscribe(() => (calls += 1));
+    engine.create(tracks(4));
+    off();
+    engine.pick("a");
+    expect(calls).toBe(1);
+    expect(() => engine.on("nope", () => {})).toThrow(/Unknown engine event/);
+  });
+});
+
+describe("serialize / restore", () => {
+  it("round-trips a tournament in progress through deserializeTournament", () => {
+    const engine = createTournamentEngine();
+    engine.create(tracks(6), { format: "double", seeding: "random", seed: 7 });
+    engine.pick("a");
+    engine.pick("b");
+    engine.undo();
+
+    const json = engine.serialize();
+    expect(JSON.parse(json)).toMatchObject({ format: SERIAL_FORMAT, version: SERIAL_VERSION });
+    expect(deserializeTournament(json)).toEqual(engine.getState());
+
+    const copy = createTournamentEngine();
+    let restored = 0;
+    copy.on("restored", () => (restored += 1));
+    copy.restore(json);
+    expect(restored).toBe(1);
+    expect(copy.getState()).toEqual(engine.getState());
+
+    // the copy plays on exactly like the original
+    engine.redo();
+    copy.redo();
+    expect(copy.getState()).toEqual(engine.getState());
+  });
+
+  it("accepts a bare tournament from an older save and fills in what it lacks", () => {
+    const engine = createTournamentEngine();
+    engine.create(tracks(4));
+    const { id, startedAt, history, redo, invalidated, ...old } = engine.getState();
+    expect([id, startedAt, history, redo, invalidated].every((x) => x != null)).toBe(true);
+
+    const t = deserializeTournament(JSON.stringify(old));
+    expect(t.id).toEqual(expect.any(String));
+    expect(t.startedAt).toEqual(expect.any(Number));
+    expect(t).toMatchObject({ history: [], redo: [], invalidated: [], rounds: old.rounds });
+  });
+
+  it("throws a readable error for bad data", () => {
+    expect(() => deserializeTournament("{not json")).toThrow("not valid JSON");
+    expect(() => deserializeTournament("null")).toThrow("empty");
+    expect(() => deserializeTournament({ format: SERIAL_FORMAT, version: SERIAL_VERSION + 1, tournament: {} })).toThrow(
+      `version ${SERIAL_VERSION + 1}`
+    );
+    expect(() => deserializeTournament({ format: SERIAL_FORMAT, tournament: {} })).toThrow("no version");
+    expect(() => deserializeTournament({ rounds: [] })).toThrow("no rounds");
+    expect(() => deserializeTournament({ rounds: [{}], roundIndex: 3 })).toThrow("bad round index");
+  });
+});
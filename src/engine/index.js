@@ -0,0 +1,39 @@
+export {
+  createTournamentEngine,
+  deserializeTournament,
+  ENGINE_EVENTS,
+  SERIAL_FORMAT,
+  SERIAL_VERSION,
+} from "./engine.js";
+
+export {
+  TOURNAMENT_FORMATS,
+  SEEDING_STRATEGIES,
+  BYE_RULES,
+  THREE_LEFT_RULES,
+  GROUP_POINTS_WIN,
+  applyPick,
+  buildTournament,
+  changePick,
+  chooseBye,
+  cursorKey,
+  deriveCursor,
+  fastForwardIfNeeded,
+  finalStandings,
+  followPickPath,
+  getMatchAt,
+  getTotalDone,
+  groupStandings,
+  hashString,
+  makeId,
+  makeRound,
+  pickPath,
+  pickResults,
+  progressLabel,
+  redoPick,
+  roundLabel,
+  seededShuffle,
+  sortByPopularityDesc,
+  sortBySeed,
+  undoPick,
+} from "./tournament.js";
@@ -0,0 +1,1094 @@
+/**
+ * Tournament engine — pure bracket logic, no UI and no storage.
+ *
+ * A tournament is a plain JSON-safe object ({ rules, rounds, roundIndex, cursor, history, champion, … });
+ * every function here takes one and returns a new one. See ./engine.js for the event-emitting wrapper.
+ */
+
+const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
+
+export function makeId(length = 12) {
+  const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+  const rnd = crypto.getRandomValues(new Uint8Array(length));
+  let out = "";
+  for (let i = 0; i < length; i++) out += chars[rnd[i] % chars.length];
+  return out;
+}
+
+function deepClone(x) {
+  return JSON.parse(JSON.stringify(x));
+}
+
+export function sortByPopularityDesc(list) {
+  return [...list].sort((a, b) => (b?.popularity ?? 0) - (a?.popularity ?? 0));
+}
+
+// ------------------------
+// Seeding strategies
+// ------------------------
+export const TOURNAMENT_FORMATS = [
+  { id: "single", label: "Single elimination" },
+  { id: "double", label: "Double elimination" },
+  { id: "groups", label: "Group stage + knockout" },
+];
+
+export const SEEDING_STRATEGIES = [
+  { id: "popularity", label: "Popularity" },
+  { id: "playlist", label: "Playlist order" },
+  { id: "random", label: "Shuffle (seeded)" },
+  { id: "duration", label: "Duration (longest first)" },
+  { id: "year", label: "Release year (newest first)" },
+  { id: "artist", label: "Artist-balanced" },
+  { id: "manual", label: "Manual order" },
+  { id: "rating", label: "My all-time rating" },
+];
+
+// Who sits out an odd round (and, with the "auto" three-left rule, waits in the final)
+export const BYE_RULES = [
+  { id: "top", label: "Top seed" },
+  { id: "bottom", label: "Bottom seed" },
+  { id: "random", label: "Random (seeded)" },
+  { id: "choice", label: "I choose" },
+];
+
+export const THREE_LEFT_RULES = [
+  { id: "auto", label: "Bye straight to the final" },
+  { id: "roundrobin", label: "Three-way round robin" },
+];
+
+// mulberry32 — tiny deterministic PRNG so a seeded shuffle can be reproduced
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function seededShuffle(list, seed) {
+  const rnd = seededRandom(seed);
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rnd() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/** 32-bit FNV-1a hash of a string: small, stable across sessions and devices, not cryptographic. */
+export function hashString(text) {
+  let h = 0x811c9dc5;
+  for (const ch of text) {
+    h ^= ch.charCodeAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Over the ids, so a random bye depends on who is left rather than on when it was drawn
+function hashIds(list) {
+  return hashString(list.map((t) => t.id).join("|"));
+}
+
+function primaryArtist(track) {
+  return (track?.artists || "").split(",")[0].trim().toLowerCase();
+}
+
+/**
+ * Resolve seeding rules into a stored seed order (track ids, seed #1 first).
+ * If `rules.order` is already present it is kept, so rebuilt/restored tournaments seed identically.
+ */
+function resolveRules(tracks, rules = {}) {
+  const seeding = rules.seeding || "popularity";
+  let seed = rules.seed;
+  if ((seeding === "random" || rules.byeRule === "random") && !Number.isFinite(seed)) {
+    seed = crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  if (rules.order?.length) return { ...rules, seeding, seed };
+
+  const list = (tracks || []).filter(Boolean);
+  let ordered;
+
+  if (seeding === "playlist") {
+    ordered = list;
+  } else if (seeding === "random") {
+    ordered = seededShuffle(list, seed);
+  } else if (seeding === "duration") {
+    ordered = [...list].sort((a, b) => (b.duration_ms ?? 0) - (a.duration_ms ?? 0));
+  } else if (seeding === "year") {
+    ordered = [...list].sort((a, b) => (b.release_year ?? 0) - (a.release_year ?? 0));
+  } else if (seeding === "manual") {
+    const byId = new Map(list.map((t) => [t.id, t]));
+    const manual = (rules.manualOrder || []).map((id) => byId.get(id)).filter(Boolean);
+    const rest = list.filter((t) => !manual.includes(t));
+    ordered = [...manual, ...rest];
+  } else if (seeding === "artist") {
+    ordered = spreadArtists(sortByPopularityDesc(list));
+  } else {
+    // "rating" arrives with a precomputed order from the rating store, so this is only its fallback.
+    ordered = sortByPopularityDesc(list);
+  }
+
+  return { ...rules, seeding, seed, order: ordered.map((t) => t.id) };
+}
+
+export function sortBySeed(list, rules) {
+  if (!rules?.order?.length) return sortByPopularityDesc(list);
+  const rank = new Map(rules.order.map((id, i) => [id, i]));
+  return [...list].sort((a, b) => (rank.get(a?.id) ?? Infinity) - (rank.get(b?.id) ?? Infinity));
+}
+
+// Where each seed sits in a standard bracket of `size` lines (size a power of two): 1, 8, 4, 5, 2, 7, 3, 6 for 8.
+function bracketLines(size) {
+  let lines = [0];
+  while (lines.length < size) {
+    const n = lines.length * 2;
+    lines = lines.flatMap((s) => [s, n - 1 - s]);
+  }
+  return lines;
+}
+
+/**
+ * Re-order a popularity seeding so tracks by the same primary artist land in different quarters
+ * of the bracket (spread evenly over them when an artist has more than four). Strongest-vs-weakest
+ * pairing then keeps them apart until the late rounds while the favourites win; the per-round
+ * swap in balanceArtists() covers upsets. Each track takes the best seed still free whose
+ * section doesn't already hold its artist, so the order moves as little as it can.
+ */
+function spreadArtists(ordered) {
+  let size = 1;
+  while (size < ordered.length) size *= 2;
+  const sections = Math.min(4, Math.max(1, size / 2));
+  const sectionOf = new Array(size);
+  bracketLines(size).forEach((seed, line) => (sectionOf[seed] = Math.floor((line * sections) / size)));
+
+  const seats = new Array(ordered.length).fill(null);
+  const taken = Array.from({ length: sections }, () => new Map()); // section -> artist -> count
+
+  for (const track of ordered) {
+    const artist = primaryArtist(track);
+    // Tracks without an artist have nothing to keep apart
+    const count = (seat) => (artist ? taken[sectionOf[seat]].get(artist) || 0 : 0);
+    let best = -1;
+    for (let seat = 0; seat < seats.length; seat++) {
+      if (seats[seat]) continue;
+      if (best === -1 || count(seat) < count(best)) best = seat;
+      if (!count(best)) break;
+    }
+    seats[best] = track;
+    taken[sectionOf[best]].set(artist, count(best) + 1);
+  }
+
+  return seats;
+}
+
+// Swap opponents between pairs so no match puts the same primary artist against itself.
+function balanceArtists(matches) {
+  for (let i = 0; i < matches.length; i++) {
+    const m = matches[i];
+    if (primaryArtist(m.a) !== primaryArtist(m.b)) continue;
+
+    for (let j = 0; j < matches.length; j++) {
+      if (j === i) continue;
+      const o = matches[j];
+      if (primaryArtist(m.a) !== primaryArtist(o.b) && primaryArtist(o.a) !== primaryArtist(m.b)) {
+        [m.b, o.b] = [o.b, m.b];
+        break;
+      }
+    }
+  }
+  return matches;
+}
+
+// Strongest vs weakest of the pool (bye already taken out).
+function pairUp(pool, rules) {
+  const matches = [];
+  for (let i = 0; i < pool.length / 2; i++) {
+    matches.push({ a: pool[i], b: pool[pool.length - 1 - i], winner: null });
+  }
+
+  if (rules?.seeding === "artist") balanceArtists(matches);
+  matches.forEach((m, i) => (m.id = `m-${m.a?.id}-${m.b?.id}-${i}`));
+  return matches;
+}
+
+// The bye under rules.byeRule, or null when the user picks it ("choice").
+function byeFor(sorted, rules) {
+  const rule = rules?.byeRule || "top";
+  if (rule === "choice") return null;
+  if (rule === "bottom") return sorted[sorted.length - 1];
+  if (rule === "random") {
+    const rnd = seededRandom(((rules.seed ?? 0) ^ hashIds(sorted)) >>> 0);
+    return sorted[Math.floor(rnd() * sorted.length)];
+  }
+  return sorted[0];
+}
+
+// Fill in a round once its bye is known: pair the rest, or (3 left) seat the bye in the final.
+function seatBye(round, bye, rules) {
+  const rest = round.entrants.filter((t) => t.id !== bye.id);
+  if (round.type === "three") {
+    return { ...round, byePending: false, top: bye, match: { a: rest[0], b: rest[1], winner: null } };
+  }
+  return { ...round, byePending: false, bye, matches: pairUp(rest, rules) };
+}
+
+function withBye(round, rules) {
+  const bye = byeFor(round.entrants, rules);
+  return bye ? seatBye(round, bye, rules) : { ...round, byePending: true };
+}
+
+/**
+ * Build a round from entrants, applying:
+ * - 3 left (single elimination / groups knockout): rules.threeLeft — "auto" seats a bye straight
+ *   in the final and the other two play for the other place; "roundrobin" plays a one-group round
+ * - odd count: one entrant sits out under rules.byeRule ("top", "bottom", "random"), or the
+ *   round waits with byePending for the user to choose ("choice")
+ * - pairing strongest vs weakest among the rest (by the tournament's seeding rules)
+ */
+export function makeRound(entrants, rules) {
+  const alive = (entrants || []).filter(Boolean);
+
+  if (alive.length <= 1) {
+    return { type: "done", entrants: alive, bye: null, matches: [], winners: [] };
+  }
+
+  const sorted = sortBySeed(alive, rules);
+
+  // Special: 3 remaining (single elimination only — double elimination plays it out with a bye)
+  if (alive.length === 3 && rules?.format !== "double") {
+    if (rules?.threeLeft === "roundrobin") return { ...roundRobinRound([sorted], 1), finalThree: true };
+    return withBye({ type: "three", entrants: sorted, top: null, match: null, final: null, winners: [] }, rules);
+  }
+
+  const round = { type: "normal", entrants: sorted, bye: null, matches: [], winners: [] };
+  if (sorted.length % 2 === 0) return { ...round, matches: pairUp(sorted, rules) };
+  return withBye(round, rules);
+}
+
+/**
+ * Seat the bye the user chose for the current round ({ special: "bye" } cursor).
+ * Recorded in history as { stage: "bye", byeId, poolKey } so undo/redo replay it.
+ */
+export function chooseBye(tournament, trackId) {
+  const t = deepClone(tournament);
+  const round = t.rounds[t.roundIndex];
+  const bye = round?.byePending ? round.entrants.find((x) => x.id === trackId) : null;
+  if (!bye) return t;
+
+  t.rounds[t.roundIndex] = seatBye(round, bye, t.rules);
+  t.history.push({ round: t.roundIndex, stage: "bye", byeId: bye.id, poolKey: poolKey(round.entrants) });
+  t.redo = [];
+  return fastForwardIfNeeded(t);
+}
+
+// ------------------------
+// Group stage (round robin, then knockout)
+// ------------------------
+export const GROUP_POINTS_WIN = 3;
+
+function groupName(gi) {
+  return gi < 26 ? String.fromCharCode(65 + gi) : `G${gi + 1}`;
+}
+
+// Circle method: every pair meets once, split into matchdays.
+export function roundRobinDays(list) {
+  const arr = [...list];
+  if (arr.length % 2) arr.push(null);
+  const n = arr.length;
+  const days = [];
+
+  for (let d = 0; d < n - 1; d++) {
+    const day = [];
+    for (let i = 0; i < n / 2; i++) {
+      const a = arr[i];
+      const b = arr[n - 1 - i];
+      if (a && b) day.push([a, b]);
+    }
+    days.push(day);
+    arr.splice(1, 0, arr.pop());
+  }
+
+  return days;
+}
+
+/**
+ * Split entrants into round-robin groups of 3–6 (snake-seeded, so each group gets a
+ * spread of seeds). Fixtures are scheduled matchday by matchday across all groups.
+ */
+function makeGroupStage(entrants, rules) {
+  const sorted = sortBySeed((entrants || []).filter(Boolean), rules);
+  if (sorted.length < 4) return makeRound(sorted, rules);
+
+  const size = clamp(rules?.groupSize || 4, 3, 6);
+  const count = clamp(Math.ceil(sorted.length / size), Math.ceil(sorted.length / 6), Math.floor(sorted.length / 3));
+
+  const buckets = Array.from({ length: count }, () => []);
+  sorted.forEach((t, i) => {
+    const lap = Math.floor(i / count);
+    const pos = i % count;
+    buckets[lap % 2 ? count - 1 - pos : pos].push(t);
+  });
+
+  return { ...roundRobinRound(buckets, clamp(rules?.advance || 2, 1, 2)), entrants: sorted };
+}
+
+// One round-robin round: every bucket is a group, the top `advance` of each go through.
+function roundRobinRound(buckets, advance) {
+  const groups = buckets.map((list, gi) => {
+    const fixtures = [];
+    roundRobinDays(list).forEach((day, d) => {
+      for (const [a, b] of day) fixtures.push({ a, b, winner: null, day: d, id: `g${gi}-${a.id}-${b.id}` });
+    });
+    return { name: groupName(gi), entrants: list, fixtures };
+  });
+
+  const schedule = [];
+  groups.forEach((g, gi) => g.fixtures.forEach((f, fi) => schedule.push({ group: gi, fixture: fi, day: f.day })));
+  schedule.sort((x, y) => x.day - y.day || x.group - y.group);
+
+  return {
+    type: "groups",
+    entrants: buckets.flat(),
+    groups,
+    schedule: schedule.map(({ group, fixture }) => ({ group, fixture })),
+    advance,
+    winners: [],
+  };
+}
+
+/**
+ * Group table: points (3 per win), then head-to-head wins among the tied tracks,
+ * then seed. Returns rows in finishing order.
+ */
+export function groupStandings(group, rules) {
+  const rows = new Map(
+    group.entrants.map((track) => [track.id, { track, played: 0, won: 0, lost: 0, points: 0, h2h: 0 }])
+  );
+
+  for (const f of group.fixtures) {
+    if (!f.winner) continue;
+    const loser = f.winner.id === f.a.id ? f.b : f.a;
+    const w = rows.get(f.winner.id);
+    const l = rows.get(loser.id);
+    w.played += 1;
+    w.won += 1;
+    w.points += GROUP_POINTS_WIN;
+    l.played += 1;
+    l.lost += 1;
+  }
+
+  const seedRank = new Map(sortBySeed(group.entrants, rules).map((t, i) => [t.id, i]));
+  const list = [...rows.values()];
+
+  for (const row of list) {
+    const tied = new Set(list.filter((r) => r.points === row.points).map((r) => r.track.id));
+    row.h2h = group.fixtures.filter(
+      (f) => f.winner?.id === row.track.id && tied.has(f.a.id) && tied.has(f.b.id)
+    ).length;
+  }
+
+  return list.sort(
+    (x, y) => y.points - x.points || y.h2h - x.h2h || seedRank.get(x.track.id) - seedRank.get(y.track.id)
+  );
+}
+
+// Group winners first, then runners-up, so the knockout draw sees them in that order.
+function groupQualifiers(round, rules) {
+  const tables = round.groups.map((g) => groupStandings(g, rules));
+  const out = [];
+  for (let pos = 0; pos < round.advance; pos++) {
+    for (const table of tables) if (table[pos]) out.push(table[pos].track);
+  }
+  return out;
+}
+
+export function deriveCursor(tournament) {
+  if (!tournament) return null;
+  const r = tournament.rounds[tournament.roundIndex];
+  if (!r) return null;
+
+  if (r.byePending) return { round: tournament.roundIndex, special: "bye" };
+
+  if (r.type === "three") {
+    if (!r.match?.winner) return { round: tournament.roundIndex, special: "three" };
+    if (r.final && !r.final.winner) return { round: tournament.roundIndex, special: "final" };
+    return null;
+  }
+
+  if (r.type === "normal") {
+    const idx = r.matches.findIndex((m) => !m.winner && m.a && m.b);
+    if (idx !== -1) return { round: tournament.roundIndex, match: idx };
+    return null;
+  }
+
+  if (r.type === "groups") {
+    const next = r.schedule.find((s) => !r.groups[s.group].fixtures[s.fixture].winner);
+    if (next) return { round: tournament.roundIndex, group: next.group, fixture: next.fixture };
+    return null;
+  }
+
+  return null;
+}
+
+export function buildTournament(tracks, rules) {
+  const resolved = resolveRules(tracks, rules);
+  const first = resolved.format === "groups" ? makeGroupStage(tracks, resolved) : makeRound(tracks || [], resolved);
+  if (resolved.format === "double" && first.type === "normal") first.bracket = "winners";
+  const t = {
+    id: makeId(),
+    startedAt: Date.now(),
+    rules: resolved,
+    roundIndex: 0,
+    rounds: [first],
+    cursor: null,
+    champion: null,
+    history: [],
+    redo: [],
+    invalidated: [],
+    upper: [],
+    lower: [],
+  };
+  t.cursor = deriveCursor(t);
+  return fastForwardIfNeeded(t);
+}
+
+// ------------------------
+// Round completion (single + double elimination)
+// ------------------------
+function roundResults(round) {
+  const winners = round.matches.map((m) => m.winner).filter(Boolean);
+  if (round.bye) winners.push(round.bye);
+  const losers = round.matches
+    .filter((m) => m.winner && m.a && m.b)
+    .map((m) => (m.winner.id === m.a.id ? m.b : m.a));
+  return { winners, losers };
+}
+
+function pushRound(t, round) {
+  t.roundIndex += 1;
+  t.rounds.push(round);
+}
+
+function bracketRound(entrants, rules, bracket) {
+  return { ...makeRound(entrants, rules), bracket };
+}
+
+// a = winners-bracket champion, b = losers-bracket champion
+function makeGrandFinal(upperChamp, lowerChamp, reset) {
+  return {
+    type: "normal",
+    bracket: "grand",
+    reset,
+    entrants: [upperChamp, lowerChamp],
+    bye: null,
+    matches: [
+      { a: upperChamp, b: lowerChamp, winner: null, id: `gf-${upperChamp.id}-${lowerChamp.id}${reset ? "-reset" : ""}` },
+    ],
+    winners: [],
+  };
+}
+
+/**
+ * Double elimination: winners-bracket losers drop into the losers bracket, which plays
+ * one round after every winners round (and keeps going once the winners bracket is down
+ * to one). Both champions meet in the grand final; if the losers-bracket champion wins
+ * and `rules.bracketReset` is on, a deciding reset match is played.
+ */
+function completeDoubleRound(t, round, winners, losers) {
+  if (round.bracket === "grand") {
+    const m = round.matches[0];
+    if (m.winner.id === m.b.id && t.rules.bracketReset && !round.reset) {
+      pushRound(t, makeGrandFinal(m.a, m.b, true));
+      return;
+    }
+    crown(t, m.winner);
+    return;
+  }
+
+  if (round.bracket === "winners") {
+    t.upper = winners;
+    t.lower = [...(t.lower || []), ...losers];
+  } else {
+    t.lower = winners;
+  }
+
+  const upper = t.upper || [];
+  const lower = t.lower || [];
+
+  if (round.bracket === "winners" && lower.length >= 2) pushRound(t, bracketRound(lower, t.rules, "losers"));
+  else if (upper.length >= 2) pushRound(t, bracketRound(upper, t.rules, "winners"));
+  else if (lower.length >= 2) pushRound(t, bracketRound(lower, t.rules, "losers"));
+  else if (lower.length === 1) pushRound(t, makeGrandFinal(upper[0], lower[0], false));
+  else crown(t, upper[0] || null);
+}
+
+// Current normal round is fully decided: crown a champion or push the next round.
+function completeRound(t) {
+  const round = t.rounds[t.roundIndex];
+
+  if (round.type === "groups") {
+    const qualifiers = groupQualifiers(round, t.rules);
+    if (qualifiers.length === 1) crown(t, qualifiers[0]);
+    else pushRound(t, makeRound(qualifiers, t.rules));
+    return;
+  }
+
+  const { winners, losers } = roundResults(round);
+
+  if (t.rules?.format === "double") {
+    completeDoubleRound(t, round, winners, losers);
+    return;
+  }
+
+  // Third-place playoff done: now play the final between the semi-final winners
+  if (round.bracket === "third") {
+    pushRound(t, makeRound(t.finalists, t.rules));
+    return;
+  }
+
+  if (winners.length === 1) {
+    crown(t, winners[0]);
+    return;
+  }
+
+  // Semi-finals (two matches, no bye) feed an optional third-place playoff before the final
+  if (t.rules?.thirdPlace && winners.length === 2 && losers.length === 2) {
+    t.finalists = winners;
+    pushRound(t, bracketRound(losers, t.rules, "third"));
+    return;
+  }
+
+  pushRound(t, makeRound(winners, t.rules));
+}
+
+function crown(t, winner) {
+  t.champion = winner;
+  t.standings = winner ? finalStandings(t) : [];
+}
+
+export function fastForwardIfNeeded(tournament) {
+  const t = deepClone(tournament);
+
+  while (!t.champion) {
+    t.cursor = deriveCursor(t);
+    const round = t.rounds[t.roundIndex];
+    if (!round) break;
+
+    if (t.cursor) break;
+
+    if (round.type === "normal") {
+      const allDone = round.matches.every((m) => !!m.winner);
+      if (!allDone) break;
+
+      completeRound(t);
+      continue;
+    }
+
+    if (round.type === "groups") {
+      completeRound(t);
+      continue;
+    }
+
+    if (round.type === "three") {
+      break;
+    }
+
+    if (round.type === "done") {
+      if (round.entrants?.length === 1) crown(t, round.entrants[0]);
+      break;
+    }
+
+    break;
+  }
+
+  t.cursor = deriveCursor(t);
+  return t;
+}
+
+/**
+ * Decide the match at the cursor. `extra` (e.g. { vote } or { blind }) is stored on the history
+ * entry and carried through undo/redo and changed picks.
+ */
+export function applyPick(tournament, pickedSide /* 'a'|'b' */, extra = null) {
+  const t = deepClone(tournament);
+  const cur = t.cursor;
+  if (!cur) return t;
+
+  const round = t.rounds[t.roundIndex];
+  if (!round || cur.special === "bye") return t;
+
+  if (cur.special === "three") {
+    const m = round.match;
+    const winner = pickedSide === "a" ? m.a : m.b;
+    if (!winner) return t;
+
+    m.winner = winner;
+    t.history.push({ round: t.roundIndex, stage: "three", aId: m.a?.id, bId: m.b?.id, winnerId: winner.id, ...extra });
+    t.redo = [];
+
+    round.final = { a: round.top, b: winner, winner: null };
+    t.cursor = deriveCursor(t);
+    return t;
+  }
+
+  if (cur.special === "final") {
+    const m = round.final;
+    const winner = pickedSide === "a" ? m.a : m.b;
+    if (!winner) return t;
+
+    m.winner = winner;
+    t.history.push({ round: t.roundIndex, stage: "final", aId: m.a?.id, bId: m.b?.id, winnerId: winner.id, ...extra });
+    t.redo = [];
+
+    crown(t, winner);
+    t.cursor = null;
+    return t;
+  }
+
+  if (cur.group != null) {
+    const f = round.groups[cur.group].fixtures[cur.fixture];
+    const winner = pickedSide === "a" ? f.a : f.b;
+    if (!winner) return t;
+
+    f.winner = winner;
+    t.history.push({
+      round: t.roundIndex,
+      group: cur.group,
+      fixture: cur.fixture,
+      aId: f.a?.id,
+      bId: f.b?.id,
+      winnerId: winner.id,
+      ...extra,
+    });
+    t.redo = [];
+
+    t.cursor = deriveCursor(t);
+    if (t.cursor) return t;
+    return fastForwardIfNeeded(t);
+  }
+
+  const m = round.matches[cur.match];
+  const winner = pickedSide === "a" ? m.a : m.b;
+  if (!winner) return t;
+
+  m.winner = winner;
+  t.history.push({ round: t.roundIndex, match: cur.match, aId: m.a?.id, bId: m.b?.id, winnerId: winner.id, ...extra });
+  t.redo = [];
+
+  const allDone = round.matches.every((x) => x.winner);
+  if (!allDone) {
+    t.cursor = deriveCursor(t);
+    return t;
+  }
+
+  completeRound(t);
+  if (t.champion) {
+    t.cursor = null;
+    return t;
+  }
+
+  t.cursor = deriveCursor(t);
+  return fastForwardIfNeeded(t);
+}
+
+export function getTotalDone(tournament) {
+  if (!tournament) return { total: 0, done: 0 };
+
+  let total = 0;
+  let done = 0;
+
+  for (const r of tournament.rounds) {
+    if (!r) continue;
+    if (r.type === "normal") {
+      total += r.matches.length;
+      done += r.matches.filter((m) => !!m.winner).length;
+    } else if (r.type === "three") {
+      total += 2;
+      done += r.match?.winner ? 1 : 0;
+      done += r.final?.winner ? 1 : 0;
+    } else if (r.type === "groups") {
+      for (const g of r.groups) {
+        total += g.fixtures.length;
+        done += g.fixtures.filter((f) => !!f.winner).length;
+      }
+    }
+  }
+
+  // Double elimination: everyone but the champion loses twice, except the grand-final loser
+  // when there is no reset — so 2n-2 matches, plus one if a reset match gets played.
+  if (tournament.rules?.format === "double") {
+    const n = tournament.rounds[0]?.entrants?.length || 0;
+    const reset = tournament.rounds.some((r) => r?.bracket === "grand" && r.reset);
+    total = Math.max(total, Math.max(0, 2 * n - 2) + (reset ? 1 : 0));
+  }
+
+  return { total, done };
+}
+
+export function roundLabel(tournament, ri) {
+  const r = tournament?.rounds[ri];
+  if (r?.type === "groups" && !r.finalThree) return "Group stage";
+  if (r?.bracket === "third") return "Third-place playoff";
+  if (!r?.bracket) {
+    // the third-place playoff sits between the semis and the final without counting as a round
+    return `Round ${tournament.rounds.slice(0, ri + 1).filter((x) => x?.bracket !== "third").length}`;
+  }
+  if (r.bracket === "grand") return r.reset ? "Grand final (reset)" : "Grand final";
+
+  const n = tournament.rounds.slice(0, ri + 1).filter((x) => x?.bracket === r.bracket).length;
+  return `${r.bracket === "winners" ? "Winners" : "Losers"} R${n}`;
+}
+
+// ------------------------
+// History: undo / redo / change an earlier pick
+// ------------------------
+function sameSlot(entry, slot) {
+  if (entry.round !== slot.round) return false;
+  if (slot.stage) return entry.stage === slot.stage;
+  if (slot.group != null) return entry.group === slot.group && entry.fixture === slot.fixture;
+  return entry.match === slot.match;
+}
+
+function pairKey(aId, bId) {
+  return [aId, bId].sort().join("|");
+}
+
+// A bye choice replays onto whichever round has exactly the same entrants left.
+function poolKey(entrants) {
+  return `bye:${entrants.map((t) => t.id).sort().join("|")}`;
+}
+
+function entryKey(entry) {
+  return entry.stage === "bye" ? entry.poolKey : pairKey(entry.aId, entry.bId);
+}
+
+export function getMatchAt(tournament, slot) {
+  const r = tournament?.rounds[slot?.round];
+  if (!r) return null;
+  if (slot.stage === "three") return r.match || null;
+  if (slot.stage === "final") return r.final || null;
+  if (slot.group != null) return r.groups?.[slot.group]?.fixtures[slot.fixture] || null;
+  return r.matches?.[slot.match] || null;
+}
+
+// Older saves only stored winnerId; recover the pair from the round it was played in.
+function withPairIds(tournament, entry) {
+  if (entry.stage === "bye" || (entry.aId && entry.bId)) return entry;
+  const m = getMatchAt(tournament, entry);
+  return { ...entry, aId: m?.a?.id, bId: m?.b?.id };
+}
+
+// Every undecided match of the active round that could be picked right now.
+function openSlots(tournament) {
+  const r = tournament?.rounds[tournament.roundIndex];
+  if (!r || tournament.champion) return [];
+
+  if (r.byePending) return [{ cursor: { round: tournament.roundIndex, special: "bye" }, key: poolKey(r.entrants) }];
+
+  const withKey = (s) => ({ ...s, key: pairKey(s.match.a?.id, s.match.b?.id) });
+
+  if (r.type === "normal") {
+    return r.matches
+      .map((m, i) => ({ cursor: { round: tournament.roundIndex, match: i }, match: m }))
+      .filter((s) => !s.match.winner && s.match.a && s.match.b)
+      .map(withKey);
+  }
+
+  if (r.type === "groups") {
+    return r.schedule
+      .map((s) => ({ cursor: { round: tournament.roundIndex, ...s }, match: r.groups[s.group].fixtures[s.fixture] }))
+      .filter((s) => !s.match.winner)
+      .map(withKey);
+  }
+
+  const cur = deriveCursor(tournament);
+  if (!cur) return [];
+  const m = cur.special === "final" ? r.final : r.match;
+  return [withKey({ cursor: cur, match: m })];
+}
+
+// The details a replayed pick keeps from its history entry: the ballots, and what blind mode hid
+function pickExtra(entry) {
+  const extra = {};
+  if (entry.vote) extra.vote = entry.vote;
+  if (entry.blind) extra.blind = entry.blind;
+  return Object.keys(extra).length ? extra : null;
+}
+
+function pickSlot(tournament, slot, entry) {
+  if (entry.stage === "bye") return chooseBye(tournament, entry.byeId);
+  const side = entry.winnerId === slot.match.a?.id ? "a" : "b";
+  return applyPick({ ...tournament, cursor: slot.cursor }, side, pickExtra(entry));
+}
+
+/**
+ * Rebuild from the first-round entrants (same id + rules) and re-apply every pick whose pair
+ * still meets in the rebuilt bracket. Picks that no longer fit come back as `unused`.
+ */
+function replayPicks(tournament, picks) {
+  const pending = new Map();
+  for (const p of picks) {
+    const k = entryKey(p);
+    if (!pending.has(k)) pending.set(k, []);
+    pending.get(k).push(p);
+  }
+
+  let t = buildTournament(tournament.rounds[0].entrants, tournament.rules);
+  t.id = tournament.id;
+  t.startedAt = tournament.startedAt;
+  let progressed = true;
+
+  while (!t.champion && progressed) {
+    progressed = false;
+    for (const slot of openSlots(t)) {
+      const p = pending.get(slot.key)?.shift();
+      if (!p) continue;
+      t = pickSlot(t, slot, p);
+      progressed = true;
+      break;
+    }
+  }
+
+  return { tournament: t, unused: [...pending.values()].flat() };
+}
+
+export function undoPick(tournament) {
+  if (!tournament?.history?.length) return tournament;
+
+  const picks = tournament.history.map((h) => withPairIds(tournament, h));
+  const last = picks.pop();
+
+  const { tournament: t } = replayPicks(tournament, picks);
+  t.redo = [...(tournament.redo || []), last];
+  return t;
+}
+
+export function redoPick(tournament) {
+  const redo = tournament?.redo || [];
+  const next = redo[redo.length - 1];
+  if (!next) return tournament;
+
+  const slot = openSlots(tournament).find((s) => s.key === entryKey(next));
+  if (!slot) return tournament;
+
+  const t = pickSlot(tournament, slot, next);
+  t.redo = redo.slice(0, -1);
+  return t;
+}
+
+/**
+ * Change the winner of an already decided match (slot = { round, match } or { round, stage }).
+ * Later rounds are re-paired; picks whose pair no longer meets land in `invalidated`.
+ */
+export function changePick(tournament, slot, winnerId) {
+  const picks = (tournament?.history || []).map((h) => withPairIds(tournament, h));
+  const idx = picks.findIndex((h) => sameSlot(h, slot));
+  if (idx === -1 || picks[idx].winnerId === winnerId) return tournament;
+
+  // A winner changed from the bracket was chosen with everything on show, so it's no longer blind
+  picks[idx] = { ...picks[idx], winnerId, blind: null };
+
+  const { tournament: t, unused } = replayPicks(tournament, picks);
+  t.invalidated = unused;
+  return t;
+}
+
+// Every decided pick as { winnerId, loserId }, in the order it was made.
+export function pickResults(tournament) {
+  return (tournament?.history || [])
+    .map((h) => withPairIds(tournament, h))
+    .filter((h) => h.aId && h.bId)
+    .map((h) => ({ winnerId: h.winnerId, loserId: h.winnerId === h.aId ? h.bId : h.aId }));
+}
+
+/**
+ * The picks as a compact, replayable path: walk a fresh build of the same bracket in cursor
+ * order and record which side won each match. Bye choices are kept as entrant ids. Stops at the
+ * first match this tournament hasn't decided, so an unfinished bracket gives a shorter path.
+ */
+export function pickPath(tournament) {
+  const pending = new Map();
+  for (const h of tournament?.history || []) {
+    const p = withPairIds(tournament, h);
+    const k = entryKey(p);
+    if (!pending.has(k)) pending.set(k, []);
+    pending.get(k).push(p);
+  }
+
+  const path = { sides: [], byes: [] };
+  if (!tournament?.rounds?.length) return path;
+  let t = buildTournament(tournament.rounds[0].entrants, tournament.rules);
+
+  while (t.cursor && !t.champion) {
+    const c = t.cursor;
+    if (c.special === "bye") {
+      const p = pending.get(poolKey(t.rounds[t.roundIndex].entrants))?.shift();
+      if (!p) break;
+      path.byes.push(p.byeId);
+      t = chooseBye(t, p.byeId);
+    } else {
+      const m = getMatchAt(t, { round: c.round, match: c.match, stage: c.special, group: c.group, fixture: c.fixture });
+      const p = pending.get(pairKey(m?.a?.id, m?.b?.id))?.shift();
+      if (!p) break;
+      const side = p.winnerId === m.b.id ? "b" : "a";
+      path.sides.push(side);
+      t = applyPick(t, side);
+    }
+  }
+  return path;
+}
+
+/** Replay a pickPath() onto a freshly built tournament; stops early if the path runs out or doesn't fit. */
+export function followPickPath(tournament, { sides = [], byes = [] } = {}) {
+  let t = tournament;
+  let si = 0;
+  let bi = 0;
+  while (t?.cursor && !t.champion) {
+    const before = t.history.length;
+    if (t.cursor.special === "bye") {
+      if (bi >= byes.length) break;
+      t = chooseBye(t, byes[bi++]);
+    } else {
+      if (si >= sides.length) break;
+      t = applyPick(t, sides[si++]);
+    }
+    if (t.history.length === before) break;
+  }
+  return t;
+}
+
+// ------------------------
+// Final standings
+// ------------------------
+/**
+ * Full ranking once a champion is crowned: champion, runner-up, third/fourth from the
+ * playoff (if played), then everyone else in tiers by how late they were knocked out.
+ * Within a tier: group position/points for group-stage exits, else more wins, then seed.
+ */
+export function finalStandings(tournament) {
+  const champion = tournament?.champion;
+  if (!champion) return [];
+
+  const rows = new Map(
+    (tournament.rounds[0]?.entrants || []).map((track) => [
+      track.id,
+      { track, wins: 0, losses: 0, outKey: -1, outRound: null, groupPos: null, groupPoints: 0 },
+    ])
+  );
+  let third = null;
+
+  const record = (m, ri, weight) => {
+    if (!m?.winner || !m.a || !m.b) return;
+    const loser = m.winner.id === m.a.id ? m.b : m.a;
+    const w = rows.get(m.winner.id);
+    const l = rows.get(loser.id);
+    if (w) w.wins += 1;
+    if (l) {
+      l.losses += 1;
+      l.outKey = ri * 2 + weight;
+      l.outRound = ri;
+    }
+  };
+
+  tournament.rounds.forEach((r, ri) => {
+    if (r?.type === "normal") {
+      r.matches.forEach((m) => record(m, ri, 0));
+      if (r.bracket === "third" && r.matches[0]?.winner) third = r.matches[0];
+    } else if (r?.type === "three") {
+      record(r.match, ri, 0);
+      record(r.final, ri, 1);
+    } else if (r?.type === "groups") {
+      r.groups.forEach((g) => {
+        g.fixtures.forEach((f) => record(f, ri, 0));
+        groupStandings(g, tournament.rules).forEach((row, pos) => {
+          const x = rows.get(row.track.id);
+          if (x) {
+            x.groupPos = pos;
+            x.groupPoints = row.points;
+          }
+        });
+      });
+    }
+  });
+
+  const seedRank = new Map(sortBySeed([...rows.values()].map((x) => x.track), tournament.rules).map((t, i) => [t.id, i]));
+
+  const others = [...rows.values()]
+    .filter((x) => x.track.id !== champion.id)
+    .sort((x, y) => {
+      if (y.outKey !== x.outKey) return y.outKey - x.outKey;
+      if (tournament.rounds[x.outRound]?.type === "groups" && x.groupPos != null && y.groupPos != null) {
+        if (x.groupPos !== y.groupPos) return x.groupPos - y.groupPos;
+        if (y.groupPoints !== x.groupPoints) return y.groupPoints - x.groupPoints;
+      }
+      if (y.wins !== x.wins) return y.wins - x.wins;
+      return seedRank.get(x.track.id) - seedRank.get(y.track.id);
+    });
+
+  // The third-place playoff is played before the final, so pin its result behind the runner-up
+  if (third) {
+    const loser = third.winner.id === third.a.id ? third.b : third.a;
+    const pinned = [third.winner.id, loser.id].map((id) => others.find((x) => x.track.id === id));
+    const rest = others.filter((x) => !pinned.includes(x));
+    others.splice(0, others.length, rest[0], ...pinned, ...rest.slice(1));
+  }
+
+  const champRow = rows.get(champion.id);
+  return [
+    { place: 1, track: champion, tier: "Champion", wins: champRow?.wins ?? 0, losses: champRow?.losses ?? 0 },
+    ...others.map((x, i) => ({
+      place: i + 2,
+      track: x.track,
+      tier:
+        i === 0
+          ? "Runner-up"
+          : third && i === 1
+          ? "Third place"
+          : third && i === 2
+          ? "Fourth place"
+          : x.outRound != null
+          ? `Out in ${roundLabel(tournament, x.outRound)}`
+          : "Unranked",
+      wins: x.wins,
+      losses: x.losses,
+    })),
+  ];
+}
+
+// Stable key for "which match is up", used to reset selection and key the card animation.
+export function cursorKey(tournament) {
+  const c = tournament?.cursor;
+  if (!c) return `${tournament?.roundIndex ?? 0}-x`;
+  return [c.round, c.match, c.special, c.group, c.fixture].filter((v) => v != null).join("-");
+}
+
+export function progressLabel(tournament) {
+  if (!tournament) return "";
+  if (tournament.champion) return "Finished";
+
+  const cur = tournament.cursor;
+  const label = roundLabel(tournament, tournament.roundIndex);
+  const r = tournament.rounds[tournament.roundIndex];
+  if (!r) return label;
+
+  if (!cur) return label;
+
+  if (cur.special === "bye") {
+    return r.type === "three" ? `${label} • Choose who waits in the final` : `${label} • Choose who gets the bye`;
+  }
+  if (cur.special === "three") return `${label} • Qualifier (pick 1 of 2)`;
+  if (cur.special === "final") return `Final • Choose your champion`;
+  if (cur.group != null) {
+    const g = r.groups[cur.group];
+    const done = g.fixtures.filter((f) => !!f.winner).length;
+    if (r.finalThree) return `${label} • Round robin • Match ${done + 1}/${g.fixtures.length}`;
+    return `${label} • Group ${g.name} • Match ${done + 1}/${g.fixtures.length}`;
+  }
+  if (r.bracket === "grand") return `${label} • Choose your champion`;
+
+  return `${label} • Match ${cur.match + 1}/${r.matches.length}`;
+}
@@ -0,0 +1,557 @@
+import { describe, expect, it } from "vitest";
+import {
+  applyPick,
+  buildTournament,
+  changePick,
+  chooseBye,
+  finalStandings,
+  followPickPath,
+  getMatchAt,
+  getTotalDone,
+  groupStandings,
+  hashString,
+  makeRound,
+  pickPath,
+  redoPick,
+  undoPick,
+} from "./index.js";
+import { roundRobinDays } from "./tournament.js";
+
+// n tracks, t1 the most popular
+function tracks(n) {
+  return Array.from({ length: n }, (_, i) => ({
+    id: `t${i + 1}`,
+    name: `Song ${i + 1}`,
+    artists: `Artist ${i + 1}`,
+    popularity: 100 - i,
+  }));
+}
+
+function matchAtCursor(t) {
+  const c = t.cursor;
+  return getMatchAt(t, { round: c.round, match: c.match, stage: c.special, group: c.group, fixture: c.fixture });
+}
+
+// Play until a champion is crowned; choose(t, match) returns the side that wins each match
+function playOut(t, choose) {
+  let guard = 0;
+  while (!t.champion && t.cursor) {
+    t = applyPick(t, choose(t, matchAtCursor(t)));
+    if (++guard > 500) throw new Error("tournament never finished");
+  }
+  return t;
+}
+
+// The higher seed (lower track number) wins
+const seedNo = (track) => Number(track.id.slice(1));
+const chalk = (t, m) => (seedNo(m.a) < seedNo(m.b) ? "a" : "b");
+
+function pickIds(t, ids) {
+  for (const id of ids) t = applyPick(t, matchAtCursor(t).a.id === id ? "a" : "b");
+  return t;
+}
+
+describe("undo / redo", () => {
+  it("undo then redo gives back the same tournament", () => {
+    const t = pickIds(buildTournament(tracks(6)), ["t1", "t2", "t3"]);
+    const back = redoPick(undoPick(t));
+    expect(back).toEqual(t);
+  });
+
+  it("steps back through several picks and forward again", () => {
+    // 5 tracks: t1 waits with the bye, then the three left are 1 + (2 v 3)
+    const t = pickIds(buildTournament(tracks(5)), ["t2", "t3", "t2"]);
+    const undone = undoPick(undoPick(t));
+    expect(undone.history.map((h) => h.winnerId)).toEqual(["t2"]);
+    expect(undone.redo.map((h) => h.winnerId)).toEqual(["t2", "t3"]);
+    expect(redoPick(redoPick(undone))).toEqual(t);
+  });
+
+  it("keeps the tournament id and start time", () => {
+    const t = pickIds(buildTournament(tracks(4)), ["t1"]);
+    const undone = undoPick(t);
+    expect(undone.id).toBe(t.id);
+    expect(undone.startedAt).toBe(t.startedAt);
+  });
+
+  it("drops the redo stack when a new pick is made", () => {
+    const t = undoPick(pickIds(buildTournament(tracks(4)), ["t1"]));
+    expect(t.redo).toHaveLength(1);
+    expect(applyPick(t, "b").redo).toEqual([]);
+  });
+
+  it("does nothing without history or redo", () => {
+    const t = buildTournament(tracks(4));
+    expect(undoPick(t)).toBe(t);
+    expect(redoPick(t)).toBe(t);
+  });
+});
+
+describe("changePick", () => {
+  // 8 tracks: round 1 is 1v8, 2v7, 3v6, 4v5; chalk sends 1v4 and 2v3 into round 2
+  function roundTwoPlayed() {
+    return pickIds(buildTournament(tracks(8)), ["t1", "t2", "t3", "t4", "t1", "t2"]);
+  }
+
+  it("replays the later picks whose pair still meets", () => {
+    const t = changePick(roundTwoPlayed(), { round: 0, match: 3 }, "t5");
+    expect(t.rounds[0].matches[3].winner.id).toBe("t5");
+    // 2v3 still meets in round 2 and keeps its winner; 1v4 is gone
+    const r2 = t.rounds[1].matches;
+    expect(r2.find((m) => m.a.id === "t2").winner.id).toBe("t2");
+    expect(r2.find((m) => m.a.id === "t1")).toMatchObject({ b: { id: "t5" }, winner: null });
+    expect(t.invalidated).toEqual([expect.objectContaining({ aId: "t1", bId: "t4", winnerId: "t1" })]);
+    expect(t.cursor).toEqual({ round: 1, match: r2.findIndex((m) => m.a.id === "t1") });
+  });
+
+  it("replays every later pick when the change doesn't touch them", () => {
+    const before = roundTwoPlayed();
+    const t = changePick(before, { round: 1, match: 1 }, "t3");
+    expect(t.history.map((h) => h.winnerId)).toEqual(["t1", "t2", "t3", "t4", "t1", "t3"]);
+    expect(t.invalidated).toEqual([]);
+    expect(t.id).toBe(before.id);
+  });
+
+  it("returns the same tournament when the winner doesn't change", () => {
+    const t = roundTwoPlayed();
+    expect(changePick(t, { round: 0, match: 0 }, "t1")).toBe(t);
+    expect(changePick(t, { round: 5, match: 0 }, "t1")).toBe(t);
+  });
+});
+
+describe("blind picks", () => {
+  const blind = ["art", "title"];
+
+  it("stores what blind mode hid on the history entry, through undo and redo", () => {
+    const t = applyPick(buildTournament(tracks(4)), "a", { blind });
+    expect(t.history[0]).toMatchObject({ winnerId: "t1", blind });
+    expect(redoPick(undoPick(t)).history[0].blind).toEqual(blind);
+  });
+
+  it("clears it on a winner changed from the bracket, and keeps it on the picks replayed after", () => {
+    let t = buildTournament(tracks(4));
+    t = applyPick(t, "a", { blind });
+    t = applyPick(t, "a", { blind });
+    t = changePick(t, { round: 0, match: 0 }, "t4");
+    expect(t.history.map((h) => h.winnerId)).toEqual(["t4", "t2"]);
+    expect(t.history[0].blind).toBeUndefined();
+    expect(t.history[1].blind).toEqual(blind);
+  });
+});
+
+describe("pickPath / followPickPath", () => {
+  // Every third match is an upset
+  function zigzag() {
+    let n = 0;
+    return () => (n++ % 3 === 1 ? "b" : "a");
+  }
+
+  const replay = (t) => followPickPath(buildTournament(t.rounds[0].entrants, t.rules), pickPath(t));
+  const winners = (t) => t.history.map((h) => h.winnerId);
+
+  it("round-trips a finished knockout", () => {
+    const t = playOut(buildTournament(tracks(11)), zigzag());
+    const path = pickPath(t);
+    expect(path.sides).toHaveLength(t.history.length);
+    expect(path.byes).toEqual([]);
+    const back = replay(t);
+    expect(winners(back)).toEqual(winners(t));
+    expect(back.champion.id).toBe(t.champion.id);
+  });
+
+  it("round-trips double elimination and a group stage", () => {
+    for (const rules of [{ format: "double" }, { format: "groups", groupSize: "3", groupAdvance: "2" }]) {
+      const t = playOut(buildTournament(tracks(9), rules), zigzag());
+      expect(winners(replay(t))).toEqual(winners(t));
+      expect(replay(t).champion.id).toBe(t.champion.id);
+    }
+  });
+
+  it("stops at the first undecided match of an unfinished bracket", () => {
+    let t = buildTournament(tracks(8));
+    t = pickIds(t, ["t1", "t7", "t3"]);
+    expect(pickPath(t)).toEqual({ sides: ["a", "b", "a"], byes: [] });
+    const back = replay(t);
+    expect(winners(back)).toEqual(["t1", "t7", "t3"]);
+    expect(back.cursor).toEqual(t.cursor);
+  });
+
+  it("keeps chosen byes as entrant ids", () => {
+    let t = buildTournament(tracks(5), { byeRule: "choice" });
+    t = chooseBye(t, "t3");
+    t = pickIds(t, ["t1", "t2"]);
+    const path = pickPath(t);
+    expect(path.byes).toEqual(["t3"]);
+    const back = replay(t);
+    expect(back.rounds[0].bye.id).toBe("t3");
+    expect(winners(back)).toEqual(winners(t));
+  });
+
+  it("follows the picks as they stand after a changed pick", () => {
+    const t = changePick(pickIds(buildTournament(tracks(8)), ["t1", "t2", "t3", "t4", "t1", "t2"]), { round: 1, match: 1 }, "t3");
+    expect(winners(replay(t))).toEqual(["t1", "t2", "t3", "t4", "t1", "t3"]);
+  });
+
+  it("stops where the path runs out or no longer fits the bracket", () => {
+    const fresh = buildTournament(tracks(5), { byeRule: "choice" });
+    expect(followPickPath(fresh, { sides: ["a"], byes: ["nobody"] })).toMatchObject({ history: [], cursor: fresh.cursor });
+    expect(followPickPath(fresh, {})).toBe(fresh);
+    expect(followPickPath(buildTournament(tracks(4)), { sides: ["a"] }).history).toHaveLength(1);
+  });
+
+  it("is empty for a bracket with no picks", () => {
+    expect(pickPath(buildTournament(tracks(6)))).toEqual({ sides: [], byes: [] });
+    expect(pickPath(null)).toEqual({ sides: [], byes: [] });
+  });
+});
+
+describe("bye rules", () => {
+  const ids = (list) => list.map((x) => x.id);
+
+  it("gives the bye to the top seed by default", () => {
+    const r = makeRound(tracks(5));
+    expect(r.bye.id).toBe("t1");
+    expect(r.matches.map((m) => [m.a.id, m.b.id])).toEqual([
+      ["t2", "t5"],
+      ["t3", "t4"],
+    ]);
+  });
+
+  it("gives the bye to the bottom seed with byeRule bottom", () => {
+    const r = makeRound(tracks(5), { byeRule: "bottom" });
+    expect(r.bye.id).toBe("t5");
+    expect(r.matches.map((m) => [m.a.id, m.b.id])).toEqual([
+      ["t1", "t4"],
+      ["t2", "t3"],
+    ]);
+  });
+
+  it("draws a random bye from the seed and who is left", () => {
+    const byes = new Set();
+    for (let seed = 0; seed < 20; seed++) {
+      const r = makeRound(tracks(5), { byeRule: "random", seed });
+      expect(ids(tracks(5))).toContain(r.bye.id);
+      // the same seed and pool always draw the same bye, whatever order the pool arrives in
+      expect(makeRound([...tracks(5)].reverse(), { byeRule: "random", seed }).bye.id).toBe(r.bye.id);
+      byes.add(r.bye.id);
+    }
+    expect(byes.size).toBeGreaterThan(1);
+  });
+
+  it("waits for the user to choose with byeRule choice", () => {
+    const r = makeRound(tracks(5), { byeRule: "choice" });
+    expect(r).toMatchObject({ byePending: true, bye: null, matches: [] });
+
+    const t = buildTournament(tracks(5), { byeRule: "choice" });
+    expect(t.cursor).toEqual({ round: 0, special: "bye" });
+
+    const chosen = chooseBye(t, "t3");
+    expect(chosen.rounds[0]).toMatchObject({ byePending: false, bye: { id: "t3" } });
+    expect(chosen.rounds[0].matches.map((m) => [m.a.id, m.b.id])).toEqual([
+      ["t1", "t5"],
+      ["t2", "t4"],
+    ]);
+    expect(chosen.history).toEqual([expect.objectContaining({ round: 0, stage: "bye", byeId: "t3" })]);
+    expect(chosen.cursor).toEqual({ round: 0, match: 0 });
+  });
+
+  it("ignores a bye choice for a track that isn't in the round", () => {
+    const t = chooseBye(buildTournament(tracks(5), { byeRule: "choice" }), "t9");
+    expect(t.rounds[0].byePending).toBe(true);
+    expect(t.history).toEqual([]);
+  });
+
+  it("undoes and redoes a chosen bye like a pick", () => {
+    const t = pickIds(chooseBye(buildTournament(tracks(5), { byeRule: "choice" }), "t3"), ["t1"]);
+    const undone = undoPick(undoPick(t));
+    expect(undone.rounds[0].byePending).toBe(true);
+    expect(redoPick(redoPick(undone))).toEqual(t);
+  });
+});
+
+describe("three-left rules", () => {
+  it("sends the top seed straight to the final by default", () => {
+    const t = buildTournament(tracks(3));
+    expect(t.rounds[0]).toMatchObject({ type: "three", top: { id: "t1" } });
+    expect(t.cursor).toEqual({ round: 0, special: "three" });
+
+    const final = applyPick(t, "b"); // t3 beats t2 in the qualifier
+    expect(final.cursor).toEqual({ round: 0, special: "final" });
+    expect([final.rounds[0].final.a.id, final.rounds[0].final.b.id]).toEqual(["t1", "t3"]);
+    expect(applyPick(final, "b").champion.id).toBe("t3");
+  });
+
+  it("picks the finalist with the bye rule", () => {
+    expect(makeRound(tracks(3), { byeRule: "bottom" }).top.id).toBe("t3");
+
+    const t = buildTournament(tracks(3), { byeRule: "choice" });
+    expect(t.cursor).toEqual({ round: 0, special: "bye" });
+    const chosen = chooseBye(t, "t2");
+    expect(chosen.rounds[0].top.id).toBe("t2");
+    expect([chosen.rounds[0].match.a.id, chosen.rounds[0].match.b.id]).toEqual(["t1", "t3"]);
+  });
+
+  it("plays a three-way round robin with threeLeft roundrobin", () => {
+    const t = buildTournament(tracks(3), { threeLeft: "roundrobin" });
+    expect(t.rounds[0]).toMatchObject({ type: "groups", finalThree: true, advance: 1 });
+    expect(t.rounds[0].groups[0].fixtures).toHaveLength(3);
+
+    // t3 wins both its games and takes the title
+    const done = playOut(t, (_, m) => (m.a.id === "t3" ? "a" : m.b.id === "t3" ? "b" : "a"));
+    expect(done.champion.id).toBe("t3");
+    expect(done.history).toHaveLength(3);
+  });
+
+  it("breaks a three-way tie in the round robin by seed", () => {
+    // every track wins once
+    const cycle = { t1: "t2", t2: "t3", t3: "t1" };
+    const done = playOut(buildTournament(tracks(3), { threeLeft: "roundrobin" }), (_, m) =>
+      cycle[m.a.id] === m.b.id ? "a" : "b"
+    );
+    expect(done.champion.id).toBe("t1");
+  });
+
+  it("reaches the three-left rule after earlier rounds", () => {
+    const t = pickIds(buildTournament(tracks(6), { threeLeft: "roundrobin" }), ["t1", "t2", "t3"]);
+    expect(t.rounds[1]).toMatchObject({ type: "groups", finalThree: true });
+  });
+
+  it("plays three out with a bye under double elimination", () => {
+    const r = makeRound(tracks(3), { format: "double" });
+    expect(r).toMatchObject({ type: "normal", bye: { id: "t1" } });
+    expect(r.matches).toHaveLength(1);
+  });
+});
+
+describe("double elimination", () => {
+  // track id -> how many matches it lost
+  function lossCounts(t) {
+    const losses = new Map();
+    for (const h of t.history) {
+      const loser = h.winnerId === h.aId ? h.bId : h.aId;
+      losses.set(loser, (losses.get(loser) || 0) + 1);
+    }
+    return losses;
+  }
+
+  for (const n of [2, 3, 4, 5, 6, 7, 8, 9]) {
+    it(`plays a full ${n}-track bracket`, () => {
+      const t = playOut(buildTournament(tracks(n), { format: "double" }), chalk);
+      expect(t.champion.id).toBe("t1");
+      expect(t.history).toHaveLength(2 * n - 2);
+      expect(getTotalDone(t)).toEqual({ total: 2 * n - 2, done: 2 * n - 2 });
+
+      // the champion never lost, so everyone else went out on their second loss
+      const losses = lossCounts(t);
+      expect(losses.has("t1")).toBe(false);
+      expect(losses.size).toBe(n - 1);
+      expect([...losses.values()].every((c) => c === 2)).toBe(true);
+    });
+  }
+
+  it("always finishes with upsets in every other match", () => {
+    let flip = false;
+    const t = playOut(buildTournament(tracks(7), { format: "double" }), () => {
+      flip = !flip;
+      return flip ? "b" : "a";
+    });
+    expect(t.champion).toBeTruthy();
+    expect([...lossCounts(t).values()].every((c) => c <= 2)).toBe(true);
+  });
+
+  // Chalk everywhere except the grand final, which the losers-bracket champion wins
+  const losersWinFinal = (t, m) => (t.rounds[t.roundIndex].bracket === "grand" ? "b" : chalk(t, m));
+
+  it("plays a bracket reset when the losers-bracket champion wins the grand final", () => {
+    const t = playOut(buildTournament(tracks(4), { format: "double", bracketReset: true }), losersWinFinal);
+    const grand = t.rounds.filter((r) => r.bracket === "grand");
+    expect(grand.map((r) => r.reset)).toEqual([false, true]);
+    expect(t.champion.id).toBe(grand[1].matches[0].b.id);
+    expect(t.history).toHaveLength(2 * 4 - 1);
+    expect(getTotalDone(t)).toEqual({ total: 7, done: 7 });
+  });
+
+  it("crowns the grand-final winner straight away without a reset", () => {
+    const t = playOut(buildTournament(tracks(4), { format: "double" }), losersWinFinal);
+    expect(t.rounds.filter((r) => r.bracket === "grand")).toHaveLength(1);
+    expect(t.champion.id).not.toBe("t1");
+    expect(t.history).toHaveLength(6);
+  });
+
+  it("doesn't reset when the winners-bracket champion wins", () => {
+    const t = playOut(buildTournament(tracks(4), { format: "double", bracketReset: true }), chalk);
+    expect(t.rounds.filter((r) => r.bracket === "grand")).toHaveLength(1);
+    expect(t.champion.id).toBe("t1");
+  });
+});
+
+describe("group stage", () => {
+  it("schedules every pair once, one match per track per matchday", () => {
+    for (const n of [3, 4, 5, 6]) {
+      const days = roundRobinDays(tracks(n));
+      const pairs = days.flat().map(([a, b]) => [a.id, b.id].sort().join("|"));
+      expect(pairs).toHaveLength((n * (n - 1)) / 2);
+      expect(new Set(pairs).size).toBe(pairs.length);
+      for (const day of days) {
+        const ids = day.flat().map((x) => x.id);
+        expect(new Set(ids).size).toBe(ids.length);
+      }
+      expect(days).toHaveLength(n % 2 ? n : n - 1);
+    }
+  });
+
+  // a group of four with the given winners (fixture "ab" won by b -> { ab: "b" })
+  function group(results) {
+    const [a, b, c, d] = tracks(4);
+    const byId = { a, b, c, d };
+    const fixtures = Object.entries(results).map(([pair, w]) => {
+      const [x, y] = pair.split("");
+      return { a: byId[x], b: byId[y], winner: w ? byId[w] : null };
+    });
+    return { name: "A", entrants: [a, b, c, d], fixtures };
+  }
+
+  it("gives 3 points a win and orders the table by points", () => {
+    const table = groupStandings(group({ ab: "a", ac: "a", ad: "a", bc: "b", bd: "b", cd: "c" }));
+    expect(table.map((r) => [r.track.id, r.points, r.won, r.lost])).toEqual([
+      ["t1", 9, 3, 0],
+      ["t2", 6, 2, 1],
+      ["t3", 3, 1, 2],
+      ["t4", 0, 0, 3],
+    ]);
+  });
+
+  it("breaks a tie on points by head-to-head before seed", () => {
+    // a and b win twice, c and d once; b beat a, d beat c
+    const table = groupStandings(group({ ab: "b", ac: "a", ad: "a", bc: "c", bd: "b", cd: "d" }));
+    expect(table.map((r) => r.track.id)).toEqual(["t2", "t1", "t4", "t3"]);
+  });
+
+  it("falls back to seed when head-to-head is level", () => {
+    // a beats b, b beats c, c beats a; d loses everything
+    const table = groupStandings(group({ ab: "a", bc: "b", ac: "c", ad: "a", bd: "b", cd: "c" }));
+    expect(table.map((r) => r.track.id)).toEqual(["t1", "t2", "t3", "t4"]);
+  });
+
+  // 8 tracks snake into A: 1, 4, 5, 8 and B: 2, 3, 6, 7; t8 wins every group game
+  const t8Upsets = (t, m) => (m.a.id === "t8" ? "a" : m.b.id === "t8" ? "b" : chalk(t, m));
+
+  function playGroups(rules) {
+    let t = buildTournament(tracks(8), { format: "groups", groupSize: 4, ...rules });
+    while (t.rounds[t.roundIndex].type === "groups") t = applyPick(t, t8Upsets(t, matchAtCursor(t)));
+    return t;
+  }
+
+  it("sends the top two of each group into the knockout", () => {
+    const t = playGroups({ advance: 2 });
+    expect(t.rounds[0].groups.map((g) => g.entrants.map((x) => x.id))).toEqual([
+      ["t1", "t4", "t5", "t8"],
+      ["t2", "t3", "t6", "t7"],
+    ]);
+    expect(t.rounds[1].entrants.map((x) => x.id).sort()).toEqual(["t1", "t2", "t3", "t8"]);
+  });
+
+  it("sends only the group winners with advance 1", () => {
+    const t = playGroups({ advance: 1 });
+    expect(t.rounds[1].entrants.map((x) => x.id).sort()).toEqual(["t2", "t8"]);
+  });
+});
+
+describe("finalStandings", () => {
+  function expectComplete(standings, n) {
+    expect(standings.map((r) => r.place)).toEqual(Array.from({ length: n }, (_, i) => i + 1));
+    expect(new Set(standings.map((r) => r.track.id)).size).toBe(n);
+  }
+
+  it("is empty until a champion is crowned", () => {
+    expect(finalStandings(buildTournament(tracks(4)))).toEqual([]);
+  });
+
+  it("ranks everyone by how late they went out, then wins, then seed", () => {
+    const t = playOut(buildTournament(tracks(8)), chalk);
+    expectComplete(t.standings, 8);
+    expect(t.standings.map((r) => [r.track.id, r.tier])).toEqual([
+      ["t1", "Champion"],
+      ["t2", "Runner-up"],
+      ["t3", "Out in Round 2"],
+      ["t4", "Out in Round 2"],
+      ["t5", "Out in Round 1"],
+      ["t6", "Out in Round 1"],
+      ["t7", "Out in Round 1"],
+      ["t8", "Out in Round 1"],
+    ]);
+  });
+
+  it("puts the third-place playoff result behind the runner-up", () => {
+    // chalk, except t4 wins the playoff
+    const upset = (t, m) => (t.rounds[t.roundIndex].bracket === "third" ? (m.a.id === "t4" ? "a" : "b") : chalk(t, m));
+    const t = playOut(buildTournament(tracks(8), { thirdPlace: true }), upset);
+    expectComplete(t.standings, 8);
+    expect(t.standings.slice(0, 4).map((r) => [r.track.id, r.tier])).toEqual([
+      ["t1", "Champion"],
+      ["t2", "Runner-up"],
+      ["t4", "Third place"],
+      ["t3", "Fourth place"],
+    ]);
+    expect(t.standings.slice(4).map((r) => r.track.id)).toEqual(["t5", "t6", "t7", "t8"]);
+  });
+
+  it("ranks the three-left qualifier loser behind the runner-up", () => {
+    const t = playOut(buildTournament(tracks(6)), chalk);
+    expectComplete(t.standings, 6);
+    expect(t.standings.map((r) => r.track.id)).toEqual(["t1", "t2", "t3", "t4", "t5", "t6"]);
+  });
+
+  it("covers every track of a double-elimination and a group tournament", () => {
+    expectComplete(playOut(buildTournament(tracks(7), { format: "double" }), chalk).standings, 7);
+    expectComplete(playOut(buildTournament(tracks(9), { format: "groups", groupSize: 3 }), chalk).standings, 9);
+  });
+});
+
+// 16 tracks by popularity; "Echo" holds seeds 1, 8 and 9, which meet in round two on a plain popularity seeding
+function echoField() {
+  return tracks(16).map((x, i) => ({ ...x, artists: [0, 7, 8].includes(i) ? "Echo" : x.artists }));
+}
+
+// Play the bracket out with the higher seed winning every match; returns each match with how many were left
+function playChalk(t) {
+  const rank = new Map(t.rules.order.map((id, i) => [id, i]));
+  const played = [];
+  while (!t.champion && t.cursor) {
+    const m = matchAtCursor(t);
+    played.push({ left: t.rounds[t.cursor.round].entrants.length, a: m.a, b: m.b });
+    t = applyPick(t, rank.get(m.a.id) < rank.get(m.b.id) ? "a" : "b");
+  }
+  return played;
+}
+
+const echoDerby = (m) => m.a.artists === "Echo" && m.b.artists === "Echo";
+
+describe("artist-balanced seeding", () => {
+  it("lets same-artist tracks meet early on a plain popularity seeding", () => {
+    const played = playChalk(buildTournament(echoField(), { seeding: "popularity" }));
+    expect(played.some((m) => echoDerby(m) && m.left > 4)).toBe(true);
+  });
+
+  it("keeps same-artist tracks apart until the semi-finals", () => {
+    const played = playChalk(buildTournament(echoField(), { seeding: "artist" }));
+    expect(played.filter((m) => echoDerby(m) && m.left > 4)).toEqual([]);
+  });
+
+  it("moves the seeding as little as it can", () => {
+    const t = buildTournament(echoField(), { seeding: "artist" });
+    const ids = echoField().map((x) => x.id);
+    expect([...t.rules.order].sort()).toEqual([...ids].sort());
+    // Artists without a clash keep their popularity order relative to each other
+    const clash = ["t1", "t8", "t9"];
+    expect(t.rules.order.filter((id) => !clash.includes(id))).toEqual(ids.filter((id) => !clash.includes(id)));
+  });
+});
+
+describe("hashString", () => {
+  it("is 32-bit FNV-1a", () => {
+    expect(hashString("")).toBe(0x811c9dc5);
+    expect(hashString("a")).toBe(0xe40c292c);
+    expect(hashString("foobar")).toBe(0xbf9cf968);
+  });
+});
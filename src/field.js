@@ -0,0 +1,60 @@
+/**
+ * Field size: draw a fixed number of entrants from what survived the review, so a
+ * long playlist can still make a bracket that is quick to play through.
+ */
+import { seededShuffle, sortByPopularityDesc } from "./engine/index.js";
+
+export const FIELD_SIZES = [
+  { id: "all", label: "All" },
+  { id: "16", label: "16" },
+  { id: "32", label: "32" },
+  { id: "64", label: "64" },
+];
+
+export const FIELD_DRAWS = [
+  { id: "top", label: "Top N by popularity" },
+  { id: "random", label: "Random sample (seeded)" },
+  { id: "stratified", label: "Across popularity bands" },
+  { id: "recent", label: "Most recently added" },
+];
+
+const POPULARITY_BANDS = 4;
+
+export function newFieldSeed() {
+  return String(crypto.getRandomValues(new Uint32Array(1))[0]);
+}
+
+// Equal share from each popularity quartile (hits through deep cuts), seeded within each band
+function stratifiedSample(tracks, size, seed) {
+  const ranked = sortByPopularityDesc(tracks);
+  const bands = Array.from({ length: POPULARITY_BANDS }, (_, b) =>
+    ranked.slice(Math.floor((b * ranked.length) / POPULARITY_BANDS), Math.floor(((b + 1) * ranked.length) / POPULARITY_BANDS))
+  );
+
+  const picked = [];
+  bands.forEach((band, b) => {
+    const quota = Math.floor((size * (b + 1)) / POPULARITY_BANDS) - Math.floor((size * b) / POPULARITY_BANDS);
+    picked.push(...seededShuffle(band, seed + b).slice(0, quota));
+  });
+  return picked;
+}
+
+/**
+ * Draw `size` tracks (options = { size: "all" | "16" | …, method, seed }).
+ * The drawn field keeps playlist order so "Playlist order" seeding still means something.
+ */
+export function sampleField(tracks, options) {
+  const size = Number.parseInt(options?.size, 10);
+  if (!Number.isFinite(size) || size >= tracks.length) return tracks;
+
+  const seed = Number.parseInt(options.seed, 10) || 0;
+  let picked;
+  if (options.method === "random") picked = seededShuffle(tracks, seed).slice(0, size);
+  else if (options.method === "stratified") picked = stratifiedSample(tracks, size, seed);
+  else if (options.method === "recent") {
+    picked = [...tracks].sort((a, b) => (b.added_at || "").localeCompare(a.added_at || "")).slice(0, size);
+  } else picked = sortByPopularityDesc(tracks).slice(0, size);
+
+  const chosen = new Set(picked.map((t) => t.id));
+  return tracks.filter((t) => chosen.has(t.id));
+}
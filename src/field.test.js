@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { sampleField } from "./field.js";
+
+// n tracks in playlist order with popularity shuffled against it; t1 was added first
+function playlist(n) {
+  return Array.from({ length: n }, (_, i) => ({
+    id: `t${i + 1}`,
+    popularity: (i * 37) % n,
+    added_at: new Date(Date.UTC(2024, 0, 1 + i)).toISOString(),
+  }));
+}
+
+const ids = (list) => list.map((t) => t.id);
+const inPlaylistOrder = (list) => ids(list).every((id, i, all) => i === 0 || Number(all[i - 1].slice(1)) < Number(id.slice(1)));
+
+describe("sampleField", () => {
+  it("keeps every track when the size is all or at least the playlist", () => {
+    const tracks = playlist(20);
+    expect(sampleField(tracks, { size: "all", method: "top" })).toBe(tracks);
+    expect(sampleField(tracks, { size: "32", method: "random", seed: "1" })).toBe(tracks);
+    expect(sampleField(tracks, undefined)).toBe(tracks);
+  });
+
+  it("draws the most popular tracks, in playlist order", () => {
+    const tracks = playlist(40);
+    const field = sampleField(tracks, { size: "16", method: "top" });
+    expect(field).toHaveLength(16);
+    expect(Math.min(...field.map((t) => t.popularity))).toBe(40 - 16);
+    expect(inPlaylistOrder(field)).toBe(true);
+  });
+
+  it("draws the same random sample for the same seed", () => {
+    const tracks = playlist(40);
+    const a = sampleField(tracks, { size: "16", method: "random", seed: "42" });
+    expect(a).toHaveLength(16);
+    expect(new Set(ids(a)).size).toBe(16);
+    expect(sampleField(tracks, { size: "16", method: "random", seed: "42" })).toEqual(a);
+    expect(ids(sampleField(tracks, { size: "16", method: "random", seed: "43" }))).not.toEqual(ids(a));
+    expect(inPlaylistOrder(a)).toBe(true);
+  });
+
+  it("draws the most recently added tracks", () => {
+    const field = sampleField(playlist(40), { size: "16", method: "recent" });
+    expect(ids(field)).toEqual(ids(playlist(40).slice(24)));
+  });
+
+  // quartile of a track's popularity in a 0..n-1 spread: 0 = the hits, 3 = the deep cuts
+  const band = (t, n) => 3 - Math.floor((t.popularity * 4) / n);
+
+  it("draws an equal share from each popularity band", () => {
+    const field = sampleField(playlist(64), { size: "16", method: "stratified", seed: "7" });
+    expect(field).toHaveLength(16);
+    const perBand = [0, 1, 2, 3].map((b) => field.filter((t) => band(t, 64) === b).length);
+    expect(perBand).toEqual([4, 4, 4, 4]);
+    expect(inPlaylistOrder(field)).toBe(true);
+  });
+
+  it("spreads an uneven size over the bands without losing a track", () => {
+    const field = sampleField(playlist(40), { size: "10", method: "stratified", seed: "7" });
+    expect(field).toHaveLength(10);
+    const perBand = [0, 1, 2, 3].map((b) => field.filter((t) => band(t, 40) === b).length);
+    expect(perBand).toEqual([2, 3, 2, 3]);
+  });
+
+  it("draws a stratified sample reproducibly from its seed", () => {
+    const tracks = playlist(64);
+    const a = sampleField(tracks, { size: "16", method: "stratified", seed: "7" });
+    expect(sampleField(tracks, { size: "16", method: "stratified", seed: "7" })).toEqual(a);
+    expect(ids(sampleField(tracks, { size: "16", method: "stratified", seed: "8" }))).not.toEqual(ids(a));
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Files the app writes and reads: a whole session as versioned JSON (to move it to another
+ * device) and the results as CSV for spreadsheets.
+ */
+import { deserializeTournament, getMatchAt, roundLabel, SERIAL_FORMAT, SERIAL_VERSION } from "./engine/index.js";
+import { voteScore } from "./votes.js";
+
+const EXPORT_FORMAT = "spotify-duel/session";
+const EXPORT_VERSION = 1;
+
+/** Everything a save holds, as a versioned file another device can import. The tournament keeps the engine's own envelope. */
+export function sessionToJson(session) {
+  const { tournament, ...rest } = session;
+  return JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      ...rest,
+      tournament: { format: SERIAL_FORMAT, version: SERIAL_VERSION, tournament },
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Parse + validate an exported session. Throws an Error whose message can be shown as-is.
+ * Returns the same shape as a local save.
+ */
+export function parseSessionFile(text) {
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    data = null;
+  }
+  if (!data || typeof data !== "object") throw new Error("This file isn’t valid JSON.");
+  if (data.format !== EXPORT_FORMAT) throw new Error("This isn’t a Spotify Duel export.");
+  if (typeof data.version !== "number") throw new Error("This export has no version number.");
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(`This file comes from a newer version of Spotify Duel (format ${data.version}). Update the app to open it.`);
+  }
+
+  if (!Array.isArray(data.tracks) || !data.tracks.length) throw new Error("This export has no tracks.");
+  const bad = data.tracks.findIndex((t) => !t || typeof t.id !== "string" || typeof t.name !== "string");
+  if (bad >= 0) throw new Error(`Track ${bad + 1} in this export has no id or name.`);
+
+  let tournament;
+  try {
+    tournament = deserializeTournament(data.tournament);
+  } catch (e) {
+    throw new Error(`The tournament in this export is damaged: ${e.message}`);
+  }
+
+  return {
+    playlistInput: typeof data.playlistInput === "string" ? data.playlistInput : "",
+    extraSources: data.extraSources || null,
+    playlistMeta: data.playlistMeta?.name ? data.playlistMeta : { name: "Imported tournament", images: [] },
+    tracks: data.tracks,
+    filters: data.filters || null,
+    field: data.field || null,
+    voting: data.voting || null,
+    tournament,
+  };
+}
+
+// Quote when needed; a leading = + - @ would run as a formula in spreadsheet apps
+export function csvCell(value) {
+  let s = String(value ?? "");
+  if (/^[=+\-@]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(rows) {
+  return rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+export function matchesCsv(tournament) {
+  const rows = [
+    ["#", "round", "a_id", "a_name", "a_artists", "b_id", "b_name", "b_artists", "winner_id", "winner_name", "votes", "ballots", "blind"],
+  ];
+  tournament.history
+    .filter((h) => h.winnerId)
+    .forEach((h, i) => {
+      const m = getMatchAt(tournament, h);
+      const entrant = (id) => (m?.a?.id === id ? m.a : m?.b?.id === id ? m.b : null);
+      const a = entrant(h.aId);
+      const b = entrant(h.bId);
+      rows.push([
+        i + 1,
+        roundLabel(tournament, h.round),
+        h.aId,
+        a?.name,
+        a?.artists,
+        h.bId,
+        b?.name,
+        b?.artists,
+        h.winnerId,
+        entrant(h.winnerId)?.name,
+        h.vote ? voteScore(h.vote, h.winnerId) : "",
+        h.vote ? h.vote.ballots.map((v) => `${v.voter}: ${entrant(v.trackId)?.name || v.trackId}`).join(" | ") : "",
+        h.blind ? h.blind.join(" ") : "",
+      ]);
+    });
+  return toCsv(rows);
+}
+
+export function standingsCsv(standings) {
+  return toCsv([
+    ["place", "id", "name", "artists", "tier", "wins", "losses"],
+    ...standings.map((row) => [row.place, row.track.id, row.track.name, row.track.artists, row.tier, row.wins, row.losses]),
+  ]);
+}
+
+export function exportFileName(name, ext) {
+  const slug = String(name || "tournament")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+  return `spotify-duel-${slug || "tournament"}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+}
@@ -0,0 +1,158 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { applyPick, buildTournament, finalStandings } from "./engine/index.js";
+import { csvCell, exportFileName, matchesCsv, parseSessionFile, sessionToJson, standingsCsv, toCsv } from "./files.js";
+
+// n tracks, t1 the most popular
+function tracks(n) {
+  return Array.from({ length: n }, (_, i) => ({ id: `t${i + 1}`, name: `Song ${i + 1}`, artists: `Artist ${i + 1}`, popularity: 100 - i }));
+}
+
+afterEach(() => vi.useRealTimers());
+
+describe("csvCell", () => {
+  it("leaves plain values alone", () => {
+    expect(csvCell("Song")).toBe("Song");
+    expect(csvCell(3)).toBe("3");
+    expect(csvCell(null)).toBe("");
+    expect(csvCell(undefined)).toBe("");
+  });
+
+  it("quotes commas, quotes and line breaks", () => {
+    expect(csvCell("Crosby, Stills & Nash")).toBe('"Crosby, Stills & Nash"');
+    expect(csvCell('The "Best" Song')).toBe('"The ""Best"" Song"');
+    expect(csvCell("one\ntwo")).toBe('"one\ntwo"');
+    expect(csvCell("one\r\ntwo")).toBe('"one\r\ntwo"');
+  });
+
+  it("keeps spreadsheet apps from running a cell as a formula", () => {
+    expect(csvCell("=SUM(A1:A9)")).toBe("'=SUM(A1:A9)");
+    expect(csvCell("+1")).toBe("'+1");
+    expect(csvCell("-1")).toBe("'-1");
+    expect(csvCell("@me")).toBe("'@me");
+    expect(csvCell("=1,2")).toBe(`"'=1,2"`);
+  });
+});
+
+describe("toCsv", () => {
+  it("joins cells with commas and rows with CRLF, ending on a line break", () => {
+    expect(toCsv([["a", "b"], ["c, d", 'e"f']])).toBe('a,b\r\n"c, d","e""f"\r\n');
+  });
+});
+
+describe("matchesCsv", () => {
+  it("writes one row per decided match, with the vote and what blind mode hid", () => {
+    let t = buildTournament(tracks(3), {});
+    t = applyPick(t, "a", {
+      vote: {
+        rule: "majority",
+        ballots: [
+          { voter: "Ana", trackId: "t2", weight: 1 },
+          { voter: "Ben", trackId: "t3", weight: 1 },
+          { voter: "Cy", trackId: "t2", weight: 1 },
+        ],
+      },
+    });
+    t = applyPick(t, "b", { blind: ["art", "popularity"] });
+
+    const [header, first, second, end] = matchesCsv(t).split("\r\n");
+    expect(header).toBe("#,round,a_id,a_name,a_artists,b_id,b_name,b_artists,winner_id,winner_name,votes,ballots,blind");
+    expect(first.split(",").slice(0, 2)).toEqual(["1", "Round 1"]);
+    expect(first.split(",").slice(2)).toEqual([
+      "t2",
+      "Song 2",
+      "Artist 2",
+      "t3",
+      "Song 3",
+      "Artist 3",
+      "t2",
+      "Song 2",
+      "2–1",
+      "Ana: Song 2 | Ben: Song 3 | Cy: Song 2",
+      "",
+    ]);
+    expect(second.split(",").slice(2, 10)).toEqual(["t1", "Song 1", "Artist 1", "t2", "Song 2", "Artist 2", "t2", "Song 2"]);
+    expect(second.split(",").slice(10)).toEqual(["", "", "art popularity"]);
+    expect(end).toBe("");
+  });
+
+  it("is just the header before any pick", () => {
+    expect(matchesCsv(buildTournament(tracks(4), {})).split("\r\n")).toHaveLength(2);
+  });
+});
+
+describe("standingsCsv", () => {
+  it("writes the final standings in place order", () => {
+    let t = buildTournament(tracks(2), {});
+    t = applyPick(t, "a");
+    expect(standingsCsv(finalStandings(t)).split("\r\n")).toEqual([
+      "place,id,name,artists,tier,wins,losses",
+      "1,t1,Song 1,Artist 1,Champion,1,0",
+      "2,t2,Song 2,Artist 2,Runner-up,0,1",
+      "",
+    ]);
+  });
+});
+
+describe("exportFileName", () => {
+  it("slugs the name and dates the file", () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-03-04T12:00:00Z"));
+    expect(exportFileName("Road Trip — 2026!", "csv")).toBe("spotify-duel-road-trip-2026-2026-03-04.csv");
+    expect(exportFileName("", "json")).toBe("spotify-duel-tournament-2026-03-04.json");
+    expect(exportFileName("★★★", "json")).toBe("spotify-duel-tournament-2026-03-04.json");
+  });
+});
+
+describe("session files", () => {
+  const session = () => {
+    let tournament = buildTournament(tracks(4), {});
+    tournament = applyPick(tournament, "a");
+    return {
+      playlistInput: "spotify:playlist:abc",
+      playlistMeta: { name: "Mix", images: [] },
+      tracks: tracks(4),
+      filters: { skipExplicit: true },
+      tournament,
+    };
+  };
+
+  it("round-trips a session through its JSON file", () => {
+    const s = session();
+    const back = parseSessionFile(sessionToJson(s));
+    expect(back).toMatchObject({
+      playlistInput: "spotify:playlist:abc",
+      playlistMeta: { name: "Mix" },
+      tracks: s.tracks,
+      filters: s.filters,
+    });
+    expect(back.tournament.id).toBe(s.tournament.id);
+    expect(back.tournament.history).toEqual(s.tournament.history);
+  });
+
+  it("fills in what an older or hand-made file leaves out", () => {
+    const data = JSON.parse(sessionToJson(session()));
+    delete data.playlistMeta;
+    delete data.playlistInput;
+    expect(parseSessionFile(JSON.stringify(data))).toMatchObject({
+      playlistInput: "",
+      playlistMeta: { name: "Imported tournament", images: [] },
+      field: null,
+      voting: null,
+    });
+  });
+
+  it("explains what's wrong with a file it can't open", () => {
+    const file = (change) => {
+      const data = JSON.parse(sessionToJson(session()));
+      change(data);
+      return JSON.stringify(data);
+    };
+    expect(() => parseSessionFile("{")).toThrow("This file isn’t valid JSON.");
+    expect(() => parseSessionFile("{}")).toThrow("This isn’t a Spotify Duel export.");
+    expect(() => parseSessionFile(file((d) => delete d.version))).toThrow("This export has no version number.");
+    expect(() => parseSessionFile(file((d) => (d.version = 99)))).toThrow("newer version of Spotify Duel (format 99)");
+    expect(() => parseSessionFile(file((d) => (d.tracks = [])))).toThrow("This export has no tracks.");
+    expect(() => parseSessionFile(file((d) => (d.tracks[1] = { id: "x" })))).toThrow("Track 2 in this export has no id or name.");
+    expect(() => parseSessionFile(file((d) => (d.tournament = "nope")))).toThrow("The tournament in this export is damaged:");
+  });
+});
@@ -2,9 +2,13 @@ import "./index.css";
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
+import RoomVoter from "./RoomVoter.jsx";
+
+// Join links (?room=CODE) open the phone voting page; it needs no Spotify sign-in
+const roomCode = new URLSearchParams(window.location.search).get("room");
 
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
-    <App />
+    {roomCode != null ? <RoomVoter code={roomCode} /> : <App />}
   </React.StrictMode>
 );
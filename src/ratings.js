@@ -0,0 +1,91 @@
+/**
+ * All-time ratings: every decided pick from every tournament, kept in localStorage and
+ * replayed as Elo. The store only records results; ratings are recomputed from them.
+ */
+
+const RATINGS_KEY = "spotify_duel_ratings_v1";
+export const ELO_START = 1500;
+export const ELO_K = 32;
+
+export function emptyRatingStore() {
+  return { tournaments: {}, tracks: {} };
+}
+
+export function loadRatingStore() {
+  let raw = null;
+  try {
+    raw = JSON.parse(localStorage.getItem(RATINGS_KEY) || "");
+  } catch {
+    raw = null;
+  }
+  return raw?.tournaments ? raw : emptyRatingStore();
+}
+
+export function saveRatingStore(store) {
+  localStorage.setItem(RATINGS_KEY, JSON.stringify(store));
+}
+
+/**
+ * Mirror a tournament's decided picks ({ winnerId, loserId }, in pick order) into the store,
+ * replacing whatever was recorded for it before — so undo / redo / changed picks never
+ * double-count a result. Returns the same store when nothing changed.
+ */
+export function syncTournamentResults(store, tournament, picks, playlistName) {
+  if (!tournament?.id) return store;
+
+  const results = (picks || []).map((r) => ({ w: r.winnerId, l: r.loserId }));
+
+  const prev = store.tournaments[tournament.id];
+  if (prev && JSON.stringify(prev.results) === JSON.stringify(results)) return store;
+
+  const tracks = { ...store.tracks };
+  for (const e of tournament.rounds?.[0]?.entrants || []) {
+    if (!e?.id) continue;
+    tracks[e.id] = { id: e.id, kind: e.kind || "track", name: e.name, artists: e.artists, albumImage: e.albumImage || null };
+  }
+
+  return {
+    ...store,
+    tracks,
+    tournaments: {
+      ...store.tournaments,
+      [tournament.id]: {
+        startedAt: tournament.startedAt || Date.now(),
+        playlist: playlistName || prev?.playlist || null,
+        results,
+      },
+    },
+  };
+}
+
+// Replay every recorded result in tournament order -> Map(trackId -> { rating, wins, losses })
+export function computeRatings(store) {
+  const ratings = new Map();
+  const get = (id) => {
+    if (!ratings.has(id)) ratings.set(id, { rating: ELO_START, wins: 0, losses: 0 });
+    return ratings.get(id);
+  };
+
+  const list = Object.values(store?.tournaments || {}).sort((a, b) => a.startedAt - b.startedAt);
+  for (const t of list) {
+    for (const r of t.results) {
+      const w = get(r.w);
+      const l = get(r.l);
+      const expected = 1 / (1 + 10 ** ((l.rating - w.rating) / 400));
+      const delta = ELO_K * (1 - expected);
+      w.rating += delta;
+      l.rating -= delta;
+      w.wins += 1;
+      l.losses += 1;
+    }
+  }
+
+  return ratings;
+}
+
+export function allTimeRankings(store) {
+  const ratings = computeRatings(store);
+  return [...ratings.entries()]
+    .map(([id, r]) => ({ ...r, rating: Math.round(r.rating), track: store.tracks[id] || { id, name: id } }))
+    .sort((a, b) => b.rating - a.rating || b.wins - a.wins);
+}
@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+import { allTimeRankings, computeRatings, ELO_K, ELO_START, emptyRatingStore, syncTournamentResults } from "./ratings.js";
+
+const entrants = ["a", "b", "c"].map((id) => ({ id, name: `Song ${id}`, artists: `Artist ${id}`, albumImage: null }));
+
+function tournament(id, startedAt) {
+  return { id, startedAt, rounds: [{ entrants }] };
+}
+
+describe("computeRatings", () => {
+  it("moves half of K between two equally rated tracks", () => {
+    const store = { tournaments: { t1: { startedAt: 1, results: [{ w: "a", l: "b" }] } }, tracks: {} };
+    const ratings = computeRatings(store);
+    expect(ratings.get("a")).toEqual({ rating: ELO_START + ELO_K / 2, wins: 1, losses: 0 });
+    expect(ratings.get("b")).toEqual({ rating: ELO_START - ELO_K / 2, wins: 0, losses: 1 });
+  });
+
+  it("gives an upset more points than an expected win", () => {
+    const store = {
+      tournaments: { t1: { startedAt: 1, results: [{ w: "a", l: "b" }, { w: "b", l: "a" }] } },
+      tracks: {},
+    };
+    const ratings = computeRatings(store);
+    // b beat the now higher rated a, so it gains more than the 16 it lost
+    expect(ratings.get("b").rating).toBeGreaterThan(ELO_START);
+    expect(ratings.get("a").rating + ratings.get("b").rating).toBeCloseTo(2 * ELO_START);
+  });
+
+  it("replays tournaments in the order they started", () => {
+    const first = { startedAt: 1, results: [{ w: "a", l: "b" }] };
+    const second = { startedAt: 2, results: [{ w: "b", l: "c" }] };
+    const inOrder = computeRatings({ tournaments: { x: first, y: second }, tracks: {} });
+    const listedBackwards = computeRatings({ tournaments: { y: second, x: first }, tracks: {} });
+    expect(listedBackwards).toEqual(inOrder);
+  });
+
+  it("ranks by rating, then wins, and names tracks from the store", () => {
+    let store = emptyRatingStore();
+    store = syncTournamentResults(store, tournament("t1", 1), [
+      { winnerId: "a", loserId: "b" },
+      { winnerId: "a", loserId: "c" },
+    ]);
+    const rows = allTimeRankings(store);
+    // c lost to an already higher rated a, so it drops less than b did
+    expect(rows.map((r) => r.track.id)).toEqual(["a", "c", "b"]);
+    expect(rows[0]).toMatchObject({ wins: 2, losses: 0, track: { name: "Song a" } });
+    expect(Number.isInteger(rows[0].rating)).toBe(true);
+  });
+});
+
+describe("syncTournamentResults", () => {
+  it("records picks and the first-round tracks under the tournament id", () => {
+    const store = syncTournamentResults(emptyRatingStore(), tournament("t1", 7), [{ winnerId: "a", loserId: "b" }], "Mix");
+    expect(store.tournaments.t1).toEqual({ startedAt: 7, playlist: "Mix", results: [{ w: "a", l: "b" }] });
+    expect(Object.keys(store.tracks)).toEqual(["a", "b", "c"]);
+  });
+
+  it("replaces a tournament's results instead of adding to them", () => {
+    const t = tournament("t1", 1);
+    let store = syncTournamentResults(emptyRatingStore(), t, [{ winnerId: "a", loserId: "b" }], "Mix");
+    // the pick was changed: b now beat a
+    store = syncTournamentResults(store, t, [{ winnerId: "b", loserId: "a" }]);
+    expect(store.tournaments.t1.results).toEqual([{ w: "b", l: "a" }]);
+    expect(store.tournaments.t1.playlist).toBe("Mix");
+    expect(computeRatings(store).get("a")).toMatchObject({ wins: 0, losses: 1 });
+  });
+
+  it("returns the same store when nothing changed", () => {
+    const t = tournament("t1", 1);
+    const store = syncTournamentResults(emptyRatingStore(), t, [{ winnerId: "a", loserId: "b" }]);
+    expect(syncTournamentResults(store, t, [{ winnerId: "a", loserId: "b" }])).toBe(store);
+  });
+
+  it("keeps two tournaments' results apart", () => {
+    let store = syncTournamentResults(emptyRatingStore(), tournament("t1", 1), [{ winnerId: "a", loserId: "b" }]);
+    store = syncTournamentResults(store, tournament("t2", 2), [{ winnerId: "a", loserId: "c" }]);
+    expect(computeRatings(store).get("a").wins).toBe(2);
+  });
+
+  it("ignores a tournament without an id", () => {
+    const store = emptyRatingStore();
+    expect(syncTournamentResults(store, { rounds: [] }, [{ winnerId: "a", loserId: "b" }])).toBe(store);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Track review: the filters applied before a bracket is built, and the merging of
+ * versions of the same song (remasters, live takes, deluxe re-releases) into one entrant.
+ */
+
+export function formatMs(ms) {
+  if (!ms && ms !== 0) return "—";
+  const total = Math.floor(ms / 1000);
+  const m = Math.floor(total / 60);
+  const s = total % 60;
+  return `${m}:${String(s).padStart(2, "0")}`;
+}
+
+export const DEFAULT_TRACK_FILTERS = {
+  excludeArtists: "",
+  minDuration: "",
+  maxDuration: "",
+  skipExplicit: false,
+  minPopularity: 0,
+  mergeVersions: true,
+};
+
+// Bracketed / dashed title suffixes that mark another release of the same song
+const VERSION_TAG =
+  /\b(remaster(ed)?|live|version|edit|mono|stereo|single|album|deluxe|anniversary|bonus|explicit|clean|radio|extended|demo|re-?recorded|feat\.?|ft\.?|with)\b/;
+
+export function normalizeText(text) {
+  return (text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+// "Song - 2011 Remaster", "Song (Live at Wembley)", "Song [feat. X]" -> "song"
+export function normalizeTitle(name) {
+  return normalizeText(name)
+    .replace(/\s*[([][^)\]]*[)\]]/g, (m) => (VERSION_TAG.test(m) ? "" : m))
+    .replace(/\s+-\s+.*$/, (m) => (VERSION_TAG.test(m) ? "" : m))
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+export function creditedArtists(track) {
+  return (track?.artists || "")
+    .split(",")
+    .map((a) => a.trim())
+    .filter(Boolean);
+}
+
+// "3:30" or "210" (seconds) -> ms; blank/invalid -> null
+export function parseDuration(input) {
+  const v = String(input ?? "").trim();
+  if (!v) return null;
+  const m = v.match(/^(\d+):([0-5]?\d)$/);
+  if (m) return (Number(m[1]) * 60 + Number(m[2])) * 1000;
+  return /^\d+$/.test(v) ? Number(v) * 1000 : null;
+}
+
+function filterReason(track, filters, excluded) {
+  const artist = creditedArtists(track).find((a) => excluded.has(normalizeText(a)));
+  if (artist) return `Excluded artist: ${artist}`;
+
+  const minMs = parseDuration(filters.minDuration);
+  const maxMs = parseDuration(filters.maxDuration);
+  if (minMs != null && (track.duration_ms ?? 0) < minMs) return `Shorter than ${formatMs(minMs)}`;
+  if (maxMs != null && (track.duration_ms ?? 0) > maxMs) return `Longer than ${formatMs(maxMs)}`;
+
+  if (filters.skipExplicit && track.explicit) return "Explicit";
+  if ((track.popularity ?? 0) < (filters.minPopularity || 0)) {
+    return `Popularity ${track.popularity ?? 0} (below ${filters.minPopularity})`;
+  }
+  return null;
+}
+
+/**
+ * Apply the review filters, then merge versions of the same song: same ISRC, or the same
+ * normalized title + primary artist. The most popular version of each song stays in.
+ * Returns { kept, removed: [{ track, reason }] } — kept in playlist order.
+ */
+export function reviewTracks(tracks, filters = DEFAULT_TRACK_FILTERS) {
+  const excluded = new Set(
+    filters.excludeArtists
+      .split(",")
+      .map((a) => normalizeText(a).trim())
+      .filter(Boolean)
+  );
+
+  const removed = [];
+  const passing = [];
+  for (const track of tracks || []) {
+    const reason = filterReason(track, filters, excluded);
+    if (reason) removed.push({ track, reason });
+    else passing.push(track);
+  }
+
+  if (!filters.mergeVersions) return { kept: passing, removed };
+
+  const groups = [];
+  const byIsrc = new Map();
+  const byTitle = new Map();
+  for (const track of passing) {
+    const title = normalizeTitle(track.name);
+    const titleKey = title ? `${title}|${normalizeTitle(creditedArtists(track)[0])}` : track.id;
+
+    let gi = track.isrc ? byIsrc.get(track.isrc) : undefined;
+    if (gi == null) gi = byTitle.get(titleKey);
+    if (gi == null) {
+      gi = groups.length;
+      groups.push([]);
+    }
+
+    groups[gi].push(track);
+    if (track.isrc && !byIsrc.has(track.isrc)) byIsrc.set(track.isrc, gi);
+    if (!byTitle.has(titleKey)) byTitle.set(titleKey, gi);
+  }
+
+  const kept = [];
+  for (const versions of groups) {
+    const keep = versions.reduce((best, t) => ((t.popularity ?? 0) > (best.popularity ?? 0) ? t : best));
+    kept.push(keep);
+    for (const t of versions) {
+      if (t === keep) continue;
+      const sameRecording = t.isrc && t.isrc === keep.isrc;
+      removed.push({
+        track: t,
+        reason: sameRecording ? `Same recording as “${keep.name}”` : `Another version of “${keep.name}”`,
+      });
+    }
+  }
+
+  const order = new Map((tracks || []).map((t, i) => [t.id, i]));
+  kept.sort((a, b) => order.get(a.id) - order.get(b.id));
+  return { kept, removed };
+}
@@ -0,0 +1,136 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_TRACK_FILTERS, formatMs, normalizeTitle, parseDuration, reviewTracks } from "./review.js";
+
+let nextId = 0;
+function track(name, extra = {}) {
+  nextId += 1;
+  return { id: `t${nextId}`, name, artists: "Band", popularity: 50, duration_ms: 200000, explicit: false, ...extra };
+}
+
+const keptNames = (r) => r.kept.map((t) => t.name);
+const filters = (extra) => ({ ...DEFAULT_TRACK_FILTERS, ...extra });
+
+describe("normalizeTitle", () => {
+  it("drops bracketed and dashed version tags", () => {
+    expect(normalizeTitle("Song - 2011 Remaster")).toBe("song");
+    expect(normalizeTitle("Song (Live at Wembley)")).toBe("song");
+    expect(normalizeTitle("Song [feat. Someone]")).toBe("song");
+    expect(normalizeTitle("Song - Radio Edit")).toBe("song");
+    expect(normalizeTitle("Song (Deluxe Version)")).toBe("song");
+  });
+
+  it("keeps brackets and dashes that are part of the title", () => {
+    expect(normalizeTitle("(Don't Fear) The Reaper")).toBe("don t fear the reaper");
+    expect(normalizeTitle("Song - Part Two")).toBe("song part two");
+    expect(normalizeTitle("Song (Remix)")).toBe("song remix");
+  });
+
+  it("ignores case, accents and punctuation", () => {
+    expect(normalizeTitle("Café  Noir!")).toBe(normalizeTitle("cafe noir"));
+  });
+});
+
+describe("parseDuration / formatMs", () => {
+  it("reads m:ss or plain seconds", () => {
+    expect(parseDuration("3:30")).toBe(210000);
+    expect(parseDuration("90")).toBe(90000);
+    expect(parseDuration(" ")).toBeNull();
+    expect(parseDuration("3:75")).toBeNull();
+    expect(parseDuration("abc")).toBeNull();
+  });
+
+  it("formats ms as m:ss", () => {
+    expect(formatMs(210000)).toBe("3:30");
+    expect(formatMs(0)).toBe("0:00");
+    expect(formatMs(null)).toBe("—");
+  });
+});
+
+describe("reviewTracks filters", () => {
+  it("keeps everything with the default filters and no duplicates", () => {
+    const list = [track("One"), track("Two"), track("Three")];
+    expect(reviewTracks(list)).toEqual({ kept: list, removed: [] });
+  });
+
+  it("excludes listed artists, including featured ones, ignoring case and accents", () => {
+    const list = [track("One", { artists: "Beyoncé" }), track("Two", { artists: "Band, SIA" }), track("Three")];
+    const r = reviewTracks(list, filters({ excludeArtists: "beyonce, sia" }));
+    expect(keptNames(r)).toEqual(["Three"]);
+    expect(r.removed.map((x) => x.reason)).toEqual(["Excluded artist: Beyoncé", "Excluded artist: SIA"]);
+  });
+
+  it("removes tracks outside the duration range", () => {
+    const list = [track("Short", { duration_ms: 60000 }), track("Mid"), track("Long", { duration_ms: 600000 })];
+    const r = reviewTracks(list, filters({ minDuration: "1:30", maxDuration: "300" }));
+    expect(keptNames(r)).toEqual(["Mid"]);
+    expect(r.removed.map((x) => x.reason)).toEqual(["Shorter than 1:30", "Longer than 5:00"]);
+  });
+
+  it("removes explicit tracks and tracks below the popularity floor", () => {
+    const list = [track("Rude", { explicit: true }), track("Obscure", { popularity: 5 }), track("Fine")];
+    const r = reviewTracks(list, filters({ skipExplicit: true, minPopularity: 10 }));
+    expect(keptNames(r)).toEqual(["Fine"]);
+    expect(r.removed.map((x) => x.reason)).toEqual(["Explicit", "Popularity 5 (below 10)"]);
+  });
+});
+
+describe("reviewTracks version merging", () => {
+  it("merges remasters, live takes and edits into the most popular version", () => {
+    const list = [
+      track("Song - 2011 Remaster", { popularity: 40 }),
+      track("Song", { popularity: 70 }),
+      track("Song (Live)", { popularity: 20 }),
+      track("Song - Radio Edit", { popularity: 30 }),
+    ];
+    const r = reviewTracks(list);
+    expect(keptNames(r)).toEqual(["Song"]);
+    expect(r.removed.map((x) => x.reason)).toEqual([
+      "Another version of “Song”",
+      "Another version of “Song”",
+      "Another version of “Song”",
+    ]);
+  });
+
+  it("merges the same recording by ISRC even under a different title", () => {
+    const list = [track("Song", { isrc: "X1", popularity: 60 }), track("Totally Different", { isrc: "X1", popularity: 10 })];
+    const r = reviewTracks(list);
+    expect(keptNames(r)).toEqual(["Song"]);
+    expect(r.removed[0].reason).toBe("Same recording as “Song”");
+  });
+
+  it("merges exact duplicate titles", () => {
+    const r = reviewTracks([track("Song"), track("Song"), track("Other")]);
+    expect(keptNames(r)).toEqual(["Song", "Other"]);
+    expect(r.removed).toHaveLength(1);
+  });
+
+  it("keeps remixes as songs of their own", () => {
+    const r = reviewTracks([track("Song"), track("Song (Remix)"), track("Song - Club Remix")]);
+    expect(keptNames(r)).toEqual(["Song", "Song (Remix)", "Song - Club Remix"]);
+  });
+
+  it("keeps the same title by a different primary artist", () => {
+    const r = reviewTracks([track("Hello", { artists: "Adele" }), track("Hello", { artists: "Lionel Richie" })]);
+    expect(r.kept).toHaveLength(2);
+  });
+
+  it("matches on the primary artist only, so a featured guest doesn't split a song", () => {
+    const r = reviewTracks([track("Song", { artists: "Band" }), track("Song (feat. Guest)", { artists: "Band, Guest" })]);
+    expect(r.kept).toHaveLength(1);
+  });
+
+  it("keeps the playlist order when a later version wins", () => {
+    const list = [track("A"), track("B - Live", { popularity: 10 }), track("C"), track("B", { popularity: 90 })];
+    expect(keptNames(reviewTracks(list))).toEqual(["A", "C", "B"]);
+  });
+
+  it("doesn't merge anything with mergeVersions off", () => {
+    const r = reviewTracks([track("Song"), track("Song (Live)")], filters({ mergeVersions: false }));
+    expect(r.kept).toHaveLength(2);
+  });
+
+  it("doesn't merge tracks whose titles normalize to nothing", () => {
+    const r = reviewTracks([track("(Live)"), track("(Live)")]);
+    expect(r.kept).toHaveLength(2);
+  });
+});
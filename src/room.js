@@ -0,0 +1,49 @@
+/**
+ * Group voting room client helpers: where the room server is, join links and sending messages.
+ * The server is server/room-server.js; the protocol is in server/README.md.
+ */
+export const ROOM_PORT = 8787;
+export const ROOM_NAME_KEY = "spotify_duel_room_name";
+
+export const ROOM_SECONDS = [
+  { id: "15", label: "15 seconds" },
+  { id: "30", label: "30 seconds" },
+  { id: "60", label: "60 seconds" },
+  { id: "120", label: "2 minutes" },
+];
+
+export const ROOM_OFF = { status: "off", code: null, error: null, players: [], votes: 0, voters: 0, closesAt: null, lastResult: null };
+
+export const BAD_SERVER_MESSAGE = "This link’s room server address isn’t a ws:// or wss:// URL.";
+
+// Only WebSocket addresses: a join link mustn't be able to point the page anywhere else
+function webSocketUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "ws:" || url.protocol === "wss:" ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A join link names its server (?server=); otherwise the room server runs next to the page.
+ * Returns null when the link's address isn't ws:// or wss://.
+ */
+export function roomServerUrl() {
+  const fromLink = new URLSearchParams(window.location.search).get("server");
+  if (fromLink) return webSocketUrl(fromLink);
+  const scheme = window.location.protocol === "https:" ? "wss" : "ws";
+  return `${scheme}://${window.location.hostname || "localhost"}:${ROOM_PORT}`;
+}
+
+export function roomJoinLink(code, serverUrl) {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set("room", code);
+  url.searchParams.set("server", serverUrl);
+  return url.toString();
+}
+
+export function sendRoom(socket, message) {
+  if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+}
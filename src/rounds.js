@@ -0,0 +1,56 @@
+/**
+ * What each bracket round shows as rows: its matches, plus byes and auto finalists as one-sided rows.
+ * The bracket card and the bracket image both draw from these.
+ */
+
+// Short form for bracket rows ("Bye: top seed")
+function byeNote(rules) {
+  if (rules?.byeRule === "bottom") return "bottom seed";
+  if (rules?.byeRule === "random") return "drawn at random";
+  if (rules?.byeRule === "choice") return "your choice";
+  return "top seed";
+}
+
+// Rows for round ri; a decided row has `winner`, a pickable one a `slot` for getMatchAt / changePick
+export function roundRows(tournament, ri) {
+  const r = tournament.rounds[ri];
+  const rows = [];
+
+  if (r?.byePending) {
+    rows.push({ id: `r${ri}-pending`, a: null, b: null, tag: "BYE", note: "Bye: waiting for your choice" });
+  }
+
+  if (r?.type === "normal") {
+    if (r.bye) rows.push({ id: `r${ri}-bye`, a: r.bye, b: null, winner: r.bye, note: `Bye: ${byeNote(tournament.rules)}` });
+    r.matches.forEach((m, mi) =>
+      rows.push({ ...m, id: m.id || `r${ri}-${m.a?.id}-${m.b?.id}`, slot: { round: ri, match: mi } })
+    );
+  } else if (r?.type === "three" && !r.byePending) {
+    rows.push({ id: `r${ri}-top`, a: r.top, b: null, tag: "FINAL", note: `Auto finalist: ${byeNote(tournament.rules)}` });
+    rows.push({
+      id: `r${ri}-q`,
+      a: r.match?.a,
+      b: r.match?.b,
+      winner: r.match?.winner,
+      slot: { round: ri, stage: "three" },
+    });
+    if (r.final) {
+      rows.push({
+        id: `r${ri}-final`,
+        a: r.final.a,
+        b: r.final.b,
+        winner: r.final.winner,
+        slot: { round: ri, stage: "final" },
+      });
+    }
+  } else if (r?.type === "groups") {
+    for (const s of r.schedule) {
+      const f = r.groups[s.group].fixtures[s.fixture];
+      rows.push({ ...f, id: f.id, slot: { round: ri, ...s } });
+    }
+  } else if (r?.type === "done") {
+    if (r.entrants?.[0]) rows.push({ id: `r${ri}-done`, a: r.entrants[0], b: null, winner: r.entrants[0] });
+  }
+
+  return rows;
+}
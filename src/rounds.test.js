@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { applyPick, buildTournament } from "./engine/index.js";
+import { roundRows } from "./rounds.js";
+
+// n tracks, t1 the most popular
+function tracks(n) {
+  return Array.from({ length: n }, (_, i) => ({ id: `t${i + 1}`, name: `Song ${i + 1}`, artists: `Artist ${i + 1}`, popularity: 100 - i }));
+}
+
+const brief = (rows) => rows.map((r) => ({ a: r.a?.id ?? null, b: r.b?.id ?? null, winner: r.winner?.id ?? null, slot: r.slot ?? null }));
+
+describe("roundRows", () => {
+  it("lists a round's matches with their slots, after a one-sided bye row", () => {
+    const t = buildTournament(tracks(5), {});
+    const rows = roundRows(t, 0);
+    expect(brief(rows)).toEqual([
+      { a: "t1", b: null, winner: "t1", slot: null },
+      { a: "t2", b: "t5", winner: null, slot: { round: 0, match: 0 } },
+      { a: "t3", b: "t4", winner: null, slot: { round: 0, match: 1 } },
+    ]);
+    expect(rows[0].note).toBe("Bye: top seed");
+  });
+
+  it("names the bye rule on the bye row", () => {
+    const rows = roundRows(buildTournament(tracks(5), { byeRule: "bottom" }), 0);
+    expect(rows[0]).toMatchObject({ a: { id: "t5" }, note: "Bye: bottom seed" });
+    expect(roundRows(buildTournament(tracks(5), { byeRule: "random", seed: "x" }), 0)[0].note).toBe("Bye: drawn at random");
+  });
+
+  it("shows a waiting row while a chosen bye is pending", () => {
+    const rows = roundRows(buildTournament(tracks(5), { byeRule: "choice" }), 0);
+    expect(rows).toEqual([{ id: "r0-pending", a: null, b: null, tag: "BYE", note: "Bye: waiting for your choice" }]);
+  });
+
+  it("shows the auto finalist, the semi and then the final when three are left", () => {
+    let t = applyPick(applyPick(buildTournament(tracks(5), {}), "a"), "a");
+    expect(roundRows(t, 1).map((r) => r.tag ?? null)).toEqual(["FINAL", null]);
+    expect(roundRows(t, 1)[0]).toMatchObject({ a: { id: "t1" }, note: "Auto finalist: top seed" });
+
+    t = applyPick(t, "a");
+    expect(brief(roundRows(t, 1)).slice(1)).toEqual([
+      { a: "t2", b: "t3", winner: "t2", slot: { round: 1, stage: "three" } },
+      { a: "t1", b: "t2", winner: null, slot: { round: 1, stage: "final" } },
+    ]);
+  });
+
+  it("lists group fixtures in schedule order", () => {
+    const t = buildTournament(tracks(6), { format: "groups", groupSize: "3" });
+    const rows = roundRows(t, 0);
+    expect(rows).toHaveLength(t.rounds[0].schedule.length);
+    expect(rows.map((r) => r.slot)).toEqual(t.rounds[0].schedule.map((s) => ({ round: 0, ...s })));
+  });
+
+  it("shows the last entrant standing as a decided row, and nothing for a missing round", () => {
+    const t = buildTournament(tracks(1), {});
+    expect(brief(roundRows(t, 0))).toEqual([{ a: "t1", b: null, winner: "t1", slot: null }]);
+    expect(roundRows(t, 5)).toEqual([]);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Share links: a bracket (track ids, rules and optionally the picks) deflated into the URL hash,
+ * so a friend's app can rebuild it. Rebuilding needs Spotify and lives in App.jsx (openSharedBracket).
+ */
+import { pickPath, sortBySeed } from "./engine/index.js";
+
+const SHARE_HASH_PARAM = "duel";
+const SHARE_LINK_VERSION = 1;
+export const PENDING_LINK_KEY = "spotify_duel_shared_link"; // the sign-in redirect drops the hash, so it waits here
+
+async function deflateText(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function inflateText(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Response(stream).text();
+}
+
+// One bit per decided match, set when side "b" won
+function packSides(sides) {
+  const bytes = new Uint8Array(Math.ceil(sides.length / 8));
+  sides.forEach((side, i) => {
+    if (side === "b") bytes[i >> 3] |= 1 << (i & 7);
+  });
+  return base64UrlEncode(bytes);
+}
+
+function unpackSides(text, count) {
+  const bytes = base64UrlDecode(text);
+  if (count > bytes.length * 8) throw new Error("pick bits missing");
+  return Array.from({ length: count }, (_, i) => ((bytes[i >> 3] >> (i & 7)) & 1 ? "b" : "a"));
+}
+
+/**
+ * The bracket as a link: track ids in seed order, the rules and (optionally) the picks as a
+ * bitstring, deflated into the hash. Album / artist entrants travel as their representative track.
+ * Votes, ratings and artwork stay behind; the friend's app fetches the tracks again. The link
+ * points at `page`, this app's address by default.
+ */
+export async function buildShareLink({ tournament, name, withPicks }, page = window.location.origin + window.location.pathname) {
+  const seeded = sortBySeed(tournament.rounds[0].entrants, tournament.rules);
+  const order = seeded.map((e) => e.id);
+  const rules = { ...tournament.rules };
+  delete rules.order;
+  delete rules.manualOrder;
+
+  const path = withPicks ? pickPath(tournament) : { sides: [], byes: [] };
+  const payload = {
+    v: SHARE_LINK_VERSION,
+    n: name || "",
+    t: seeded.map((e) => e.representative?.id || e.id).join(","),
+    r: rules,
+    p: packSides(path.sides),
+    c: path.sides.length,
+    b: path.byes.map((id) => order.indexOf(id)),
+  };
+  const encoded = base64UrlEncode(await deflateText(JSON.stringify(payload)));
+  return `${page}#${SHARE_HASH_PARAM}=${encoded}`;
+}
+
+/** Decode a link's hash value into { name, trackIds, rules, sides, byes }. Throws with a message for the user. */
+export async function parseShareLink(encoded) {
+  const damaged = "This share link is damaged or cut off. Ask for it again.";
+  let payload;
+  try {
+    payload = JSON.parse(await inflateText(base64UrlDecode(encoded)));
+  } catch {
+    throw new Error(damaged);
+  }
+  if (payload?.v > SHARE_LINK_VERSION) {
+    throw new Error("This share link comes from a newer version of Spotify Duel. Update the app to open it.");
+  }
+
+  const trackIds = typeof payload?.t === "string" ? payload.t.split(",").filter(Boolean) : [];
+  const byes = Array.isArray(payload?.b) ? payload.b : [];
+  if (payload?.v !== SHARE_LINK_VERSION || trackIds.length < 2 || !payload.r || typeof payload.r !== "object") {
+    throw new Error(damaged);
+  }
+  if (byes.some((i) => !Number.isInteger(i) || i < 0 || i >= trackIds.length)) throw new Error(damaged);
+
+  let sides;
+  try {
+    sides = unpackSides(String(payload.p || ""), Math.max(0, Number(payload.c) || 0));
+  } catch {
+    throw new Error(damaged);
+  }
+
+  return { name: String(payload.n || "").slice(0, 100), trackIds, rules: payload.r, sides, byes };
+}
+
+// Park a #duel=… link until there's a token to fetch its tracks with
+export function takeShareLinkFromUrl() {
+  const match = window.location.hash.match(new RegExp(`^#${SHARE_HASH_PARAM}=([\\w-]+)`));
+  if (!match) return false;
+  localStorage.setItem(PENDING_LINK_KEY, match[1]);
+  window.history.replaceState({}, document.title, window.location.pathname + window.location.search);
+  return true;
+}
+
+export function base64UrlEncode(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  let str = "";
+  for (let i = 0; i < bytes.length; i++) str += String.fromCharCode(bytes[i]);
+  return btoa(str).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/g, "");
+}
+
+export function base64UrlDecode(text) {
+  const str = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(str, (ch) => ch.charCodeAt(0));
+}
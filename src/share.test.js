@@ -0,0 +1,40 @@
+import { describe, expect, it } from "vitest";
+import { applyPick, buildTournament, followPickPath } from "./engine/index.js";
+import { buildShareLink, parseShareLink } from "./share.js";
+
+const tracks = Array.from({ length: 11 }, (_, i) => ({ id: `t${i + 1}`, name: `Song ${i + 1}`, artists: "A", popularity: 99 - i }));
+
+const PAGE = "https://duel.example/";
+const hashValue = (link) => link.split("#duel=")[1];
+
+describe("share links", () => {
+  it("carries the seed order, rules and picks", async () => {
+    let t = buildTournament(tracks, { seeding: "popularity" });
+    for (const side of ["a", "b", "b", "a", "b", "a", "b", "a", "b"]) t = applyPick(t, side);
+
+    const shared = await parseShareLink(hashValue(await buildShareLink({ tournament: t, name: "Mix", withPicks: true }, PAGE)));
+    expect(shared.name).toBe("Mix");
+    expect(shared.trackIds).toEqual(t.rules.order);
+    expect(shared.rules.seeding).toBe("popularity");
+    expect(shared.sides).toHaveLength(9);
+
+    const order = shared.trackIds;
+    const rebuilt = followPickPath(buildTournament(tracks, { ...shared.rules, order }), {
+      sides: shared.sides,
+      byes: shared.byes.map((i) => order[i]),
+    });
+    expect(rebuilt.history.map((h) => h.winnerId)).toEqual(t.history.map((h) => h.winnerId));
+  });
+
+  it("leaves the picks out when asked", async () => {
+    const t = applyPick(buildTournament(tracks), "a");
+    const shared = await parseShareLink(hashValue(await buildShareLink({ tournament: t, name: "", withPicks: false }, PAGE)));
+    expect(shared.sides).toEqual([]);
+    expect(shared.trackIds).toHaveLength(11);
+  });
+
+  it("rejects a damaged link", async () => {
+    const link = hashValue(await buildShareLink({ tournament: buildTournament(tracks), name: "", withPicks: false }, PAGE));
+    await expect(parseShareLink(link.slice(0, 12))).rejects.toThrow("damaged or cut off");
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Image export: the champion poster or the full bracket as SVG, optionally drawn to PNG.
+ * Everything is built on this device; cover art is fetched and inlined so the file stands alone.
+ */
+import { roundLabel } from "./engine/index.js";
+import { roundRows } from "./rounds.js";
+import { voteScore, voteSlotKey } from "./votes.js";
+
+export const IMAGE_KINDS = [
+  { id: "poster", label: "Champion poster" },
+  { id: "bracket", label: "Full bracket" },
+];
+
+export const IMAGE_FORMATS = [
+  { id: "png", label: "PNG" },
+  { id: "svg", label: "SVG" },
+];
+
+const POSTER_W = 1080;
+const POSTER_H = 1920; // story-sized
+const POSTER_ART = 720; // largest artwork; a long path to the title shrinks it so every line fits
+const POSTER_BOTTOM = 80; // clear space under the last line
+const MAX_PNG_SIDE = 4096;
+const IMAGE_FONT = "system-ui, -apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif";
+
+function escapeXml(value) {
+  return String(value ?? "").replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+}
+
+// SVG text doesn't wrap or ellipsize, so long names are cut by character count
+function clip(text, max) {
+  const s = String(text ?? "");
+  return s.length > max ? `${s.slice(0, max - 1).trimEnd()}…` : s;
+}
+
+function svgText(x, y, text, { size = 28, weight = 400, fill = "#fff", anchor = "start", max = 60 } = {}) {
+  return `<text x="${x}" y="${y}" font-family="${IMAGE_FONT}" font-size="${size}" font-weight="${weight}" fill="${fill}" text-anchor="${anchor}">${escapeXml(clip(text, max))}</text>`;
+}
+
+// Cover art is inlined so the SVG stands alone and the PNG canvas isn't tainted; null when it can't be fetched
+async function imageAsDataUrl(url) {
+  if (!url) return null;
+  try {
+    const res = await fetch(url, { mode: "cors" });
+    if (!res.ok) return null;
+    const blob = await res.blob();
+    return await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => resolve(null);
+      reader.readAsDataURL(blob);
+    });
+  } catch {
+    return null;
+  }
+}
+
+/** Every match the champion played, in order: { label, opponent, won, score }. */
+export function championPath(tournament, standings) {
+  const champ = tournament?.champion;
+  if (!champ) return [];
+  const byId = new Map(standings.map((row) => [row.track.id, row.track]));
+  return tournament.history
+    .filter((h) => h.winnerId && (h.aId === champ.id || h.bId === champ.id))
+    .map((h) => ({
+      label: roundLabel(tournament, h.round),
+      opponent: byId.get(h.aId === champ.id ? h.bId : h.aId),
+      won: h.winnerId === champ.id,
+      score: h.vote ? voteScore(h.vote, champ.id) : null,
+    }));
+}
+
+export function posterSvg({ tournament, standings, kind, title, art }) {
+  const champ = tournament.champion;
+  const row = standings.find((x) => x.track.id === champ.id);
+  const path = championPath(tournament, standings).slice(-7);
+  const podium = standings.filter((x) => x.place > 1).slice(0, 3);
+  const artY = 300;
+  // Height of everything under the artwork, line by line as it's laid out below
+  const below =
+    100 + 56 + (row ? 56 : 0) + (path.length ? 90 + path.length * 58 : 0) + (podium.length ? 100 + podium.length * 52 : 0);
+  const artSize = Math.min(POSTER_ART, POSTER_H - POSTER_BOTTOM - artY - below);
+  const artX = (POSTER_W - artSize) / 2;
+  const parts = [];
+
+  parts.push(svgText(POSTER_W / 2, 150, "SPOTIFY DUEL", { size: 30, weight: 700, fill: "#a1a1aa", anchor: "middle" }));
+  parts.push(svgText(POSTER_W / 2, 220, `Champion ${kind.noun}`, { size: 52, weight: 900, anchor: "middle" }));
+  if (title) parts.push(svgText(POSTER_W / 2, 268, title, { size: 28, fill: "#a1a1aa", anchor: "middle", max: 50 }));
+
+  parts.push(
+    art
+      ? `<image href="${art}" x="${artX}" y="${artY}" width="${artSize}" height="${artSize}" preserveAspectRatio="xMidYMid slice" clip-path="url(#art)"/>`
+      : `<rect x="${artX}" y="${artY}" width="${artSize}" height="${artSize}" rx="48" fill="#27272a"/>`
+  );
+
+  let y = artY + artSize + 100;
+  parts.push(svgText(POSTER_W / 2, y, champ.name, { size: 60, weight: 900, anchor: "middle", max: 28 }));
+  y += 56;
+  if (kind.id !== "artist") parts.push(svgText(POSTER_W / 2, y, champ.artists, { size: 34, fill: "#d4d4d8", anchor: "middle", max: 44 }));
+  if (row) {
+    y += 56;
+    parts.push(svgText(POSTER_W / 2, y, `${row.wins} wins • ${row.losses} losses`, { size: 28, fill: "#a1a1aa", anchor: "middle" }));
+  }
+
+  if (path.length) {
+    y += 90;
+    parts.push(svgText(120, y, "PATH TO THE TITLE", { size: 26, weight: 700, fill: "#a1a1aa" }));
+    for (const step of path) {
+      y += 58;
+      parts.push(`<rect x="100" y="${y - 40}" width="${POSTER_W - 200}" height="52" rx="16" fill="#ffffff" fill-opacity="0.06"/>`);
+      parts.push(svgText(124, y - 5, step.label, { size: 24, fill: "#a1a1aa", max: 22 }));
+      parts.push(svgText(420, y - 5, `${step.won ? "beat" : "lost to"} ${step.opponent?.name || "—"}`, { size: 26, weight: 600, max: 30 }));
+      parts.push(
+        svgText(POSTER_W - 124, y - 5, step.score || (step.won ? "W" : "L"), {
+          size: 26,
+          weight: 800,
+          fill: step.won ? "#6ee7b7" : "#fda4af",
+          anchor: "end",
+        })
+      );
+    }
+  }
+
+  if (podium.length) {
+    y += 100;
+    parts.push(svgText(120, y, "RUNNERS-UP", { size: 26, weight: 700, fill: "#a1a1aa" }));
+    for (const p of podium) {
+      y += 52;
+      parts.push(svgText(120, y, `${p.place}. ${p.track.name}`, { size: 28, weight: 600, fill: "#e4e4e7", max: 52 }));
+    }
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${POSTER_W}" height="${POSTER_H}" viewBox="0 0 ${POSTER_W} ${POSTER_H}">
+<defs>
+<linearGradient id="bg" x1="0" y1="0" x2="0" y2="1"><stop offset="0" stop-color="#27272a"/><stop offset="0.45" stop-color="#09090b"/><stop offset="1" stop-color="#000"/></linearGradient>
+<clipPath id="art"><rect x="${artX}" y="${artY}" width="${artSize}" height="${artSize}" rx="48"/></clipPath>
+</defs>
+<rect width="100%" height="100%" fill="url(#bg)"/>
+${parts.join("\n")}
+</svg>`;
+}
+
+export function bracketSvg({ tournament, title }) {
+  const colW = 320;
+  const gapX = 40;
+  const boxH = 64;
+  const gapY = 14;
+  const pad = 48;
+  const top = 190;
+
+  const votes = new Map(tournament.history.filter((h) => h.vote).map((h) => [voteSlotKey(h), h.vote]));
+  const columns = tournament.rounds.map((_, ri) => roundRows(tournament, ri)).map((rows, ri) => ({ ri, rows }));
+  const tallest = Math.max(1, ...columns.map((c) => c.rows.length));
+  const width = pad * 2 + columns.length * colW + (columns.length - 1) * gapX;
+  const height = top + tallest * (boxH + gapY) + pad;
+  const parts = [];
+
+  parts.push(svgText(pad, 70, "SPOTIFY DUEL", { size: 22, weight: 700, fill: "#a1a1aa" }));
+  parts.push(svgText(pad, 112, title || "Bracket", { size: 34, weight: 900, max: 70 }));
+  if (tournament.champion) {
+    parts.push(svgText(width - pad, 112, `Champion: ${tournament.champion.name}`, { size: 26, weight: 700, fill: "#6ee7b7", anchor: "end", max: 50 }));
+  }
+
+  columns.forEach(({ ri, rows }) => {
+    const x = pad + ri * (colW + gapX);
+    const y0 = top + ((tallest - rows.length) * (boxH + gapY)) / 2;
+    parts.push(svgText(x, top - 20, roundLabel(tournament, ri), { size: 18, weight: 700, fill: "#a1a1aa", max: 28 }));
+
+    rows.forEach((m, i) => {
+      const y = y0 + i * (boxH + gapY);
+      const vote = m.slot && m.winner ? votes.get(voteSlotKey(m.slot)) : null;
+      const line = (entrant, dy, fallback) => {
+        const won = entrant && m.winner?.id === entrant.id;
+        return svgText(x + 14, y + dy, entrant?.name || fallback, {
+          size: 18,
+          weight: won ? 800 : 400,
+          fill: won ? "#fff" : m.winner ? "#71717a" : "#d4d4d8",
+          max: vote ? 24 : 29,
+        });
+      };
+      parts.push(`<rect x="${x}" y="${y}" width="${colW}" height="${boxH}" rx="12" fill="#ffffff" fill-opacity="0.06" stroke="#ffffff" stroke-opacity="0.1"/>`);
+      parts.push(line(m.a, 26, "—"));
+      parts.push(line(m.b, 52, m.tag || "BYE"));
+      if (vote) parts.push(svgText(x + colW - 12, y + 39, voteScore(vote, m.winner.id), { size: 16, weight: 700, fill: "#a1a1aa", anchor: "end" }));
+    });
+  });
+
+  return {
+    width,
+    height,
+    svg: `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<rect width="100%" height="100%" fill="#09090b"/>
+${parts.join("\n")}
+</svg>`,
+  };
+}
+
+async function svgToPngBlob(svg, width, height) {
+  const scale = Math.min(2, MAX_PNG_SIDE / Math.max(width, height));
+  const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+    return await new Promise((resolve, reject) =>
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Couldn’t draw the image."))), "image/png")
+    );
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/** Build the chosen image as a File ready for navigator.share or a download link. */
+export async function buildShareImage({ tournament, standings, kind, title, image, format }) {
+  let svg;
+  let width = POSTER_W;
+  let height = POSTER_H;
+  if (image === "poster") {
+    svg = posterSvg({ tournament, standings, kind, title, art: await imageAsDataUrl(tournament.champion.albumImage) });
+  } else {
+    ({ svg, width, height } = bracketSvg({ tournament, title }));
+  }
+
+  const base = `spotify-duel-${image}`;
+  if (format === "svg") return new File([svg], `${base}.svg`, { type: "image/svg+xml" });
+  return new File([await svgToPngBlob(svg, width, height)], `${base}.png`, { type: "image/png" });
+}
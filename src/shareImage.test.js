@@ -0,0 +1,128 @@
+import { describe, expect, it } from "vitest";
+import { applyPick, buildTournament, finalStandings } from "./engine/index.js";
+import { bracketSvg, buildShareImage, championPath, posterSvg } from "./shareImage.js";
+
+// n tracks, t1 the most popular
+function tracks(n) {
+  return Array.from({ length: n }, (_, i) => ({ id: `t${i + 1}`, name: `Song ${i + 1}`, artists: `Artist ${i + 1}`, popularity: 100 - i }));
+}
+
+// The top seed wins everything
+function chalk(n) {
+  let t = buildTournament(tracks(n), {});
+  while (!t.champion) t = applyPick(t, "a");
+  return t;
+}
+
+const trackKind = { id: "track", noun: "track", title: "Song" };
+const artSize = (svg) => Number(svg.match(/<clipPath id="art"><rect [^>]*width="(\d+)"/)[1]);
+const textYs = (svg) => [...svg.matchAll(/<text x="[^"]*" y="(\d+)"/g)].map((m) => Number(m[1]));
+
+describe("championPath", () => {
+  it("lists every match the champion played, in order", () => {
+    const t = chalk(8);
+    const path = championPath(t, finalStandings(t));
+    expect(path.map((p) => [p.label, p.opponent.id, p.won, p.score])).toEqual([
+      ["Round 1", "t8", true, null],
+      ["Round 2", "t4", true, null],
+      ["Round 3", "t2", true, null],
+    ]);
+  });
+
+  it("scores a voted match from the champion's side", () => {
+    const ballots = [
+      { voter: "Ana", trackId: "t1", weight: 1 },
+      { voter: "Ben", trackId: "t1", weight: 1 },
+      { voter: "Cy", trackId: "t2", weight: 1 },
+    ];
+    const t = applyPick(buildTournament(tracks(2), {}), "a", { vote: { rule: "majority", ballots } });
+    expect(championPath(t, finalStandings(t))[0].score).toBe("2–1");
+  });
+
+  it("is empty before there's a champion", () => {
+    expect(championPath(buildTournament(tracks(4), {}), [])).toEqual([]);
+  });
+});
+
+describe("posterSvg", () => {
+  it("draws the champion, their record and the runners-up", () => {
+    const t = chalk(4);
+    const svg = posterSvg({ tournament: t, standings: finalStandings(t), kind: trackKind, title: "Road trip", art: null });
+    expect(svg).toMatch(/^<svg [^>]*width="1080" height="1920"/);
+    expect(svg).toContain(">Champion track<");
+    expect(svg).toContain(">Song 1<");
+    expect(svg).toContain(">Artist 1<");
+    expect(svg).toContain(">2 wins • 0 losses<");
+    expect(svg).toContain(">2. Song 2<");
+    expect(svg).toContain(">Road trip<");
+  });
+
+  it("escapes names and cuts long ones", () => {
+    const list = tracks(2);
+    list[0].name = `Rock & "Roll" <${"x".repeat(40)}>`;
+    let t = buildTournament(list, {});
+    t = applyPick(t, "a");
+    const svg = posterSvg({ tournament: t, standings: finalStandings(t), kind: trackKind, title: null, art: null });
+    expect(svg).toContain(`>Rock &amp; &quot;Roll&quot; &lt;${"x".repeat(12)}…<`);
+    expect(svg).not.toContain("<x");
+  });
+
+  it("leaves out the byline for an artist champion", () => {
+    const t = chalk(2);
+    const svg = posterSvg({ tournament: t, standings: finalStandings(t), kind: { id: "artist", noun: "artist" }, title: null, art: null });
+    expect(svg).toContain(">Champion artist<");
+    expect(svg).not.toContain(">Artist 1<");
+  });
+
+  it("inlines the artwork when there is some, and a placeholder otherwise", () => {
+    const t = chalk(2);
+    const standings = finalStandings(t);
+    expect(posterSvg({ tournament: t, standings, kind: trackKind, art: "data:image/png;base64,AA" })).toContain(
+      '<image href="data:image/png;base64,AA"'
+    );
+    expect(posterSvg({ tournament: t, standings, kind: trackKind, art: null })).not.toContain("<image");
+  });
+
+  it("keeps full-size artwork for a short path", () => {
+    const t = chalk(4);
+    expect(artSize(posterSvg({ tournament: t, standings: finalStandings(t), kind: trackKind, art: null }))).toBe(720);
+  });
+
+  it("shrinks the artwork so a long path to the title still fits the story height", () => {
+    const t = chalk(128);
+    const svg = posterSvg({ tournament: t, standings: finalStandings(t), kind: trackKind, art: null });
+    expect(artSize(svg)).toBeLessThan(720);
+    expect(Math.max(...textYs(svg))).toBeLessThanOrEqual(1920 - 80);
+  });
+});
+
+describe("bracketSvg", () => {
+  it("gives every round a column and every row a box", () => {
+    const t = chalk(5);
+    const { width, height, svg } = bracketSvg({ tournament: t, title: "Mix" });
+    expect(width).toBe(48 * 2 + 2 * 320 + 40);
+    expect(height).toBe(190 + 3 * (64 + 14) + 48);
+    expect(svg).toContain(">Mix<");
+    expect(svg).toContain(">Champion: Song 1<");
+    expect(svg.match(/<rect x="\d+" y="[\d.]+" width="320"/g)).toHaveLength(6);
+  });
+
+  it("prints the vote score on a voted match", () => {
+    const ballots = [
+      { voter: "Ana", trackId: "t2", weight: 2 },
+      { voter: "Ben", trackId: "t1", weight: 1 },
+    ];
+    const t = applyPick(buildTournament(tracks(2), {}), "b", { vote: { rule: "weighted", ballots } });
+    expect(bracketSvg({ tournament: t, title: null }).svg).toContain(">2–1<");
+  });
+});
+
+describe("buildShareImage", () => {
+  it("returns the SVG as a named file", async () => {
+    const t = chalk(4);
+    const file = await buildShareImage({ tournament: t, standings: finalStandings(t), kind: trackKind, image: "bracket", format: "svg" });
+    expect(file.name).toBe("spotify-duel-bracket.svg");
+    expect(file.type).toBe("image/svg+xml");
+    expect(await file.text()).toContain(">Champion: Song 1<");
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tournament sources: the Spotify links pasted into the app, and the merge of every loaded
+ * source into one field. Fetching lives in App.jsx; this module only shapes the data.
+ */
+
+// Playlist / album / artist / track link or URI -> { type, id }. A bare id is a playlist (the original input).
+export function parseSpotifySource(input) {
+  const trimmed = (input || "").trim();
+  if (!trimmed) return null;
+  const uriMatch = trimmed.match(/^spotify:(playlist|album|artist|track):([a-zA-Z0-9]+)$/);
+  if (uriMatch) return { type: uriMatch[1], id: uriMatch[2] };
+  const urlMatch = trimmed.match(/spotify\.com\/(?:intl-[a-z-]+\/)?(playlist|album|artist|track)\/([a-zA-Z0-9]+)/);
+  if (urlMatch) return { type: urlMatch[1], id: urlMatch[2] };
+  const idMatch = trimmed.match(/^([a-zA-Z0-9]+)$/);
+  return idMatch ? { type: "playlist", id: idMatch[1] } : null;
+}
+
+// Whitespace / comma separated list of links; unparseable entries come back in `invalid`
+export function parseSpotifySources(input) {
+  const links = [];
+  const invalid = [];
+  for (const part of (input || "").split(/[\s,]+/).filter(Boolean)) {
+    const parsed = parseSpotifySource(part);
+    if (!parsed) invalid.push(part);
+    else if (!links.some((l) => l.type === parsed.type && l.id === parsed.id)) links.push(parsed);
+  }
+  return { links, invalid };
+}
+
+export function sourceLabel(track) {
+  return (track?.sources || []).map((s) => s.name).join(" + ");
+}
+
+/**
+ * Merge loaded sources ([{ source, tracks, truncated }]) into one field: the same track from
+ * several sources appears once, with all of them in `sources`. Returns { tracks, meta } for
+ * the header card. The merge is by Spotify track id only; other versions are the review's job.
+ */
+export function mergeSources(results) {
+  const byId = new Map();
+  for (const r of results) {
+    for (const t of r.tracks) {
+      const seen = byId.get(t.id);
+      if (!seen) byId.set(t.id, t);
+      else if (!seen.sources.some((x) => x.name === r.source.name)) seen.sources.push(...t.sources);
+    }
+  }
+
+  const first = results[0]?.source;
+  const meta = {
+    name: results.length === 1 ? first.name : `Mix of ${results.length} sources`,
+    images: results.find((r) => r.source.images?.length)?.source.images || [],
+    owner: results.length === 1 ? first.owner : null,
+    sources: results.map((r) => ({ type: r.source.type, name: r.source.name, count: r.tracks.length })),
+    truncations: results.filter((r) => r.truncated).map((r) => ({ name: r.source.name, ...r.truncated })),
+  };
+
+  return { tracks: [...byId.values()], meta };
+}
@@ -0,0 +1,121 @@
+import { describe, expect, it } from "vitest";
+import { mergeSources, parseSpotifySource, parseSpotifySources, sourceLabel } from "./sources.js";
+
+describe("parseSpotifySource", () => {
+  it("reads playlist, album, artist and track links", () => {
+    expect(parseSpotifySource("https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M?si=abc")).toEqual({
+      type: "playlist",
+      id: "37i9dQZF1DXcBWIGoYBM5M",
+    });
+    expect(parseSpotifySource("https://open.spotify.com/album/4aawyAB9vmqN3uQ7FjRGTy")).toEqual({
+      type: "album",
+      id: "4aawyAB9vmqN3uQ7FjRGTy",
+    });
+    expect(parseSpotifySource("https://open.spotify.com/artist/0OdUWJ0sBjDrqHygGUXeCF")).toEqual({
+      type: "artist",
+      id: "0OdUWJ0sBjDrqHygGUXeCF",
+    });
+    expect(parseSpotifySource("open.spotify.com/track/11dFghVXANMlKmJXsNCbNl")).toEqual({
+      type: "track",
+      id: "11dFghVXANMlKmJXsNCbNl",
+    });
+  });
+
+  it("reads localized links", () => {
+    expect(parseSpotifySource("https://open.spotify.com/intl-de/album/4aawyAB9vmqN3uQ7FjRGTy")).toEqual({
+      type: "album",
+      id: "4aawyAB9vmqN3uQ7FjRGTy",
+    });
+    expect(parseSpotifySource("https://open.spotify.com/intl-pt/playlist/abc123")).toEqual({
+      type: "playlist",
+      id: "abc123",
+    });
+  });
+
+  it("reads playlist, album, artist and track URIs", () => {
+    expect(parseSpotifySource("spotify:playlist:abc123")).toEqual({ type: "playlist", id: "abc123" });
+    expect(parseSpotifySource("spotify:album:abc123")).toEqual({ type: "album", id: "abc123" });
+    expect(parseSpotifySource(" spotify:artist:abc123 ")).toEqual({ type: "artist", id: "abc123" });
+    expect(parseSpotifySource("spotify:track:abc123")).toEqual({ type: "track", id: "abc123" });
+  });
+
+  it("treats a bare id as a playlist", () => {
+    expect(parseSpotifySource("37i9dQZF1DXcBWIGoYBM5M")).toEqual({ type: "playlist", id: "37i9dQZF1DXcBWIGoYBM5M" });
+  });
+
+  it("rejects anything else", () => {
+    expect(parseSpotifySource("")).toBeNull();
+    expect(parseSpotifySource(null)).toBeNull();
+    expect(parseSpotifySource("spotify:show:abc123")).toBeNull();
+    expect(parseSpotifySource("https://open.spotify.com/episode/abc123")).toBeNull();
+    expect(parseSpotifySource("not a link")).toBeNull();
+  });
+});
+
+describe("parseSpotifySources", () => {
+  it("splits on whitespace and commas and drops repeated links", () => {
+    const input = "spotify:album:a1\nhttps://open.spotify.com/album/a1, spotify:artist:x9  spotify:playlist:p1";
+    expect(parseSpotifySources(input)).toEqual({
+      links: [
+        { type: "album", id: "a1" },
+        { type: "artist", id: "x9" },
+        { type: "playlist", id: "p1" },
+      ],
+      invalid: [],
+    });
+  });
+
+  it("keeps the same id under different types apart", () => {
+    expect(parseSpotifySources("spotify:album:a1 spotify:track:a1").links).toHaveLength(2);
+  });
+
+  it("returns what it couldn't read", () => {
+    expect(parseSpotifySources("spotify:album:a1 https://example.com/x")).toEqual({
+      links: [{ type: "album", id: "a1" }],
+      invalid: ["https://example.com/x"],
+    });
+    expect(parseSpotifySources("")).toEqual({ links: [], invalid: [] });
+  });
+});
+
+describe("mergeSources", () => {
+  const src = (type, name, extra = {}) => ({ type, id: name, name, images: [], owner: { display_name: name }, ...extra });
+  const track = (id, source) => ({ id, name: `Song ${id}`, sources: [{ type: source.type, name: source.name }] });
+  const loaded = (source, ids, truncated = null) => ({ source, tracks: ids.map((id) => track(id, source)), truncated });
+
+  it("keeps one track per id and lists every source it came from", () => {
+    const mix = src("playlist", "Mix");
+    const album = src("album", "Album");
+    const { tracks } = mergeSources([loaded(mix, ["a", "b"]), loaded(album, ["b", "c"])]);
+    expect(tracks.map((t) => t.id)).toEqual(["a", "b", "c"]);
+    expect(tracks.map(sourceLabel)).toEqual(["Mix", "Mix + Album", "Album"]);
+  });
+
+  it("doesn't list a source twice for a track repeated within it", () => {
+    const mix = src("playlist", "Mix");
+    const { tracks } = mergeSources([loaded(mix, ["a", "a"])]);
+    expect(tracks).toHaveLength(1);
+    expect(tracks[0].sources).toEqual([{ type: "playlist", name: "Mix" }]);
+  });
+
+  it("names a single source after itself and a mix by its count", () => {
+    const mix = src("playlist", "Mix", { images: [{ url: "mix.jpg" }] });
+    const one = mergeSources([loaded(mix, ["a"])]).meta;
+    expect(one).toMatchObject({ name: "Mix", owner: { display_name: "Mix" }, images: [{ url: "mix.jpg" }] });
+
+    const liked = src("liked", "Liked Songs");
+    const both = mergeSources([loaded(liked, ["a"]), loaded(mix, ["a", "b"])]).meta;
+    expect(both).toMatchObject({ name: "Mix of 2 sources", owner: null, images: [{ url: "mix.jpg" }] });
+    expect(both.sources).toEqual([
+      { type: "liked", name: "Liked Songs", count: 1 },
+      { type: "playlist", name: "Mix", count: 2 },
+    ]);
+  });
+
+  it("collects the truncated sources", () => {
+    const big = src("playlist", "Big");
+    const small = src("album", "Small");
+    const { meta } = mergeSources([loaded(big, ["a"], { total: 2500, loaded: 2000 }), loaded(small, ["b"])]);
+    expect(meta.truncations).toEqual([{ name: "Big", total: 2500, loaded: 2000 }]);
+  });
+});
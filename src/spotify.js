@@ -0,0 +1,90 @@
+/**
+ * Spotify Web API requests, plus saving final rankings back as a playlist.
+ *
+ *   const api = spotifyApi(token);          // or spotifyApi(token, mockFetch) in tests
+ *   const me = await api.json("/me");
+ *   await saveRankedPlaylist({ mode: "update", description, uris }, api);
+ */
+export const RANKINGS_PLAYLIST_NAME = "Duel rankings";
+export const PLAYLIST_WRITE_CHUNK = 100; // Spotify's cap per add / replace call
+
+/** Requests against api.spotify.com with `token`, through `fetchImpl`. Non-2xx responses throw. */
+export function spotifyApi(token, fetchImpl = (...args) => fetch(...args)) {
+  async function request(path, init) {
+    const res = await fetchImpl(`https://api.spotify.com/v1${path}`, {
+      ...init,
+      headers: {
+        ...(init?.headers || {}),
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      throw new Error(`Spotify API error ${res.status}: ${text || res.statusText}`);
+    }
+    return res;
+  }
+
+  return {
+    json: async (path, init) => (await request(path, init)).json(),
+    noContent: async (path, init) => {
+      await request(path, { ...init, headers: { ...(init?.headers || {}), "Content-Type": "application/json" } });
+      return true;
+    },
+  };
+}
+
+export async function fetchOwnPlaylistByName(name, userId, api) {
+  let offset = 0;
+  const limit = 50;
+  for (;;) {
+    const page = await api.json(`/me/playlists?limit=${limit}&offset=${offset}`);
+    const hit = (page.items || []).find((p) => p?.name === name && p.owner?.id === userId);
+    if (hit) return hit;
+    if (!page.next) return null;
+    offset += limit;
+  }
+}
+
+// The first call replaces everything, the rest append, so re-saving never duplicates tracks
+export async function writePlaylistItems(playlistId, uris, api) {
+  for (let i = 0; i < Math.max(uris.length, 1); i += PLAYLIST_WRITE_CHUNK) {
+    await api.json(`/playlists/${playlistId}/tracks`, {
+      method: i === 0 ? "PUT" : "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ uris: uris.slice(i, i + PLAYLIST_WRITE_CHUNK) }),
+    });
+  }
+}
+
+/**
+ * Create a new playlist (mode "new") or refresh the user's own "Duel rankings" playlist
+ * (mode "update", created the first time). Returns { id, url, name, created }.
+ */
+export async function saveRankedPlaylist({ mode, name, description, uris, isPublic }, api) {
+  const me = await api.json("/me");
+  const targetName = mode === "update" ? RANKINGS_PLAYLIST_NAME : name;
+
+  let playlist = mode === "update" ? await fetchOwnPlaylistByName(RANKINGS_PLAYLIST_NAME, me.id, api) : null;
+  const created = !playlist;
+  if (playlist) {
+    await api.noContent(`/playlists/${playlist.id}`, {
+      method: "PUT",
+      body: JSON.stringify({ description }),
+    });
+  } else {
+    playlist = await api.json(`/users/${encodeURIComponent(me.id)}/playlists`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name: targetName, description, public: Boolean(isPublic) }),
+    });
+  }
+
+  await writePlaylistItems(playlist.id, uris, api);
+  return {
+    id: playlist.id,
+    url: playlist.external_urls?.spotify || `https://open.spotify.com/playlist/${playlist.id}`,
+    name: targetName,
+    created,
+  };
+}
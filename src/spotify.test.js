@@ -0,0 +1,111 @@
+import { describe, expect, it } from "vitest";
+import { PLAYLIST_WRITE_CHUNK, RANKINGS_PLAYLIST_NAME, saveRankedPlaylist, spotifyApi } from "./spotify.js";
+
+// Fake Spotify: `routes` maps "METHOD /path" to a response body, or to { status, body } for errors
+function mockSpotify(routes) {
+  const calls = [];
+  const fetchImpl = async (url, init = {}) => {
+    const method = init.method || "GET";
+    const path = url.replace("https://api.spotify.com/v1", "");
+    calls.push({ method, path, body: init.body ? JSON.parse(init.body) : undefined, auth: init.headers?.Authorization });
+    const route = routes[`${method} ${path}`];
+    if (route === undefined) throw new Error(`unexpected ${method} ${path}`);
+    const { status = 200, body = route } = route?.status ? route : {};
+    return {
+      ok: status < 300,
+      status,
+      statusText: "",
+      json: async () => body,
+      text: async () => JSON.stringify(body),
+    };
+  };
+  return { calls, api: spotifyApi("tok", fetchImpl) };
+}
+
+const uris = (n) => Array.from({ length: n }, (_, i) => `spotify:track:${i}`);
+
+describe("saveRankedPlaylist", () => {
+  it("creates a new playlist and writes the tracks", async () => {
+    const { calls, api } = mockSpotify({
+      "GET /me": { id: "me" },
+      "POST /users/me/playlists": { id: "p1", external_urls: { spotify: "https://open.spotify.com/playlist/p1" } },
+      "PUT /playlists/p1/tracks": { snapshot_id: "s" },
+    });
+
+    const saved = await saveRankedPlaylist({ mode: "new", name: "Top 10", description: "d", uris: uris(3) }, api);
+
+    expect(saved).toEqual({ id: "p1", url: "https://open.spotify.com/playlist/p1", name: "Top 10", created: true });
+    expect(calls.map((c) => `${c.method} ${c.path}`)).toEqual(["GET /me", "POST /users/me/playlists", "PUT /playlists/p1/tracks"]);
+    expect(calls[1].body).toEqual({ name: "Top 10", description: "d", public: false });
+    expect(calls[2].body.uris).toEqual(uris(3));
+    expect(calls.every((c) => c.auth === "Bearer tok")).toBe(true);
+  });
+
+  it("reuses the user's own rankings playlist when updating", async () => {
+    const { calls, api } = mockSpotify({
+      "GET /me": { id: "me" },
+      "GET /me/playlists?limit=50&offset=0": {
+        items: [{ id: "theirs", name: RANKINGS_PLAYLIST_NAME, owner: { id: "friend" } }],
+        next: "more",
+      },
+      "GET /me/playlists?limit=50&offset=50": {
+        items: [{ id: "p9", name: RANKINGS_PLAYLIST_NAME, owner: { id: "me" } }],
+        next: null,
+      },
+      "PUT /playlists/p9": {},
+      "PUT /playlists/p9/tracks": { snapshot_id: "s" },
+    });
+
+    const saved = await saveRankedPlaylist({ mode: "update", name: "ignored", description: "new", uris: uris(2) }, api);
+
+    expect(saved).toMatchObject({ id: "p9", name: RANKINGS_PLAYLIST_NAME, created: false });
+    expect(saved.url).toBe("https://open.spotify.com/playlist/p9");
+    expect(calls.some((c) => c.method === "POST")).toBe(false);
+    expect(calls.find((c) => c.path === "/playlists/p9").body).toEqual({ description: "new" });
+  });
+
+  it("creates the rankings playlist the first time it is updated", async () => {
+    const { calls, api } = mockSpotify({
+      "GET /me": { id: "me" },
+      "GET /me/playlists?limit=50&offset=0": { items: [], next: null },
+      "POST /users/me/playlists": { id: "p2" },
+      "PUT /playlists/p2/tracks": {},
+    });
+
+    const saved = await saveRankedPlaylist({ mode: "update", description: "d", uris: uris(1), isPublic: true }, api);
+
+    expect(saved).toMatchObject({ id: "p2", name: RANKINGS_PLAYLIST_NAME, created: true });
+    expect(calls[2].body).toEqual({ name: RANKINGS_PLAYLIST_NAME, description: "d", public: true });
+  });
+
+  it("replaces with the first batch of 100 and appends the rest", async () => {
+    const { calls, api } = mockSpotify({
+      "GET /me": { id: "me" },
+      "POST /users/me/playlists": { id: "p1" },
+      "PUT /playlists/p1/tracks": {},
+      "POST /playlists/p1/tracks": {},
+    });
+
+    await saveRankedPlaylist({ mode: "new", name: "Big", description: "", uris: uris(250) }, api);
+
+    const writes = calls.filter((c) => c.path === "/playlists/p1/tracks");
+    expect(writes.map((c) => c.method)).toEqual(["PUT", "POST", "POST"]);
+    expect(writes.map((c) => c.body.uris.length)).toEqual([PLAYLIST_WRITE_CHUNK, PLAYLIST_WRITE_CHUNK, 50]);
+    expect(writes.flatMap((c) => c.body.uris)).toEqual(uris(250));
+  });
+
+  it("stops at the first failed batch and rejects with the API error", async () => {
+    const { calls, api } = mockSpotify({
+      "GET /me": { id: "me" },
+      "POST /users/me/playlists": { id: "p1" },
+      "PUT /playlists/p1/tracks": {},
+      "POST /playlists/p1/tracks": { status: 502, body: { error: "bad gateway" } },
+    });
+
+    await expect(saveRankedPlaylist({ mode: "new", name: "Big", description: "", uris: uris(350) }, api)).rejects.toThrow(
+      /Spotify API error 502/
+    );
+    const writes = calls.filter((c) => c.path === "/playlists/p1/tracks");
+    expect(writes.map((c) => c.method)).toEqual(["PUT", "POST"]);
+  });
+});
@@ -0,0 +1,431 @@
+/**
+ * Local saves: a library of save slots in IndexedDB (localStorage where it won't open) and the
+ * versioned save format with its migrations. Every slot call is async and works the same on
+ * either backend.
+ */
+import { deserializeTournament, getTotalDone, makeId, SERIAL_FORMAT, SERIAL_VERSION } from "./engine/index.js";
+
+// ------------------------
+// Keys and shared helpers
+// ------------------------
+const APP_SAVE_KEY = "spotify_duel_save_v1"; // the single save from before slots; moved into the library on load
+const SLOTS_INDEX_KEY = "spotify_duel_slots_v1";
+const SLOT_KEY_PREFIX = "spotify_duel_slot_";
+
+export function safeJsonParse(s) {
+  try {
+    return JSON.parse(s);
+  } catch {
+    return null;
+  }
+}
+
+// Both localStorage and IndexedDB report a full origin quota as QuotaExceededError
+export function storageErrorMessage(e) {
+  if (e?.name === "QuotaExceededError") {
+    return "This device is out of room for saves. Delete an old tournament, or export this one as a file, and try again.";
+  }
+  return e?.message || String(e);
+}
+
+// ------------------------
+// Compact saves: entrants stored once, rounds hold { $e: id } references
+// ------------------------
+function isEntrantRef(x) {
+  return x && typeof x === "object" && !Array.isArray(x) && typeof x.$e === "string" && Object.keys(x).length === 1;
+}
+
+function mapTree(node, fn) {
+  const mapped = fn(node);
+  if (mapped !== node) return mapped;
+  if (Array.isArray(node)) return node.map((x) => mapTree(x, fn));
+  if (node && typeof node === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(node)) out[k] = mapTree(v, fn);
+    return out;
+  }
+  return node;
+}
+
+/**
+ * Swap every copy of an entrant inside the tournament (matches, byes, winners, standings…) for a
+ * reference. Entrants identical to a saved track aren't stored a second time.
+ */
+function compactTournament(tournament, tracks) {
+  const entrantJson = new Map((tournament.rounds[0]?.entrants || []).map((e) => [e.id, JSON.stringify(e)]));
+  const trackJson = new Map((tracks || []).map((t) => [t.id, JSON.stringify(t)]));
+  const entrants = (tournament.rounds[0]?.entrants || []).filter((e) => trackJson.get(e.id) !== entrantJson.get(e.id));
+  const compact = mapTree(tournament, (node) =>
+    node && typeof node === "object" && typeof node.name === "string" && entrantJson.has(node.id) && JSON.stringify(node) === entrantJson.get(node.id)
+      ? { $e: node.id }
+      : node
+  );
+  return { entrants, tournament: compact };
+}
+
+function expandTournament(tournament, tracks, entrants) {
+  const byId = new Map([...(tracks || []), ...(entrants || [])].map((e) => [e.id, e]));
+  return mapTree(tournament, (node) => {
+    if (!isEntrantRef(node)) return node;
+    const entrant = byId.get(node.$e);
+    if (!entrant) throw new Error(`Entrant ${node.$e} is missing.`);
+    return entrant;
+  });
+}
+
+/**
+ * Save schema. Bump SAVE_VERSION whenever the saved shape changes and append a step to
+ * SAVE_MIGRATIONS: entry i upgrades a version i + 1 save to version i + 2, so any older save is
+ * walked forward one version at a time before it's read.
+ */
+const SAVE_VERSION = 3;
+
+const SAVE_MIGRATIONS = [
+  // 1 → 2: the tournament goes in the engine's own envelope (so its version is checked too);
+  // standings and loadState were derived and are no longer stored
+  (save) => {
+    const next = { ...save, tournament: { format: SERIAL_FORMAT, version: 1, tournament: save.tournament } };
+    delete next.standings;
+    delete next.loadState;
+    return next;
+  },
+  // 2 → 3: entrants are stored once and the rounds refer to them by id
+  (save) => {
+    const envelope = save.tournament;
+    if (!envelope?.tournament?.rounds) return save;
+    const { entrants, tournament } = compactTournament(envelope.tournament, save.tracks);
+    return { ...save, entrants, tournament: { ...envelope, tournament } };
+  },
+];
+
+function migrateSave(save) {
+  let next = save;
+  for (let v = save.version ?? 1; v < SAVE_VERSION; v++) next = { ...SAVE_MIGRATIONS[v - 1](next), version: v + 1 };
+  return next;
+}
+
+/** The stored form of a session (current SAVE_VERSION). */
+export function packSave(session, savedAt) {
+  const { tournament: full, ...rest } = session;
+  const { entrants, tournament } = compactTournament(full, session.tracks);
+  return {
+    ...rest,
+    entrants,
+    tournament: { format: SERIAL_FORMAT, version: SERIAL_VERSION, tournament },
+    savedAt,
+    version: SAVE_VERSION,
+  };
+}
+
+/**
+ * Parse (if it's text), migrate and check a stored save. Returns { ok: true, session, savedAt } or
+ * { ok: false, problem: "damaged" | "newer", message }. Nothing is loaded blindly: a save that
+ * fails here goes to the recovery prompt instead.
+ */
+export function readSave(stored) {
+  const data = typeof stored === "string" ? safeJsonParse(stored) : stored;
+  if (!data || typeof data !== "object") {
+    return { ok: false, problem: "damaged", message: "This save can’t be read. It may have been cut off while it was being written." };
+  }
+
+  const version = data.version ?? 1;
+  const engineVersion = data.tournament?.format === SERIAL_FORMAT ? data.tournament.version : 0;
+  if (version > SAVE_VERSION || engineVersion > SERIAL_VERSION) {
+    return {
+      ok: false,
+      problem: "newer",
+      message: "This save comes from a newer version of Spotify Duel. Update the app to open it; it’s kept until then.",
+    };
+  }
+  if (!Number.isInteger(version) || version < 1) {
+    return { ok: false, problem: "damaged", message: "This save has no usable version number." };
+  }
+
+  try {
+    const save = migrateSave(data);
+    if (!Array.isArray(save.tracks) || !save.tracks.length) throw new Error("It has no tracks.");
+    const envelope = save.tournament;
+    const tournament = { ...envelope, tournament: expandTournament(envelope?.tournament, save.tracks, save.entrants) };
+    const session = { ...save, tournament: deserializeTournament(tournament) };
+    delete session.entrants;
+    if (!session.playlistMeta?.name) session.playlistMeta = { name: "Saved tournament", images: [] };
+    return { ok: true, savedAt: save.savedAt || null, session };
+  } catch (e) {
+    return { ok: false, problem: "damaged", message: `This save is damaged: ${e?.message || e}` };
+  }
+}
+
+// What the library shows without reading every save
+function slotSummary(session) {
+  const t = session.tournament;
+  const { done, total } = getTotalDone(t);
+  const images = session.playlistMeta?.images || [];
+  return {
+    playlistName: session.playlistMeta?.name || "Untitled tournament",
+    cover: images[images.length - 1]?.url || t?.rounds[0]?.entrants[0]?.albumImage || null, // the smallest size
+    done,
+    total,
+    champion: t?.champion ? { name: t.champion.name, image: t.champion.albumImage || null } : null,
+    entrants: t?.rounds[0]?.entrants.length || 0,
+    entrantType: t?.rules?.entrantType || "track",
+  };
+}
+
+function sortSlots(list) {
+  return [...list].filter((s) => s?.id).sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
+}
+
+// ------------------------
+// Save storage backends: IndexedDB (no ~5 MB cap), localStorage where IndexedDB won't open
+// ------------------------
+const SAVE_DB_NAME = "spotify-duel";
+const SAVE_DB_VERSION = 1;
+
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+let saveDbPromise = null;
+
+function openSaveDb() {
+  if (!saveDbPromise) {
+    saveDbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") throw new Error("IndexedDB isn’t available.");
+      const request = indexedDB.open(SAVE_DB_NAME, SAVE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        // slots: the library's summaries; saves: { id, data } with the packed session
+        request.result.createObjectStore("slots", { keyPath: "id" });
+        request.result.createObjectStore("saves", { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error("Saves are open in an older tab. Close it and reload."));
+    });
+  }
+  return saveDbPromise;
+}
+
+/**
+ * Run `fn(slots, saves)` in one transaction. `fn` queues its requests synchronously; the promise
+ * resolves with its result once everything is committed, or rejects with the abort reason.
+ */
+async function saveTransaction(mode, fn) {
+  const db = await openSaveDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["slots", "saves"], mode);
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onabort = () => reject(tx.error || new Error("The save didn’t go through."));
+    Promise.resolve(fn(tx.objectStore("slots"), tx.objectStore("saves"))).then((value) => {
+      result = value;
+    }, reject);
+  });
+}
+
+const idbSaveStore = {
+  list: () => saveTransaction("readonly", (slots) => idbRequest(slots.getAll())),
+  get: (id) => saveTransaction("readonly", (_, saves) => idbRequest(saves.get(id))).then((row) => row?.data ?? null),
+  // One transaction, so a save that doesn't fit leaves the old one and its summary untouched
+  put: (entry, data) =>
+    saveTransaction("readwrite", (slots, saves) => {
+      if (data !== undefined) saves.put({ id: entry.id, data });
+      slots.put(entry);
+    }),
+  remove: (id) =>
+    saveTransaction("readwrite", (slots, saves) => {
+      slots.delete(id);
+      saves.delete(id);
+    }),
+};
+
+function readLocalIndex() {
+  const list = safeJsonParse(localStorage.getItem(SLOTS_INDEX_KEY) || "");
+  return Array.isArray(list) ? list.filter((s) => s?.id) : [];
+}
+
+const localSaveStore = {
+  list: async () => readLocalIndex(),
+  get: async (id) => localStorage.getItem(SLOT_KEY_PREFIX + id),
+  put: async (entry, data) => {
+    if (data !== undefined) localStorage.setItem(SLOT_KEY_PREFIX + entry.id, typeof data === "string" ? data : JSON.stringify(data));
+    localStorage.setItem(SLOTS_INDEX_KEY, JSON.stringify([entry, ...readLocalIndex().filter((s) => s.id !== entry.id)]));
+  },
+  remove: async (id) => {
+    localStorage.removeItem(SLOT_KEY_PREFIX + id);
+    localStorage.setItem(SLOTS_INDEX_KEY, JSON.stringify(readLocalIndex().filter((s) => s.id !== id)));
+  },
+};
+
+let saveStorePromise = null;
+
+function saveStore() {
+  if (!saveStorePromise) {
+    saveStorePromise = openSaveDb().then(
+      () => idbSaveStore,
+      () => localSaveStore
+    );
+  }
+  return saveStorePromise;
+}
+
+// ------------------------
+// Save slots (async; the same calls work on either backend)
+// ------------------------
+export async function loadSlotIndex() {
+  return sortSlots(await (await saveStore()).list());
+}
+
+/**
+ * Write a session into slot `id`, or a new slot when `id` is null. Returns the slot's library entry.
+ * Rejects (e.g. QuotaExceededError) with the previous save left as it was.
+ */
+export async function saveToSlot(id, session, { savedAt = Date.now() } = {}) {
+  const store = await saveStore();
+  const slotId = id || makeId();
+  const existing = (await store.list()).find((s) => s.id === slotId);
+  const summary = slotSummary(session);
+  const entry = {
+    ...summary,
+    id: slotId,
+    name: existing?.name || summary.playlistName,
+    createdAt: existing?.createdAt || savedAt,
+    savedAt,
+  };
+  await store.put(entry, packSave(session, savedAt));
+  return entry;
+}
+
+/** readSave() for one slot, plus the raw text so a save that won't load can still be downloaded. */
+export async function loadSlot(id) {
+  const data = await (await saveStore()).get(id);
+  if (data == null) return { ok: false, problem: "missing", message: "This save’s data is gone. Only its name is left.", raw: null };
+  return { ...readSave(data), raw: typeof data === "string" ? data : JSON.stringify(data) };
+}
+
+async function updateSlotEntry(id, patch) {
+  const store = await saveStore();
+  const entry = (await store.list()).find((s) => s.id === id);
+  if (entry) await store.put({ ...entry, ...patch });
+}
+
+export function renameSlot(id, name) {
+  return updateSlotEntry(id, { name });
+}
+
+// A slot whose save won't load keeps its row, flagged, so the library can offer recovery
+export function markSlotProblem(id, { problem, message }) {
+  return updateSlotEntry(id, { problem, problemMessage: message });
+}
+
+// ...and loses the flag again once the save opens after all, e.g. on a retry
+export async function clearSlotProblem(id) {
+  const store = await saveStore();
+  const entry = (await store.list()).find((s) => s.id === id);
+  if (!entry?.problem) return false;
+  const cleared = { ...entry };
+  delete cleared.problem;
+  delete cleared.problemMessage;
+  await store.put(cleared);
+  return true;
+}
+
+export async function duplicateSlot(id) {
+  const store = await saveStore();
+  const source = (await store.list()).find((s) => s.id === id);
+  const data = await store.get(id);
+  if (!source || data == null) throw new Error("That save is gone.");
+  const read = readSave(data);
+  if (!read.ok) throw new Error(read.message);
+
+  // The copy is a tournament of its own: sharing the id would merge both into one set of all-time results
+  const { session, savedAt } = read;
+  const copy = { ...source, id: makeId(), name: `${source.name} (copy)`, createdAt: Date.now() };
+  await store.put(copy, packSave({ ...session, tournament: { ...session.tournament, id: makeId() } }, savedAt || source.savedAt));
+  return copy;
+}
+
+export async function deleteSlot(id) {
+  await (await saveStore()).remove(id);
+}
+
+// A library row for a stored save (its summary if it reads, otherwise flagged for recovery) and the read itself
+function slotEntry(id, data, previous) {
+  const read = readSave(data);
+  if (!read.ok) {
+    const parsed = typeof data === "string" ? safeJsonParse(data) : data;
+    const entry = {
+      name: parsed?.playlistMeta?.name || "Unreadable save",
+      entrants: 0,
+      done: 0,
+      total: 0,
+      ...previous,
+      id,
+      savedAt: previous?.savedAt || 0,
+      problem: read.problem,
+      problemMessage: read.message,
+    };
+    return { entry, read };
+  }
+  const summary = slotSummary(read.session);
+  const savedAt = read.savedAt || previous?.savedAt || Date.now();
+  const entry = { ...summary, id, name: previous?.name || summary.playlistName, createdAt: previous?.createdAt || savedAt, savedAt };
+  return { entry, read };
+}
+
+/**
+ * Startup check. Saves still in localStorage (slots, and the single save from before slots) move
+ * into IndexedDB in the current format; each key is removed only once its copy is committed, so a
+ * move that fails is retried next time. Then every save is read: the ones that won't load are
+ * flagged and rows whose save is gone are dropped. Resolves with { slots, error }.
+ */
+export async function checkSlots() {
+  const store = await saveStore();
+  const localIndex = new Map(readLocalIndex().map((s) => [s.id, s]));
+  const local = Object.keys(localStorage)
+    .filter((k) => k.startsWith(SLOT_KEY_PREFIX))
+    .map((key) => ({ key, id: key.slice(SLOT_KEY_PREFIX.length) }));
+  if (localStorage.getItem(APP_SAVE_KEY) != null) local.push({ key: APP_SAVE_KEY, id: makeId() });
+
+  if (store === localSaveStore) {
+    const list = local.map(({ key, id }) => {
+      if (key === APP_SAVE_KEY) {
+        localStorage.setItem(SLOT_KEY_PREFIX + id, localStorage.getItem(APP_SAVE_KEY));
+        localStorage.removeItem(APP_SAVE_KEY);
+      }
+      return slotEntry(id, localStorage.getItem(SLOT_KEY_PREFIX + id), localIndex.get(id)).entry;
+    });
+    localStorage.setItem(SLOTS_INDEX_KEY, JSON.stringify(sortSlots(list)));
+    return { slots: await loadSlotIndex(), error: null };
+  }
+
+  let unmoved = 0;
+  for (const { key, id } of local) {
+    const raw = localStorage.getItem(key);
+    const { entry, read } = slotEntry(id, raw, localIndex.get(id));
+    try {
+      await store.put(entry, read.ok ? packSave(read.session, entry.savedAt) : raw);
+      localStorage.removeItem(key);
+    } catch {
+      unmoved += 1;
+    }
+  }
+  if (!unmoved) localStorage.removeItem(SLOTS_INDEX_KEY);
+
+  for (const row of await store.list()) {
+    const data = await store.get(row.id);
+    if (data == null) {
+      await store.remove(row.id);
+      continue;
+    }
+    const { entry, read } = slotEntry(row.id, data, row);
+    if (!read.ok || row.problem) await store.put(entry);
+  }
+
+  const error = unmoved
+    ? `Couldn’t move ${unmoved} older save${unmoved === 1 ? "" : "s"} to the new storage yet. Nothing was lost; it’s tried again next time.`
+    : null;
+  return { slots: await loadSlotIndex(), error };
+}
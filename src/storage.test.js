@@ -0,0 +1,227 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { applyPick, buildTournament } from "./engine/index.js";
+import {
+  checkSlots,
+  clearSlotProblem,
+  deleteSlot,
+  duplicateSlot,
+  loadSlot,
+  loadSlotIndex,
+  markSlotProblem,
+  packSave,
+  readSave,
+  renameSlot,
+  saveToSlot,
+  storageErrorMessage,
+} from "./storage.js";
+
+const tracks = Array.from({ length: 5 }, (_, i) => ({
+  id: `t${i + 1}`,
+  name: `Song ${i + 1}`,
+  artists: `Artist ${i + 1}`,
+  popularity: 90 - i,
+}));
+
+// A session two picks in, shaped like the app's own
+function session(name = "Mix") {
+  const tournament = applyPick(applyPick(buildTournament(tracks), "a"), "b");
+  return { playlistInput: "", playlistMeta: { name, images: [{ url: "big.jpg" }, { url: "small.jpg" }] }, tracks, tournament };
+}
+
+// A version 1 save, as the app wrote it before saves were versioned
+function versionOneSave(name = "Mix") {
+  return JSON.stringify({ ...session(name), standings: [], loadState: { status: "ready" }, savedAt: 1234, version: 1 });
+}
+
+const quotaError = () => Object.assign(new Error("full"), { name: "QuotaExceededError" });
+
+// jsdom has no IndexedDB, so these run on the localStorage backend
+beforeEach(() => localStorage.clear());
+afterEach(() => vi.restoreAllMocks());
+
+describe("save format", () => {
+  it("stores each entrant once and reads the same tournament back", () => {
+    const s = session();
+    const packed = packSave(s, 1000);
+    expect(packed.version).toBe(3);
+    expect(packed.entrants).toEqual([]);
+    expect(JSON.stringify(packed.tournament)).not.toContain("Song 1");
+
+    const read = readSave(JSON.stringify(packed));
+    expect(read).toMatchObject({ ok: true, savedAt: 1000 });
+    expect(read.session.tournament.history).toEqual(s.tournament.history);
+    expect(read.session.tournament.rounds).toEqual(s.tournament.rounds);
+    expect(read.session).not.toHaveProperty("entrants");
+  });
+
+  it("keeps an entrant that differs from its track in full", () => {
+    const s = session();
+    const [first, ...rest] = s.tournament.rounds[0].entrants;
+    const renamed = { ...first, name: "Song 1 (live)" };
+    const rounds = [{ ...s.tournament.rounds[0], entrants: [renamed, ...rest] }, ...s.tournament.rounds.slice(1)];
+    const packed = packSave({ ...s, tournament: { ...s.tournament, rounds } }, 1);
+    expect(packed.entrants).toEqual([renamed]);
+    expect(readSave(packed).session.tournament.rounds[0].entrants[0]).toEqual(renamed);
+  });
+
+  it("walks a version 1 save forward and drops what's derived", () => {
+    const s = session();
+    const read = readSave(versionOneSave());
+    expect(read).toMatchObject({ ok: true, savedAt: 1234, session: { version: 3, playlistMeta: { name: "Mix" } } });
+    expect(read.session.tournament.history).toEqual(s.tournament.history);
+    expect(read.session).not.toHaveProperty("standings");
+    expect(read.session).not.toHaveProperty("loadState");
+  });
+
+  it("names a stand-in playlist when the save has none", () => {
+    const data = JSON.parse(versionOneSave());
+    delete data.playlistMeta;
+    expect(readSave(data).session.playlistMeta).toEqual({ name: "Saved tournament", images: [] });
+  });
+
+  it("won't open a save from a newer app, or one whose tournament is newer", () => {
+    const packed = packSave(session(), 1);
+    expect(readSave({ ...packed, version: 4 })).toMatchObject({ ok: false, problem: "newer" });
+    expect(readSave({ ...packed, tournament: { ...packed.tournament, version: 99 } })).toMatchObject({ ok: false, problem: "newer" });
+  });
+
+  it("flags a save that's cut off, unversioned, or missing its tracks as damaged", () => {
+    const packed = packSave(session(), 1);
+    expect(readSave('{"tracks":[')).toMatchObject({ ok: false, problem: "damaged", message: expect.stringMatching(/cut off/) });
+    expect(readSave({ ...packed, version: "3" })).toMatchObject({ ok: false, message: "This save has no usable version number." });
+    expect(readSave({ ...packed, tracks: [] })).toMatchObject({ ok: false, message: "This save is damaged: It has no tracks." });
+    expect(readSave({ ...packed, tracks: tracks.slice(1) })).toMatchObject({
+      ok: false,
+      message: "This save is damaged: Entrant t1 is missing.",
+    });
+  });
+});
+
+describe("save slots", () => {
+  it("saves a new slot with a summary for the library", async () => {
+    const s = session();
+    const entry = await saveToSlot(null, s, { savedAt: 1000 });
+    expect(entry).toMatchObject({
+      name: "Mix",
+      playlistName: "Mix",
+      cover: "small.jpg",
+      done: 2,
+      entrants: 5,
+      entrantType: "track",
+      champion: null,
+      createdAt: 1000,
+      savedAt: 1000,
+    });
+    expect(await loadSlotIndex()).toEqual([entry]);
+    const read = await loadSlot(entry.id);
+    expect(read).toMatchObject({ ok: true, savedAt: 1000, session: { version: 3, tournament: { id: s.tournament.id } } });
+    expect(read.session.tournament.history).toEqual(s.tournament.history);
+  });
+
+  it("updates a slot in place and keeps its name and creation time", async () => {
+    const first = await saveToSlot(null, session(), { savedAt: 1000 });
+    await renameSlot(first.id, "Road trip");
+    const again = await saveToSlot(first.id, session("Renamed playlist"), { savedAt: 2000 });
+    expect(again).toMatchObject({ id: first.id, name: "Road trip", playlistName: "Renamed playlist", createdAt: 1000, savedAt: 2000 });
+    expect(await loadSlotIndex()).toHaveLength(1);
+  });
+
+  it("lists the most recently saved first", async () => {
+    const older = await saveToSlot(null, session("Older"), { savedAt: 1000 });
+    const newer = await saveToSlot(null, session("Newer"), { savedAt: 3000 });
+    expect((await loadSlotIndex()).map((s) => s.id)).toEqual([newer.id, older.id]);
+    await saveToSlot(older.id, session("Older"), { savedAt: 5000 });
+    expect((await loadSlotIndex()).map((s) => s.id)).toEqual([older.id, newer.id]);
+  });
+
+  it("leaves the library as it was when a save doesn't fit", async () => {
+    const entry = await saveToSlot(null, session(), { savedAt: 1000 });
+    vi.spyOn(Storage.prototype, "setItem").mockImplementation(() => {
+      throw quotaError();
+    });
+    await expect(saveToSlot(null, session("Other"))).rejects.toThrow("full");
+    vi.restoreAllMocks();
+    expect(await loadSlotIndex()).toEqual([entry]);
+  });
+
+  it("duplicates a slot as a tournament of its own", async () => {
+    const s = session();
+    const source = await saveToSlot(null, s, { savedAt: 1000 });
+    const copy = await duplicateSlot(source.id);
+    expect(copy).toMatchObject({ name: "Mix (copy)", done: 2 });
+    expect(copy.id).not.toBe(source.id);
+    expect(await loadSlotIndex()).toHaveLength(2);
+
+    const copied = (await loadSlot(copy.id)).session;
+    expect(copied.tournament.id).not.toBe(s.tournament.id);
+    expect(copied.tournament.history).toEqual(s.tournament.history);
+    expect((await loadSlot(source.id)).session.tournament.id).toBe(s.tournament.id);
+  });
+
+  it("won't duplicate a slot that's gone, or one that doesn't open", async () => {
+    await expect(duplicateSlot("nope")).rejects.toThrow("That save is gone.");
+    const entry = await saveToSlot(null, session());
+    localStorage.setItem(`spotify_duel_slot_${entry.id}`, "{");
+    await expect(duplicateSlot(entry.id)).rejects.toThrow(/cut off/);
+  });
+
+  it("deletes a slot and its session", async () => {
+    const keep = await saveToSlot(null, session("Keep"));
+    const drop = await saveToSlot(null, session("Drop"));
+    await deleteSlot(drop.id);
+    expect((await loadSlotIndex()).map((s) => s.id)).toEqual([keep.id]);
+    expect(await loadSlot(drop.id)).toMatchObject({ ok: false, problem: "missing", raw: null });
+  });
+});
+
+describe("checkSlots", () => {
+  it("moves the one save from before slots into the library", async () => {
+    const s = session();
+    localStorage.setItem("spotify_duel_save_v1", versionOneSave());
+    const { slots, error } = await checkSlots();
+    expect(error).toBeNull();
+    expect(slots).toEqual([expect.objectContaining({ name: "Mix", savedAt: 1234, done: 2 })]);
+    expect((await loadSlot(slots[0].id)).session.tournament.history).toEqual(s.tournament.history);
+    expect(localStorage.getItem("spotify_duel_save_v1")).toBeNull();
+  });
+
+  it("re-adds saves the index lost and drops rows whose save is gone", async () => {
+    const kept = await saveToSlot(null, session("Kept"), { savedAt: 1000 });
+    const gone = await saveToSlot(null, session("Gone"), { savedAt: 2000 });
+    localStorage.removeItem(`spotify_duel_slot_${gone.id}`);
+    localStorage.removeItem("spotify_duel_slots_v1");
+    expect((await checkSlots()).slots).toEqual([kept]);
+  });
+
+  it("keeps an unreadable save in the library, flagged", async () => {
+    const entry = await saveToSlot(null, session(), { savedAt: 1000 });
+    localStorage.setItem(`spotify_duel_slot_${entry.id}`, '{"tracks":[');
+    const { slots } = await checkSlots();
+    expect(slots).toEqual([expect.objectContaining({ id: entry.id, name: "Mix", savedAt: 1000, problem: "damaged" })]);
+    expect((await loadSlot(entry.id)).raw).toBe('{"tracks":[');
+  });
+
+  it("does nothing without any saves", async () => {
+    expect(await checkSlots()).toEqual({ slots: [], error: null });
+  });
+});
+
+describe("slot problems", () => {
+  it("flags a slot and clears the flag once it opens", async () => {
+    const entry = await saveToSlot(null, session());
+    await markSlotProblem(entry.id, { problem: "damaged", message: "Broken." });
+    expect((await loadSlotIndex())[0]).toMatchObject({ problem: "damaged", problemMessage: "Broken." });
+    expect(await clearSlotProblem(entry.id)).toBe(true);
+    expect((await loadSlotIndex())[0]).not.toHaveProperty("problem");
+    expect((await loadSlotIndex())[0]).not.toHaveProperty("problemMessage");
+    expect(await clearSlotProblem(entry.id)).toBe(false);
+  });
+});
+
+describe("storageErrorMessage", () => {
+  it("explains a full device and passes anything else through", () => {
+    expect(storageErrorMessage(quotaError())).toMatch(/out of room for saves/);
+    expect(storageErrorMessage(new Error("nope"))).toBe("nope");
+  });
+});
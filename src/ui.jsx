@@ -0,0 +1,160 @@
+/**
+ * Shared UI building blocks (layout, cards, buttons, form fields) for the app and the phone voting page.
+ */
+import React, { useEffect, useState } from "react";
+import { Link as LinkIcon, Sparkles } from "lucide-react";
+
+export function Shell({ children }) {
+  return (
+    <div dir="ltr" className="min-h-dvh text-zinc-100 bg-gradient-to-b from-zinc-950 via-black to-black">
+      <div className="pointer-events-none fixed inset-0 overflow-hidden">
+        <div className="absolute -top-32 -left-32 h-[420px] w-[420px] rounded-full bg-white/10 blur-3xl" />
+        <div className="absolute top-10 -right-40 h-[520px] w-[520px] rounded-full bg-white/8 blur-3xl" />
+        <div className="absolute bottom-[-220px] left-1/2 h-[520px] w-[520px] -translate-x-1/2 rounded-full bg-white/5 blur-3xl" />
+        <div className="absolute inset-0 bg-[linear-gradient(to_bottom,rgba(255,255,255,0.06),transparent_30%,transparent_70%,rgba(0,0,0,0.9))]" />
+      </div>
+
+      <div className="relative mx-auto max-w-md px-4 pt-6 pb-28 [padding-bottom:calc(env(safe-area-inset-bottom)+7rem)]">
+        {children}
+      </div>
+    </div>
+  );
+}
+
+export function Card({ children, className = "" }) {
+  return (
+    <div className={`rounded-3xl bg-white/5 ring-1 ring-white/10 shadow-[0_10px_30px_rgba(0,0,0,0.35)] ${className}`}>
+      {children}
+    </div>
+  );
+}
+
+export function Button({ children, onClick, disabled, variant = "primary", className = "", type = "button" }) {
+  const base =
+    "inline-flex items-center justify-center gap-2 rounded-2xl px-4 py-3 text-sm font-semibold transition active:scale-[0.99] disabled:opacity-50 disabled:cursor-not-allowed";
+  const styles =
+    variant === "primary"
+      ? "bg-white text-black hover:bg-white/90"
+      : variant === "ghost"
+      ? "bg-white/5 text-white hover:bg-white/10 ring-1 ring-white/10"
+      : variant === "danger"
+      ? "bg-rose-500 text-white hover:bg-rose-500/90"
+      : "bg-white/10 text-white";
+  return (
+    <button type={type} onClick={onClick} disabled={disabled} className={`${base} ${styles} ${className}`}>
+      {children}
+    </button>
+  );
+}
+
+export function Pill({ icon: Icon, children }) {
+  return (
+    <div className="inline-flex items-center gap-2 rounded-full bg-white/5 ring-1 ring-white/10 px-3 py-1.5 text-xs text-zinc-200">
+      {Icon ? <Icon className="h-4 w-4" /> : null}
+      <span className="truncate">{children}</span>
+    </div>
+  );
+}
+
+export function GradientTitle({ title, subtitle }) {
+  return (
+    <div className="mb-5">
+      <div className="inline-flex items-center gap-2 rounded-full bg-white/5 ring-1 ring-white/10 px-3 py-1.5 text-xs text-zinc-200">
+        <Sparkles className="h-4 w-4" />
+        <span>Knockout Tournament</span>
+      </div>
+
+      <h1 className="mt-3 text-[26px] leading-[1.15] font-black tracking-tight">
+        <span className="bg-gradient-to-l from-white via-white to-zinc-400 bg-clip-text text-transparent">{title}</span>
+      </h1>
+
+      {subtitle ? <p className="mt-2 text-sm text-zinc-300/95 leading-relaxed">{subtitle}</p> : null}
+    </div>
+  );
+}
+
+export function Input({ value, onChange, placeholder, multiline = false }) {
+  const className =
+    "w-full rounded-2xl bg-white/5 ring-1 ring-white/10 px-10 py-3 text-sm text-white placeholder:text-zinc-500 focus:outline-none focus:ring-2 focus:ring-white/30";
+  return (
+    <div className="relative">
+      <div
+        className={`pointer-events-none absolute left-3 flex text-zinc-400 ${multiline ? "top-3.5" : "inset-y-0 items-center"}`}
+      >
+        <LinkIcon className="h-4 w-4" />
+      </div>
+      {multiline ? (
+        <textarea
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={placeholder}
+          rows={3}
+          className={`${className} resize-y`}
+        />
+      ) : (
+        <input value={value} onChange={(e) => onChange(e.target.value)} placeholder={placeholder} className={className} />
+      )}
+    </div>
+  );
+}
+
+export function Select({ value, onChange, options }) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="w-full rounded-2xl bg-white/5 ring-1 ring-white/10 px-3 py-3 text-sm text-white focus:outline-none focus:ring-2 focus:ring-white/30"
+    >
+      {options.map((o) => (
+        <option key={o.id} value={o.id} className="bg-zinc-900">
+          {o.label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export function Toggle({ checked, onChange, label, hint }) {
+  return (
+    <label className="col-span-2 flex cursor-pointer items-start gap-3 rounded-2xl bg-white/5 ring-1 ring-white/10 px-3 py-2.5">
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={(e) => onChange(e.target.checked)}
+        className="mt-0.5 h-4 w-4 accent-white"
+      />
+      <span className="min-w-0">
+        <span className="block text-xs font-semibold text-white">{label}</span>
+        {hint ? <span className="mt-0.5 block text-[11px] text-zinc-400">{hint}</span> : null}
+      </span>
+    </label>
+  );
+}
+
+export function Meter({ value, label }) {
+  const pct = Math.max(0, Math.min(100, value ?? 0));
+  return (
+    <div className="w-full">
+      <div className="flex items-center justify-between text-[11px] text-zinc-300">
+        <span>{label}</span>
+        <span className="tabular-nums">{pct}</span>
+      </div>
+      <div className="mt-1 h-2 w-full rounded-full bg-white/10">
+        <div className="h-2 rounded-full bg-white/70" style={{ width: `${pct}%` }} />
+      </div>
+    </div>
+  );
+}
+
+export function Countdown({ closesAt }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!closesAt) return;
+    const id = window.setInterval(() => setNow(Date.now()), 250);
+    return () => window.clearInterval(id);
+  }, [closesAt]);
+
+  if (!closesAt) return <span className="text-zinc-400">Waiting for players</span>;
+  return <span className="tabular-nums">{Math.max(0, Math.floor((closesAt - now) / 1000))}s left</span>;
+}
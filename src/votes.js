@@ -0,0 +1,91 @@
+/**
+ * Pass-and-play voting: several voters share one phone, and each match's ballots are
+ * resolved into a pick under the chosen rule and tie-breaker.
+ */
+import { sortBySeed } from "./engine/index.js";
+
+export const VOTE_RULES = [
+  { id: "majority", label: "Majority (one vote each)" },
+  { id: "weighted", label: "Weighted votes" },
+];
+
+export const TIE_BREAKS = [
+  { id: "seed", label: "Higher seed wins" },
+  { id: "chair", label: "First voter decides" },
+  { id: "coin", label: "Coin flip" },
+  { id: "revote", label: "Vote again" },
+];
+
+export const EMPTY_BALLOT_BOX = { ballots: [], ready: false, result: null };
+
+export const DEFAULT_VOTING = {
+  enabled: false,
+  voters: [
+    { name: "Player 1", weight: 1 },
+    { name: "Player 2", weight: 1 },
+  ],
+  rule: "majority",
+  tieBreak: "seed",
+};
+
+// Voter names taking part, or [] when voting is off or not set up yet (two distinct names needed)
+export function activeVoters(voting) {
+  if (!voting?.enabled) return [];
+  const names = voting.voters.map((v) => v.name.trim()).filter(Boolean);
+  return names.length >= 2 && new Set(names).size === names.length ? names : [];
+}
+
+export function voterWeight(voting, name) {
+  if (voting.rule !== "weighted") return 1;
+  return Math.max(0, Number(voting.voters.find((v) => v.name.trim() === name)?.weight) || 0);
+}
+
+/**
+ * Resolve a match's ballots ([{ voter, side }], in voter order) into { side, tally, tieBreak }.
+ * Returns null on a tie when the tie-breaker is "vote again".
+ */
+export function resolveVotes(ballots, voting, pair, rules) {
+  const tally = { a: 0, b: 0 };
+  for (const b of ballots) tally[b.side] += voterWeight(voting, b.voter);
+
+  if (tally.a !== tally.b) return { side: tally.a > tally.b ? "a" : "b", tally, tieBreak: null };
+  if (voting.tieBreak === "revote") return null;
+  if (voting.tieBreak === "chair") return { side: ballots[0].side, tally, tieBreak: "chair" };
+  if (voting.tieBreak === "coin") {
+    return { side: crypto.getRandomValues(new Uint8Array(1))[0] % 2 ? "a" : "b", tally, tieBreak: "coin" };
+  }
+  const higher = sortBySeed([pair.a, pair.b], rules)[0];
+  return { side: higher.id === pair.a.id ? "a" : "b", tally, tieBreak: "seed" };
+}
+
+// "2–1" from the winner's side (weights included), for a history entry's vote
+export function voteScore(vote, winnerId) {
+  const weightOf = (b) => b.weight ?? 1;
+  const total = vote.ballots.reduce((sum, b) => sum + weightOf(b), 0);
+  const won = vote.ballots.filter((b) => b.trackId === winnerId).reduce((sum, b) => sum + weightOf(b), 0);
+  return `${won}–${total - won}`;
+}
+
+export const voteSlotKey = (s) => [s.round, s.match, s.stage, s.group, s.fixture].join("|");
+
+// Who agreed with whom: per voter vs the result, and per pair of voters, over every voted match
+export function voterAgreement(history) {
+  const voted = (history || []).filter((h) => h.vote?.ballots?.length);
+  const names = [...new Set(voted.flatMap((h) => h.vote.ballots.map((b) => b.voter)))];
+  const ballotOf = (h, name) => h.vote.ballots.find((b) => b.voter === name);
+
+  const voters = names.map((name) => {
+    const mine = voted.filter((h) => ballotOf(h, name));
+    return { name, agreed: mine.filter((h) => ballotOf(h, name).trackId === h.winnerId).length, total: mine.length };
+  });
+
+  const pairs = [];
+  names.forEach((a, i) =>
+    names.slice(i + 1).forEach((b) => {
+      const both = voted.filter((h) => ballotOf(h, a) && ballotOf(h, b));
+      pairs.push({ a, b, same: both.filter((h) => ballotOf(h, a).trackId === ballotOf(h, b).trackId).length, total: both.length });
+    })
+  );
+
+  return { matches: voted.length, voters, pairs };
+}
@@ -0,0 +1,155 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { activeVoters, DEFAULT_VOTING, resolveVotes, TIE_BREAKS, voterAgreement, voterWeight, voteScore } from "./votes.js";
+
+const voting = (extra) => ({
+  ...DEFAULT_VOTING,
+  enabled: true,
+  voters: [
+    { name: "Ana", weight: 3 },
+    { name: "Ben", weight: 1 },
+    { name: "Cy", weight: 1 },
+  ],
+  ...extra,
+});
+
+// x is the lower seed of the pair under these rules
+const pair = { a: { id: "x" }, b: { id: "y" } };
+const rules = { order: ["y", "x"] };
+const ballot = (voter, side) => ({ voter, side });
+
+afterEach(() => vi.restoreAllMocks());
+
+describe("activeVoters", () => {
+  it("lists the voters once voting is on with two distinct names", () => {
+    expect(activeVoters(voting())).toEqual(["Ana", "Ben", "Cy"]);
+    expect(activeVoters(voting({ voters: [{ name: " Ana " }, { name: "Ben" }, { name: "" }] }))).toEqual(["Ana", "Ben"]);
+  });
+
+  it("is empty when voting is off or not set up", () => {
+    expect(activeVoters(voting({ enabled: false }))).toEqual([]);
+    expect(activeVoters(voting({ voters: [{ name: "Ana" }, { name: "  " }] }))).toEqual([]);
+    expect(activeVoters(voting({ voters: [{ name: "Ana" }, { name: "Ana " }] }))).toEqual([]);
+    expect(activeVoters(null)).toEqual([]);
+  });
+});
+
+describe("voterWeight", () => {
+  it("counts everyone once under majority", () => {
+    expect(voterWeight(voting(), "Ana")).toBe(1);
+  });
+
+  it("uses each voter's weight under the weighted rule, never below zero", () => {
+    const v = voting({ rule: "weighted", voters: [{ name: "Ana", weight: 3 }, { name: "Ben", weight: -2 }, { name: "Cy", weight: "x" }] });
+    expect(voterWeight(v, "Ana")).toBe(3);
+    expect(voterWeight(v, "Ben")).toBe(0);
+    expect(voterWeight(v, "Cy")).toBe(0);
+    expect(voterWeight(v, "Nobody")).toBe(0);
+  });
+});
+
+describe("resolveVotes", () => {
+  it("gives the match to the majority", () => {
+    const ballots = [ballot("Ana", "a"), ballot("Ben", "b"), ballot("Cy", "b")];
+    expect(resolveVotes(ballots, voting(), pair, rules)).toEqual({ side: "b", tally: { a: 1, b: 2 }, tieBreak: null });
+  });
+
+  it("lets a heavier ballot outvote a head count", () => {
+    const ballots = [ballot("Ana", "a"), ballot("Ben", "b"), ballot("Cy", "b")];
+    expect(resolveVotes(ballots, voting({ rule: "weighted" }), pair, rules)).toEqual({
+      side: "a",
+      tally: { a: 3, b: 2 },
+      tieBreak: null,
+    });
+  });
+
+  it("can tie on weight even when the head count doesn't", () => {
+    const v = voting({ rule: "weighted", voters: [{ name: "Ana", weight: 2 }, { name: "Ben", weight: 1 }, { name: "Cy", weight: 1 }] });
+    const ballots = [ballot("Ana", "a"), ballot("Ben", "b"), ballot("Cy", "b")];
+    expect(resolveVotes(ballots, v, pair, rules)).toMatchObject({ tally: { a: 2, b: 2 }, tieBreak: "seed" });
+  });
+
+  describe("on a tie", () => {
+    const tied = [ballot("Ben", "a"), ballot("Ana", "b")];
+
+    it("covers every tie-breaker option", () => {
+      expect(TIE_BREAKS.map((t) => t.id)).toEqual(["seed", "chair", "coin", "revote"]);
+    });
+
+    it("seed: the higher seed wins", () => {
+      expect(resolveVotes(tied, voting({ tieBreak: "seed" }), pair, rules)).toEqual({
+        side: "b",
+        tally: { a: 1, b: 1 },
+        tieBreak: "seed",
+      });
+      expect(resolveVotes(tied, voting({ tieBreak: "seed" }), pair, { order: ["x", "y"] }).side).toBe("a");
+    });
+
+    it("chair: the first ballot cast decides", () => {
+      expect(resolveVotes(tied, voting({ tieBreak: "chair" }), pair, rules)).toMatchObject({ side: "a", tieBreak: "chair" });
+      expect(resolveVotes([...tied].reverse(), voting({ tieBreak: "chair" }), pair, rules).side).toBe("b");
+    });
+
+    it("coin: a random side", () => {
+      const flip = (byte) =>
+        vi.spyOn(crypto, "getRandomValues").mockImplementation((arr) => {
+          arr[0] = byte;
+          return arr;
+        });
+      flip(1);
+      expect(resolveVotes(tied, voting({ tieBreak: "coin" }), pair, rules)).toMatchObject({ side: "a", tieBreak: "coin" });
+      flip(2);
+      expect(resolveVotes(tied, voting({ tieBreak: "coin" }), pair, rules).side).toBe("b");
+    });
+
+    it("revote: no result, so the match is voted again", () => {
+      expect(resolveVotes(tied, voting({ tieBreak: "revote" }), pair, rules)).toBeNull();
+    });
+  });
+});
+
+describe("voteScore", () => {
+  it("reads the winner's share first", () => {
+    const vote = { ballots: [{ trackId: "x" }, { trackId: "y" }, { trackId: "x" }] };
+    expect(voteScore(vote, "x")).toBe("2–1");
+    expect(voteScore(vote, "y")).toBe("1–2");
+  });
+
+  it("counts the weights recorded on the ballots", () => {
+    const vote = { ballots: [{ trackId: "x", weight: 3 }, { trackId: "y", weight: 1 }, { trackId: "y", weight: 1 }] };
+    expect(voteScore(vote, "x")).toBe("3–2");
+  });
+});
+
+describe("voterAgreement", () => {
+  const voted = (winnerId, picks) => ({
+    winnerId,
+    vote: { ballots: Object.entries(picks).map(([voter, trackId]) => ({ voter, trackId })) },
+  });
+
+  it("scores each voter against the results and each pair against each other", () => {
+    const history = [
+      voted("x", { Ana: "x", Ben: "x", Cy: "y" }),
+      voted("z", { Ana: "w", Ben: "z", Cy: "z" }),
+      { winnerId: "q" }, // picked without a vote
+      voted("m", { Ana: "m", Ben: "n" }),
+    ];
+    expect(voterAgreement(history)).toEqual({
+      matches: 3,
+      voters: [
+        { name: "Ana", agreed: 2, total: 3 },
+        { name: "Ben", agreed: 2, total: 3 },
+        { name: "Cy", agreed: 1, total: 2 },
+      ],
+      pairs: [
+        { a: "Ana", b: "Ben", same: 1, total: 3 },
+        { a: "Ana", b: "Cy", same: 0, total: 2 },
+        { a: "Ben", b: "Cy", same: 1, total: 2 },
+      ],
+    });
+  });
+
+  it("is empty without voted matches", () => {
+    expect(voterAgreement([{ winnerId: "x" }])).toEqual({ matches: 0, voters: [], pairs: [] });
+    expect(voterAgreement(undefined)).toEqual({ matches: 0, voters: [], pairs: [] });
+  });
+});